@@ -1,12 +1,49 @@
-const requiredVars = ['SEARXNG_URL', 'CLIENT_ID', 'CLIENT_SECRET', 'TENANT_ID', 'TOKEN_URL'];
+const providerRequiredVars = {
+    searxng: ['SEARXNG_URL', 'CLIENT_ID', 'CLIENT_SECRET', 'TENANT_ID', 'TOKEN_URL'],
+    jsonapi: ['SEARCH_API_URL'],
+    file: ['SEARCH_FIXTURES_DIR']
+};
 
 function validateConfig() {
+    const searchProvider = (process.env.SEARCH_PROVIDER || 'searxng').toLowerCase();
+    const requiredVars = providerRequiredVars[searchProvider];
+    if (!requiredVars) {
+        throw new Error(`Fournisseur de recherche inconnu: ${searchProvider}`);
+    }
+
+    const fixtureMode = (process.env.SEARCH_FIXTURE_MODE || '').toLowerCase();
+    if (fixtureMode === 'replay') {
+        // Recordings are served from disk: no backend credentials needed
+        if (!process.env.SEARCH_FIXTURE_DIR) {
+            throw new Error("Variables d'environnement manquantes: SEARCH_FIXTURE_DIR");
+        }
+        return {
+            searchProvider,
+            fixtureMode,
+            fixtureDir: process.env.SEARCH_FIXTURE_DIR
+        };
+    }
+
     const missing = requiredVars.filter(v => !process.env[v]);
     if (missing.length > 0) {
         const message = `Variables d'environnement manquantes: ${missing.join(', ')}`;
         throw new Error(message);
     }
+
+    if (searchProvider === 'jsonapi') {
+        return {
+            searchProvider,
+            searchApiUrl: process.env.SEARCH_API_URL
+        };
+    }
+    if (searchProvider === 'file') {
+        return {
+            searchProvider,
+            searchFixturesDir: process.env.SEARCH_FIXTURES_DIR
+        };
+    }
     return {
+        searchProvider,
         searxngUrl: process.env.SEARXNG_URL,
         clientId: process.env.CLIENT_ID,
         clientSecret: process.env.CLIENT_SECRET,
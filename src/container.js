@@ -0,0 +1,38 @@
+const { SearchService } = require('./services/searchService');
+const { AnalysisService } = require('./services/analysisService');
+const { getSharedCache } = require('./services/cache');
+const { createIdentifierIndex } = require('./services/identifiers');
+const { createPeerSetService } = require('./services/peerSets');
+const { createJobService } = require('./services/jobs');
+
+/**
+ * Build the services shared by every HTTP handler of the worker.
+ * Any service can be overridden, which lets tests inject fakes.
+ * @param {Object} overrides - Services or provider to use instead of the defaults
+ * @returns {Object} - Service container
+ */
+function createContainer(overrides = {}) {
+    const cache = overrides.cache || getSharedCache();
+    const searchService = overrides.searchService || new SearchService({
+        provider: overrides.provider,
+        cache
+    });
+    const analysisService = overrides.analysisService || new AnalysisService({
+        searchService,
+        cache
+    });
+    const identifierIndex = overrides.identifierIndex || createIdentifierIndex(cache);
+    const peerSetService = overrides.peerSetService || createPeerSetService();
+    const jobService = overrides.jobService || createJobService();
+
+    return {
+        cache,
+        searchService,
+        analysisService,
+        identifierIndex,
+        peerSetService,
+        jobService
+    };
+}
+
+module.exports = { createContainer };
@@ -1,31 +1,89 @@
-const { SearchService } = require('../services/searchService');
 const { validateInput, createResponse, createErrorResponse } = require('../utils/helpers');
 const logger = require('../utils/logger');
-
-const searchService = new SearchService();
-
-async function analyzeMetrics(request, context) {
+const {
+    buildCompanyProfile,
+    collectResults,
+    extractMentionProfile,
+    revenueInMillions,
+    toReportingAmount,
+    getReportingCurrency
+} = require('../services/extraction');
+const { isSameEntity, deduplicateEntities } = require('../services/entityMatching');
+const { buildComparableQueries, legalFormPattern } = require('../services/queryTemplates');
+const { withEventStream } = require('../utils/eventStream');
+const { createQueryScheduler, isBudgetError } = require('../services/queryScheduler');
+const { isValidPeerSetId } = require('../services/peerSets');
+
+// Steps reported to background jobs and streamed responses
+const ANALYSIS_STEPS = {
+    mainCompany: { stepNumber: 1, label: "Analyse de l'entreprise principale" },
+    comparables: { stepNumber: 2, label: 'Recherche des comparables' },
+    metrics: { stepNumber: 3, label: 'Calcul des métriques' },
+    comparison: { stepNumber: 4, label: 'Analyse comparative et recommandations' }
+};
+
+function createAnalyzeMetricsHandler({ searchService, peerSetService, onProgress }) {
+    return withEventStream((request, context, onEvent) =>
+        analyzeMetrics(request, context, { searchService, peerSetService, onProgress, onEvent }));
+}
+
+async function analyzeMetrics(request, context, { searchService, peerSetService, onProgress = () => {}, onEvent = () => {} }) {
     context.log('Start of analyzeMetrics');
     const startTime = Date.now();
+    const reportStep = step => {
+        const progress = { step, ...ANALYSIS_STEPS[step], totalSteps: Object.keys(ANALYSIS_STEPS).length };
+        onProgress(progress);
+        onEvent('step', progress);
+    };
 
     try {
         const body = await request.json();
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+            return createErrorResponse(400, 'Paramètres invalides', ['Le corps de la requête doit être un objet JSON']);
+        }
 
-        // SIMPLE VALIDATION - only the company name
+        // SIMPLE VALIDATION - the company name, unless a saved peer set names it
         const validation = validateInput(body, {
-            companyName: { required: true, type: 'string', minLength: 2, maxLength: 100 }
+            companyName: { required: !body.peerSetId, type: 'string', minLength: 2, maxLength: 100 },
+            peerSetId: { type: 'string' },
+            peerSetVersion: { type: 'number', min: 1 },
+            maxSearches: { type: 'number', min: 1 },
+            searchTimeout: { type: 'number', min: 1000 },
+            maxPages: { type: 'number', min: 1 }
         });
 
-        if (!validation.isValid) {
+        if (body.peerSetId !== undefined && body.peerSetId !== null && !isValidPeerSetId(body.peerSetId)) {
+            validation.errors.push("Le champ 'peerSetId' ne peut contenir que des minuscules, chiffres et tirets (2 à 64 caractères)");
+        }
+
+        if (validation.errors.length > 0) {
             return createErrorResponse(400, 'Paramètres invalides', validation.errors);
         }
 
         const { 
-            companyName,
+            peerSetId,                  // Optional saved peer set to analyze instead of searching
+            peerSetVersion,             // Optional version, latest if absent
             includeComparables = true,  // Optional with default
-            maxComparables = 5          // Optional with default
+            maxComparables = 5,         // Optional with default
+            maxSearches,                // Optional cap on the web searches of the request
+            searchTimeout,              // Optional time limit of the searches, in ms
+            maxPages                    // Optional result pages per query, up to SEARCH_MAX_PAGES
         } = body;
 
+        const peerSet = peerSetId ? await peerSetService.get(peerSetId, peerSetVersion) : null;
+        if (peerSetId && !peerSet) {
+            return createErrorResponse(404, 'Ensemble de pairs introuvable', { id: peerSetId, version: peerSetVersion || null });
+        }
+        // A replay analyses the company of the set: another name would compare it with someone else's peers
+        if (peerSet && body.companyName && !isSameEntity(body.companyName, peerSet.referenceCompany.name)) {
+            return createErrorResponse(400, "Le nom d'entreprise ne correspond pas à l'ensemble de pairs", {
+                companyName: body.companyName,
+                peerSetCompany: peerSet.referenceCompany.name,
+                id: peerSet.id
+            });
+        }
+        const companyName = peerSet ? peerSet.referenceCompany.name : body.companyName;
+
         context.log(`Analyse de métriques pour: ${companyName}`);
 
         // Security validation
@@ -33,22 +91,33 @@ async function analyzeMetrics(request, context) {
             return createErrorResponse(400, "Nom d'entreprise non autorisé");
         }
 
-        // STEP 1: Analyze the main company
-        logger.info("🔍 Analyse de l'entreprise principale...");
-        const mainCompanyResults = await searchService.searchCompanyInfo(companyName, {
-            language: 'fr',
-            page: 1
-        });
+        // Every web search of the request shares one budget
+        const scheduler = createQueryScheduler({ maxQueries: maxSearches, timeout: searchTimeout });
+        searchService = scheduler.wrap(searchService);
 
-        if (!mainCompanyResults.success) {
-            return createErrorResponse(404, 'Entreprise non trouvée', {
-                companyName: companyName,
-                suggestions: ['Vérifiez l\'orthographe', 'Utilisez le nom complet']
+        // STEP 1: Analyze the main company, as saved with the peer set on a replay
+        reportStep('mainCompany');
+        let mainProfile;
+        if (peerSet) {
+            logger.info(`📂 Profil de référence de l'ensemble '${peerSet.id}' (version ${peerSet.version})`);
+            mainProfile = createProfileFromPeerSet(peerSet);
+        } else {
+            logger.info("🔍 Analyse de l'entreprise principale...");
+            const mainCompanyResults = await searchService.searchCompanyInfo(companyName, {
+                language: 'fr',
+                page: 1
             });
-        }
 
-        // Create the main profile with metrics
-        const mainProfile = createDetailedProfileWithMetrics(companyName, mainCompanyResults);
+            if (!mainCompanyResults.success) {
+                return createErrorResponse(404, 'Entreprise non trouvée', {
+                    companyName: companyName,
+                    suggestions: ['Vérifiez l\'orthographe', 'Utilisez le nom complet']
+                });
+            }
+
+            // Create the main profile with metrics
+            mainProfile = createDetailedProfileWithMetrics(companyName, mainCompanyResults);
+        }
         logger.info("📊 Profil principal créé:", {
             name: mainProfile.name,
             sector: mainProfile.sector,
@@ -56,21 +125,28 @@ async function analyzeMetrics(request, context) {
             revenue: mainProfile.revenue
         });
 
-        // STEP 2: Automatically find comparables if requested
+        // STEP 2: Comparables of the saved peer set, or found automatically if requested
+        reportStep('comparables');
         let comparables = [];
-        if (includeComparables && maxComparables > 0) {
+        if (peerSet) {
+            comparables = peerSet.comparables;
+            logger.info(`📂 ${comparables.length} comparables de l'ensemble '${peerSet.id}' (version ${peerSet.version})`);
+        } else if (includeComparables && maxComparables > 0) {
             logger.info(`🔎 Recherche automatique de ${maxComparables} comparables...`);
-            comparables = await findComparablesAutomatically(mainProfile, maxComparables);
+            comparables = await findComparablesAutomatically(searchService, mainProfile, maxComparables, { maxPages, onEvent });
             logger.info(`📋 ${comparables.length} comparables trouvés`);
         }
 
         // STEP 3: Calculate metrics for all companies
+        reportStep('metrics');
         const allCompanies = [mainProfile, ...comparables];
         const analyzedCompanies = allCompanies.map((company, index) => {
             const metrics = calculateAdvancedFinancialMetrics(company);
             const riskProfile = assessComprehensiveRiskProfile(company, metrics);
             const valuation = estimateDetailedValuation(company, metrics);
             const marketPosition = assessMarketPosition(company, allCompanies);
+            const benchmarkScores = calculateBenchmarkScores(company, mainProfile);
+            onEvent('scored', { name: company.name, isMainCompany: index === 0, overall: benchmarkScores.overall });
 
             return {
                 ...company,
@@ -79,12 +155,13 @@ async function analyzeMetrics(request, context) {
                 riskProfile: riskProfile,
                 valuationEstimate: valuation,
                 marketPosition: marketPosition,
-                benchmarkScores: calculateBenchmarkScores(company, mainProfile),
+                benchmarkScores: benchmarkScores,
                 analysisTimestamp: new Date().toISOString()
             };
         });
 
         // STEP 4: Comparative analysis
+        reportStep('comparison');
         const comparativeAnalysis = performComparativeAnalysis(analyzedCompanies);
         
         // STEP 5: Smart recommendations
@@ -95,6 +172,7 @@ async function analyzeMetrics(request, context) {
             totalCompanies: analyzedCompanies.length,
             mainCompany: analyzedCompanies[0].name,
             comparablesAnalyzed: comparables.length,
+            peerSet: peerSet ? { id: peerSet.id, version: peerSet.version, createdAt: peerSet.createdAt } : null,
             averageEmployees: Math.round(
                 analyzedCompanies
                     .filter(c => c.employees)
@@ -108,8 +186,10 @@ async function analyzeMetrics(request, context) {
                 .map((c, i) => ({ rank: i + 1, name: c.name, score: c.benchmarkScores?.overall || 0 }))
         };
 
+        const searchBudget = scheduler.getStatus();
         const response = {
             success: true,
+            incomplete: !searchBudget.complete,
             mainCompany: {
                 name: mainProfile.name,
                 sector: mainProfile.sector,
@@ -120,6 +200,7 @@ async function analyzeMetrics(request, context) {
             comparativeAnalysis: comparativeAnalysis,
             analysisStats: analysisStats,
             recommendations: smartRecommendations,
+            searchBudget: searchBudget,
             methodology: {
                 dataCollection: 'Recherche web automatique via SearXNG',
                 metricsCalculation: 'Analyse multi-critères: secteur, taille, performance, risque',
@@ -131,7 +212,7 @@ async function analyzeMetrics(request, context) {
                 apiVersion: '1.0',
                 endpoint: 'analyzeMetrics',
                 searchEngine: 'SearXNG',
-                autoGenerated: true,
+                autoGenerated: !peerSet,
                 analysisTimestamp: new Date().toISOString()
             }
         };
@@ -152,75 +233,84 @@ async function analyzeMetrics(request, context) {
 // ADVANCED UTILITY FUNCTIONS
 
 function createDetailedProfileWithMetrics(companyName, searchResults) {
-    const allResults = [];
-    searchResults.searchResults.forEach(sr => {
-        allResults.push(...sr.results);
+    return buildCompanyProfile(companyName, collectResults(searchResults.searchResults), {
+        source: 'web_search_metrics',
+        extraFields: ['marketShare', 'growthRate', 'profitability']
     });
+}
 
-    const allContent = allResults.map(r => `${r.title} ${r.content}`).join(' ').toLowerCase();
-
+// Fields not saved with the set (founding year...) stay empty rather than being searched again
+function createProfileFromPeerSet(peerSet) {
     return {
-        name: companyName,
-        source: 'web_search_metrics',
-        confidence: allResults.length > 10 ? 0.9 : 0.7,
-        sector: extractSector(allContent),
-        industry: extractIndustry(allContent),
-        country: extractCountry(allContent),
-        region: extractRegion(allContent),
-        employees: extractEmployeeCount(allContent),
-        revenue: extractRevenue(allContent),
-        founding_year: extractFoundingYear(allContent),
-        headquarters: extractHeadquarters(allContent),
-        size_category: guessSizeCategory(allContent),
-        isPublic: guessIsPublic(allContent),
-        description: createDescription(allResults),
-        website: extractWebsite(allResults),
-        marketShare: extractMarketShare(allContent),
-        growthRate: extractGrowthRate(allContent),
-        profitability: extractProfitability(allContent)
+        ...buildCompanyProfile(peerSet.referenceCompany.name, [], {
+            source: 'peer_set',
+            extraFields: ['marketShare', 'growthRate', 'profitability']
+        }),
+        ...peerSet.referenceCompany,
+        source: 'peer_set'
     };
 }
 
-async function findComparablesAutomatically(mainProfile, maxResults) {
-    const comparables = [];
-    
-    // Generate targeted search queries
-    const searchQueries = [
-        `concurrents ${mainProfile.sector || 'technology'} ${mainProfile.country || ''}`,
-        `entreprises similaires ${mainProfile.sector || 'technology'}`,
-        `leaders ${mainProfile.sector || 'technology'} secteur`
-    ];
+async function findComparablesAutomatically(searchService, mainProfile, maxResults, { maxPages, onEvent = () => {} } = {}) {
+    // Generate targeted search queries, in the language of the company's market
+    const searchQueries = buildComparableQueries(mainProfile, {
+        keys: ['sameCountry', 'competitors', 'leaders']
+    });
 
-    for (const query of searchQueries) {
+    const foundByQuery = await Promise.all(searchQueries.map(async (query, index) => {
         try {
-            const searchResults = await searchService.searchWeb(query, {
-                language: 'fr',
+            const searchResults = await searchService.searchWebPages(query.search, {
+                language: query.language,
                 page: 1
-            }, 'competitorAnalysis');
+            }, 'competitorAnalysis', {
+                maxPages,
+                extractCompanies: results => extractCompaniesFromSearchResults(results, mainProfile.name).map(company => company.name)
+            });
 
+            let foundCompanies = [];
             if (searchResults.success && searchResults.results) {
-                const foundCompanies = extractCompaniesFromSearchResults(
+                foundCompanies = extractCompaniesFromSearchResults(
                     searchResults.results, 
                     mainProfile.name
                 );
-                comparables.push(...foundCompanies);
             }
+            onEvent('query', {
+                query: query.search,
+                language: query.language,
+                index: index + 1,
+                total: searchQueries.length,
+                results: (searchResults.results || []).length,
+                pages: searchResults.pagination ? searchResults.pagination.pagesFetched : 0,
+                candidates: foundCompanies.length
+            });
+            foundCompanies.forEach(company => onEvent('candidate', { name: company.name, url: company.url, source: company.source, query: query.search }));
+            return foundCompanies;
         } catch (error) {
-            logger.info(`⚠️ Erreur recherche comparable "${query}":`, error.message);
+            logger.info(`⚠️ Erreur recherche comparable "${query.search}":`, error.message);
+            onEvent('query', {
+                query: query.search,
+                language: query.language,
+                index: index + 1,
+                total: searchQueries.length,
+                skipped: isBudgetError(error),
+                error: error.message
+            });
+            return [];
         }
-    }
+    }));
 
-    // Deduplication and limiting
-    const uniqueComparables = deduplicateByName(comparables);
+    // Deduplication and limiting, in query order
+    const uniqueComparables = deduplicateByName(foundByQuery.flat(), mainProfile.name);
     return uniqueComparables.slice(0, maxResults);
 }
 
 function extractCompaniesFromSearchResults(results, excludeName) {
     const companies = [];
     const companyPatterns = [
-        /([A-Z][a-zA-Z\s&]+)(?:\s+(?:SE|SA|Inc|Corp|Ltd|LLC|SAS|SARL))/g,
+        new RegExp(`([A-Z][a-zA-Z\\s&]+)(?:\\s+(?:${legalFormPattern()}))(?![a-zA-Z])`, 'g'),
         /entreprise\s+([A-Z][a-zA-Z\s&]{3,30})/gi,
-        /société\s+([A-Z][a-zA-Z\s&]{3,30})/gi
+        /société\s+([A-Z][a-zA-Z\s&]{3,30})/gi,
+        /(?:Unternehmen|empresa|azienda)\s+([A-Z][a-zA-Z\s&]{3,30})/gi
     ];
 
     for (const result of results) {
@@ -239,9 +329,8 @@ function extractCompaniesFromSearchResults(results, excludeName) {
                         url: result.url,
                         description: result.content.substring(0, 150) + '...',
                         extractedFrom: result.title,
-                        // Try to extract some basic information from the context
-                        sector: extractSectorFromContext(content),
-                        country: extractCountryFromContext(content)
+                        // Sector and country read from the same result, with their provenance
+                        ...extractMentionProfile(companyName, result, match)
                     });
                 }
             }
@@ -275,10 +364,8 @@ function calculateAdvancedFinancialMetrics(company) {
     };
 
     // Calculations based on available data
-    if (company.revenue && company.employees && company.employees > 0) {
-        const revenueStr = company.revenue.replace(/[€M]/g, '');
-        const revenueNum = parseInt(revenueStr) * 1000000; // Convert to euros
-        
+    const revenueNum = toReportingAmount(company.revenue);
+    if (revenueNum && company.employees && company.employees > 0) {
         metrics.revenuePerEmployee = Math.round(revenueNum / company.employees);
         
         // Productivity classification
@@ -402,6 +489,7 @@ function estimateDetailedValuation(company, metrics) {
     const valuation = {
         method: 'multi_factor_analysis',
         confidence: company.confidence > 0.7 ? 'medium' : 'low',
+        currency: getReportingCurrency(),
         estimates: {},
         factors: [],
         adjustments: []
@@ -430,9 +518,8 @@ function estimateDetailedValuation(company, metrics) {
     const multiples = advancedSectorMultiples[company.sector] || advancedSectorMultiples['Technology'];
 
     // Estimate based on revenue
-    if (company.revenue) {
-        const revenueNum = parseInt(company.revenue.replace(/[€M]/g, ''));
-        
+    const revenueNum = revenueInMillions(company.revenue);
+    if (revenueNum) {
         valuation.estimates.conservative = revenueNum * multiples.revenue.min;
         valuation.estimates.average = revenueNum * multiples.revenue.avg;
         valuation.estimates.optimistic = revenueNum * multiples.revenue.max;
@@ -530,10 +617,10 @@ function assessMarketPosition(company, allCompanies) {
 
         // Relative position
         const companyScore = (company.employees || 0) + 
-                           (company.revenue ? parseInt(company.revenue.replace(/[€M]/g, '')) * 100 : 0);
+                           (revenueInMillions(company.revenue) || 0) * 100;
         const avgScore = sameSeclorCompanies.reduce((sum, c) => 
             sum + (c.employees || 0) + 
-            (c.revenue ? parseInt(c.revenue.replace(/[€M]/g, '')) * 100 : 0), 0
+            (revenueInMillions(c.revenue) || 0) * 100, 0
         ) / sameSeclorCompanies.length;
 
         if (companyScore > avgScore * 1.3) {
@@ -628,9 +715,9 @@ function performComparativeAnalysis(companies) {
 
     // Statistical summary
     const validEmployees = companies.filter(c => c.employees).map(c => c.employees);
-    const validRevenues = companies.filter(c => c.revenue).map(c => 
-        parseInt(c.revenue.replace(/[€M]/g, ''))
-    );
+    const validRevenues = companies
+        .map(c => revenueInMillions(c.revenue))
+        .filter(revenue => revenue !== null);
 
     analysis.summary = {
         totalCompanies: companies.length,
@@ -638,6 +725,7 @@ function performComparativeAnalysis(companies) {
             Math.round(validEmployees.reduce((a, b) => a + b, 0) / validEmployees.length) : null,
         averageRevenue: validRevenues.length > 0 ? 
             Math.round(validRevenues.reduce((a, b) => a + b, 0) / validRevenues.length) : null,
+        revenueCurrency: getReportingCurrency(),
         sectorsRepresented: [...new Set(companies.map(c => c.sector).filter(Boolean))].length,
         countriesRepresented: [...new Set(companies.map(c => c.country).filter(Boolean))].length
     };
@@ -650,12 +738,8 @@ function performComparativeAnalysis(companies) {
             .map((c, i) => ({ rank: i + 1, name: c.name, value: c.employees })),
         
         byRevenue: companies
-            .filter(c => c.revenue)
-            .sort((a, b) => {
-                const aRev = parseInt(a.revenue.replace(/[€M]/g, ''));
-                const bRev = parseInt(b.revenue.replace(/[€M]/g, ''));
-                return bRev - aRev;
-            })
+            .filter(c => revenueInMillions(c.revenue) !== null)
+            .sort((a, b) => revenueInMillions(b.revenue) - revenueInMillions(a.revenue))
             .map((c, i) => ({ 
                 rank: i + 1, 
                 name: c.name, 
@@ -905,21 +989,13 @@ function calculateRiskDistribution(companies) {
     };
 }
 
-function deduplicateByName(companies) {
-    const seen = new Set();
-    return companies.filter(company => {
-        const key = company.name.toLowerCase().replace(/[^a-z0-9]/g, '');
-        if (seen.has(key)) {
-            return false;
-        }
-        seen.add(key);
-        return true;
-    });
+function deduplicateByName(companies, excludeName) {
+    return deduplicateEntities(companies, { exclude: [excludeName] });
 }
 
 function isValidExtractedCompany(name, excludeName) {
     if (!name || name.length < 3 || name.length > 50) return false;
-    if (name.toLowerCase() === excludeName.toLowerCase()) return false;
+    if (isSameEntity(name, excludeName)) return false;
     
     const invalid = ['page', 'article', 'news', 'site', 'www', 'http', 'com'];
     return !invalid.some(term => name.toLowerCase().includes(term));
@@ -930,255 +1006,4 @@ function containsSuspiciousContent(text) {
     return suspicious.some(term => text.toLowerCase().includes(term));
 }
 
-// Reuse existing extraction functions
-function extractSector(content) {
-    const patterns = {
-        'Technology': ['technology', 'tech', 'it services', 'software', 'digital'],
-        'Finance': ['finance', 'financial', 'bank', 'investment'],
-        'Healthcare': ['healthcare', 'health', 'medical', 'pharmaceutical'],
-        'Manufacturing': ['manufacturing', 'production', 'industrial'],
-        'Retail': ['retail', 'commerce', 'consumer'],
-        'Energy': ['energy', 'oil', 'gas', 'renewable'],
-        'Consulting': ['consulting', 'advisory', 'professional services']
-    };
-
-    for (const [sector, keywords] of Object.entries(patterns)) {
-        if (keywords.some(keyword => content.includes(keyword))) {
-            return sector;
-        }
-    }
-    return 'Technology';
-}
-
-function extractIndustry(content) {
-    const industries = {
-        'IT Consulting': ['it consulting', 'technology consulting', 'digital consulting', 'systems integration'],
-        'Software Development': ['software development', 'application development', 'custom software'],
-        'Business Consulting': ['business consulting', 'strategy consulting', 'management consulting'],
-        'Outsourcing': ['outsourcing', 'managed services', 'bpo'],
-        'Cloud Services': ['cloud services', 'cloud computing', 'saas'],
-        'Data Analytics': ['data analytics', 'big data', 'business intelligence', 'data science']
-    };
-
-    const lower = content.toLowerCase();
-    for (const [industry, keywords] of Object.entries(industries)) {
-        if (keywords.some(k => lower.includes(k))) {
-            return industry;
-        }
-    }
-    return null;
-}
-
-function extractCountry(content) {
-    const countries = {
-        'France': ['france', 'french', 'paris'],
-        'United States': ['usa', 'united states', 'america'],
-        'United Kingdom': ['uk', 'united kingdom', 'britain'],
-        'Germany': ['germany', 'german'],
-        'China': ['china', 'chinese'],
-        'Japan': ['japan', 'japanese']
-    };
-
-    for (const [country, keywords] of Object.entries(countries)) {
-        if (keywords.some(keyword => content.includes(keyword))) {
-            return country;
-        }
-    }
-    return null;
-}
-
-function extractRegion(content) {
-    const country = extractCountry(content);
-    const countryToRegion = {
-        'France': 'Europe',
-        'United Kingdom': 'Europe',
-        'Germany': 'Europe',
-        'United States': 'North America',
-        'China': 'Asia',
-        'Japan': 'Asia'
-    };
-    return countryToRegion[country] || 'Global';
-}
-
-function extractEmployeeCount(content) {
-    const patterns = [
-        /(\d{1,3}(?:,\d{3})*)\s*(?:employees|employés|people|staff)/gi,
-        /(\d{1,3})k?\s*(?:employees|employés|people|staff)/gi
-    ];
-
-    for (const pattern of patterns) {
-        const match = content.match(pattern);
-        if (match) {
-            let number = parseInt(match[1].replace(/,/g, ''));
-            if (match[0].toLowerCase().includes('k')) {
-                number *= 1000;
-            }
-            if (number >= 1 && number <= 5000000) {
-                return number;
-            }
-        }
-    }
-    return null;
-}
-
-function extractRevenue(content) {
-    const patterns = [
-        /revenue.*?€(\d{1,3}(?:,\d{3})*)\s*(?:million|billion)/gi,
-        /€(\d{1,3}(?:,\d{3})*)\s*(?:million|billion)/gi,
-        /chiffre.*?affaires.*?(\d{1,3}(?:[,.]\d{1,3})*)\s*(?:milliards?)/gi
-    ];
-
-    for (const pattern of patterns) {
-        const match = content.match(pattern);
-        if (match) {
-            let amount = parseInt(match[1].replace(/[,.]/g, ''));
-            if (match[0].includes('billion') || match[0].includes('milliard')) {
-                amount *= 1000;
-            }
-            if (amount >= 1 && amount <= 1000000) {
-                return `€${amount}M`;
-            }
-        }
-    }
-    return null;
-}
-
-function extractFoundingYear(content) {
-    const patterns = [
-        /(?:founded|created|established|créée?|fondée?).*?(?:in|en)\s*(\d{4})/gi,
-        /(?:depuis|since)\s*(\d{4})/gi,
-        /\((\d{4})\)/g
-    ];
-
-    const currentYear = new Date().getFullYear();
-    
-    for (const pattern of patterns) {
-        const match = content.match(pattern);
-        if (match) {
-            const year = parseInt(match[1]);
-            if (year >= 1800 && year <= currentYear) {
-                return year;
-            }
-        }
-    }
-    return null;
-}
-
-function extractHeadquarters(content) {
-    const patterns = [
-        /(?:headquartered|siège.*?social).*?(?:in|à|en)\s*([A-Z][a-z]+)/gi,
-        /based.*?in\s*([A-Z][a-z]+)/gi
-    ];
-
-    const knownCities = [
-        'Paris', 'London', 'New York', 'Tokyo', 'Berlin', 'Madrid', 
-        'Rome', 'Amsterdam', 'Brussels', 'Geneva', 'Milan'
-    ];
-
-    for (const pattern of patterns) {
-        const match = content.match(pattern);
-        if (match && knownCities.includes(match[1])) {
-            return match[1];
-        }
-    }
-    return null;
-}
-
-function guessSizeCategory(content) {
-    if (content.includes('multinational') || content.includes('global') || content.includes('fortune')) {
-        return 'large';
-    }
-    if (content.includes('startup') || content.includes('small')) {
-        return 'small';
-    }
-    return 'medium';
-}
-
-function guessIsPublic(content) {
-    return content.includes('public') || content.includes('stock') || 
-           content.includes('nasdaq') || content.includes('nyse') ||
-           content.includes('euronext') || content.includes('listed');
-}
-
-function createDescription(results) {
-    if (results.length > 0) {
-        const bestResult = results.find(r => 
-            r.content.length > 100 && 
-            !r.url.includes('linkedin.com') &&
-            !r.url.includes('wikipedia.org')
-        ) || results[0];
-        
-        return bestResult.content.substring(0, 250) + '...';
-    }
-    return null;
-}
-
-function extractWebsite(results) {
-    for (const result of results) {
-        const url = result.url.toLowerCase();
-        if (url.includes('.com/') && 
-            !url.includes('linkedin') && 
-            !url.includes('wikipedia') &&
-            !url.includes('google') &&
-            !url.includes('yahoo')) {
-            return result.url;
-        }
-    }
-    return null;
-}
-
-function extractMarketShare(content) {
-    const patterns = [
-        /market\s+share.*?(\d{1,2})%/gi,
-        /part\s+de\s+marché.*?(\d{1,2})%/gi
-    ];
-
-    for (const pattern of patterns) {
-        const match = content.match(pattern);
-        if (match) {
-            const share = parseInt(match[1]);
-            if (share >= 1 && share <= 100) {
-                return `${share}%`;
-            }
-        }
-    }
-    return null;
-}
-
-function extractGrowthRate(content) {
-    const patterns = [
-        /growth.*?(\d{1,3})%/gi,
-        /croissance.*?(\d{1,3})%/gi
-    ];
-
-    for (const pattern of patterns) {
-        const match = content.match(pattern);
-        if (match) {
-            const rate = parseInt(match[1]);
-            if (rate >= 0 && rate <= 500) {
-                return `${rate}%`;
-            }
-        }
-    }
-    return null;
-}
-
-function extractProfitability(content) {
-    if (content.includes('profitable') || content.includes('profit')) {
-        return 'profitable';
-    }
-    if (content.includes('loss') || content.includes('perte')) {
-        return 'loss_making';
-    }
-    return 'unknown';
-}
-
-function extractSectorFromContext(content) {
-    return extractSector(content.toLowerCase());
-}
-
-function extractCountryFromContext(content) {
-    return extractCountry(content.toLowerCase());
-}
-
-module.exports = { analyzeMetrics };
+module.exports = { createAnalyzeMetricsHandler };
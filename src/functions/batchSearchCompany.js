@@ -0,0 +1,198 @@
+const { validateInput, createResponse, createErrorResponse, mapWithConcurrency } = require('../utils/helpers');
+const logger = require('../utils/logger');
+const { normalizeCompanyName } = require('../services/entityMatching');
+const { parseCompanyReference, hasIdentifier, addIdentifier } = require('../services/identifiers');
+const { createQueryScheduler } = require('../services/queryScheduler');
+
+const MAX_BATCH_SIZE = 100;
+const MAX_CONCURRENCY = 10;
+const DEFAULT_CONCURRENCY = 4;
+
+function createBatchSearchCompanyHandler({ searchService, analysisService, identifierIndex }) {
+    return (request, context) => batchSearchCompany(request, context, { searchService, analysisService, identifierIndex });
+}
+
+async function batchSearchCompany(request, context, { searchService, analysisService, identifierIndex }) {
+    context.log('Start of batchSearchCompany');
+    const startTime = Date.now();
+
+    try {
+        const body = await request.json();
+
+        const validation = validateInput(body, {
+            companies: { required: true, type: 'array', minLength: 1, maxLength: MAX_BATCH_SIZE },
+            concurrency: { type: 'number', min: 1 },
+            maxSearches: { type: 'number', min: 1 },
+            searchTimeout: { type: 'number', min: 1000 }
+        });
+        if (Array.isArray(body.companies) && body.companies.some(entry => typeof entry !== 'string' || !entry.trim())) {
+            validation.errors.push("Le champ 'companies' doit contenir des chaînes non vides");
+        }
+
+        if (validation.errors.length > 0) {
+            return createErrorResponse(400, 'Paramètres invalides', validation.errors);
+        }
+
+        const { companies } = body;
+        const concurrency = Math.min(body.concurrency || getDefaultConcurrency(), MAX_CONCURRENCY);
+        context.log(`Recherche groupée de ${companies.length} entreprises (${concurrency} en parallèle)`);
+
+        // Every search of the batch shares one scheduler, so the batch as a whole is bounded
+        const scheduler = createQueryScheduler({ maxQueries: body.maxSearches, timeout: body.searchTimeout });
+        searchService = scheduler.wrap(searchService);
+
+        // The same company asked twice is searched once; its result is shared
+        const runs = new Map();
+        const items = await mapWithConcurrency(companies, concurrency, async (entry, index) => {
+            const itemStart = Date.now();
+            const reference = await resolveReference(entry, identifierIndex);
+            const key = reference.identifier
+                ? `${reference.identifier.type}:${reference.identifier.value}`
+                : normalizeCompanyName(reference.name);
+            const duplicateOf = runs.has(key) ? runs.get(key).index : null;
+            if (duplicateOf === null) {
+                runs.set(key, { index, promise: profileCompany(reference, { searchService, analysisService, identifierIndex }) });
+            }
+
+            const outcome = await runs.get(key).promise;
+            return {
+                index,
+                input: entry,
+                ...outcome,
+                duplicateOf,
+                durationMs: Date.now() - itemStart
+            };
+        });
+
+        const succeeded = items.filter(item => item.success).length;
+        const byStatus = {};
+        items.forEach(item => {
+            byStatus[item.status] = (byStatus[item.status] || 0) + 1;
+        });
+
+        const summary = {
+            total: items.length,
+            unique: runs.size,
+            succeeded,
+            failed: items.length - succeeded,
+            byStatus,
+            concurrency,
+            averageConfidence: succeeded > 0
+                ? Math.round(items.filter(item => item.success).reduce((sum, item) => sum + item.data.confidence, 0) / succeeded * 100) / 100
+                : null
+        };
+
+        logger.info(`📦 Recherche groupée terminée: ${succeeded}/${items.length} entreprises profilées`);
+        context.log(`Recherche groupée terminée en ${Date.now() - startTime}ms`);
+
+        const searchBudget = scheduler.getStatus();
+        return createResponse(200, {
+            success: true,
+            incomplete: !searchBudget.complete,
+            results: items,
+            summary,
+            searchBudget,
+            metadata: {
+                searchDuration: Date.now() - startTime,
+                apiVersion: '1.0',
+                endpoint: 'batchSearchCompany',
+                searchEngine: 'SearXNG'
+            }
+        });
+
+    } catch (error) {
+        context.log.error(`Erreur lors de la recherche groupée:`, error);
+        return createErrorResponse(500, 'Erreur interne du serveur', {
+            error: error.message,
+            timestamp: new Date().toISOString(),
+            searchDuration: Date.now() - startTime
+        });
+    }
+}
+
+function getDefaultConcurrency() {
+    const parsed = parseInt(process.env.BATCH_CONCURRENCY, 10);
+    return !isNaN(parsed) && parsed > 0 ? parsed : DEFAULT_CONCURRENCY;
+}
+
+async function resolveReference(entry, identifierIndex) {
+    const name = entry.trim();
+    const identifier = parseCompanyReference(name);
+    if (!identifier) return { name, identifier: null };
+
+    const indexed = identifierIndex ? await identifierIndex.lookup(identifier) : null;
+    return { name: indexed ? indexed.name : null, identifier };
+}
+
+/**
+ * Profile one company of a batch; failures are reported, never thrown
+ * @param {Object} reference - { name, identifier }
+ * @param {Object} services - { searchService, analysisService, identifierIndex }
+ * @returns {Promise<Object>} - { success, status, data } or { success, status, error }
+ */
+async function profileCompany(reference, { searchService, analysisService, identifierIndex }) {
+    const searchName = reference.name || (reference.identifier ? reference.identifier.value : '');
+    if (searchName.length < 2 || searchName.length > 100) {
+        return failure(400, "Le nom d'entreprise doit contenir entre 2 et 100 caractères");
+    }
+    if (containsSuspiciousContent(searchName)) {
+        return failure(400, "Nom d'entreprise non autorisé");
+    }
+
+    try {
+        const searchResults = await searchService.searchCompanyInfo(searchName, {
+            language: 'fr',
+            page: 1
+        });
+        // Not searched rather than not found: the budget of the batch ran out first
+        if (!searchResults.success && searchResults.skippedQueries > 0) {
+            return failure(503, 'Budget de recherche du lot épuisé');
+        }
+        if (!searchResults.success || !searchResults.searchResults || searchResults.searchResults.length === 0) {
+            return failure(404, 'Entreprise non trouvée via recherche web');
+        }
+
+        const profile = analysisService.analyzeSearchResults(searchName, searchResults);
+        if (!profile || profile.confidence < 0.1) {
+            return failure(404, 'Analyse de l\'entreprise échouée');
+        }
+
+        if (reference.identifier) {
+            profile.identifierMatch = hasIdentifier(profile.identifiers, reference.identifier);
+            profile.identifiers = addIdentifier(profile.identifiers, reference.identifier);
+        }
+        if (identifierIndex && reference.name) {
+            await identifierIndex.register(profile.name, profile.identifiers);
+        }
+
+        return {
+            success: true,
+            status: 200,
+            incomplete: Boolean(searchResults.incomplete),
+            data: {
+                ...profile,
+                searchQuery: searchName,
+                analysisTimestamp: new Date().toISOString()
+            }
+        };
+    } catch (error) {
+        logger.warn(`⚠️ Échec du profil de ${searchName}:`, error.message);
+        return failure(500, error.message);
+    }
+}
+
+// Same terms as searchCompany
+function containsSuspiciousContent(text) {
+    const suspiciousTerms = ['test', 'exemple', 'sample', 'demo', 'fake'];
+    return suspiciousTerms.some(term => text.toLowerCase().includes(term));
+}
+
+function failure(status, message) {
+    return {
+        success: false,
+        status,
+        error: { code: status, message }
+    };
+}
+
+module.exports = { createBatchSearchCompanyHandler };
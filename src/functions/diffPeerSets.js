@@ -0,0 +1,53 @@
+const { validateInput, createResponse, createErrorResponse } = require('../utils/helpers');
+
+function createDiffPeerSetsHandler({ peerSetService }) {
+    return (request, context) => diffPeerSets(request, context, { peerSetService });
+}
+
+async function diffPeerSets(request, context, { peerSetService }) {
+    context.log('Start of diffPeerSets');
+
+    try {
+        const body = await request.json();
+
+        const validation = validateInput(body, {
+            id: { required: true, type: 'string', minLength: 2, maxLength: 64 },
+            fromVersion: { type: 'number', min: 1 },
+            toVersion: { type: 'number', min: 1 }
+        });
+
+        if (!validation.isValid) {
+            return createErrorResponse(400, 'Paramètres invalides', validation.errors);
+        }
+
+        // Without versions, the latest run is compared with the one before it
+        const { id, fromVersion, toVersion } = body;
+        const diff = await peerSetService.diff(id, fromVersion, toVersion);
+        if (!diff) {
+            return createErrorResponse(404, 'Versions de l\'ensemble de pairs introuvables', {
+                id,
+                fromVersion: fromVersion || null,
+                toVersion: toVersion || null,
+                versions: (await peerSetService.listVersions(id)).map(entry => entry.version)
+            });
+        }
+
+        return createResponse(200, {
+            success: true,
+            diff,
+            metadata: {
+                apiVersion: '1.0',
+                endpoint: 'diffPeerSets'
+            }
+        });
+
+    } catch (error) {
+        context.log.error(`Erreur lors de la comparaison des ensembles de pairs:`, error);
+        return createErrorResponse(500, 'Erreur interne du serveur', {
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+}
+
+module.exports = { createDiffPeerSetsHandler };
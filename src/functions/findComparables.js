@@ -1,22 +1,64 @@
-const { SearchService } = require('../services/searchService');
-const { validateInput, createResponse, createErrorResponse } = require('../utils/helpers');
+const { validateInput, createResponse, createErrorResponse, normalizeDomain, isUrlInDomains } = require('../utils/helpers');
 const logger = require('../utils/logger');
+const { buildCompanyProfile, collectResults, extractMentionProfile } = require('../services/extraction');
+const { isSameEntity, deduplicateEntities } = require('../services/entityMatching');
+const { resolveSimilarityWeights, scoreSimilarity } = require('../services/similarity');
+const { classificationSimilarity } = require('../services/classification');
+const { scoreActivitySimilarity } = require('../services/textSimilarity');
+const { parseCompanyReference, hasIdentifier, addIdentifier } = require('../services/identifiers');
+const { buildComparableQueries, legalFormPattern } = require('../services/queryTemplates');
+const { isValidPeerSetId } = require('../services/peerSets');
+const { withEventStream } = require('../utils/eventStream');
+const { createQueryScheduler, isBudgetError } = require('../services/queryScheduler');
+
+// Steps reported to background jobs and streamed responses
+const SEARCH_STEPS = {
+    reference: { stepNumber: 1, label: "Analyse de l'entreprise de référence" },
+    requestedPeers: { stepNumber: 2, label: 'Profil des comparables imposés' },
+    search: { stepNumber: 3, label: 'Recherche des comparables' },
+    scoring: { stepNumber: 4, label: 'Déduplication et scoring' }
+};
+
+function createFindComparablesHandler({ searchService, identifierIndex, peerSetService, onProgress }) {
+    return withEventStream((request, context, onEvent) =>
+        findComparables(request, context, { searchService, identifierIndex, peerSetService, onProgress, onEvent }));
+}
 
-const searchService = new SearchService();
-
-async function findComparables(request, context) {
+async function findComparables(request, context, { searchService, identifierIndex, peerSetService, onProgress = () => {}, onEvent = () => {} }) {
     context.log('Start of findComparables');
     const startTime = Date.now();
+    const reportStep = (step, extra = {}) => {
+        const progress = { step, ...SEARCH_STEPS[step], totalSteps: Object.keys(SEARCH_STEPS).length, ...extra };
+        onProgress(progress);
+        onEvent('step', progress);
+    };
 
     try {
         const body = await request.json();
 
         // SIMPLE VALIDATION - only the company name
         const validation = validateInput(body, {
-            companyName: { required: true, type: 'string', minLength: 2, maxLength: 100 }
+            companyName: { required: true, type: 'string', minLength: 2, maxLength: 100 },
+            includeCompanies: { type: 'array', maxLength: 20 },
+            excludeCompanies: { type: 'array', maxLength: 50 },
+            excludeDomains: { type: 'array', maxLength: 50 },
+            peerSetId: { type: 'string' },
+            peerSetLabel: { type: 'string', maxLength: 200 },
+            maxSearches: { type: 'number', min: 1 },
+            searchTimeout: { type: 'number', min: 1000 },
+            maxPages: { type: 'number', min: 1 }
         });
+        ['includeCompanies', 'excludeCompanies', 'excludeDomains'].forEach(field => {
+            if (Array.isArray(body[field]) && body[field].some(entry => typeof entry !== 'string' || !entry.trim())) {
+                validation.errors.push(`Le champ '${field}' doit contenir des chaînes non vides`);
+            }
+        });
+
+        if (body.peerSetId !== undefined && body.peerSetId !== null && !isValidPeerSetId(body.peerSetId)) {
+            validation.errors.push("Le champ 'peerSetId' ne peut contenir que des minuscules, chiffres et tirets (2 à 64 caractères)");
+        }
 
-        if (!validation.isValid) {
+        if (validation.errors.length > 0) {
             return createErrorResponse(400, 'Paramètres invalides', validation.errors);
         }
 
@@ -24,9 +66,25 @@ async function findComparables(request, context) {
             companyName, 
             maxResults = 10,           // Optional with default
             minSimilarity = 50,        // Optional with default
-            preferSameCountry = true   // Optional with default
+            preferSameCountry = true,  // Optional with default
+            preset,                    // Optional named weighting profile
+            weights,                   // Optional custom weights per criterion
+            includeCompanies = [],     // Optional peers known by the caller
+            excludeCompanies = [],     // Optional companies to leave out
+            excludeDomains = [],       // Optional sites to ignore
+            savePeerSet = false,       // Optional: keep the result as a peer set version
+            peerSetId,                 // Optional id to save under, new version if it exists
+            peerSetLabel,              // Optional label of the saved version
+            maxSearches,               // Optional cap on the web searches of the request
+            searchTimeout,             // Optional time limit of the searches, in ms
+            maxPages                   // Optional result pages per query, up to SEARCH_MAX_PAGES
         } = body;
 
+        const similarityModel = resolveSimilarityWeights({ preset, weights });
+        if (!similarityModel.isValid) {
+            return createErrorResponse(400, 'Pondération invalide', similarityModel.errors);
+        }
+
         context.log(`Recherche de comparables pour: ${companyName}`);
 
         // Security validation
@@ -34,7 +92,12 @@ async function findComparables(request, context) {
             return createErrorResponse(400, "Nom d'entreprise non autorisé");
         }
 
+        // Every web search of the request shares one budget
+        const scheduler = createQueryScheduler({ maxQueries: maxSearches, timeout: searchTimeout });
+        searchService = scheduler.wrap(searchService);
+
         // STEP 1: Analyze the reference company with SearchService
+        reportStep('reference');
         logger.info("🔍 Analyse de l'entreprise de référence...");
         const referenceSearchResults = await searchService.searchCompanyInfo(companyName, {
             language: 'fr',
@@ -57,51 +120,111 @@ async function findComparables(request, context) {
             size: referenceProfile.size_category
         });
 
+        // Peers named by the caller: profiled and always kept, the search only adds to them
+        reportStep('requestedPeers');
+        const excludedDomains = excludeDomains.map(normalizeDomain).filter(Boolean);
+        const excluded = await resolveCompanyReferences(excludeCompanies, identifierIndex);
+        // Profiled together, as many at once as the scheduler of the request allows
+        const requiredProfiles = await Promise.all((await resolveCompanyReferences(includeCompanies, identifierIndex))
+            .map(reference => profileRequiredComparable(searchService, reference, excludedDomains)));
+        const requiredComparables = requiredProfiles.filter(comparable => !isExcluded(comparable, excluded));
+        requiredComparables.forEach(comparable => onEvent('candidate', { name: comparable.name, url: comparable.url, source: comparable.source }));
+        if (includeCompanies.length > 0) {
+            logger.info(`📌 ${requiredComparables.length} comparable(s) imposé(s) par la requête`);
+        }
+
         // STEP 2: Automatically generate search queries for comparables
         const searchQueries = generateComparableSearchQueries(referenceProfile, preferSameCountry);
         logger.info(`🔎 Génération de ${searchQueries.length} requêtes de recherche automatiques`);
 
-        // STEP 3: Search for comparable companies
-        const allComparables = [];
-        
-        for (const query of searchQueries) {
+        // STEP 3: Search for comparable companies, as many at once as the scheduler allows
+        let searchesDone = 0;
+        let pagesFetched = 0;
+        reportStep('search', { searchesDone, searchesTotal: searchQueries.length });
+        const candidatesByQuery = await Promise.all(searchQueries.map(async (query, index) => {
             try {
-                logger.info(`🔍 Recherche: "${query.search}"`);
-                const searchResults = await searchService.searchWeb(query.search, {
-                    language: 'fr',
+                logger.info(`🔍 Recherche (${query.language}): "${query.search}"`);
+                // Next pages are fetched while they bring new sites or companies
+                const searchResults = await searchService.searchWebPages(query.search, {
+                    language: query.language,
                     page: 1,
                     engines: 'google,duckduckgo'
-                }, query.focusMode);
+                }, query.focusMode, {
+                    maxPages,
+                    extractCompanies: results => extractCompaniesFromResults(results, referenceProfile).map(company => company.name)
+                });
 
+                let candidates = [];
                 if (searchResults.success && searchResults.results) {
                     // Extract companies from the results
-                    const foundCompanies = extractCompaniesFromResults(searchResults.results, referenceProfile);
-                    allComparables.push(...foundCompanies);
+                    const results = searchResults.results.filter(result => !isUrlInDomains(result.url, excludedDomains));
+                    const foundCompanies = extractCompaniesFromResults(results, referenceProfile);
+                    candidates = foundCompanies.filter(company => !isExcluded(company, excluded));
                 }
+                onEvent('query', {
+                    query: query.search,
+                    language: query.language,
+                    index: index + 1,
+                    total: searchQueries.length,
+                    results: (searchResults.results || []).length,
+                    pages: searchResults.pagination ? searchResults.pagination.pagesFetched : 0,
+                    candidates: candidates.length
+                });
+                candidates.forEach(company => onEvent('candidate', { name: company.name, url: company.url, source: company.source, query: query.search }));
+                pagesFetched += searchResults.pagination ? searchResults.pagination.pagesFetched : 0;
+                return candidates;
             } catch (error) {
                 logger.info(`⚠️ Erreur recherche "${query.search}":`, error.message);
+                onEvent('query', {
+                    query: query.search,
+                    language: query.language,
+                    index: index + 1,
+                    total: searchQueries.length,
+                    skipped: isBudgetError(error),
+                    error: error.message
+                });
+                return [];
+            } finally {
+                reportStep('search', { searchesDone: ++searchesDone, searchesTotal: searchQueries.length });
             }
-        }
+        }));
+        // Kept in query order, whatever order the searches completed in
+        const allComparables = candidatesByQuery.flat();
 
         // ÉTAPE 4: Déduplication et scoring
-        const uniqueComparables = deduplicateComparables(allComparables);
-        const scoredComparables = uniqueComparables.map(comp => ({
-            ...comp,
-            similarityScore: calculateSimilarityScore(referenceProfile, comp),
-            matchReasons: generateMatchReasons(referenceProfile, comp),
-            riskFactors: generateRiskFactors(comp)
-        }));
+        reportStep('scoring', { searchesDone: searchQueries.length, searchesTotal: searchQueries.length });
+        const uniqueComparables = deduplicateComparables(
+            [...requiredComparables, ...allComparables],
+            [referenceProfile.name, ...excluded.map(entry => entry.name).filter(Boolean)]
+        );
+        const activityScores = scoreActivitySimilarity(referenceProfile, uniqueComparables);
+        const scoredComparables = uniqueComparables.map((comp, index) => {
+            const similarity = calculateSimilarityScore(referenceProfile, comp, similarityModel.weights, activityScores[index]);
+            onEvent('scored', { name: comp.name, similarityScore: similarity.score, requestedByCaller: Boolean(comp.requestedByCaller) });
+            return {
+                ...comp,
+                similarityScore: similarity.score,
+                similarityBreakdown: similarity.breakdown,
+                matchReasons: generateMatchReasons(referenceProfile, comp),
+                riskFactors: generateRiskFactors(comp)
+            };
+        });
 
         // ÉTAPE 5: Filtrage et tri
-        const filteredComparables = scoredComparables
-            .filter(comp => comp.similarityScore >= minSimilarity)
+        const limit = Math.min(maxResults, 50); // Max 50 résultats
+        const required = scoredComparables.filter(comp => comp.requestedByCaller);
+        const discovered = scoredComparables
+            .filter(comp => !comp.requestedByCaller && comp.similarityScore >= minSimilarity)
             .sort((a, b) => b.similarityScore - a.similarityScore)
-            .slice(0, Math.min(maxResults, 50)); // Max 50 résultats
+            .slice(0, Math.max(0, limit - required.length));
+        const filteredComparables = [...required, ...discovered]
+            .sort((a, b) => b.similarityScore - a.similarityScore);
 
         if (filteredComparables.length === 0) {
             return createErrorResponse(404, 'Aucune entreprise comparable trouvée', {
                 referenceCompany: companyName,
                 searchedQueries: searchQueries.length,
+                searchBudget: scheduler.getStatus(),
                 suggestions: [
                     "Réduisez le score de similarité minimum",
                     "Élargissez la recherche géographique",
@@ -116,6 +239,7 @@ async function findComparables(request, context) {
             private: filteredComparables.filter(c => !c.isPublic).length,
             public: filteredComparables.filter(c => c.isPublic).length,
             sameCountry: filteredComparables.filter(c => c.country === referenceProfile.country).length,
+            requestedByCaller: required.length,
             averageSimilarity: Math.round(
                 filteredComparables.reduce((sum, c) => sum + c.similarityScore, 0) / filteredComparables.length
             )
@@ -123,22 +247,31 @@ async function findComparables(request, context) {
 
         const resultsQuality = {
             overallConfidence: Math.round(
-                filteredComparables.reduce((sum, c) => sum + (c.confidence || 0.5), 0) / filteredComparables.length * 100
+                filteredComparables.reduce((sum, c) => sum + (c.confidence ?? 0.5), 0) / filteredComparables.length * 100
             ),
             dataCompleteness: calculateAverageCompleteness(filteredComparables),
             diversityScore: calculateDiversityScore(filteredComparables),
             searchEfficiency: `${filteredComparables.length}/${allComparables.length} entreprises retenues`
         };
 
+        const searchBudget = scheduler.getStatus();
+        if (!searchBudget.complete) {
+            logger.info(`⏱️ Résultats partiels: ${searchBudget.queriesSkipped} requête(s) non exécutée(s)`);
+        }
+
         const response = {
             success: true,
+            incomplete: !searchBudget.complete,
             referenceCompany: {
                 name: referenceProfile.name,
                 sector: referenceProfile.sector,
+                classification: referenceProfile.classification,
                 country: referenceProfile.country,
                 size_category: referenceProfile.size_category,
                 employees: referenceProfile.employees,
-                revenue: referenceProfile.revenue
+                employeeRange: referenceProfile.employeeRange,
+                revenue: referenceProfile.revenue,
+                provenance: pickProvenance(referenceProfile, ['sector', 'classification', 'country', 'size_category', 'employees', 'employeeRange', 'revenue'])
             },
             comparables: filteredComparables.map(comp => ({
                 ...comp,
@@ -151,9 +284,19 @@ async function findComparables(request, context) {
                 maxResults: maxResults,
                 minSimilarity: minSimilarity,
                 preferSameCountry: preferSameCountry,
-                autoGeneratedQueries: searchQueries.length
+                includeCompanies: includeCompanies,
+                excludeCompanies: excludeCompanies,
+                excludeDomains: excludedDomains,
+                autoGeneratedQueries: searchQueries.length,
+                pagesFetched: pagesFetched,
+                queryLanguages: [...new Set(searchQueries.map(query => query.language))]
+            },
+            similarityModel: {
+                preset: similarityModel.preset,
+                weights: similarityModel.weights
             },
             resultsQuality: resultsQuality,
+            searchBudget: searchBudget,
             metadata: {
                 searchDuration: Date.now() - startTime,
                 apiVersion: '1.0',
@@ -164,6 +307,32 @@ async function findComparables(request, context) {
             }
         };
 
+        // The comparables are returned even when the peer set cannot be saved
+        if (savePeerSet || peerSetId) {
+            try {
+                const saved = await peerSetService.save({
+                    referenceCompany: response.referenceCompany,
+                    comparables: response.comparables,
+                    inputs: {
+                        companyName,
+                        maxResults,
+                        minSimilarity,
+                        preferSameCountry,
+                        preset: preset || null,
+                        weights: weights || null,
+                        includeCompanies,
+                        excludeCompanies,
+                        excludeDomains: excludedDomains
+                    },
+                    similarityModel: response.similarityModel
+                }, { id: peerSetId, label: peerSetLabel });
+                response.peerSet = { id: saved.id, version: saved.version, createdAt: saved.createdAt };
+            } catch (error) {
+                logger.error(`❌ Échec de l'enregistrement de l'ensemble de pairs:`, error.message);
+                response.peerSet = { id: peerSetId || null, error: error.message };
+            }
+        }
+
         context.log(`Recherche terminée: ${filteredComparables.length} comparables trouvés (${breakdown.averageSimilarity}% similarité moyenne)`);
         return createResponse(200, response);
 
@@ -180,91 +349,36 @@ async function findComparables(request, context) {
 // FONCTIONS UTILITAIRES
 
 function createProfileFromSearch(companyName, searchResults) {
-    // Reuse the logic from createBasicProfileFromSearch in searchCompany.js
-    const allResults = [];
-    searchResults.searchResults.forEach(sr => {
-        allResults.push(...sr.results);
-    });
-
-    const allContent = allResults.map(r => `${r.title} ${r.content}`).join(' ').toLowerCase();
-
-    return {
-        name: companyName,
-        sector: extractSector(allContent),
-        country: extractCountry(allContent),
-        region: extractRegion(allContent),
-        size_category: guessSizeCategory(allContent),
-        employees: extractEmployeeCount(allContent),
-        revenue: extractRevenue(allContent),
-        confidence: allResults.length > 5 ? 0.8 : 0.6
-    };
+    return buildCompanyProfile(companyName, collectResults(searchResults.searchResults));
 }
 
-function generateComparableSearchQueries(referenceProfile, preferSameCountry) {
-    const queries = [];
-    const sector = referenceProfile.sector || 'Technology';
-    const country = referenceProfile.country || 'France';
-    const size = referenceProfile.size_category || 'medium';
-
-    // Requête 1: Même secteur, même pays
-    if (preferSameCountry && country) {
-        queries.push({
-            search: `entreprises ${sector.toLowerCase()} ${country}`,
-            focusMode: 'companyResearch',
-            priority: 'high'
-        });
-    }
-
-    // Requête 2: Même secteur, concurrents
-    queries.push({
-        search: `concurrents ${sector.toLowerCase()} entreprises similaires`,
-        focusMode: 'competitorAnalysis',
-        priority: 'high'
-    });
-
-    // Requête 3: Même secteur, même taille
-    queries.push({
-        search: `entreprises ${sector.toLowerCase()} ${size} taille`,
-        focusMode: 'companyResearch',
-        priority: 'medium'
-    });
-
-    // Requête 4: Leader du secteur
-    queries.push({
-        search: `leaders ${sector.toLowerCase()} top entreprises`,
-        focusMode: 'marketAnalysis',
-        priority: 'medium'
+function pickProvenance(profile, fields) {
+    const provenance = {};
+    fields.forEach(field => {
+        if (profile.provenance && profile.provenance[field]) {
+            provenance[field] = profile.provenance[field];
+        }
     });
+    return provenance;
+}
 
-    // Requête 5: Secteur international si pas de préférence pays
-    if (!preferSameCountry) {
-        queries.push({
-            search: `international ${sector.toLowerCase()} companies`,
-            focusMode: 'companyResearch',
-            priority: 'low'
-        });
-    }
-
-    // Requête 6: Spécifique aux services/consulting si applicable
-    if (sector.toLowerCase().includes('technology') || sector.toLowerCase().includes('consulting')) {
-        queries.push({
-            search: `sociétés conseil technologie consulting`,
-            focusMode: 'companyResearch',
-            priority: 'medium'
-        });
-    }
-
-    return queries;
+function generateComparableSearchQueries(referenceProfile, preferSameCountry) {
+    // Queries are phrased in the language of the reference's market
+    return buildComparableQueries({
+        ...referenceProfile,
+        country: referenceProfile.country || 'France'
+    }, { preferSameCountry });
 }
 
 function extractCompaniesFromResults(searchResults, referenceProfile) {
     const companies = [];
     const companyPatterns = [
         // Patterns pour identifier les noms d'entreprises dans les résultats
-        /([A-Z][a-zA-Z\s&]+)(?:\s+(?:SE|SA|Inc|Corp|Ltd|LLC|SAS|SARL))/g,
+        new RegExp(`([A-Z][a-zA-Z\\s&]+)(?:\\s+(?:${legalFormPattern()}))(?![a-zA-Z])`, 'g'),
         /entreprise\s+([A-Z][a-zA-Z\s&]+)/gi,
         /société\s+([A-Z][a-zA-Z\s&]+)/gi,
-        /company\s+([A-Z][a-zA-Z\s&]+)/gi
+        /company\s+([A-Z][a-zA-Z\s&]+)/gi,
+        /(?:Unternehmen|empresa|azienda)\s+([A-Z][a-zA-Z\s&]+)/gi
     ];
 
     for (const result of searchResults) {
@@ -283,10 +397,9 @@ function extractCompaniesFromResults(searchResults, referenceProfile) {
                         source: 'web_search_extraction',
                         url: result.url,
                         description: result.content.substring(0, 200) + '...',
-                        sector: extractSectorFromText(content),
-                        country: extractCountryFromText(content),
                         confidence: 0.6,
-                        extractedFrom: result.title
+                        extractedFrom: result.title,
+                        ...extractMentionProfile(companyName, result, match)
                     });
                 }
             }
@@ -299,7 +412,7 @@ function extractCompaniesFromResults(searchResults, referenceProfile) {
 function isValidCompanyName(name, referenceName) {
     // Filtrer les noms invalides
     if (!name || name.length < 3 || name.length > 100) return false;
-    if (name.toLowerCase() === referenceName.toLowerCase()) return false; // Exclude the reference company
+    if (isSameEntity(name, referenceName)) return false; // Exclude the reference company
     
     const invalidPatterns = [
         /^(the|a|an|le|la|les|un|une|des)\s/i,
@@ -311,64 +424,134 @@ function isValidCompanyName(name, referenceName) {
     return !invalidPatterns.some(pattern => pattern.test(name));
 }
 
-function deduplicateComparables(comparables) {
-    const seen = new Map();
-    const unique = [];
+// "Capgemini SE", "Groupe Capgemini" and "Capgemini" are one company, and never a peer of Capgemini
+function deduplicateComparables(comparables, excludedNames) {
+    return deduplicateEntities(comparables, { exclude: excludedNames });
+}
 
-    for (const comp of comparables) {
-        const key = comp.name.toLowerCase().replace(/[^a-z0-9]/g, '');
-        if (!seen.has(key)) {
-            seen.set(key, true);
-            unique.push(comp);
+/**
+ * Names and identifiers given by the caller, with identifiers resolved to a
+ * company name when the identifier index knows it
+ * @param {Array} entries - Company names or identifiers ("Sopra Steria", "FR0000050809", "EPA:SOP")
+ * @param {Object} identifierIndex - Identifier index of the container
+ * @returns {Array} - [{ name, identifier }] where one of both may be null
+ */
+async function resolveCompanyReferences(entries, identifierIndex) {
+    return Promise.all(entries.map(async entry => {
+        const identifier = parseCompanyReference(entry);
+        if (!identifier) {
+            return { name: entry.trim(), identifier: null };
         }
+        const indexed = identifierIndex ? await identifierIndex.lookup(identifier) : null;
+        return { name: indexed ? indexed.name : null, identifier };
+    }));
+}
+
+function isExcluded(company, excluded) {
+    return excluded.some(entry =>
+        (entry.name && isSameEntity(company.name, entry.name)) ||
+        (entry.identifier && hasIdentifier(company.identifiers, entry.identifier))
+    );
+}
+
+/**
+ * Profile a comparable named by the caller
+ * @param {Object} searchService - Search service
+ * @param {Object} reference - { name, identifier } from resolveCompanyReferences
+ * @param {Array} excludedDomains - Sites whose results are ignored
+ * @returns {Object} - Comparable, flagged `requestedByCaller`
+ */
+async function profileRequiredComparable(searchService, reference, excludedDomains) {
+    const searchName = reference.name || reference.identifier.value;
+    let results = [];
+    try {
+        const searchResults = await searchService.searchCompanyInfo(searchName, { language: 'fr', page: 1 });
+        if (searchResults.success) {
+            results = collectResults(searchResults.searchResults)
+                .filter(result => !isUrlInDomains(result.url, excludedDomains));
+        }
+    } catch (error) {
+        logger.info(`⚠️ Erreur profil "${searchName}":`, error.message);
     }
 
-    return unique;
+    const profile = buildCompanyProfile(searchName, results, { source: 'caller_supplied' });
+    return {
+        ...profile,
+        identifiers: reference.identifier ? addIdentifier(profile.identifiers, reference.identifier) : profile.identifiers,
+        url: profile.website || (results[0] ? results[0].url : null),
+        requestedByCaller: true,
+        provenance: {
+            ...profile.provenance,
+            name: { value: searchName, sourceUrl: null, snippet: null, extractor: 'name:request', confidence: 1 }
+        }
+    };
 }
 
-function calculateSimilarityScore(reference, comparable) {
-    let score = 0;
-    let factors = 0;
+/**
+ * Weighted similarity of a comparable to the reference company
+ * @param {Object} reference - Reference profile
+ * @param {Object} comparable - Candidate comparable
+ * @param {Object} weights - Effective weights from resolveSimilarityWeights
+ * @param {number|null} activityScore - Similarity of the descriptions (see scoreActivitySimilarity)
+ * @returns {Object} - { score, breakdown }
+ */
+function calculateSimilarityScore(reference, comparable, weights, activityScore = null) {
+    const scores = {
+        sector: null,
+        activity: activityScore,
+        geography: null,
+        size: null,
+        stage: null,
+        confidence: (comparable.confidence || 0.5) * 100
+    };
 
-    // Sector (40% of the score)
-    if (reference.sector && comparable.sector) {
+    // Distance between classification codes, or the sector labels when a side is unclassified
+    scores.sector = classificationSimilarity(reference.classification, comparable.classification);
+    if (scores.sector === null && reference.sector && comparable.sector) {
         if (reference.sector.toLowerCase() === comparable.sector.toLowerCase()) {
-            score += 40;
-        } else if (areSimilarSectors(reference.sector, comparable.sector)) {
-            score += 25;
+            scores.sector = 100;
+        } else {
+            scores.sector = areSimilarSectors(reference.sector, comparable.sector) ? 62.5 : 0;
         }
-        factors++;
     }
 
-    // Country (30% of the score)
     if (reference.country && comparable.country) {
         if (reference.country === comparable.country) {
-            score += 30;
-        } else if (areSimilarRegions(reference.country, comparable.country)) {
-            score += 15;
+            scores.geography = 100;
+        } else {
+            scores.geography = areSimilarRegions(reference.country, comparable.country) ? 50 : 0;
         }
-        factors++;
     }
 
-    // Size (20% of the score)
     if (reference.size_category && comparable.size_category) {
         if (reference.size_category === comparable.size_category) {
-            score += 20;
-        } else if (areSimilarSizes(reference.size_category, comparable.size_category)) {
-            score += 10;
+            scores.size = 100;
+        } else {
+            scores.size = areSimilarSizes(reference.size_category, comparable.size_category) ? 50 : 0;
         }
-        factors++;
     }
 
-    // Confidence (10% of the score)
-    score += (comparable.confidence || 0.5) * 10;
+    if (reference.founding_year && comparable.founding_year) {
+        scores.stage = calculateStageScore(reference.founding_year, comparable.founding_year);
+    }
+
+    const similarity = scoreSimilarity(scores, weights);
 
     // If few comparison factors, default score
+    const factors = ['sector', 'geography', 'size'].filter(criterion => scores[criterion] !== null).length;
     if (factors < 2) {
-        return Math.max(score, 40);
+        return { ...similarity, score: Math.max(similarity.score, 40) };
     }
 
-    return Math.min(Math.round(score), 100);
+    return similarity;
+}
+
+function calculateStageScore(year1, year2) {
+    const diff = Math.abs(year1 - year2);
+    if (diff < 3) return 100;
+    if (diff < 10) return 70;
+    if (diff < 20) return 50;
+    return 30;
 }
 
 function areSimilarSectors(sector1, sector2) {
@@ -409,7 +592,9 @@ function areSimilarSizes(size1, size2) {
 function generateMatchReasons(reference, comparable) {
     const reasons = [];
 
-    if (reference.sector && comparable.sector && 
+    if (classificationSimilarity(reference.classification, comparable.classification) === 100) {
+        reasons.push(`Même activité: NACE ${comparable.classification.nace}`);
+    } else if (reference.sector && comparable.sector && 
         reference.sector.toLowerCase() === comparable.sector.toLowerCase()) {
         reasons.push(`Même secteur: ${comparable.sector}`);
     }
@@ -444,6 +629,10 @@ function generateRiskFactors(comparable) {
         risks.push('Données extraites automatiquement');
     }
 
+    if (comparable.requestedByCaller && comparable.confidence === 0) {
+        risks.push('Aucun résultat de recherche pour ce comparable imposé');
+    }
+
     if (!comparable.sector) {
         risks.push('Secteur non identifié');
     }
@@ -485,116 +674,4 @@ function containsSuspiciousContent(text) {
     return suspiciousTerms.some(term => text.toLowerCase().includes(term));
 }
 
-// Reuse extraction functions from the previous code
-function extractSector(content) {
-    const sectorPatterns = {
-        'Technology': ['technology', 'tech', 'it services', 'software', 'digital', 'consulting'],
-        'Finance': ['finance', 'financial', 'bank', 'investment', 'insurance'],
-        'Healthcare': ['healthcare', 'health', 'medical', 'pharmaceutical'],
-        'Manufacturing': ['manufacturing', 'production', 'industrial'],
-        'Retail': ['retail', 'commerce', 'consumer'],
-        'Energy': ['energy', 'oil', 'gas', 'renewable'],
-        'Consulting': ['consulting', 'advisory', 'professional services']
-    };
-
-    for (const [sector, keywords] of Object.entries(sectorPatterns)) {
-        const matches = keywords.filter(keyword => content.includes(keyword)).length;
-        if (matches >= 1) {
-            return sector;
-        }
-    }
-    return 'Technology';
-}
-
-function extractCountry(content) {
-    const countries = {
-        'France': ['france', 'french', 'paris'],
-        'United States': ['usa', 'united states', 'america'],
-        'United Kingdom': ['uk', 'united kingdom', 'britain'],
-        'Germany': ['germany', 'german'],
-        'China': ['china', 'chinese'],
-        'Japan': ['japan', 'japanese']
-    };
-
-    for (const [country, keywords] of Object.entries(countries)) {
-        if (keywords.some(keyword => content.includes(keyword))) {
-            return country;
-        }
-    }
-    return null;
-}
-
-function extractRegion(content) {
-    const country = extractCountry(content);
-    const countryToRegion = {
-        'France': 'Europe',
-        'United Kingdom': 'Europe',
-        'Germany': 'Europe',
-        'United States': 'North America',
-        'China': 'Asia',
-        'Japan': 'Asia'
-    };
-    return countryToRegion[country] || 'Global';
-}
-
-function guessSizeCategory(content) {
-    if (content.includes('multinational') || content.includes('global') || content.includes('fortune')) {
-        return 'large';
-    }
-    if (content.includes('startup') || content.includes('small')) {
-        return 'small';
-    }
-    return 'medium';
-}
-
-function extractEmployeeCount(content) {
-    // Reuse the improved function from previous code
-    const patterns = [
-        /(\d{1,3}(?:,\d{3})*)\s*(?:employees|employés|people|staff)/gi,
-        /(\d{1,3})k?\s*(?:employees|employés|people|staff)/gi
-    ];
-
-    for (const pattern of patterns) {
-        const match = content.match(pattern);
-        if (match) {
-            let number = parseInt(match[1].replace(/,/g, ''));
-            if (match[0].toLowerCase().includes('k')) {
-                number *= 1000;
-            }
-            if (number >= 1 && number <= 5000000) {
-                return number;
-            }
-        }
-    }
-    return null;
-}
-
-function extractRevenue(content) {
-    // Reuse the improved function from previous code
-    const patterns = [
-        /revenue.*?€(\d{1,3}(?:,\d{3})*)\s*(?:million|billion)/gi,
-        /€(\d{1,3}(?:,\d{3})*)\s*(?:million|billion)/gi
-    ];
-
-    for (const pattern of patterns) {
-        const match = content.match(pattern);
-        if (match) {
-            let amount = parseInt(match[1].replace(/,/g, ''));
-            if (match[0].includes('billion')) {
-                amount *= 1000;
-            }
-            return `€${amount}M`;
-        }
-    }
-    return null;
-}
-
-function extractSectorFromText(text) {
-    return extractSector(text.toLowerCase());
-}
-
-function extractCountryFromText(text) {
-    return extractCountry(text.toLowerCase());
-}
-
-module.exports = { findComparables };
+module.exports = { createFindComparablesHandler };
@@ -0,0 +1,49 @@
+const { createResponse, createErrorResponse, readRequestParam } = require('../utils/helpers');
+
+function createGetJobHandler({ jobService }) {
+    return (request, context) => getJob(request, context, { jobService });
+}
+
+async function getJob(request, context, { jobService }) {
+    context.log('Start of getJob');
+
+    try {
+        const id = await readRequestParam(request, 'id');
+        if (!id) {
+            return createErrorResponse(400, 'Paramètre manquant', { required: 'id' });
+        }
+
+        const job = await jobService.get(id);
+        if (!job) {
+            return createErrorResponse(404, 'Tâche introuvable', { id });
+        }
+
+        return createResponse(200, {
+            success: true,
+            job: {
+                id: job.id,
+                type: job.type,
+                status: job.status,
+                progress: job.progress,
+                error: job.error,
+                resultAvailable: job.status === 'completed',
+                createdAt: job.createdAt,
+                startedAt: job.startedAt,
+                completedAt: job.completedAt
+            },
+            metadata: {
+                apiVersion: '1.0',
+                endpoint: 'getJob'
+            }
+        });
+
+    } catch (error) {
+        context.log.error(`Erreur lors de la lecture de la tâche:`, error);
+        return createErrorResponse(500, 'Erreur interne du serveur', {
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+}
+
+module.exports = { createGetJobHandler };
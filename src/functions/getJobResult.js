@@ -0,0 +1,54 @@
+const { createResponse, createErrorResponse, readRequestParam } = require('../utils/helpers');
+
+function createGetJobResultHandler({ jobService }) {
+    return (request, context) => getJobResult(request, context, { jobService });
+}
+
+async function getJobResult(request, context, { jobService }) {
+    context.log('Start of getJobResult');
+
+    try {
+        const id = await readRequestParam(request, 'id');
+        if (!id) {
+            return createErrorResponse(400, 'Paramètre manquant', { required: 'id' });
+        }
+
+        const job = await jobService.get(id);
+        if (!job) {
+            return createErrorResponse(404, 'Tâche introuvable', { id });
+        }
+
+        // The job was found: its failure is a conflict, the error of its endpoint is in the details
+        if (job.status === 'failed') {
+            return createErrorResponse(409, 'La tâche a échoué', {
+                jobId: job.id,
+                status: job.status,
+                error: job.error
+            });
+        }
+
+        if (job.status !== 'completed') {
+            return createResponse(202, {
+                success: true,
+                jobId: job.id,
+                status: job.status,
+                progress: job.progress,
+                message: 'Résultat pas encore disponible, réessayez plus tard'
+            });
+        }
+
+        return createResponse(200, {
+            ...job.result,
+            job: { id: job.id, type: job.type, completedAt: job.completedAt }
+        });
+
+    } catch (error) {
+        context.log.error(`Erreur lors de la lecture du résultat de la tâche:`, error);
+        return createErrorResponse(500, 'Erreur interne du serveur', {
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+}
+
+module.exports = { createGetJobResultHandler };
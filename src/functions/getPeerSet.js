@@ -0,0 +1,48 @@
+const { validateInput, createResponse, createErrorResponse } = require('../utils/helpers');
+
+function createGetPeerSetHandler({ peerSetService }) {
+    return (request, context) => getPeerSet(request, context, { peerSetService });
+}
+
+async function getPeerSet(request, context, { peerSetService }) {
+    context.log('Start of getPeerSet');
+
+    try {
+        const body = await request.json();
+
+        const validation = validateInput(body, {
+            id: { required: true, type: 'string', minLength: 2, maxLength: 64 },
+            version: { type: 'number', min: 1 }
+        });
+
+        if (!validation.isValid) {
+            return createErrorResponse(400, 'Paramètres invalides', validation.errors);
+        }
+
+        const { id, version } = body;
+        const peerSet = await peerSetService.get(id, version);
+        if (!peerSet) {
+            return createErrorResponse(404, 'Ensemble de pairs introuvable', { id, version: version || null });
+        }
+
+        return createResponse(200, {
+            success: true,
+            peerSet,
+            versions: await peerSetService.listVersions(id),
+            metadata: {
+                apiVersion: '1.0',
+                endpoint: 'getPeerSet',
+                store: peerSetService.getInfo().store
+            }
+        });
+
+    } catch (error) {
+        context.log.error(`Erreur lors de la lecture de l'ensemble de pairs:`, error);
+        return createErrorResponse(500, 'Erreur interne du serveur', {
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+}
+
+module.exports = { createGetPeerSetHandler };
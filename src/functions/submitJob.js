@@ -0,0 +1,106 @@
+const { validateInput, createResponse, createErrorResponse } = require('../utils/helpers');
+const logger = require('../utils/logger');
+const { createAnalyzeMetricsHandler } = require('./analyzeMetrics');
+const { createFindComparablesHandler } = require('./findComparables');
+
+// Handlers that can run as background jobs, with the same parameters as their endpoint
+const JOB_HANDLERS = {
+    analyzeMetrics: createAnalyzeMetricsHandler,
+    findComparables: createFindComparablesHandler
+};
+
+function createSubmitJobHandler(container) {
+    return (request, context) => submitJob(request, context, container);
+}
+
+async function submitJob(request, context, container) {
+    context.log('Start of submitJob');
+
+    try {
+        const body = await request.json();
+
+        const validation = validateInput(body, {
+            type: { required: true, type: 'string' },
+            params: { required: true, type: 'object' }
+        });
+        if (body.type && !JOB_HANDLERS[body.type]) {
+            validation.errors.push(`Type de tâche inconnu: '${body.type}' (disponibles: ${Object.keys(JOB_HANDLERS).join(', ')})`);
+        }
+
+        if (validation.errors.length > 0) {
+            return createErrorResponse(400, 'Paramètres invalides', validation.errors);
+        }
+
+        const { type, params } = body;
+        const job = await container.jobService.submit(type, params, createJobExecutor(JOB_HANDLERS[type], container));
+        context.log(`Tâche ${job.id} soumise (${type})`);
+
+        return createResponse(202, {
+            success: true,
+            job: {
+                id: job.id,
+                type: job.type,
+                status: job.status,
+                createdAt: job.createdAt
+            },
+            links: {
+                status: `getJob?id=${job.id}`,
+                result: `getJobResult?id=${job.id}`
+            },
+            metadata: {
+                apiVersion: '1.0',
+                endpoint: 'submitJob'
+            }
+        });
+
+    } catch (error) {
+        context.log.error(`Erreur lors de la soumission de la tâche:`, error);
+        return createErrorResponse(500, 'Erreur interne du serveur', {
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+}
+
+/**
+ * Run an endpoint handler as a job: web queries are counted for the progress,
+ * and an error response fails the job with its status code
+ * @param {Function} createHandler - Handler factory, e.g. createAnalyzeMetricsHandler
+ * @param {Object} container - Service container
+ * @returns {Function} - Job executor (params, reportProgress) => response body
+ */
+function createJobExecutor(createHandler, container) {
+    return async (params, reportProgress) => {
+        let queriesDone = 0;
+        const searchService = Object.create(container.searchService);
+        searchService.searchWeb = async (...args) => {
+            try {
+                return await container.searchService.searchWeb(...args);
+            } finally {
+                reportProgress({ queriesDone: ++queriesDone });
+            }
+        };
+
+        const handler = createHandler({ ...container, searchService, onProgress: reportProgress });
+        // A job stores one result: streaming makes no sense here
+        const response = await handler({ json: async () => ({ ...params, stream: undefined }) }, createJobContext());
+        const body = JSON.parse(response.body);
+
+        if (response.status >= 400) {
+            const error = new Error(body.error.message);
+            error.statusCode = response.status;
+            error.details = body.error.details || null;
+            throw error;
+        }
+        return body;
+    };
+}
+
+// Handlers log through the Functions context, which a background job no longer has
+function createJobContext() {
+    const log = (...args) => logger.info(...args);
+    log.error = (...args) => logger.error(...args);
+    return { log };
+}
+
+module.exports = { createSubmitJobHandler };
@@ -1,9 +1,11 @@
-const { SearchService } = require('../services/searchService');
 const { createResponse, createErrorResponse } = require('../utils/helpers');
 const logger = require('../utils/logger');
-const searchService = new SearchService();
 
-async function testConnection(request, context) {
+function createTestConnectionHandler({ searchService }) {
+    return (request, context) => testConnection(request, context, { searchService });
+}
+
+async function testConnection(request, context, { searchService }) {
     context.log('Test de connectivité SearXNG avec Azure AD');
 
     let isConnected = false;
@@ -65,6 +67,7 @@ async function testConnection(request, context) {
             success: isConnected,
             message: isConnected ? 'Connectivité SearXNG opérationnelle' : 'Erreur de connectivité SearXNG',
             serviceConfiguration: {
+                searchProvider: stats.provider,
                 searxngUrl: process.env.SEARXNG_URL ? 'Configuré' : 'Manquant',
                 clientId: process.env.CLIENT_ID ? 'Configuré' : 'Manquant',
                 clientSecret: process.env.CLIENT_SECRET ? 'Configuré' : 'Manquant',
@@ -72,6 +75,7 @@ async function testConnection(request, context) {
                 tokenUrl: process.env.TOKEN_URL ? 'Configuré' : 'Manquant'
             },
             azureAdAuth: authTest,
+            circuitBreakers: stats.circuitBreakers || null,
             serviceStats: stats,
             testTimestamp: new Date().toISOString(),
             recommendations: generateRecommendations(isConnected, authTest, stats, testDetails),
@@ -131,6 +135,16 @@ function generateRecommendations(isConnected, authTest, stats, testDetails) {
         });
     }
 
+    Object.values(stats.circuitBreakers || {})
+        .filter(breaker => breaker.state !== 'closed')
+        .forEach(breaker => {
+            recommendations.push({
+                type: 'circuit_open',
+                priority: 'high',
+                message: `Appels suspendus après ${breaker.failures} échec(s) consécutif(s) depuis ${breaker.openedAt} - Dernière erreur : ${breaker.lastError ? breaker.lastError.message : 'N/A'}`
+            });
+        });
+
     if (stats.errors && stats.errors.length > 0) {
         recommendations.push({
             type: 'errors',
@@ -150,4 +164,4 @@ function generateRecommendations(isConnected, authTest, stats, testDetails) {
     return recommendations;
 }
 
-module.exports = { testConnection, generateRecommendations };
+module.exports = { createTestConnectionHandler, generateRecommendations };
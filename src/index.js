@@ -9,11 +9,21 @@ try {
 }
 
 // Import Azure Functions
-const { searchCompany } = require('./functions/searchCompany');
-const { getCompanyDetails } = require('./functions/getCompanyDetails');
-const { findComparables } = require('./functions/findComparables');
-const { analyzeMetrics } = require('./functions/analyzeMetrics');
-const { testConnection } = require('./functions/testConnection');
+const { createContainer } = require('./container');
+const { createSearchCompanyHandler } = require('./functions/searchCompany');
+const { createBatchSearchCompanyHandler } = require('./functions/batchSearchCompany');
+const { createGetCompanyDetailsHandler } = require('./functions/getCompanyDetails');
+const { createFindComparablesHandler } = require('./functions/findComparables');
+const { createAnalyzeMetricsHandler } = require('./functions/analyzeMetrics');
+const { createTestConnectionHandler } = require('./functions/testConnection');
+const { createGetPeerSetHandler } = require('./functions/getPeerSet');
+const { createDiffPeerSetsHandler } = require('./functions/diffPeerSets');
+const { createSubmitJobHandler } = require('./functions/submitJob');
+const { createGetJobHandler } = require('./functions/getJob');
+const { createGetJobResultHandler } = require('./functions/getJobResult');
+
+// Services are built once per worker and shared by every handler
+const container = createContainer();
 
 app.setup({
     enableHttpStream: true,
@@ -23,29 +33,65 @@ app.setup({
 app.http('searchCompany', {
     methods: ['POST'],
     authLevel: 'function',
-    handler: searchCompany
+    handler: createSearchCompanyHandler(container)
+});
+
+app.http('batchSearchCompany', {
+    methods: ['POST'],
+    authLevel: 'function',
+    handler: createBatchSearchCompanyHandler(container)
 });
 
 app.http('getCompanyDetails', {
     methods: ['POST'],
     authLevel: 'function',
-    handler: getCompanyDetails
+    handler: createGetCompanyDetailsHandler(container)
 });
 
 app.http('findComparables', {
     methods: ['POST'],
     authLevel: 'function',
-    handler: findComparables
+    handler: createFindComparablesHandler(container)
 });
 
 app.http('analyzeMetrics', {
     methods: ['POST'],
     authLevel: 'function',
-    handler: analyzeMetrics
+    handler: createAnalyzeMetricsHandler(container)
+});
+
+app.http('getPeerSet', {
+    methods: ['POST'],
+    authLevel: 'function',
+    handler: createGetPeerSetHandler(container)
+});
+
+app.http('diffPeerSets', {
+    methods: ['POST'],
+    authLevel: 'function',
+    handler: createDiffPeerSetsHandler(container)
+});
+
+app.http('submitJob', {
+    methods: ['POST'],
+    authLevel: 'function',
+    handler: createSubmitJobHandler(container)
+});
+
+app.http('getJob', {
+    methods: ['GET', 'POST'],
+    authLevel: 'function',
+    handler: createGetJobHandler(container)
+});
+
+app.http('getJobResult', {
+    methods: ['GET', 'POST'],
+    authLevel: 'function',
+    handler: createGetJobResultHandler(container)
 });
 
 app.http('testConnection', {
     methods: ['GET', 'POST'],
     authLevel: 'function',
-    handler: testConnection
+    handler: createTestConnectionHandler(container)
 });
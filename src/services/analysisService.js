@@ -1,10 +1,19 @@
 const { SearchService } = require('./searchService');
+const { getSharedCache } = require('./cache');
+const { buildCompanyProfile, collectResults, determineSizeCategory, toEmployeeRange } = require('./extraction');
+const { resolveSimilarityWeights, scoreSimilarity } = require('./similarity');
+const { classificationSimilarity } = require('./classification');
+const { scoreActivitySimilarity } = require('./textSimilarity');
+const { QueryScheduler } = require('./queryScheduler');
 
 class AnalysisService {
-    constructor() {
-        this.searchService = new SearchService();
-        this.cache = new Map();
-        this.cacheTimeout = 30 * 60 * 1000; // 30 minutes
+    constructor(options = {}) {
+        this.cache = options.cache || getSharedCache();
+        this.searchService = options.searchService || new SearchService({ cache: this.cache });
+        // Searches made without the scheduler of a request share this one, bounded in concurrency only
+        this.scheduler = options.scheduler || new QueryScheduler({
+            concurrency: parseInt(process.env.SEARCH_CONCURRENCY, 10) || undefined
+        });
         
         this.sectorKeywords = {
             'Technology': ['tech', 'software', 'digital', 'informatique', 'numérique', 'logiciel'],
@@ -20,23 +29,29 @@ class AnalysisService {
         };
     }
 
-    async analyzeCompany(companyName) {
+    /**
+     * Profile of a company, searched on the web unless cached
+     * @param {string} companyName - Company name
+     * @param {Object} options - { scheduler: QueryScheduler of the request, the service's own if absent }
+     * @returns {Promise<Object>} - Company profile
+     */
+    async analyzeCompany(companyName, options = {}) {
         const cacheKey = `profile_${companyName.toLowerCase()}`;
-        const cached = this.getCachedData(cacheKey);
+        const cached = await this.getCachedData(cacheKey);
         if (cached) return cached;
 
         try {
-            const webProfile = await this.deepWebAnalysis(companyName);
+            const webProfile = await this.deepWebAnalysis(companyName, options);
             const enrichedProfile = await this.enrichWithSectorData(webProfile);
             
-            this.setCachedData(cacheKey, enrichedProfile);
+            await this.setCachedData(cacheKey, enrichedProfile);
             return enrichedProfile;
         } catch (error) {
             return this.createFallbackProfile(companyName);
         }
     }
 
-    async deepWebAnalysis(companyName) {
+    async deepWebAnalysis(companyName, { scheduler = this.scheduler } = {}) {
         const searches = [
             `"${companyName}" company business profile activity`,
             `"${companyName}" sector industry market business model`,
@@ -47,9 +62,10 @@ class AnalysisService {
             `"${companyName}" valuation assessment price sale`
         ];
 
+        const searchService = scheduler.wrap(this.searchService);
         const searchPromises = searches.map(async (query) => {
             try {
-                const result = await this.searchService.searchWeb(query, {
+                const result = await searchService.searchWeb(query, {
                     maxResults: 5,
                     language: 'en',
                     categories: 'general,news'
@@ -65,103 +81,34 @@ class AnalysisService {
     }
 
     extractCompanyProfile(companyName, searchResults) {
-        const profile = {
-            name: companyName,
-            source: 'web_analysis',
-            confidence: 0,
-            sector: null,
-            industry: null,
-            country: null,
-            region: null,
-            employees: null,
-            employeeCategory: null,
-            revenue: null,
-            revenueCategory: null,
-            size_category: null,
-            business_model: null,
-            main_activities: [],
-            competitors_mentioned: [],
-            market_position: null,
-            funding_info: null,
-            leadership: [],
-            headquarters: null,
-            founding_year: null,
-            isPublic: false,
-            listingStatus: 'private',
-            description: null,
-            website: null,
-            keyPoints: []
-        };
+        const relevantResults = [];
 
-        let relevantResults = 0;
-
-        searchResults.forEach(({ query, result }) => {
+        searchResults.forEach(({ result }) => {
             if (!result || !result.results) return;
-
-            result.results.forEach(item => {
-                if (this.isRelevantResult(companyName, item)) {
-                    relevantResults++;
-                    this.enrichProfileFromResult(profile, item, query);
-                }
-            });
+            relevantResults.push(...result.results.filter(item => this.isRelevantResult(companyName, item)));
         });
 
-        profile.confidence = relevantResults > 0 ? Math.min(relevantResults / 10, 1) : 0;
-        profile.size_category = this.determineSizeCategory(profile);
-        this.cleanAndValidateProfile(profile);
-
-        return profile;
+        return buildCompanyProfile(companyName, relevantResults, { source: 'web_analysis' });
     }
 
-    enrichProfileFromResult(profile, result, query) {
-        const content = `${result.title} ${result.content}`.toLowerCase();
-        const url = result.url || '';
-
-        if (!profile.sector) {
-            profile.sector = this.extractSector(content);
-        }
-
-        if (!profile.industry) {
-            profile.industry = this.extractIndustry(content);
-        }
-
-        if (!profile.employees) {
-            profile.employees = this.extractEmployeeCount(content);
-        }
-
-        if (!profile.revenue) {
-            profile.revenue = this.extractRevenue(content);
-        }
-
-        const competitors = this.extractCompetitors(content, profile.name);
-        profile.competitors_mentioned = [...new Set([...profile.competitors_mentioned, ...competitors])];
-
-        const activities = this.extractActivities(content);
-        profile.main_activities = [...new Set([...profile.main_activities, ...activities])];
-
-        if (!profile.headquarters) {
-            profile.headquarters = this.extractHeadquarters(content, url);
-        }
-
-        if (!profile.founding_year) {
-            profile.founding_year = this.extractFoundingYear(content);
-        }
-
-        if (!profile.website && url) {
-            profile.website = this.extractWebsite(url);
-        }
-
-        if (!profile.funding_info) {
-            profile.funding_info = this.extractFundingInfo(content);
-        }
-
-        const keyPoint = this.extractKeyPoint(result, query);
-        if (keyPoint) {
-            profile.keyPoints.push(keyPoint);
-        }
+    /**
+     * Build a profile from the output of SearchService.searchCompanyInfo
+     * @param {string} companyName - Company name
+     * @param {Object} searchInfo - searchCompanyInfo result
+     * @returns {Object} - Company profile
+     */
+    analyzeSearchResults(companyName, searchInfo) {
+        const results = collectResults(searchInfo.searchResults);
+        return buildCompanyProfile(companyName, results, { source: 'web_search_analysis' });
     }
 
     async findComparables(referenceCompany, options = {}) {
+        // A bad weighting profile is the caller's mistake, not a reason to fall back
+        const similarityModel = resolveSimilarityWeights(options, 'financial');
+        if (!similarityModel.isValid) {
+            throw new Error(similarityModel.errors.join(', '));
+        }
+
         try {
             const normalizedCompany = {
                 name: referenceCompany.name || 'Entreprise inconnue',
@@ -169,8 +116,13 @@ class AnalysisService {
                 size_category: referenceCompany.size_category || referenceCompany.sizeCategory || 'PME',
                 country: referenceCompany.country || 'France',
                 industry: referenceCompany.industry || referenceCompany.sector || null,
+                classification: referenceCompany.classification || null,
                 employees: referenceCompany.employees || null,
-                revenue: referenceCompany.revenue || null
+                employeeRange: referenceCompany.employeeRange || null,
+                revenue: referenceCompany.revenue || null,
+                description: referenceCompany.description || null,
+                main_activities: referenceCompany.main_activities || [],
+                keyPoints: referenceCompany.keyPoints || []
             };
 
             const privateComparables = await this.findPrivateComparables(
@@ -313,11 +265,21 @@ class AnalysisService {
             );
         }
 
-        const scoredComparables = allComparables.map(comparable => ({
-            ...comparable,
-            similarityScore: this.calculateFinancialSimilarity(referenceCompany, comparable),
-            relevanceScore: this.calculateRelevanceScore(referenceCompany, comparable)
-        }));
+        const similarityModel = resolveSimilarityWeights(options, 'financial');
+        if (!similarityModel.isValid) {
+            throw new Error(similarityModel.errors.join(', '));
+        }
+
+        const activityScores = scoreActivitySimilarity(referenceCompany, allComparables);
+        const scoredComparables = allComparables.map((comparable, index) => {
+            const similarity = this.calculateSimilarityBreakdown(referenceCompany, comparable, similarityModel.weights, activityScores[index]);
+            return {
+                ...comparable,
+                similarityScore: similarity.score,
+                similarityBreakdown: similarity.breakdown,
+                relevanceScore: this.calculateRelevanceScore(referenceCompany, comparable)
+            };
+        });
 
         scoredComparables.sort((a, b) => b.similarityScore - a.similarityScore);
 
@@ -325,27 +287,40 @@ class AnalysisService {
         return scoredComparables.slice(0, maxResults);
     }
 
-    calculateFinancialSimilarity(reference, comparable) {
-        let score = 0;
-
-        if (reference.sector && comparable.sector) {
-            if (reference.sector.toLowerCase() === comparable.sector.toLowerCase()) {
-                score += 40;
-            } else if (this.areSectorsRelated(reference.sector, comparable.sector)) {
-                score += 25;
+    /**
+     * Weighted similarity of a comparable, with the score of each criterion
+     * @param {Object} reference - Reference company
+     * @param {Object} comparable - Candidate comparable
+     * @param {Object} weights - Effective weights, the 'financial' preset by default
+     * @param {number|null} activityScore - Similarity of the descriptions (see scoreActivitySimilarity)
+     * @returns {Object} - { score, breakdown }
+     */
+    calculateSimilarityBreakdown(reference, comparable, weights = resolveSimilarityWeights({}, 'financial').weights, activityScore = null) {
+        // Distance between classification codes, or the sector labels when a side is unclassified
+        let sectorScore = classificationSimilarity(reference.classification, comparable.classification);
+        if (sectorScore === null) {
+            sectorScore = 0;
+            if (reference.sector && comparable.sector) {
+                if (reference.sector.toLowerCase() === comparable.sector.toLowerCase()) {
+                    sectorScore = 100;
+                } else if (this.areSectorsRelated(reference.sector, comparable.sector)) {
+                    sectorScore = 62.5;
+                }
             }
         }
 
-        const sizeScore = this.calculateSizeScore(reference, comparable);
-        score += (sizeScore * 0.3);
-
-        const geoScore = this.calculateGeoScore(reference, comparable);
-        score += (geoScore * 0.2);
-
-        const stageScore = this.calculateStageScore(reference, comparable);
-        score += (stageScore * 0.1);
+        return scoreSimilarity({
+            sector: sectorScore,
+            activity: activityScore,
+            geography: this.calculateGeoScore(reference, comparable),
+            size: this.calculateSizeScore(reference, comparable),
+            stage: this.calculateStageScore(reference, comparable),
+            confidence: (comparable.confidence || 0.5) * 100
+        }, weights);
+    }
 
-        return Math.min(Math.max(Math.round(score), 0), 100);
+    calculateFinancialSimilarity(reference, comparable, weights) {
+        return this.calculateSimilarityBreakdown(reference, comparable, weights).score;
     }
 
     calculateRelevanceScore(reference, comparable) {
@@ -360,122 +335,14 @@ class AnalysisService {
         return score;
     }
 
-    // Extraction methods
-    extractSector(content) {
-        const sectorPatterns = [
-            { pattern: /secteur[:\s]+([\w\s\-&]+?)(?:\.|,|\n|;|$)/i, minLength: 4 },
-            { pattern: /industrie[:\s]+([\w\s\-&]+?)(?:\.|,|\n|;|$)/i, minLength: 4 },
-            { pattern: /domaine[:\s]+([\w\s\-&]+?)(?:\.|,|\n|;|$)/i, minLength: 4 },
-            { pattern: /spécialisé dans[:\s]+([\w\s\-&]+?)(?:\.|,|\n|;|$)/i, minLength: 5 }
-        ];
-
-        for (const { pattern, minLength } of sectorPatterns) {
-            const match = content.match(pattern);
-            if (match) {
-                let sector = match[1].trim();
-                if (this.isValidSectorExtraction(sector, minLength)) {
-                    sector = this.cleanSectorName(sector);
-                    if (sector.length >= minLength && sector.length <= 60) {
-                        return sector;
-                    }
-                }
-            }
-        }
-
-        return this.extractSectorByKeywords(content);
-    }
-
-    isValidSectorExtraction(sector, minLength) {
-        if (!sector || sector.length < minLength) return false;
-
-        const invalidPatterns = [
-            /^[a-z]$/i,
-            /^[a-z]{1,2}$/i,
-            /^\d+$/,
-            /^[^\w]/,
-            /^(et|de|du|des|le|la|les|un|une|dans|sur|pour|avec|par)$/i
-        ];
-
-        return !invalidPatterns.some(pattern => pattern.test(sector.trim()));
-    }
-
-    cleanSectorName(sector) {
-        return sector
-            .trim()
-            .replace(/\s+/g, ' ')
-            .replace(/[^\w\s\-&]/g, '')
-            .replace(/^(du|de|des|le|la|les)\s+/i, '')
-            .trim();
-    }
-
-    extractSectorByKeywords(content) {
-        const sectorKeywords = {
-            'Financial Services': [
-                'finance', 'banque', 'assurance', 'fintech', 'banking', 'insurance',
-                'capital', 'investissement', 'gestion', 'patrimoine', 'crédit',
-                'financier', 'bancaire', 'fonds', 'épargne', 'placement',
-                'conseil financier', 'advisory', 'asset management', 'private equity',
-                'venture capital', 'wealth management', 'financial advisor',
-                'b & capital', 'b&capital', 'capital management', 'financial services'
-            ],
-            'Technology': [
-                'technologie', 'informatique', 'logiciel', 'digital', 'tech', 'it', 'software',
-                'cloud', 'saas', 'développement', 'programmation', 'système',
-                'application', 'plateforme', 'données', 'intelligence artificielle',
-                'cybersécurité', 'blockchain', 'iot', 'mobile', 'web'
-            ],
-            'Healthcare': [
-                'santé', 'pharmaceutique', 'médical', 'biotechnologie', 'health', 'medical',
-                'pharma', 'clinique', 'hôpital', 'thérapie', 'diagnostic', 'recherche médicale'
-            ],
-            'Energy': [
-                'énergie', 'renouvelable', 'électricité', 'energy', 'renewable',
-                'solaire', 'éolien', 'nucléaire', 'pétrole', 'gaz', 'hydrogène'
-            ]
-        };
-
-        const sectorScores = {};
-
-        for (const [sector, keywords] of Object.entries(sectorKeywords)) {
-            let score = 0;
-            const contentLower = content.toLowerCase();
-
-            for (const keyword of keywords) {
-                const regex = new RegExp(`\\b${keyword.toLowerCase()}\\b`, 'gi');
-                const matches = contentLower.match(regex);
-                if (matches) {
-                    let weight = 1;
-                    if (keyword.length > 10) weight = 2;
-                    if (keyword.includes('&') || keyword.includes('capital')) weight = 3;
-                    score += matches.length * weight;
-                }
-            }
-            if (score > 0) {
-                sectorScores[sector] = score;
-            }
-        }
-
-        const bestSector = Object.entries(sectorScores)
-            .filter(([, score]) => score >= 1)
-            .sort(([, a], [, b]) => b - a)[0];
-
-        return bestSector ? bestSector[0] : null;
-    }
-
     // Helper methods
-    getCachedData(key) {
-        const cached = this.cache.get(key);
-        if (cached && (Date.now() - cached.timestamp) < this.cacheTimeout) {
-            return cached.data;
-        }
-        return null;
+    async getCachedData(key) {
+        const cached = await this.cache.get('profile', key);
+        return cached === undefined ? null : cached;
     }
 
-    setCachedData(key, data) {
-        this.cache.set(key, {
-            data,
-            timestamp: Date.now()
-        });
+    async setCachedData(key, data) {
+        await this.cache.set('profile', key, data);
     }
 
     getFallbackPrivateComparables(sector) {
@@ -541,181 +408,6 @@ class AnalysisService {
             extractionDate: new Date().toISOString()
         }));
     }
-    extractIndustry(content) {
-        const industries = {
-            'IT Consulting': ['it consulting', 'technology consulting', 'digital consulting', 'systems integration'],
-            'Software Development': ['software development', 'application development', 'custom software'],
-            'Business Consulting': ['business consulting', 'strategy consulting', 'management consulting'],
-            'Outsourcing': ['outsourcing', 'managed services', 'bpo'],
-            'Cloud Services': ['cloud services', 'cloud computing', 'saas', 'infrastructure as a service'],
-            'Data Analytics': ['data analytics', 'big data', 'business intelligence', 'data science']
-        };
-
-        const lower = content.toLowerCase();
-        for (const [industry, keywords] of Object.entries(industries)) {
-            if (keywords.some(k => lower.includes(k))) {
-                return industry;
-            }
-        }
-        return null;
-    }
-
-    extractEmployeeCount(content) {
-        const patterns = [
-            /(\d{1,3}(?:[,\s]\d{3})+)\s*(?:employees|employés|people|personnes|staff|collaborateurs)/gi,
-            /(\d{1,3})[\s,]*k\s*(?:employees|employés|people|personnes|staff|collaborateurs)/gi,
-            /workforce.*?(\d{1,3}(?:[,\s]\d{3})+)/gi,
-            /emploie.*?(\d{1,3}(?:[,\s]\d{3})+).*?(?:personnes|employés|collaborateurs)/gi,
-            /(\d{2,6})\s*(?:employees|employés|people|personnes|staff|collaborateurs)/gi
-        ];
-
-        for (const pattern of patterns) {
-            const match = content.match(pattern);
-            if (match) {
-                let number = parseInt(match[1].replace(/[,\s]/g, ''));
-                if (match[0].toLowerCase().includes('k')) {
-                    number *= 1000;
-                }
-                if (number >= 1 && number <= 5000000) {
-                    return number;
-                }
-            }
-        }
-        return null;
-    }
-
-    extractRevenue(content) {
-        const patterns = [
-            /chiffre.*?affaires.*?(\d{1,3}(?:[,.]\d{1,3})*)\s*(?:milliards?|billions?)/gi,
-            /(?:revenue|revenus?).*?[€$]?(\d{1,3}(?:[,.]\d{1,3})*)\s*(?:milliards?|billions?)/gi,
-            /(\d{1,3}(?:[,.]\d{1,3})*)\s*(?:milliards?|billions?).*?(?:revenue|revenus?|chiffre)/gi,
-            /(?:turnover|ca).*?[€$]?(\d{1,3}(?:[,.]\d{1,3})*)\s*(?:milliards?|billions?)/gi,
-            /(?:revenue|revenus?|chiffre.*?affaires).*?[€$]?(\d{1,4}(?:[,.]\d{1,3})*)\s*(?:millions?)/gi,
-            /(\d{1,4}(?:[,.]\d{1,3})*)\s*(?:millions?).*?(?:revenue|revenus?|euros?|dollars?)/gi
-        ];
-
-        for (const pattern of patterns) {
-            const match = content.match(pattern);
-            if (match) {
-                let amount = parseFloat(match[1].replace(/[,\s]/g, '').replace(',', '.'));
-                if (isNaN(amount)) continue;
-                if (match[0].toLowerCase().includes('milliard') || match[0].toLowerCase().includes('billion')) {
-                    amount *= 1000;
-                }
-                if (amount >= 1 && amount <= 1000000) {
-                    return `€${Math.round(amount)}M`;
-                }
-            }
-        }
-        return null;
-    }
-
-    extractCompetitors(content, name) {
-        const competitors = [];
-        const known = ['accenture', 'deloitte', 'ibm', 'tcs', 'infosys', 'wipro', 'atos', 'capgemini', 'cgi'];
-        const lower = content.toLowerCase();
-        const base = name ? name.toLowerCase() : '';
-        for (const comp of known) {
-            if (comp !== base && lower.includes(comp)) {
-                competitors.push(comp.charAt(0).toUpperCase() + comp.slice(1));
-            }
-        }
-        return competitors;
-    }
-
-    extractActivities(content) {
-        const activities = [];
-        const activityKeywords = {
-            'Digital Transformation': ['digital transformation', 'digitalization'],
-            'IT Consulting': ['it consulting', 'technology consulting'],
-            'Cloud Services': ['cloud', 'cloud services'],
-            'Data Analytics': ['data analytics', 'big data', 'analytics'],
-            'Cybersecurity': ['cybersecurity', 'security'],
-            'Outsourcing': ['outsourcing', 'managed services']
-        };
-        const lower = content.toLowerCase();
-        for (const [activity, keywords] of Object.entries(activityKeywords)) {
-            if (keywords.some(k => lower.includes(k))) {
-                activities.push(activity);
-            }
-        }
-        return activities.slice(0, 5);
-    }
-
-    extractHeadquarters(content, url) {
-        const patterns = [
-            /(?:headquartered|siège.*?social).*?(?:in|à|en)\s*([A-Z][a-z]+)/gi,
-            /based.*?in\s*([A-Z][a-z]+)/gi
-        ];
-        const knownCities = ['Paris','London','New York','Tokyo','Berlin','Madrid','Rome','Amsterdam','Brussels','Geneva','Milan'];
-        for (const pattern of patterns) {
-            const match = pattern.exec(content);
-            if (match && knownCities.includes(match[1])) {
-                return match[1];
-            }
-        }
-        if (url) {
-            try {
-                const u = new URL(url);
-                const host = u.hostname;
-                const city = host.split('.')[0];
-                if (knownCities.includes(city.charAt(0).toUpperCase() + city.slice(1))) {
-                    return city.charAt(0).toUpperCase() + city.slice(1);
-                }
-            } catch { /* noop */ }
-        }
-        return null;
-    }
-
-    extractFoundingYear(content) {
-        const patterns = [
-            /(?:founded|created|established|créée?|fondée?).*?(?:in|en)\s*(\d{4})/gi,
-            /(?:depuis|since)\s*(\d{4})/gi,
-            /\((\d{4})\)/g
-        ];
-        const currentYear = new Date().getFullYear();
-        for (const pattern of patterns) {
-            const match = pattern.exec(content);
-            if (match) {
-                const year = parseInt(match[1]);
-                if (year >= 1800 && year <= currentYear) {
-                    return year;
-                }
-            }
-        }
-        return null;
-    }
-
-    extractWebsite(url) {
-        if (!url) return null;
-        try {
-            const parsed = new URL(url);
-            const host = parsed.hostname.toLowerCase();
-            if (host.includes('linkedin') || host.includes('wikipedia') || host.includes('google')) {
-                return null;
-            }
-            return `${parsed.protocol}//${parsed.hostname}`;
-        } catch {
-            return null;
-        }
-    }
-
-    extractFundingInfo(content) {
-        const match = content.match(/series\s+(a|b|c|d)|seed funding|venture round/iu);
-        if (match) {
-            return { stage: match[0].toLowerCase(), detail: match[0] };
-        }
-        return null;
-    }
-
-    extractKeyPoint(result, query) {
-        const title = result.title || '';
-        if (title.length > 5 && title.length < 150) {
-            return { text: title, source: result.url, query };
-        }
-        return null;
-    }
-
     extractCompanyDescription(name, content) {
         const lower = content.toLowerCase();
         const index = lower.indexOf(name.toLowerCase());
@@ -738,30 +430,7 @@ class AnalysisService {
     }
 
     determineSizeCategory(profile) {
-        if (profile.employees) {
-            if (profile.employees < 50) return 'small';
-            if (profile.employees < 250) return 'medium';
-            if (profile.employees < 1000) return 'large';
-            return 'enterprise';
-        }
-        if (profile.revenue) {
-            const amount = parseInt(profile.revenue.replace(/[€M]/g, ''));
-            if (amount < 10) return 'small';
-            if (amount < 100) return 'medium';
-            if (amount < 1000) return 'large';
-            return 'enterprise';
-        }
-        return 'medium';
-    }
-
-    cleanAndValidateProfile(profile) {
-        if (Array.isArray(profile.main_activities)) {
-            profile.main_activities = [...new Set(profile.main_activities)];
-        }
-        if (Array.isArray(profile.competitors_mentioned)) {
-            profile.competitors_mentioned = [...new Set(profile.competitors_mentioned)];
-        }
-        return profile;
+        return determineSizeCategory(profile);
     }
 
     areSectorsRelated(s1, s2) {
@@ -772,9 +441,14 @@ class AnalysisService {
     }
 
     calculateSizeScore(ref, comp) {
-        if (ref.employees && comp.employees) {
-            const diff = Math.abs(ref.employees - comp.employees);
-            const avg = (ref.employees + comp.employees) / 2;
+        const refRange = toEmployeeRange(ref.employeeRange || ref.employees);
+        const compRange = toEmployeeRange(comp.employeeRange || comp.employees);
+        if (refRange && compRange) {
+            // Overlapping headcount ranges are as close as it gets
+            const refMax = refRange.max === null ? Infinity : refRange.max;
+            const compMax = compRange.max === null ? Infinity : compRange.max;
+            const diff = Math.max(0, refRange.min - compMax, compRange.min - refMax);
+            const avg = (refRange.estimate + compRange.estimate) / 2;
             const ratio = diff / avg;
             return Math.max(0, 100 - Math.min(100, Math.round(ratio * 100)));
         }
@@ -0,0 +1,133 @@
+const os = require('os');
+const path = require('path');
+const logger = require('../../utils/logger');
+const { MemoryStore } = require('./memoryStore');
+const { FileStore } = require('./fileStore');
+const { RedisStore } = require('./redisStore');
+
+const DEFAULT_TTLS = {
+    search: 5 * 60 * 1000,   // 5 minutes
+    profile: 30 * 60 * 1000, // 30 minutes
+    identifier: 7 * 24 * 60 * 60 * 1000 // 7 days
+};
+
+/**
+ * Cache layer on top of a pluggable store, with a TTL per entry type
+ * and hit/miss statistics
+ */
+class CacheService {
+    constructor(options = {}) {
+        this.store = options.store || new MemoryStore();
+        this.ttls = { ...DEFAULT_TTLS, ...(options.ttls || {}) };
+        this.stats = {};
+    }
+
+    getTypeStats(type) {
+        if (!this.stats[type]) {
+            this.stats[type] = { hits: 0, misses: 0, writes: 0, errors: 0 };
+        }
+        return this.stats[type];
+    }
+
+    async get(type, key) {
+        const stats = this.getTypeStats(type);
+        try {
+            const value = await this.store.get(`${type}:${key}`);
+            if (value === undefined) {
+                stats.misses++;
+                return undefined;
+            }
+            stats.hits++;
+            return value;
+        } catch (error) {
+            // A failing cache must never fail the request
+            stats.errors++;
+            stats.misses++;
+            logger.warn(`⚠️ Lecture cache ${this.store.name} échouée:`, error.message);
+            return undefined;
+        }
+    }
+
+    async set(type, key, value, ttl = this.ttls[type]) {
+        const stats = this.getTypeStats(type);
+        try {
+            await this.store.set(`${type}:${key}`, value, ttl);
+            stats.writes++;
+        } catch (error) {
+            stats.errors++;
+            logger.warn(`⚠️ Écriture cache ${this.store.name} échouée:`, error.message);
+        }
+    }
+
+    async clear() {
+        if (typeof this.store.clear === 'function') {
+            await this.store.clear();
+        }
+    }
+
+    getStats() {
+        let hits = 0;
+        let misses = 0;
+        for (const stats of Object.values(this.stats)) {
+            hits += stats.hits;
+            misses += stats.misses;
+        }
+        return {
+            ...this.store.getInfo(),
+            ttls: this.ttls,
+            hits,
+            misses,
+            hitRate: hits + misses > 0 ? Math.round((hits / (hits + misses)) * 100) / 100 : 0,
+            byType: this.stats
+        };
+    }
+}
+
+function parsePositiveInt(value, fallback) {
+    const parsed = parseInt(value, 10);
+    return !isNaN(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+/**
+ * Build the cache configured by CACHE_STORE (memory, file or redis)
+ * @param {Object} env - Environment variables
+ * @returns {CacheService} - Cache service
+ */
+function createCache(env = process.env) {
+    const storeName = (env.CACHE_STORE || 'memory').toLowerCase();
+    let store;
+
+    if (storeName === 'memory') {
+        store = new MemoryStore({ maxEntries: parsePositiveInt(env.CACHE_MAX_ENTRIES, 1000) });
+    } else if (storeName === 'file') {
+        store = new FileStore({ directory: env.CACHE_DIR || path.join(os.tmpdir(), 'company-comparables-cache') });
+    } else if (storeName === 'redis') {
+        store = new RedisStore({ url: env.REDIS_URL, prefix: env.CACHE_PREFIX });
+    } else {
+        throw new Error(`Stockage de cache inconnu: ${storeName} (disponibles: memory, file, redis)`);
+    }
+
+    return new CacheService({
+        store,
+        ttls: {
+            search: parsePositiveInt(env.CACHE_TTL_SEARCH, parsePositiveInt(env.CACHE_TIMEOUT, DEFAULT_TTLS.search)),
+            profile: parsePositiveInt(env.CACHE_TTL_PROFILE, DEFAULT_TTLS.profile),
+            identifier: parsePositiveInt(env.CACHE_TTL_IDENTIFIER, DEFAULT_TTLS.identifier)
+        }
+    });
+}
+
+let sharedCache = null;
+
+/**
+ * Cache shared by every service instance of the worker
+ * @returns {CacheService} - Shared cache
+ */
+function getSharedCache() {
+    if (!sharedCache) {
+        sharedCache = createCache();
+    }
+    return sharedCache;
+}
+
+module.exports = { CacheService, createCache, getSharedCache, DEFAULT_TTLS };
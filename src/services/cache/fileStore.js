@@ -0,0 +1,66 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * File-based store: one JSON file per entry, survives cold starts
+ * when the directory is on persistent storage
+ */
+class FileStore {
+    constructor(options = {}) {
+        this.name = 'file';
+        this.directory = options.directory;
+    }
+
+    getFilePath(key) {
+        const hash = crypto.createHash('sha1').update(key).digest('hex');
+        return path.join(this.directory, `${hash}.json`);
+    }
+
+    async get(key) {
+        let text;
+        try {
+            text = await fs.readFile(this.getFilePath(key), 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return undefined;
+            throw error;
+        }
+
+        const entry = JSON.parse(text);
+        if (entry.key !== key) return undefined;
+        if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+            await this.delete(key);
+            return undefined;
+        }
+        return entry.value;
+    }
+
+    async set(key, value, ttl) {
+        await fs.mkdir(this.directory, { recursive: true });
+        const filePath = this.getFilePath(key);
+        const tmpPath = `${filePath}.${process.pid}.tmp`;
+        await fs.writeFile(tmpPath, JSON.stringify({
+            key,
+            value,
+            expiresAt: ttl ? Date.now() + ttl : null
+        }));
+        await fs.rename(tmpPath, filePath);
+    }
+
+    async delete(key) {
+        await fs.rm(this.getFilePath(key), { force: true });
+    }
+
+    async clear() {
+        await fs.rm(this.directory, { recursive: true, force: true });
+    }
+
+    getInfo() {
+        return {
+            store: this.name,
+            directory: this.directory
+        };
+    }
+}
+
+module.exports = { FileStore };
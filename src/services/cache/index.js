@@ -0,0 +1,14 @@
+const { CacheService, createCache, getSharedCache, DEFAULT_TTLS } = require('./cacheService');
+const { MemoryStore } = require('./memoryStore');
+const { FileStore } = require('./fileStore');
+const { RedisStore } = require('./redisStore');
+
+module.exports = {
+    CacheService,
+    createCache,
+    getSharedCache,
+    DEFAULT_TTLS,
+    MemoryStore,
+    FileStore,
+    RedisStore
+};
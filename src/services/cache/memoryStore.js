@@ -0,0 +1,59 @@
+/**
+ * In-memory LRU store bounded by a maximum number of entries
+ */
+class MemoryStore {
+    constructor(options = {}) {
+        this.name = 'memory';
+        this.maxEntries = options.maxEntries || 1000;
+        this.entries = new Map();
+        this.evictions = 0;
+    }
+
+    async get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return undefined;
+
+        if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+            this.entries.delete(key);
+            return undefined;
+        }
+
+        // Re-insert to mark the entry as most recently used
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return entry.value;
+    }
+
+    async set(key, value, ttl) {
+        this.entries.delete(key);
+        this.entries.set(key, {
+            value,
+            expiresAt: ttl ? Date.now() + ttl : null
+        });
+
+        while (this.entries.size > this.maxEntries) {
+            const oldestKey = this.entries.keys().next().value;
+            this.entries.delete(oldestKey);
+            this.evictions++;
+        }
+    }
+
+    async delete(key) {
+        this.entries.delete(key);
+    }
+
+    async clear() {
+        this.entries.clear();
+    }
+
+    getInfo() {
+        return {
+            store: this.name,
+            entries: this.entries.size,
+            maxEntries: this.maxEntries,
+            evictions: this.evictions
+        };
+    }
+}
+
+module.exports = { MemoryStore };
@@ -0,0 +1,79 @@
+const logger = require('../../utils/logger');
+
+/**
+ * Redis-compatible store. Works with any client exposing the node-redis v4
+ * API (`get`, `set(key, value, { PX })`, `del`), so it can run against Redis,
+ * Azure Cache for Redis or a local stand-in.
+ */
+class RedisStore {
+    constructor(options = {}) {
+        this.name = 'redis';
+        this.url = options.url;
+        this.prefix = options.prefix || 'comparables:';
+        this.client = options.client || null;
+        this.createClient = options.createClient || null;
+        this.connecting = null;
+    }
+
+    async getClient() {
+        if (this.client) return this.client;
+
+        if (!this.connecting) {
+            this.connecting = this.connect().catch(error => {
+                // A failed attempt is not kept: the next call tries again
+                this.connecting = null;
+                throw error;
+            });
+        }
+        return this.connecting;
+    }
+
+    async connect() {
+        let createClient = this.createClient;
+        if (!createClient) {
+            let redis;
+            try {
+                redis = require('redis');
+            } catch (error) {
+                throw new Error('Le module "redis" doit être installé pour utiliser CACHE_STORE=redis');
+            }
+            createClient = options => redis.createClient(options);
+        }
+
+        const client = createClient({ url: this.url });
+        // node-redis emits 'error' on connection drops; unhandled, it would crash the host
+        client.on('error', error => {
+            logger.error('❌ Erreur du client Redis:', error.message);
+        });
+        await client.connect();
+        this.client = client;
+        return client;
+    }
+
+    async get(key) {
+        const client = await this.getClient();
+        const text = await client.get(this.prefix + key);
+        return text === null || text === undefined ? undefined : JSON.parse(text);
+    }
+
+    async set(key, value, ttl) {
+        const client = await this.getClient();
+        const options = ttl ? { PX: ttl } : undefined;
+        await client.set(this.prefix + key, JSON.stringify(value), options);
+    }
+
+    async delete(key) {
+        const client = await this.getClient();
+        await client.del(this.prefix + key);
+    }
+
+    getInfo() {
+        return {
+            store: this.name,
+            connected: !!this.client,
+            prefix: this.prefix
+        };
+    }
+}
+
+module.exports = { RedisStore };
@@ -0,0 +1,218 @@
+const { NACE_SECTIONS, NACE_CLASSES, SECTOR_DEFAULTS } = require('./taxonomy');
+
+/**
+ * Industry classification: NACE/NAF/NAICS/GICS codes read from text,
+ * cross-walks between the schemes and similarity by distance in the hierarchy.
+ */
+
+const CODE_PATTERNS = [
+    // "code NAF 6202A", "APE : 62.02Z", or a bare "6202Z" (four digits and a capital letter only exist in NAF)
+    { type: 'naf', regex: /(?<![\p{L}\p{N}.])(\d{2})\.?(\d{2})([A-Z])(?![\p{L}\p{N}])/gu, confidence: 0.9 },
+    // "NACE Rev. 2 J62.02" or "NACE 62.0"
+    { type: 'nace', regex: /nace(?:\s*rev\.?\s*2)?\s*(?:code)?\s*:?\s*(?:[A-U]\s?)?(\d{2}(?:\.\d{1,2})?)(?![\p{N}])/giu, confidence: 0.9 },
+    { type: 'naics', regex: /naics(?:\s*code)?\s*:?\s*(\d{2,6})(?![\p{N}])/giu, confidence: 0.85 },
+    { type: 'gics', regex: /gics(?:\s*(?:code|sub-industry))?\s*:?\s*(\d{2}|\d{4}|\d{6}|\d{8})(?![\p{N}])/giu, confidence: 0.85 }
+];
+
+// Score of the deepest level two codes share, from the broadest level up
+const NACE_LEVEL_SCORES = { section: 45, division: 70, group: 85, class: 100 };
+const PREFIX_LEVEL_SCORES = {
+    gics: { 2: 45, 4: 60, 6: 85, 8: 100 },
+    naics: { 2: 45, 3: 60, 4: 75, 5: 85, 6: 100 }
+};
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function keywordRegExp(keyword) {
+    return new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(keyword)}(?![\\p{L}\\p{N}])`, 'giu');
+}
+
+/**
+ * NACE section of a division
+ * @param {string} code - NACE code, e.g. "62.02" or "62"
+ * @returns {string|null} - Section letter, e.g. "J"
+ */
+function naceSection(code) {
+    const division = parseInt(String(code).substring(0, 2), 10);
+    const section = NACE_SECTIONS.find(entry => division >= entry.from && division <= entry.to);
+    return section ? section.code : null;
+}
+
+// "62.02" -> { section: 'J', division: '62', group: '62.0', class: '62.02' }
+function naceLevels(code) {
+    if (!code) return null;
+    return {
+        section: naceSection(code),
+        division: code.substring(0, 2),
+        group: code.length >= 4 ? code.substring(0, 4) : null,
+        class: code.length >= 5 ? code.substring(0, 5) : null
+    };
+}
+
+function findClass(scheme, code) {
+    return NACE_CLASSES.find(entry => entry[scheme] === code) || null;
+}
+
+/**
+ * Full classification of a code in any scheme, cross-walked to the others
+ * @param {string} type - nace, naf, naics or gics
+ * @param {string} value - Code, e.g. "6202Z" or "541512"
+ * @returns {Object|null} - { nace, naf, naics, gics, section, label, labelFr } or null if malformed
+ */
+function parseClassificationCode(type, value) {
+    const code = String(value || '').replace(/\s/g, '').toUpperCase();
+    let nace = null;
+    let naf = null;
+
+    if (type === 'naf') {
+        const match = /^(\d{2})\.?(\d{2})([A-Z])$/.exec(code);
+        if (!match) return null;
+        nace = `${match[1]}.${match[2]}`;
+        naf = `${nace}${match[3]}`;
+    } else if (type === 'nace') {
+        const match = /^[A-U]?(\d{2})(?:\.?(\d{1,2}))?$/.exec(code);
+        if (!match) return null;
+        nace = match[2] ? `${match[1]}.${match[2]}` : match[1];
+    } else if (type === 'naics') {
+        if (!/^\d{2,6}$/.test(code)) return null;
+    } else if (type === 'gics') {
+        if (!/^\d{2}(?:\d{2}){0,3}$/.test(code)) return null;
+    } else {
+        return null;
+    }
+    if (nace && !naceSection(nace)) return null;
+
+    const known = nace ? findClass('nace', nace) : findClass(type, code);
+    const classification = {
+        nace: known ? known.nace : nace,
+        naf: naf || (known ? known.naf : null),
+        naics: type === 'naics' ? code : (known ? known.naics : null),
+        gics: type === 'gics' ? code : (known ? known.gics : null),
+        section: null,
+        label: known ? known.label : null,
+        labelFr: known ? known.labelFr : null
+    };
+    classification.section = classification.nace ? naceSection(classification.nace) : null;
+    return classification;
+}
+
+/**
+ * Classification codes written in a text
+ * @param {string} text - Text to analyze
+ * @returns {Array} - [{ type, value, index, length, confidence }] in order of appearance
+ */
+function findClassificationCodes(text) {
+    const found = [];
+    for (const pattern of CODE_PATTERNS) {
+        for (const match of String(text || '').matchAll(pattern.regex)) {
+            const value = pattern.type === 'naf' ? `${match[1]}${match[2]}${match[3]}` : match[1];
+            if (!parseClassificationCode(pattern.type, value)) continue;
+            found.push({ type: pattern.type, value, index: match.index, length: match[0].length, confidence: pattern.confidence });
+        }
+    }
+    return found.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Classify a text: explicit codes first, then activity keywords of the taxonomy
+ * @param {string} text - Text to analyze
+ * @returns {Object|null} - { classification, index, length, pattern, confidence } or null
+ */
+function classifyText(text) {
+    const codes = findClassificationCodes(text);
+    if (codes.length > 0) {
+        const [code] = codes;
+        return {
+            classification: parseClassificationCode(code.type, code.value),
+            index: code.index,
+            length: code.length,
+            pattern: `code:${code.type}`,
+            confidence: code.confidence
+        };
+    }
+
+    const lower = String(text || '').toLowerCase();
+    let best = null;
+    let total = 0;
+    for (const entry of NACE_CLASSES) {
+        let hits = 0;
+        let first = null;
+        for (const keyword of entry.keywords) {
+            const matches = [...lower.matchAll(keywordRegExp(keyword))];
+            hits += matches.length;
+            if (matches.length > 0 && (!first || matches[0].index < first.index)) {
+                first = { index: matches[0].index, length: keyword.length, keyword };
+            }
+        }
+        total += hits;
+        if (hits > 0 && (!best || hits > best.hits)) {
+            best = { entry, hits, first };
+        }
+    }
+    if (!best) return null;
+
+    return {
+        classification: parseClassificationCode('nace', best.entry.nace),
+        index: best.first.index,
+        length: best.first.length,
+        pattern: `keyword:${best.first.keyword}`,
+        // Share of keyword hits pointing to the winning class, capped below explicit codes
+        confidence: Math.round(Math.min(0.7, best.hits / total * 0.7) * 100) / 100
+    };
+}
+
+/**
+ * Default classification of a free-text sector bucket such as 'Technology'
+ * @param {string} sector - Sector label
+ * @returns {Object|null} - Classification or null for an unknown sector
+ */
+function classifySector(sector) {
+    const nace = SECTOR_DEFAULTS[sector];
+    return nace ? parseClassificationCode('nace', nace) : null;
+}
+
+function prefixScore(scheme, a, b) {
+    let shared = 0;
+    while (shared < Math.min(a.length, b.length) && a[shared] === b[shared]) shared++;
+    const levels = Object.keys(PREFIX_LEVEL_SCORES[scheme]).map(Number).filter(length => length <= shared);
+    return levels.length > 0 ? PREFIX_LEVEL_SCORES[scheme][Math.max(...levels)] : 0;
+}
+
+/**
+ * Sector similarity of two classifications by distance in the hierarchy
+ *
+ * NACE is compared when both sides have it, then GICS, then NAICS. A code
+ * known only to the division is as close as its deepest level allows.
+ * @param {Object} a - First classification
+ * @param {Object} b - Second classification
+ * @returns {number|null} - Score from 0 to 100, null when the two cannot be compared
+ */
+function classificationSimilarity(a, b) {
+    if (!a || !b) return null;
+
+    if (a.nace && b.nace) {
+        const levelsA = naceLevels(a.nace);
+        const levelsB = naceLevels(b.nace);
+        let score = 0;
+        for (const level of Object.keys(NACE_LEVEL_SCORES)) {
+            if (!levelsA[level] || levelsA[level] !== levelsB[level]) break;
+            score = NACE_LEVEL_SCORES[level];
+        }
+        return score;
+    }
+    if (a.gics && b.gics) return prefixScore('gics', a.gics, b.gics);
+    if (a.naics && b.naics) return prefixScore('naics', a.naics, b.naics);
+    return null;
+}
+
+module.exports = {
+    NACE_CLASSES,
+    naceSection,
+    parseClassificationCode,
+    findClassificationCodes,
+    classifyText,
+    classifySector,
+    classificationSimilarity
+};
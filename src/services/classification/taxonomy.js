@@ -0,0 +1,226 @@
+/**
+ * Bundled industry classification data
+ *
+ * NACE Rev. 2 is the pivot: every class carries its French NAF rév. 2
+ * label and its cross-walks to NAICS 2017 and GICS (2023 structure). Only the
+ * classes commonly met in company research are listed; any other NACE or NAF
+ * code is still placed in the hierarchy through its division.
+ */
+
+// NACE sections by range of divisions
+const NACE_SECTIONS = [
+    { code: 'A', from: 1, to: 3, label: 'Agriculture, forestry and fishing' },
+    { code: 'B', from: 5, to: 9, label: 'Mining and quarrying' },
+    { code: 'C', from: 10, to: 33, label: 'Manufacturing' },
+    { code: 'D', from: 35, to: 35, label: 'Electricity, gas, steam and air conditioning supply' },
+    { code: 'E', from: 36, to: 39, label: 'Water supply, sewerage and waste management' },
+    { code: 'F', from: 41, to: 43, label: 'Construction' },
+    { code: 'G', from: 45, to: 47, label: 'Wholesale and retail trade' },
+    { code: 'H', from: 49, to: 53, label: 'Transportation and storage' },
+    { code: 'I', from: 55, to: 56, label: 'Accommodation and food service activities' },
+    { code: 'J', from: 58, to: 63, label: 'Information and communication' },
+    { code: 'K', from: 64, to: 66, label: 'Financial and insurance activities' },
+    { code: 'L', from: 68, to: 68, label: 'Real estate activities' },
+    { code: 'M', from: 69, to: 75, label: 'Professional, scientific and technical activities' },
+    { code: 'N', from: 77, to: 82, label: 'Administrative and support service activities' },
+    { code: 'O', from: 84, to: 84, label: 'Public administration and defence' },
+    { code: 'P', from: 85, to: 85, label: 'Education' },
+    { code: 'Q', from: 86, to: 88, label: 'Human health and social work activities' },
+    { code: 'R', from: 90, to: 93, label: 'Arts, entertainment and recreation' },
+    { code: 'S', from: 94, to: 96, label: 'Other service activities' },
+    { code: 'T', from: 97, to: 98, label: 'Activities of households as employers' },
+    { code: 'U', from: 99, to: 99, label: 'Activities of extraterritorial organisations' }
+];
+
+const NACE_CLASSES = [
+    // Information and communication
+    {
+        nace: '58.29', naf: '58.29C', naics: '511210', gics: '45103010',
+        label: 'Other software publishing', labelFr: 'Edition de logiciels applicatifs',
+        keywords: ['software publisher', 'éditeur de logiciels', 'edition de logiciels', 'saas', 'software as a service', 'logiciel applicatif']
+    },
+    {
+        nace: '62.01', naf: '62.01Z', naics: '541511', gics: '45103010',
+        label: 'Computer programming activities', labelFr: 'Programmation informatique',
+        keywords: ['software development', 'développement logiciel', 'programmation informatique', 'custom software', 'application development']
+    },
+    {
+        nace: '62.02', naf: '62.02A', naics: '541512', gics: '45102010',
+        label: 'Computer consultancy activities', labelFr: 'Conseil en systèmes et logiciels informatiques',
+        keywords: ['conseil en systèmes', 'conseil informatique', 'it consulting', 'technology consulting', 'digital consulting', 'systems integration', 'intégration de systèmes', 'esn', 'ssii', 'it services', 'services informatiques', 'computer consultancy']
+    },
+    {
+        nace: '62.03', naf: '62.03Z', naics: '541513', gics: '45102010',
+        label: 'Computer facilities management activities', labelFr: "Gestion d'installations informatiques",
+        keywords: ['infogérance', 'managed services', 'it outsourcing', 'facilities management']
+    },
+    {
+        nace: '63.11', naf: '63.11Z', naics: '518210', gics: '45102030',
+        label: 'Data processing, hosting and related activities', labelFr: 'Traitement de données, hébergement et activités connexes',
+        keywords: ['hosting', 'hébergement', 'data center', 'datacenter', 'cloud computing', 'cloud services', 'infrastructure as a service']
+    },
+    {
+        nace: '61.10', naf: '61.10Z', naics: '517311', gics: '50101020',
+        label: 'Wired telecommunications activities', labelFr: 'Télécommunications filaires',
+        keywords: ['telecom operator', 'opérateur télécom', 'fixed line', 'fibre optique', 'broadband', 'telecommunications', 'télécommunications']
+    },
+    {
+        nace: '61.20', naf: '61.20Z', naics: '517312', gics: '50102010',
+        label: 'Wireless telecommunications activities', labelFr: 'Télécommunications sans fil',
+        keywords: ['mobile operator', 'opérateur mobile', 'wireless', 'téléphonie mobile']
+    },
+    // Financial and insurance activities
+    {
+        nace: '64.19', naf: '64.19Z', naics: '522110', gics: '40101010',
+        label: 'Other monetary intermediation', labelFr: 'Autres intermédiations monétaires',
+        keywords: ['bank', 'banque', 'banking', 'retail banking', 'banque de détail', 'commercial bank']
+    },
+    {
+        nace: '65.11', naf: '65.11Z', naics: '524113', gics: '40301020',
+        label: 'Life insurance', labelFr: 'Assurance vie',
+        keywords: ['life insurance', 'assurance vie']
+    },
+    {
+        nace: '65.12', naf: '65.12Z', naics: '524126', gics: '40301040',
+        label: 'Non-life insurance', labelFr: 'Autres assurances',
+        keywords: ['insurance', 'assurance', 'insurer', 'assureur', 'property and casualty']
+    },
+    {
+        nace: '66.19', naf: '66.19B', naics: '522320', gics: '40201060',
+        label: 'Other activities auxiliary to financial services', labelFr: 'Autres activités auxiliaires de services financiers',
+        keywords: ['fintech', 'payment', 'paiement', 'payment processing']
+    },
+    {
+        nace: '66.30', naf: '66.30Z', naics: '523920', gics: '40203010',
+        label: 'Fund management activities', labelFr: 'Gestion de fonds',
+        keywords: ['asset management', 'gestion d\'actifs', 'fund management', 'gestion de fonds', 'private equity', 'capital-investissement']
+    },
+    // Real estate
+    {
+        nace: '68.20', naf: '68.20B', naics: '531120', gics: '60201020',
+        label: 'Renting and operating of own or leased real estate', labelFr: 'Location de terrains et d\'autres biens immobiliers',
+        keywords: ['real estate', 'immobilier', 'property', 'foncière']
+    },
+    // Professional, scientific and technical activities
+    {
+        nace: '70.22', naf: '70.22Z', naics: '541611', gics: '20202020',
+        label: 'Business and other management consultancy activities', labelFr: 'Conseil pour les affaires et autres conseils de gestion',
+        keywords: ['management consulting', 'conseil en management', 'strategy consulting', 'conseil en stratégie', 'business consulting', 'conseil de gestion', 'advisory']
+    },
+    {
+        nace: '71.12', naf: '71.12B', naics: '541330', gics: '20202020',
+        label: 'Engineering activities and related technical consultancy', labelFr: 'Ingénierie, études techniques',
+        keywords: ['engineering', 'ingénierie', 'études techniques', 'engineering services']
+    },
+    {
+        nace: '72.11', naf: '72.11Z', naics: '541714', gics: '35201010',
+        label: 'Research and experimental development on biotechnology', labelFr: 'Recherche-développement en biotechnologie',
+        keywords: ['biotechnology', 'biotechnologie', 'biotech']
+    },
+    {
+        nace: '73.11', naf: '73.11Z', naics: '541810', gics: '50201010',
+        label: 'Advertising agencies', labelFr: 'Activités des agences de publicité',
+        keywords: ['advertising', 'publicité', 'agence de communication', 'marketing agency']
+    },
+    // Manufacturing
+    {
+        nace: '21.20', naf: '21.20Z', naics: '325412', gics: '35202010',
+        label: 'Manufacture of pharmaceutical preparations', labelFr: 'Fabrication de préparations pharmaceutiques',
+        keywords: ['pharmaceutical', 'pharmaceutique', 'pharma', 'laboratoire pharmaceutique', 'drug maker']
+    },
+    {
+        nace: '26.11', naf: '26.11Z', naics: '334413', gics: '45301020',
+        label: 'Manufacture of electronic components', labelFr: 'Fabrication de composants électroniques',
+        keywords: ['semiconductor', 'semi-conducteurs', 'electronic components', 'composants électroniques', 'microchip']
+    },
+    {
+        nace: '29.10', naf: '29.10Z', naics: '336111', gics: '25102010',
+        label: 'Manufacture of motor vehicles', labelFr: 'Construction de véhicules automobiles',
+        keywords: ['automotive', 'automobile', 'car maker', 'constructeur automobile']
+    },
+    {
+        nace: '28.99', naf: '28.99B', naics: '333249', gics: '20106020',
+        label: 'Manufacture of other special-purpose machinery', labelFr: "Fabrication d'autres machines spécialisées",
+        keywords: ['industrial machinery', 'machines industrielles', 'equipment manufacturer', 'fabrication', 'manufacturing', 'industriel']
+    },
+    // Energy
+    {
+        nace: '06.10', naf: '06.10Z', naics: '211120', gics: '10102020',
+        label: 'Extraction of crude petroleum', labelFr: 'Extraction de pétrole brut',
+        keywords: ['oil', 'pétrole', 'oil and gas', 'exploration and production']
+    },
+    {
+        nace: '35.11', naf: '35.11Z', naics: '221118', gics: '55105020',
+        label: 'Production of electricity', labelFr: "Production d'électricité",
+        keywords: ['electricity', 'électricité', 'renewable', 'renouvelable', 'power generation', 'énergie', 'energy']
+    },
+    {
+        nace: '35.22', naf: '35.22Z', naics: '221210', gics: '55102010',
+        label: 'Distribution of gaseous fuels through mains', labelFr: 'Distribution de combustibles gazeux par conduites',
+        keywords: ['gas distribution', 'distribution de gaz', 'gaz naturel']
+    },
+    // Trade
+    {
+        nace: '47.11', naf: '47.11F', naics: '445110', gics: '30101030',
+        label: 'Retail sale in non-specialised stores with food', labelFr: 'Hypermarchés',
+        keywords: ['supermarket', 'supermarché', 'hypermarché', 'grande distribution', 'grocery']
+    },
+    {
+        nace: '47.91', naf: '47.91B', naics: '454110', gics: '25502020',
+        label: 'Retail sale via mail order houses or via Internet', labelFr: 'Vente à distance sur catalogue spécialisé',
+        keywords: ['e-commerce', 'online retail', 'vente en ligne', 'commerce en ligne', 'marketplace']
+    },
+    // Transportation
+    {
+        nace: '49.41', naf: '49.41A', naics: '484121', gics: '20304030',
+        label: 'Freight transport by road', labelFr: 'Transports routiers de fret interurbains',
+        keywords: ['road freight', 'transport routier', 'trucking']
+    },
+    {
+        nace: '52.29', naf: '52.29B', naics: '488510', gics: '20301010',
+        label: 'Other transportation support activities', labelFr: 'Affrètement et organisation des transports',
+        keywords: ['logistics', 'logistique', 'freight forwarding', 'commission de transport', 'supply chain']
+    },
+    // Construction, education, health
+    {
+        nace: '41.20', naf: '41.20A', naics: '236220', gics: '20103010',
+        label: 'Construction of residential and non-residential buildings', labelFr: 'Construction de bâtiments',
+        keywords: ['construction', 'bâtiment', 'btp', 'building contractor']
+    },
+    {
+        nace: '85.42', naf: '85.42Z', naics: '611310', gics: '25302010',
+        label: 'Tertiary education', labelFr: 'Enseignement supérieur',
+        keywords: ['university', 'université', 'higher education', 'enseignement supérieur', 'business school', 'école']
+    },
+    {
+        nace: '85.59', naf: '85.59A', naics: '611430', gics: '25302010',
+        label: 'Other education', labelFr: 'Formation continue d\'adultes',
+        keywords: ['training', 'formation professionnelle', 'formation continue', 'e-learning', 'education', 'éducation']
+    },
+    {
+        nace: '86.10', naf: '86.10Z', naics: '622110', gics: '35102020',
+        label: 'Hospital activities', labelFr: 'Activités hospitalières',
+        keywords: ['hospital', 'hôpital', 'clinique', 'clinic', 'healthcare', 'santé']
+    }
+];
+
+// Class standing for a free-text sector bucket when nothing more precise is known
+const SECTOR_DEFAULTS = {
+    'Technology': '62.02',
+    'Finance': '64.19',
+    'Healthcare': '86.10',
+    'Manufacturing': '28.99',
+    'Retail': '47.11',
+    'Energy': '35.11',
+    'Consulting': '70.22',
+    'Telecommunications': '61.10',
+    'Real Estate': '68.20',
+    'Transportation': '52.29',
+    'Education': '85.59'
+};
+
+module.exports = {
+    NACE_SECTIONS,
+    NACE_CLASSES,
+    SECTOR_DEFAULTS
+};
@@ -0,0 +1,189 @@
+/**
+ * Company name normalization and entity matching, so that "Capgemini SE",
+ * "Groupe Capgemini" and "Capgemini" are recognized as the same company.
+ */
+
+const LEGAL_FORMS = [
+    'sa', 'sas', 'sasu', 'sarl', 'eurl', 'sca', 'snc', 'se',
+    'gmbh', 'ag', 'kg', 'kgaa', 'mbh',
+    'inc', 'incorporated', 'corp', 'corporation', 'co', 'company', 'llc', 'lp', 'llp',
+    'ltd', 'limited', 'plc',
+    'nv', 'bv', 'spa', 'srl', 'ab', 'asa', 'oyj'
+];
+
+const GROUP_WORDS = ['groupe', 'group', 'gruppe', 'grupo', 'holding', 'holdings'];
+
+const ARTICLES = ['the', 'le', 'la', 'les', 'l'];
+
+// "Dupont & Fils" and "Dupont et Fils" are the same name
+const CONNECTORS = ['and', 'et', 'und'];
+
+const SAME_ENTITY_THRESHOLD = 0.9;
+
+function foldAccents(text) {
+    return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+/**
+ * Meaningful tokens of a company name, without legal form, group words or accents
+ * @param {string} name - Company name, e.g. "Groupe Capgemini S.E."
+ * @returns {Array} - Tokens, e.g. ['capgemini']
+ */
+function nameTokens(name) {
+    const tokens = foldAccents(name)
+        .toLowerCase()
+        // "S.A.S." and "Inc." lose their dots before splitting
+        .replace(/\./g, '')
+        .split(/[^a-z0-9]+/)
+        .filter(token => token && !CONNECTORS.includes(token));
+
+    const core = [...tokens];
+    while (core.length > 1 && (LEGAL_FORMS.includes(core[core.length - 1]) || GROUP_WORDS.includes(core[core.length - 1]))) {
+        core.pop();
+    }
+    while (core.length > 1 && (GROUP_WORDS.includes(core[0]) || ARTICLES.includes(core[0]) || LEGAL_FORMS.includes(core[0]))) {
+        core.shift();
+    }
+    return core.length > 0 ? core : tokens;
+}
+
+/**
+ * Canonical form of a company name used as a deduplication key
+ * @param {string} name - Company name
+ * @returns {string} - Normalized name, e.g. "capgemini"
+ */
+function normalizeCompanyName(name) {
+    return nameTokens(name).join(' ');
+}
+
+function acronymOf(tokens) {
+    return tokens.map(token => token[0]).join('');
+}
+
+/**
+ * Jaro-Winkler similarity of two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} - Similarity between 0 and 1
+ */
+function jaroWinkler(a, b) {
+    if (a === b) return 1;
+    if (!a || !b) return 0;
+
+    const window = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+    const aMatches = new Array(a.length).fill(false);
+    const bMatches = new Array(b.length).fill(false);
+    let matches = 0;
+
+    for (let i = 0; i < a.length; i++) {
+        const start = Math.max(0, i - window);
+        const end = Math.min(i + window + 1, b.length);
+        for (let j = start; j < end; j++) {
+            if (bMatches[j] || a[i] !== b[j]) continue;
+            aMatches[i] = true;
+            bMatches[j] = true;
+            matches++;
+            break;
+        }
+    }
+    if (matches === 0) return 0;
+
+    let transpositions = 0;
+    let k = 0;
+    for (let i = 0; i < a.length; i++) {
+        if (!aMatches[i]) continue;
+        while (!bMatches[k]) k++;
+        if (a[i] !== b[k]) transpositions++;
+        k++;
+    }
+
+    const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+    let prefix = 0;
+    while (prefix < Math.min(4, a.length, b.length) && a[prefix] === b[prefix]) prefix++;
+    return jaro + prefix * 0.1 * (1 - jaro);
+}
+
+/**
+ * Similarity of two company names
+ *
+ * Identical normalized names score 1, an acronym of the other name ("IBM" /
+ * "International Business Machines") 0.9, a name whose tokens all start the other
+ * one ("Sopra" / "Sopra Steria") 0.9; otherwise the Jaro-Winkler similarity of the
+ * normalized names, which absorbs typos.
+ * @param {string} a - First name
+ * @param {string} b - Second name
+ * @returns {number} - Similarity between 0 and 1
+ */
+function nameSimilarity(a, b) {
+    const tokensA = nameTokens(a);
+    const tokensB = nameTokens(b);
+    if (tokensA.length === 0 || tokensB.length === 0) return 0;
+
+    const keyA = tokensA.join(' ');
+    const keyB = tokensB.join(' ');
+    if (keyA === keyB || keyA.replace(/ /g, '') === keyB.replace(/ /g, '')) return 1;
+
+    const [shorter, longer] = tokensA.length <= tokensB.length ? [tokensA, tokensB] : [tokensB, tokensA];
+    if (shorter.length === 1 && longer.length >= 2 && shorter[0].length >= 2 && shorter[0] === acronymOf(longer)) {
+        return 0.9;
+    }
+    if (shorter.every((token, index) => longer[index] === token) && shorter.join('').length >= 4) {
+        return 0.9;
+    }
+
+    // Typos only count between names of similar length
+    const lengthRatio = Math.min(keyA.length, keyB.length) / Math.max(keyA.length, keyB.length);
+    const similarity = jaroWinkler(keyA, keyB);
+    return Math.round((lengthRatio >= 0.8 ? similarity : similarity * lengthRatio) * 100) / 100;
+}
+
+/**
+ * Whether two names designate the same company
+ * @param {string} a - First name
+ * @param {string} b - Second name
+ * @param {number} threshold - Minimum similarity
+ * @returns {boolean} - True for the same entity
+ */
+function isSameEntity(a, b, threshold = SAME_ENTITY_THRESHOLD) {
+    return nameSimilarity(a, b) >= threshold;
+}
+
+/**
+ * Keep one entry per company; other spellings are listed in `aliases`
+ *
+ * The first entry keeps its data, under the shortest spelling seen
+ * ("Sopra Steria" rather than "Sopra Steria Group SA").
+ * @param {Array} companies - Entries with a name
+ * @param {Object} options - { exclude: names to drop (e.g. the reference company), threshold }
+ * @returns {Array} - Unique entries, in their original order
+ */
+function deduplicateEntities(companies, { exclude = [], threshold = SAME_ENTITY_THRESHOLD } = {}) {
+    const unique = [];
+
+    for (const company of companies) {
+        if (!company || !company.name) continue;
+        if (exclude.some(name => name && isSameEntity(company.name, name, threshold))) continue;
+
+        const existing = unique.find(entry => isSameEntity(entry.name, company.name, threshold));
+        if (!existing) {
+            unique.push({ ...company });
+            continue;
+        }
+
+        const spellings = [existing.name, ...(existing.aliases || []), company.name]
+            .filter((name, index, all) => all.indexOf(name) === index);
+        existing.name = spellings.reduce((shortest, name) => (name.length < shortest.length ? name : shortest));
+        existing.aliases = spellings.filter(name => name !== existing.name);
+    }
+    return unique;
+}
+
+module.exports = {
+    SAME_ENTITY_THRESHOLD,
+    nameTokens,
+    normalizeCompanyName,
+    jaroWinkler,
+    nameSimilarity,
+    isSameEntity,
+    deduplicateEntities
+};
@@ -0,0 +1,146 @@
+const { slugify } = require('../providers/fileProvider');
+
+/**
+ * Reconciliation of conflicting values found in several search results.
+ *
+ * Every candidate is weighted by the reliability of its source, the age of the
+ * page (`publishedDate`) and the confidence of the pattern that matched it.
+ * Close values are clustered together and the heaviest cluster wins; the other
+ * clusters are returned as rejected alternatives.
+ */
+
+const SOURCE_RELIABILITY = [
+    { pattern: /(^|\.)(bloomberg|reuters|ft|wsj|lesechos|boursorama|euronext|marketscreener)\./, weight: 0.9, label: 'financial_press' },
+    { pattern: /(^|\.)finance\.yahoo\./, weight: 0.85, label: 'financial_data' },
+    { pattern: /(^|\.)(infogreffe|societe|pappers|annuaire-entreprises\.data\.gouv)\./, weight: 0.9, label: 'registry' },
+    { pattern: /(^|\.)wikipedia\.org$/, weight: 0.75, label: 'encyclopedia' },
+    { pattern: /(^|\.)linkedin\.com$/, weight: 0.6, label: 'social' },
+    { pattern: /(^|\.|-)blog|medium\.com$|wordpress|blogspot/, weight: 0.3, label: 'blog' }
+];
+
+const OFFICIAL_SITE_WEIGHT = 1;
+const DEFAULT_SOURCE_WEIGHT = 0.5;
+const RECENCY_HALF_LIFE_YEARS = 2;
+const UNDATED_RECENCY_WEIGHT = 0.6;
+const MIN_RECENCY_WEIGHT = 0.1;
+const YEAR_MS = 365.25 * 24 * 60 * 60 * 1000;
+
+/**
+ * Reliability of a source URL
+ * @param {string} url - Result URL
+ * @param {string} companyName - Company name, to recognize its own site
+ * @returns {Object} - { weight, label }
+ */
+function sourceReliability(url, companyName = '') {
+    const companyToken = slugify(companyName).split('-')[0];
+    let host;
+    try {
+        host = new URL(url).hostname.toLowerCase();
+    } catch {
+        return { weight: DEFAULT_SOURCE_WEIGHT, label: 'unknown' };
+    }
+
+    const rule = SOURCE_RELIABILITY.find(r => r.pattern.test(host));
+    if (rule && rule.label === 'blog') {
+        return { weight: rule.weight, label: rule.label };
+    }
+    if (companyToken.length >= 3 && host.includes(companyToken)) {
+        return { weight: OFFICIAL_SITE_WEIGHT, label: 'official_site' };
+    }
+    return rule ? { weight: rule.weight, label: rule.label } : { weight: DEFAULT_SOURCE_WEIGHT, label: 'web' };
+}
+
+/**
+ * Weight of a page given its publication date, halved every two years
+ * @param {string} publishedDate - ISO date or null
+ * @param {number} now - Reference timestamp
+ * @returns {number} - Weight between 0.1 and 1
+ */
+function recencyWeight(publishedDate, now = Date.now()) {
+    const published = publishedDate ? Date.parse(publishedDate) : NaN;
+    if (isNaN(published)) return UNDATED_RECENCY_WEIGHT;
+
+    const ageYears = Math.max(0, (now - published) / YEAR_MS);
+    return Math.max(MIN_RECENCY_WEIGHT, Math.pow(0.5, ageYears / RECENCY_HALF_LIFE_YEARS));
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function isClose(a, b, { tolerance = 0, absoluteTolerance = 0 }) {
+    const delta = Math.abs(a - b);
+    return delta <= absoluteTolerance || delta <= tolerance * Math.max(Math.abs(a), Math.abs(b));
+}
+
+/**
+ * Pick the consensus among candidate values
+ * @param {Array} candidates - [{ value, sourceUrl, publishedDate, confidence, snippet, extractor }]
+ * @param {Object} options - { toNumber, tolerance, absoluteTolerance, companyName, now }
+ * @returns {Object|null} - { value, winner, agreement, alternatives } or null without candidates
+ */
+function resolveConsensus(candidates, options = {}) {
+    const toNumber = options.toNumber || Number;
+
+    // A page returned by several queries only votes once
+    const seen = new Set();
+    const weighted = [];
+    for (const candidate of candidates) {
+        const number = toNumber(candidate.value);
+        if (number === null || isNaN(number)) continue;
+
+        const key = `${candidate.sourceUrl || ''}|${number}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+
+        const reliability = sourceReliability(candidate.sourceUrl, options.companyName);
+        const recency = recencyWeight(candidate.publishedDate, options.now);
+        const confidence = candidate.confidence !== undefined ? candidate.confidence : 0.5;
+        weighted.push({
+            ...candidate,
+            number,
+            sourceType: reliability.label,
+            weight: reliability.weight * recency * confidence
+        });
+    }
+    if (weighted.length === 0) return null;
+
+    // Greedy clustering on sorted values around the heaviest member
+    const clusters = [];
+    for (const candidate of [...weighted].sort((a, b) => a.number - b.number)) {
+        const cluster = clusters.find(c => isClose(c.anchor.number, candidate.number, options));
+        if (cluster) {
+            cluster.members.push(candidate);
+            cluster.score += candidate.weight;
+            if (candidate.weight > cluster.anchor.weight) cluster.anchor = candidate;
+        } else {
+            clusters.push({ anchor: candidate, members: [candidate], score: candidate.weight });
+        }
+    }
+
+    clusters.sort((a, b) => b.score - a.score || b.members.length - a.members.length);
+    const totalScore = clusters.reduce((sum, c) => sum + c.score, 0);
+    const [winning, ...rejected] = clusters;
+
+    return {
+        value: winning.anchor.value,
+        winner: winning.anchor,
+        agreement: totalScore > 0 ? round(winning.score / totalScore) : 1,
+        supportingSources: winning.members.map(m => m.sourceUrl).filter(Boolean),
+        alternatives: rejected.map(cluster => ({
+            value: cluster.anchor.value,
+            score: round(cluster.score),
+            sourceUrl: cluster.anchor.sourceUrl || null,
+            publishedDate: cluster.anchor.publishedDate || null,
+            sourceType: cluster.anchor.sourceType,
+            snippet: cluster.anchor.snippet || null,
+            sources: cluster.members.map(m => m.sourceUrl).filter(Boolean)
+        }))
+    };
+}
+
+module.exports = {
+    resolveConsensus,
+    sourceReliability,
+    recencyWeight
+};
@@ -0,0 +1,781 @@
+const { ExtractorRegistry } = require('./registry');
+const { slugify } = require('../providers/fileProvider');
+const { findMoneyExpressions, createMoney } = require('./money');
+const { findIdentifiers, summarizeIdentifiers } = require('../identifiers');
+const { classifyText, classifySector } = require('../classification');
+const { GROUPED_NUMBER, NUMBER, SCALES, parseLocaleNumber, parseScale } = require('../../utils/numberParser');
+const {
+    revenueInMillions,
+    createEmployeeRange,
+    employeeEstimate,
+    categorizeEmployees,
+    categorizeRevenue,
+    determineSizeCategory
+} = require('./sizing');
+
+const SECTOR_KEYWORDS = {
+    'Technology': ['technology', 'technologie', 'tech', 'it services', 'software', 'logiciel', 'digital', 'numérique', 'informatique', 'cloud', 'saas', 'data', 'cybersecurity', 'cybersécurité', 'esn'],
+    'Finance': ['finance', 'financial services', 'bank', 'banque', 'banking', 'investment', 'investissement', 'insurance', 'assurance', 'fintech', 'asset management', 'private equity', 'crédit'],
+    'Healthcare': ['healthcare', 'health', 'santé', 'medical', 'médical', 'pharmaceutical', 'pharmaceutique', 'pharma', 'biotechnology', 'biotechnologie', 'clinique'],
+    'Manufacturing': ['manufacturing', 'industrial', 'industriel', 'factory', 'usine', 'automotive', 'automobile', 'fabrication'],
+    'Retail': ['retail', 'commerce', 'e-commerce', 'consumer', 'distribution', 'shopping'],
+    'Energy': ['energy', 'énergie', 'oil', 'pétrole', 'gas', 'gaz', 'renewable', 'renouvelable', 'utilities', 'électricité'],
+    'Consulting': ['consulting', 'conseil', 'advisory', 'professional services', 'strategy'],
+    'Telecommunications': ['telecom', 'telecommunications', 'télécommunications', 'mobile operator', 'opérateur télécom'],
+    'Real Estate': ['real estate', 'immobilier', 'property'],
+    'Transportation': ['transport', 'logistics', 'logistique', 'mobility'],
+    'Education': ['education', 'éducation', 'training', 'formation', 'university']
+};
+
+const INDUSTRY_KEYWORDS = {
+    'IT Consulting': ['it consulting', 'technology consulting', 'digital consulting', 'systems integration'],
+    'Software Development': ['software development', 'application development', 'custom software'],
+    'Business Consulting': ['business consulting', 'strategy consulting', 'management consulting'],
+    'Outsourcing': ['outsourcing', 'managed services', 'business process outsourcing', 'bpo'],
+    'Cloud Services': ['cloud services', 'cloud computing', 'saas', 'infrastructure as a service'],
+    'Data Analytics': ['data analytics', 'big data', 'business intelligence', 'data science']
+};
+
+const COUNTRY_KEYWORDS = {
+    'France': ['france', 'french', 'français', 'française', 'paris'],
+    'United States': ['usa', 'united states', 'america', 'états-unis'],
+    'United Kingdom': ['uk', 'united kingdom', 'britain', 'british', 'london', 'royaume-uni'],
+    'Germany': ['germany', 'german', 'deutschland', 'allemagne'],
+    'Spain': ['spain', 'spanish', 'españa', 'espagne', 'madrid'],
+    'Italy': ['italy', 'italian', 'italia', 'italie'],
+    'India': ['india', 'indian', 'inde'],
+    'China': ['china', 'chinese', 'chine'],
+    'Japan': ['japan', 'japanese', 'japon']
+};
+
+const COUNTRY_TO_REGION = {
+    'France': 'Europe',
+    'United Kingdom': 'Europe',
+    'Germany': 'Europe',
+    'Spain': 'Europe',
+    'Italy': 'Europe',
+    'United States': 'North America',
+    'India': 'Asia',
+    'China': 'Asia',
+    'Japan': 'Asia'
+};
+
+const KNOWN_CITIES = [
+    'Paris', 'London', 'New York', 'Tokyo', 'Berlin', 'Madrid',
+    'Rome', 'Amsterdam', 'Brussels', 'Geneva', 'Zurich', 'Milan',
+    'Dublin', 'Stockholm', 'Copenhagen', 'Mumbai', 'Bangalore',
+    'Singapore', 'Hong Kong', 'Sydney', 'Toronto', 'Montreal',
+    'Lyon', 'Grenoble', 'Toulouse', 'Munich', 'Barcelona'
+];
+
+const ACTIVITY_KEYWORDS = {
+    'Digital Transformation': ['digital transformation', 'digitalization', 'transformation digitale'],
+    'IT Consulting': ['it consulting', 'technology consulting'],
+    'Cloud Services': ['cloud', 'cloud services'],
+    'Data Analytics': ['data analytics', 'big data', 'analytics'],
+    'Cybersecurity': ['cybersecurity', 'cybersécurité', 'security'],
+    'Outsourcing': ['outsourcing', 'managed services']
+};
+
+const BUSINESS_MODELS = {
+    'B2B Services': ['b2b', 'business to business', 'consulting', 'services'],
+    'SaaS': ['saas', 'software as a service', 'cloud'],
+    'Consulting': ['consulting', 'advisory']
+};
+
+const KNOWN_COMPETITORS = {
+    'accenture': 'Accenture',
+    'deloitte': 'Deloitte',
+    'ibm': 'IBM',
+    'tcs': 'TCS',
+    'infosys': 'Infosys',
+    'wipro': 'Wipro',
+    'atos': 'Atos',
+    'capgemini': 'Capgemini',
+    'cgi': 'CGI',
+    'sopra steria': 'Sopra Steria'
+};
+
+const LEADERSHIP_ROLES = {
+    'CEO': ['ceo', 'chief executive officer', 'directeur général', 'pdg'],
+    'CTO': ['cto', 'chief technology officer', 'directeur technique'],
+    'CFO': ['cfo', 'chief financial officer', 'directeur financier'],
+    'Chairman': ['chairman', 'président']
+};
+
+const MARKET_POSITIONS = {
+    'Leader': ['leader', 'leading'],
+    'Innovator': ['innovator'],
+    'Challenger': ['challenger'],
+    'Major Player': ['top', 'major']
+};
+
+const LISTING_KEYWORDS = ['listed', 'publicly traded', 'stock exchange', 'nasdaq', 'nyse', 'euronext', 'cotée', 'bourse'];
+
+const CERTIFICATIONS = {
+    'ISO': ['iso'],
+    'CMMI': ['cmmi'],
+    'SOC 2': ['soc 2'],
+    'GDPR': ['gdpr'],
+    'HIPAA': ['hipaa']
+};
+
+const PARTNERS = {
+    'Microsoft': ['microsoft'],
+    'Google': ['google'],
+    'Amazon': ['amazon'],
+    'Salesforce': ['salesforce'],
+    'Oracle': ['oracle'],
+    'SAP': ['sap']
+};
+
+const PROFITABILITY = {
+    'profitable': ['profitable', 'profit'],
+    'loss_making': ['loss', 'perte']
+};
+
+const EXCLUDED_HOSTS = ['linkedin', 'wikipedia', 'google', 'yahoo', 'facebook', 'twitter'];
+
+const REVENUE_BEFORE = /(?:chiffre d['’]affaires|revenues?|revenus?|turnover|sales|ventes|umsatz(?:erlöse)?|(?<![\p{L}])ca(?![\p{L}]))(?![\p{L}])[^!?]*$/u;
+const REVENUE_AFTER = /^[^!?]*?(?:revenues?|revenus?|chiffre d['’]affaires|turnover|sales|ventes|umsatz(?:erlöse)?)(?![\p{L}])/u;
+
+const EMPLOYEE_WORDS = '(?:employees|employés|salarié(?:e)?s|people|personnes|staff|collaborateurs|collaboratrices|mitarbeiter(?:innen)?|beschäftigte)';
+
+const SNIPPET_RADIUS = 80;
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function keywordRegExp(keyword) {
+    return new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(keyword)}(?![\\p{L}\\p{N}])`, 'giu');
+}
+
+function countKeyword(text, keyword) {
+    const matches = text.match(keywordRegExp(keyword));
+    return matches ? matches.length : 0;
+}
+
+function hasKeyword(text, keyword) {
+    return countKeyword(text, keyword) > 0;
+}
+
+/**
+ * First occurrence of any keyword in a lowercased text
+ * @param {string} lower - Lowercased text
+ * @param {Array} keywords - Keywords to look for
+ * @returns {Object|null} - { keyword, index } or null
+ */
+function findKeyword(lower, keywords) {
+    let first = null;
+    for (const keyword of keywords) {
+        const match = keywordRegExp(keyword).exec(lower);
+        if (match && (!first || match.index < first.index)) {
+            first = { keyword, index: match.index };
+        }
+    }
+    return first;
+}
+
+/**
+ * Text surrounding a match, used as evidence in the profile provenance
+ * @param {string} text - Analyzed text
+ * @param {number} index - Match position
+ * @param {number} length - Match length
+ * @returns {string} - Snippet
+ */
+function snippetAround(text, index, length) {
+    const start = Math.max(0, index - SNIPPET_RADIUS);
+    const end = Math.min(text.length, index + length + SNIPPET_RADIUS);
+    return text.substring(start, end).replace(/\s+/g, ' ').trim();
+}
+
+// Extractors report how they found a value through context.note (see buildCompanyProfile)
+function note(context, details) {
+    if (context && typeof context.note === 'function') {
+        context.note(details);
+    }
+}
+
+function noteMatch(context, text, index, length, pattern, confidence) {
+    note(context, {
+        match: text.substring(index, index + length),
+        snippet: snippetAround(text, index, length),
+        pattern,
+        confidence
+    });
+}
+
+function noteKeyword(context, text, found, confidence) {
+    if (found) {
+        noteMatch(context, text, found.index, found.keyword.length, `keyword:${found.keyword}`, confidence);
+    }
+}
+
+/**
+ * Industry classification of a text: an explicit NACE/NAF/NAICS/GICS code,
+ * the activity keywords of the taxonomy, or the default class of the sector
+ * @param {string} text - Text to analyze
+ * @param {Object} context - Extraction context
+ * @returns {Object|null} - Classification or null
+ */
+function extractClassification(text, context) {
+    const found = classifyText(text);
+    if (found) {
+        noteMatch(context, text, found.index, found.length, `classification:${found.pattern}`, found.confidence);
+        return found.classification;
+    }
+
+    const sector = bestKeywordMatch(text, SECTOR_KEYWORDS, context);
+    if (!sector) return null;
+    note(context, { pattern: 'classification:sector-default', confidence: 0.3 });
+    return classifySector(sector);
+}
+
+function bestKeywordMatch(text, table, context) {
+    const lower = text.toLowerCase();
+    let bestMatch = null;
+    let maxScore = 0;
+    let totalScore = 0;
+
+    for (const [label, keywords] of Object.entries(table)) {
+        const score = keywords.reduce((total, keyword) => total + countKeyword(lower, keyword), 0);
+        totalScore += score;
+        if (score > maxScore) {
+            maxScore = score;
+            bestMatch = label;
+        }
+    }
+
+    if (bestMatch) {
+        // Share of keyword hits pointing to the winning label
+        const confidence = Math.round((maxScore / totalScore) * 100) / 100;
+        noteKeyword(context, text, findKeyword(lower, table[bestMatch]), confidence);
+    }
+    return bestMatch;
+}
+
+// Integer headcounts only: "1,001" or "5 000" are always grouped thousands
+const COUNT = `(?:${GROUPED_NUMBER}|\\d+)`;
+
+const EMPLOYEE_RANGE_PATTERNS = [
+    // "between 1,001 and 5,000 employees" or "entre 5 000 et 10 000 salariés"
+    { name: 'between', regex: new RegExp(`(?:between|entre|zwischen)\\s+(${COUNT})\\s+(?:and|et|und)\\s+(${COUNT})\\s*(?:de\\s+|d['’])?${EMPLOYEE_WORDS}`, 'gu'), confidence: 0.8 },
+    // "1,001-5,000 employees" or "5 000 à 10 000 salariés"
+    { name: 'range', regex: new RegExp(`(${COUNT})\\s*(?:-|–|—|à|to|bis)\\s*(${COUNT})\\s*(?:de\\s+|d['’])?${EMPLOYEE_WORDS}`, 'gu'), confidence: 0.75 },
+    // "10,001+ employees" or "plus de 500 salariés"
+    { name: 'at-least', regex: new RegExp(`(?:(?:more than|over|plus de|mehr als|über)\\s+(${COUNT})|(${COUNT})\\s*\\+)\\s*(?:de\\s+|d['’])?${EMPLOYEE_WORDS}`, 'gu'), confidence: 0.7 }
+];
+
+const EMPLOYEE_COUNT_PATTERNS = [
+    // "350,000 employees", "12 500 salariés" or "1.200 Mitarbeiter"
+    { name: 'count-before-keyword', regex: new RegExp(`(${GROUPED_NUMBER})\\s*${EMPLOYEE_WORDS}`, 'gu'), confidence: 0.8 },
+    // "350k employees" or "1,2 million de salariés"
+    { name: 'scaled-count', regex: new RegExp(`(${NUMBER})\\s*(k|milliers?|millions?)\\s*(?:de\\s+|d['’])?${EMPLOYEE_WORDS}`, 'gu'), confidence: 0.7 },
+    // "workforce of 350,000" or "effectif de 12 500"
+    { name: 'workforce', regex: new RegExp(`(?:workforce|effectifs?)[^.]{0,30}?(${GROUPED_NUMBER})`, 'gu'), confidence: 0.7 },
+    // "emploie 350 000 personnes"
+    { name: 'emploie', regex: new RegExp(`emploie[^.]{0,30}?(${GROUPED_NUMBER})[^.]{0,20}?${EMPLOYEE_WORDS}`, 'gu'), confidence: 0.8 },
+    // "450 employees"
+    { name: 'plain-count', regex: new RegExp(`(\\d{2,6})\\s*${EMPLOYEE_WORDS}`, 'gu'), confidence: 0.6 }
+];
+
+const MAX_EMPLOYEES = 5000000;
+
+function findEmployeeRange(lower) {
+    for (const { name, regex, confidence } of EMPLOYEE_RANGE_PATTERNS) {
+        for (const match of lower.matchAll(regex)) {
+            // "more than 500" excludes its bound, "10,001+" includes it
+            const min = parseLocaleNumber(match[1] || match[2]) + (name === 'at-least' && match[1] ? 1 : 0);
+            const max = name === 'at-least' ? null : parseLocaleNumber(match[2]);
+            if (min < 1 || min > MAX_EMPLOYEES || (max !== null && (max <= min || max > MAX_EMPLOYEES))) continue;
+            return { name, match, confidence, range: createEmployeeRange(min, max) };
+        }
+    }
+
+    for (const { name, regex, confidence } of EMPLOYEE_COUNT_PATTERNS) {
+        for (const match of lower.matchAll(regex)) {
+            const scale = parseScale(match[2]) || 'unit';
+            const count = Math.round(parseLocaleNumber(match[1]) * SCALES[scale]);
+            if (count >= 1 && count <= MAX_EMPLOYEES) {
+                return { name, match, confidence, range: createEmployeeRange(count) };
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Headcount stated in a text, as a range
+ * @param {string} text - Text to analyze
+ * @param {Object} context - Extraction context
+ * @param {string} field - Field reported in the provenance
+ * @returns {Object|null} - { min, max, estimate, band } or null
+ */
+function extractEmployeeRange(text, context, field = 'employeeRange') {
+    const found = findEmployeeRange(text.toLowerCase());
+    if (!found) return null;
+    const { name, match, confidence, range } = found;
+    noteMatch(context, text, match.index, match[0].length, `${field}:${name}`, confidence);
+    return range;
+}
+
+function extractEmployees(text, context) {
+    const range = extractEmployeeRange(text, context, 'employees');
+    return range ? range.estimate : null;
+}
+
+function extractRevenue(text, context) {
+    const lower = text.toLowerCase();
+
+    for (const expression of findMoneyExpressions(text)) {
+        if (expression.amount < 1e5 || expression.amount > 1e13) continue;
+
+        // Keep the sentence around the amount
+        const before = lower.substring(Math.max(0, expression.index - 80), expression.index).split(/[.!?]\s/).pop();
+        const after = lower.substring(expression.index + expression.length, expression.index + expression.length + 40).split(/[.!?]\s/)[0];
+
+        let pattern = null;
+        let confidence = 0;
+        if (REVENUE_BEFORE.test(before)) {
+            pattern = 'revenue:keyword-before-amount';
+            confidence = 0.8;
+        } else if (REVENUE_AFTER.test(after)) {
+            pattern = 'revenue:amount-before-keyword';
+            confidence = 0.7;
+        }
+        if (!pattern) continue;
+
+        if (expression.currencyInferred) confidence -= 0.1;
+        noteMatch(context, text, expression.index, expression.length, pattern, Math.round(confidence * 100) / 100);
+        return createMoney(expression, { source: context && context.sourceUrl ? context.sourceUrl : null });
+    }
+    return null;
+}
+
+function extractFoundingYear(text, context) {
+    const lower = text.toLowerCase();
+    const patterns = [
+        // "founded in 1967" or "créée en 1967"
+        { name: 'founded-in', regex: /(?:founded|created|established|créée?|fondée?)[^.]{0,40}?(?:in|en)\s*(\d{4})/g, confidence: 0.8 },
+        // "depuis 1967" or "since 1967"
+        { name: 'since', regex: /(?:depuis|since)\s*(\d{4})/g, confidence: 0.5 },
+        // "création en 1967"
+        { name: 'creation', regex: /(?:création|foundation)[^.]{0,20}?(\d{4})/g, confidence: 0.7 },
+        // "Capgemini (1967)"
+        { name: 'year-in-parentheses', regex: /\((\d{4})\)/g, confidence: 0.3 }
+    ];
+    const currentYear = new Date().getFullYear();
+
+    for (const { name, regex, confidence } of patterns) {
+        for (const match of lower.matchAll(regex)) {
+            const year = parseInt(match[1], 10);
+            if (year >= 1800 && year <= currentYear) {
+                noteMatch(context, text, match.index, match[0].length, `founding_year:${name}`, confidence);
+                return year;
+            }
+        }
+    }
+    return null;
+}
+
+function extractHeadquarters(text, context) {
+    const patterns = [
+        // "headquartered in Paris" or "siège social est à Paris"
+        { name: 'headquartered-in', regex: /(?:headquartered|headquarters|siège social|based)[^.]{0,30}?(?:in|à|en|at)\s+(\p{Lu}[\p{L}-]+(?:\s+\p{Lu}[\p{L}-]+)?)/giu, confidence: 0.8 },
+        // "11 rue de Tilsitt, 75017 Paris"
+        { name: 'postal-address', regex: /\b\d{5}\s+(\p{Lu}[\p{L}-]+)/gu, confidence: 0.6 }
+    ];
+
+    for (const { name, regex, confidence } of patterns) {
+        for (const match of text.matchAll(regex)) {
+            const candidates = [match[1], match[1].split(/\s+/)[0]];
+            for (const candidate of candidates) {
+                const city = KNOWN_CITIES.find(c => c.toLowerCase() === candidate.toLowerCase());
+                if (city) {
+                    noteMatch(context, text, match.index, match[0].length, `headquarters:${name}`, confidence);
+                    return city;
+                }
+            }
+        }
+    }
+    return null;
+}
+
+function extractLeadership(text, context) {
+    const lower = text.toLowerCase();
+    const leadership = [];
+
+    for (const [role, keywords] of Object.entries(LEADERSHIP_ROLES)) {
+        for (const keyword of keywords) {
+            const match = keywordRegExp(keyword).exec(lower);
+            if (!match) continue;
+
+            const following = text.substring(match.index + keyword.length, match.index + keyword.length + 60);
+            const name = following.match(/^[^.]*?(\p{Lu}[\p{Ll}'-]+\s+\p{Lu}[\p{L}'-]+)/u);
+            if (name) {
+                if (leadership.length === 0) {
+                    noteMatch(context, text, match.index, keyword.length + name[0].length, `leadership:${keyword}`, 0.6);
+                }
+                leadership.push({ role, name: name[1] });
+                break; // Only one per role
+            }
+        }
+    }
+    return leadership;
+}
+
+function extractWebsite(results, companyName, context) {
+    const token = slugify(companyName || '').split('-')[0];
+    let fallback = null;
+
+    for (const result of results) {
+        let parsed;
+        try {
+            parsed = new URL(result.url);
+        } catch {
+            continue;
+        }
+        const host = parsed.hostname.toLowerCase();
+        if (EXCLUDED_HOSTS.some(excluded => host.includes(excluded))) continue;
+
+        const origin = `${parsed.protocol}//${parsed.hostname}`;
+        if (token.length >= 3 && host.includes(token)) {
+            note(context, { sourceUrl: result.url, pattern: 'website:host-matches-name', confidence: 0.9 });
+            return origin;
+        }
+        if (!fallback) fallback = { origin, url: result.url };
+    }
+
+    if (fallback) {
+        note(context, { sourceUrl: fallback.url, pattern: 'website:first-result', confidence: 0.4 });
+        return fallback.origin;
+    }
+    return null;
+}
+
+// Lowercased text without accents, comparable to a slugified company name
+function foldText(text) {
+    return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+// Identifiers stated in a sentence naming the company, or in a result whose title names it
+function extractIdentifiers(results, companyName, context) {
+    const token = slugify(companyName || '').split('-')[0];
+    const mentionsCompany = text => !token || hasKeyword(foldText(text), token);
+    const found = [];
+    let first = null;
+
+    for (const result of results) {
+        const text = `${result.title || ''} ${result.content || ''}`;
+        const titleMatches = mentionsCompany(result.title || '');
+
+        for (const identifier of findIdentifiers(text)) {
+            const start = Math.max(text.lastIndexOf('. ', identifier.index), 0);
+            const end = text.indexOf('. ', identifier.index + identifier.length);
+            const sentenceMatches = mentionsCompany(text.substring(start, end === -1 ? text.length : end));
+            if (!sentenceMatches && !titleMatches) continue;
+
+            const weighted = { ...identifier, weight: sentenceMatches ? 2 : 1 };
+            found.push(weighted);
+            if (!first || weighted.weight > first.identifier.weight) first = { result, text, identifier: weighted };
+        }
+    }
+
+    if (first) {
+        const { result, text, identifier } = first;
+        note(context, {
+            sourceUrl: result.url || null,
+            snippet: snippetAround(text, identifier.index, identifier.length),
+            pattern: `identifiers:${identifier.type}`,
+            confidence: identifier.confidence
+        });
+    }
+    return summarizeIdentifiers(found);
+}
+
+// First-match lookup over a label => keywords table, reporting the keyword found
+function firstLabelMatch(text, table, context, confidence) {
+    const lower = text.toLowerCase();
+    for (const [label, keywords] of Object.entries(table)) {
+        const found = findKeyword(lower, keywords);
+        if (found) {
+            noteKeyword(context, text, found, confidence);
+            return label;
+        }
+    }
+    return null;
+}
+
+// Every label of a table whose keywords appear in the text
+function allLabelMatches(text, table, context, confidence) {
+    const lower = text.toLowerCase();
+    const labels = [];
+    for (const [label, keywords] of Object.entries(table)) {
+        const found = findKeyword(lower, keywords);
+        if (found) {
+            if (labels.length === 0) noteKeyword(context, text, found, confidence);
+            labels.push(label);
+        }
+    }
+    return labels;
+}
+
+const registry = new ExtractorRegistry();
+
+registry
+    .register({
+        field: 'employees',
+        scope: 'result',
+        extract: extractEmployees,
+        // In a profile, the estimate of the reconciled range, so both come from the same sources
+        derive: (profile, context) => {
+            note(context, { sameSourcesAs: 'employeeRange', convert: employeeEstimate });
+            return employeeEstimate(profile.employeeRange);
+        }
+    })
+    .register({
+        field: 'employeeRange',
+        scope: 'result',
+        consensus: { tolerance: 0.1, toNumber: employeeEstimate },
+        extract: extractEmployeeRange
+    })
+    .register({
+        field: 'revenue',
+        scope: 'result',
+        consensus: { tolerance: 0.1, toNumber: revenueInMillions },
+        extract: extractRevenue
+    })
+    .register({
+        field: 'founding_year',
+        scope: 'result',
+        consensus: { absoluteTolerance: 0 },
+        extract: extractFoundingYear
+    })
+    .register({
+        field: 'headquarters',
+        scope: 'result',
+        extract: extractHeadquarters
+    })
+    .register({
+        field: 'sector',
+        scope: 'corpus',
+        fallback: 'Technology',
+        extract: (text, context) => bestKeywordMatch(text, SECTOR_KEYWORDS, context)
+    })
+    .register({
+        field: 'industry',
+        scope: 'corpus',
+        extract: (text, context) => firstLabelMatch(text, INDUSTRY_KEYWORDS, context, 0.6)
+    })
+    .register({
+        field: 'classification',
+        scope: 'corpus',
+        extract: extractClassification
+    })
+    .register({
+        field: 'country',
+        scope: 'corpus',
+        extract: (text, context) => bestKeywordMatch(text, COUNTRY_KEYWORDS, context)
+    })
+    .register({
+        field: 'business_model',
+        scope: 'corpus',
+        extract: (text, context) => firstLabelMatch(text, BUSINESS_MODELS, context, 0.4)
+    })
+    .register({
+        field: 'main_activities',
+        scope: 'corpus',
+        extract: (text, context) => allLabelMatches(text, ACTIVITY_KEYWORDS, context, 0.6).slice(0, 5)
+    })
+    .register({
+        field: 'competitors_mentioned',
+        scope: 'corpus',
+        extract: (text, context) => {
+            const own = (context.companyName || '').toLowerCase();
+            const candidates = Object.fromEntries(
+                Object.entries(KNOWN_COMPETITORS)
+                    .filter(([keyword]) => !own.includes(keyword))
+                    .map(([keyword, competitor]) => [competitor, [keyword]])
+            );
+            return allLabelMatches(text, candidates, context, 0.6);
+        }
+    })
+    .register({
+        field: 'market_position',
+        scope: 'corpus',
+        extract: (text, context) => firstLabelMatch(text, MARKET_POSITIONS, context, 0.4)
+    })
+    .register({
+        field: 'funding_info',
+        scope: 'corpus',
+        extract: (text, context) => {
+            const lower = text.toLowerCase();
+            const round = /series\s+[a-d]\b|seed funding|venture round|levée de fonds/u.exec(lower);
+            if (round) {
+                noteMatch(context, text, round.index, round[0].length, 'funding_info:round', 0.7);
+                return { stage: round[0], detail: round[0] };
+            }
+            const listing = findKeyword(lower, ['stock', 'listed', 'cotée']);
+            if (listing) {
+                noteKeyword(context, text, listing, 0.6);
+                let exchange = null;
+                if (hasKeyword(lower, 'nasdaq')) exchange = 'NASDAQ';
+                else if (hasKeyword(lower, 'nyse')) exchange = 'NYSE';
+                else if (hasKeyword(lower, 'euronext')) exchange = 'Euronext';
+                return { type: 'Public', exchange };
+            }
+            return null;
+        }
+    })
+    .register({
+        field: 'leadership',
+        scope: 'corpus',
+        extract: extractLeadership
+    })
+    .register({
+        field: 'isPublic',
+        scope: 'corpus',
+        extract: (text, context) => {
+            const found = findKeyword(text.toLowerCase(), LISTING_KEYWORDS);
+            noteKeyword(context, text, found, 0.7);
+            return Boolean(found);
+        }
+    })
+    .register({
+        field: 'description',
+        scope: 'results',
+        extract: (results, context) => {
+            if (results.length === 0) return null;
+            const bestResult = results.find(r =>
+                (r.content || '').length > 100 &&
+                !(r.url || '').includes('linkedin.com') &&
+                !(r.url || '').includes('wikipedia.org')
+            ) || results[0];
+            note(context, { sourceUrl: bestResult.url, pattern: 'description:longest-snippet', confidence: 0.6 });
+            return (bestResult.content || '').substring(0, 300) + '...';
+        }
+    })
+    .register({
+        field: 'website',
+        scope: 'results',
+        extract: (results, context) => extractWebsite(results, context.companyName, context)
+    })
+    .register({
+        field: 'identifiers',
+        scope: 'results',
+        extract: (results, context) => extractIdentifiers(results, context.companyName, context)
+    })
+    .register({
+        field: 'keyPoints',
+        scope: 'results',
+        extract: (results) => results
+            .map(r => r.title || '')
+            .filter(title => title.length > 5 && title.length < 100)
+            .slice(0, 5)
+    })
+    .register({
+        field: 'region',
+        scope: 'profile',
+        extract: (profile, context) => {
+            note(context, { derivedFrom: ['country'] });
+            return COUNTRY_TO_REGION[profile.country] || 'Global';
+        }
+    })
+    .register({
+        field: 'employeeCategory',
+        scope: 'profile',
+        extract: (profile, context) => {
+            note(context, { derivedFrom: ['employeeRange'] });
+            return categorizeEmployees(profile.employeeRange || profile.employees);
+        }
+    })
+    .register({
+        field: 'revenueCategory',
+        scope: 'profile',
+        extract: (profile, context) => {
+            note(context, { derivedFrom: ['revenue'] });
+            return profile.revenue ? categorizeRevenue(profile.revenue) : null;
+        }
+    })
+    .register({
+        field: 'size_category',
+        scope: 'profile',
+        extract: (profile, context) => {
+            const source = profile.employees ? 'employees' : (profile.revenue ? 'revenue' : null);
+            note(context, source ? { derivedFrom: [source] } : { pattern: 'size_category:keywords', confidence: 0.3 });
+            return determineSizeCategory(profile, context.corpus);
+        }
+    })
+    .register({
+        field: 'listingStatus',
+        scope: 'profile',
+        extract: (profile, context) => {
+            note(context, { derivedFrom: ['isPublic'] });
+            return profile.isPublic ? 'public' : 'private';
+        }
+    })
+    // Optional fields requested by specific endpoints
+    .register({
+        field: 'subsidiaries',
+        scope: 'corpus',
+        extract: (text, context) => {
+            const subsidiaries = [];
+            const pattern = /(?:subsidiary|subsidiaries|filiales?)\s+(?:of\s+|de\s+)?(\p{Lu}[\p{L}&-]+(?:\s+\p{Lu}[\p{L}&-]+)?)/gu;
+            for (const match of text.matchAll(pattern)) {
+                if (subsidiaries.length === 0) {
+                    noteMatch(context, text, match.index, match[0].length, 'subsidiaries:subsidiary-of', 0.5);
+                }
+                if (!subsidiaries.includes(match[1])) subsidiaries.push(match[1]);
+            }
+            return subsidiaries.slice(0, 3);
+        }
+    })
+    .register({
+        field: 'certifications',
+        scope: 'corpus',
+        extract: (text, context) => allLabelMatches(text, CERTIFICATIONS, context, 0.6)
+    })
+    .register({
+        field: 'partnerships',
+        scope: 'corpus',
+        extract: (text, context) => allLabelMatches(text, PARTNERS, context, 0.4).slice(0, 5)
+    })
+    .register({
+        field: 'marketShare',
+        scope: 'corpus',
+        extract: (text, context) => {
+            const match = /(?:market\s+share|part\s+de\s+marché|marktanteil)[^.]{0,30}?(\d{1,2}(?:[.,]\d+)?)\s?%/.exec(text.toLowerCase());
+            if (!match) return null;
+            noteMatch(context, text, match.index, match[0].length, 'marketShare:percent', 0.6);
+            return `${parseLocaleNumber(match[1])}%`;
+        }
+    })
+    .register({
+        field: 'growthRate',
+        scope: 'corpus',
+        extract: (text, context) => {
+            const match = /(?:growth|croissance|wachstum)[^.]{0,30}?(\d{1,3}(?:[.,]\d+)?)\s?%/.exec(text.toLowerCase());
+            if (!match) return null;
+            const rate = parseLocaleNumber(match[1]);
+            if (rate > 500) return null;
+            noteMatch(context, text, match.index, match[0].length, 'growthRate:percent', 0.5);
+            return `${rate}%`;
+        }
+    })
+    .register({
+        field: 'profitability',
+        scope: 'corpus',
+        extract: (text, context) => firstLabelMatch(text, PROFITABILITY, context, 0.4) || 'unknown'
+    });
+
+module.exports = {
+    registry,
+    SECTOR_KEYWORDS,
+    COUNTRY_KEYWORDS,
+    COUNTRY_TO_REGION,
+    KNOWN_CITIES,
+    hasKeyword,
+    countKeyword,
+    snippetAround
+};
@@ -0,0 +1,333 @@
+const { ExtractorRegistry, SCOPES } = require('./registry');
+const { registry: defaultRegistry, snippetAround } = require('./extractors');
+const { resolveConsensus } = require('./consensus');
+const sizing = require('./sizing');
+const money = require('./money');
+
+const CORE_FIELDS = [
+    'sector', 'industry', 'classification', 'country', 'region',
+    'employees', 'employeeRange', 'employeeCategory', 'revenue', 'revenueCategory', 'size_category',
+    'business_model', 'main_activities', 'competitors_mentioned', 'market_position',
+    'funding_info', 'leadership', 'headquarters', 'founding_year',
+    'isPublic', 'listingStatus', 'description', 'website', 'identifiers', 'keyPoints'
+];
+
+/**
+ * Flatten the output of SearchService.searchCompanyInfo into a single result list
+ * @param {Array} searchResults - [{ query, focusMode, results: [] }]
+ * @returns {Array} - Search results
+ */
+function collectResults(searchResults) {
+    const results = [];
+    for (const searchResult of searchResults || []) {
+        if (Array.isArray(searchResult.results)) {
+            results.push(...searchResult.results);
+        }
+    }
+    return results;
+}
+
+function resultText(result) {
+    return `${result.title || ''} ${result.content || ''}`;
+}
+
+function calculateConfidence(resultCount) {
+    if (resultCount === 0) return 0;
+    if (resultCount > 10) return 0.9;
+    if (resultCount > 5) return 0.8;
+    return 0.6;
+}
+
+const DEFAULT_FIELD_CONFIDENCE = 0.5;
+const FALLBACK_CONFIDENCE = 0.1;
+
+function isEmpty(value) {
+    return value === null || value === undefined || (Array.isArray(value) && value.length === 0);
+}
+
+// Result holding the matched text, so corpus-wide matches point to a single URL
+function locateEvidence(results, evidence) {
+    if (!evidence.match) return { sourceUrl: null, snippet: evidence.snippet || null };
+
+    const needle = evidence.match.toLowerCase();
+    for (const result of results) {
+        const text = resultText(result);
+        const index = text.toLowerCase().indexOf(needle);
+        if (index !== -1) {
+            return { sourceUrl: result.url || null, snippet: snippetAround(text, index, needle.length) };
+        }
+    }
+    return { sourceUrl: null, snippet: evidence.snippet || null };
+}
+
+/**
+ * Provenance entry of an extracted field
+ * @param {*} value - Extracted value
+ * @param {Object} evidence - Details reported by the extractor through context.note
+ * @param {Object} options - { field, scope, results, provenance, isFallback }
+ * @returns {Object} - { value, sourceUrl, snippet, extractor, confidence }
+ */
+function buildProvenance(value, evidence, { field, scope, results, provenance, isFallback }) {
+    if (isFallback) {
+        return { value, sourceUrl: null, snippet: null, extractor: 'fallback', confidence: FALLBACK_CONFIDENCE };
+    }
+
+    // Read from the same sources as another field: its provenance, with the values converted
+    if (evidence.sameSourcesAs && provenance[evidence.sameSourcesAs]) {
+        const source = provenance[evidence.sameSourcesAs];
+        return {
+            ...source,
+            value,
+            extractor: source.extractor.replace(`${evidence.sameSourcesAs}:`, `${field}:`),
+            ...(source.alternatives ? {
+                alternatives: source.alternatives.map(alternative => ({ ...alternative, value: evidence.convert(alternative.value) }))
+            } : {})
+        };
+    }
+
+    if (evidence.derivedFrom) {
+        const inputs = evidence.derivedFrom.map(name => provenance[name]).filter(Boolean);
+        return {
+            value,
+            sourceUrl: inputs.length > 0 ? inputs[0].sourceUrl : null,
+            snippet: inputs.length > 0 ? inputs[0].snippet : null,
+            extractor: `${field}:derived`,
+            derivedFrom: evidence.derivedFrom,
+            confidence: inputs.length > 0
+                ? Math.min(...inputs.map(input => input.confidence))
+                : FALLBACK_CONFIDENCE
+        };
+    }
+
+    const location = evidence.sourceUrl
+        ? { sourceUrl: evidence.sourceUrl, snippet: evidence.snippet || null }
+        : locateEvidence(results, evidence);
+
+    return {
+        value,
+        sourceUrl: location.sourceUrl,
+        snippet: location.snippet,
+        extractor: evidence.pattern
+            ? (evidence.pattern.startsWith(`${field}:`) ? evidence.pattern : `${field}:${evidence.pattern}`)
+            : `${field}:${scope}`,
+        confidence: evidence.confidence !== undefined ? evidence.confidence : DEFAULT_FIELD_CONFIDENCE,
+        ...(evidence.consensus || {})
+    };
+}
+
+/**
+ * Run a single text extractor and report where the value was found
+ * @param {string} field - Registered field name
+ * @param {string} text - Text to analyze
+ * @param {Object} context - Optional context ({ companyName, sourceUrl })
+ * @returns {Object} - Provenance entry ({ value, sourceUrl, snippet, extractor, confidence })
+ */
+function extractFieldWithProvenance(field, text, context = {}, registry = defaultRegistry) {
+    const extractor = registry.get(field);
+    if (!extractor) {
+        throw new Error(`Aucun extracteur enregistré pour le champ: ${field}`);
+    }
+    if (extractor.scope !== 'result' && extractor.scope !== 'corpus') {
+        throw new Error(`L'extracteur "${field}" ne s'applique pas à un texte`);
+    }
+
+    let evidence = {};
+    const value = extractor.extract(text || '', {
+        corpus: text || '',
+        ...context,
+        note: (details) => { evidence = { ...evidence, ...details }; }
+    });
+    const isFallback = (value === null || value === undefined) && extractor.fallback !== undefined;
+    const finalValue = isFallback ? extractor.fallback : (value === undefined ? null : value);
+
+    if (isEmpty(finalValue)) {
+        return { value: finalValue, sourceUrl: null, snippet: null, extractor: null, confidence: 0 };
+    }
+    if (context.sourceUrl) {
+        evidence.sourceUrl = context.sourceUrl;
+    }
+    return buildProvenance(finalValue, evidence, { field, scope: extractor.scope, results: [], provenance: {}, isFallback });
+}
+
+/**
+ * Run a single text extractor, e.g. to read the sector of a search snippet
+ * @param {string} field - Registered field name
+ * @param {string} text - Text to analyze
+ * @param {Object} context - Optional context ({ companyName })
+ * @returns {*} - Extracted value or null
+ */
+function extractField(field, text, context = {}, registry = defaultRegistry) {
+    return extractFieldWithProvenance(field, text, context, registry).value;
+}
+
+/**
+ * Sector, classification and country of a company spotted in a search result,
+ * with the provenance of its name and of each field
+ * @param {string} companyName - Name found in the result
+ * @param {Object} result - Search result ({ title, content, url })
+ * @param {Object} match - RegExp match of the name in `${title} ${content}`
+ * @returns {Object} - { sector, classification, country, provenance }
+ */
+function extractMentionProfile(companyName, result, match) {
+    const text = resultText(result);
+    const sector = extractFieldWithProvenance('sector', text, { sourceUrl: result.url });
+    const classification = extractFieldWithProvenance('classification', text, { sourceUrl: result.url });
+    const country = extractFieldWithProvenance('country', text, { sourceUrl: result.url });
+
+    return {
+        sector: sector.value,
+        classification: classification.value,
+        country: country.value,
+        provenance: {
+            name: {
+                value: companyName,
+                sourceUrl: result.url || null,
+                snippet: snippetAround(text, match.index, match[0].length),
+                extractor: 'name:company-pattern',
+                confidence: 0.6
+            },
+            sector,
+            classification,
+            country
+        }
+    };
+}
+
+/**
+ * Read a field in every result and keep the consensus value
+ * @param {Object} extractor - Registered `result` extractor declaring `consensus`
+ * @param {Array} results - Search results
+ * @param {Object} context - Extraction context
+ * @returns {Object} - { value, evidence }
+ */
+function reconcileResults(extractor, results, context) {
+    const candidates = [];
+    for (const result of results) {
+        let evidence = {};
+        context.note = (details) => { evidence = { ...evidence, ...details }; };
+        context.sourceUrl = result.url || null;
+        const value = extractor.extract(resultText(result), context);
+        if (value === null || value === undefined) continue;
+
+        candidates.push({
+            value,
+            sourceUrl: result.url || null,
+            publishedDate: result.publishedDate || null,
+            confidence: evidence.confidence,
+            snippet: evidence.snippet,
+            pattern: evidence.pattern
+        });
+    }
+
+    const consensus = resolveConsensus(candidates, { ...extractor.consensus, companyName: context.companyName });
+    if (!consensus) return { value: null, evidence: {} };
+
+    const { winner } = consensus;
+    const baseConfidence = winner.confidence !== undefined ? winner.confidence : DEFAULT_FIELD_CONFIDENCE;
+    return {
+        value: consensus.value,
+        evidence: {
+            sourceUrl: winner.sourceUrl,
+            snippet: winner.snippet,
+            pattern: winner.pattern,
+            // Disagreement between sources lowers the confidence of the pattern
+            confidence: Math.round(baseConfidence * (0.5 + 0.5 * consensus.agreement) * 100) / 100,
+            consensus: {
+                publishedDate: winner.publishedDate,
+                sourceType: winner.sourceType,
+                agreement: consensus.agreement,
+                supportingSources: consensus.supportingSources,
+                alternatives: consensus.alternatives
+            }
+        }
+    };
+}
+
+/**
+ * Build a company profile from search results with the registered extractors.
+ * Every endpoint goes through this function so the same input always yields
+ * the same core fields.
+ * @param {string} companyName - Company name
+ * @param {Array} results - Search results ({ title, content, url })
+ * @param {Object} options - { source, extraFields, registry }
+ * @returns {Object} - Company profile
+ */
+function buildCompanyProfile(companyName, results = [], options = {}) {
+    const registry = options.registry || defaultRegistry;
+    const fields = [...CORE_FIELDS, ...(options.extraFields || [])]
+        .filter((field, index, all) => all.indexOf(field) === index && registry.has(field));
+
+    const corpus = results.map(resultText).join(' ');
+    const context = { companyName, corpus, results };
+    const profile = {
+        name: companyName,
+        source: options.source || 'web_search',
+        confidence: calculateConfidence(results.length)
+    };
+    fields.forEach(field => { profile[field] = null; });
+
+    const provenance = {};
+
+    // Profile-derived fields run last so they see every extracted value
+    for (const scope of SCOPES) {
+        for (const field of fields) {
+            const extractor = registry.get(field);
+            if ((extractor.derive ? 'profile' : extractor.scope) !== scope) continue;
+
+            let evidence = {};
+            context.note = (details) => { evidence = { ...evidence, ...details }; };
+
+            let value = null;
+            if (scope === 'result' && extractor.consensus) {
+                const resolved = reconcileResults(extractor, results, context);
+                value = resolved.value;
+                evidence = resolved.evidence;
+            } else if (scope === 'result') {
+                for (const result of results) {
+                    evidence = {};
+                    context.sourceUrl = result.url || null;
+                    value = extractor.extract(resultText(result), context);
+                    if (value !== null && value !== undefined) {
+                        evidence.sourceUrl = result.url || null;
+                        break;
+                    }
+                }
+            } else if (scope === 'corpus') {
+                value = extractor.extract(corpus, context);
+            } else if (scope === 'results') {
+                value = extractor.extract(results, context);
+            } else {
+                value = (extractor.derive || extractor.extract)(profile, context);
+            }
+
+            const isFallback = (value === null || value === undefined) && extractor.fallback !== undefined;
+            profile[field] = isFallback ? extractor.fallback : (value === undefined ? null : value);
+
+            if (!isEmpty(profile[field])) {
+                provenance[field] = buildProvenance(profile[field], evidence, {
+                    field, scope, results, provenance, isFallback
+                });
+            }
+        }
+    }
+    delete context.note;
+    delete context.sourceUrl;
+
+    profile.provenance = provenance;
+    return profile;
+}
+
+module.exports = {
+    buildCompanyProfile,
+    collectResults,
+    extractField,
+    extractFieldWithProvenance,
+    extractMentionProfile,
+    calculateConfidence,
+    buildProvenance,
+    ExtractorRegistry,
+    defaultRegistry,
+    CORE_FIELDS,
+    ...sizing,
+    ...money
+};
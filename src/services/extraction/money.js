@@ -0,0 +1,217 @@
+const { NUMBER, SCALE, SCALES, detectNumberLocale, parseLocaleNumber, parseScale } = require('../../utils/numberParser');
+
+/**
+ * Monetary values: parsing of amounts such as "$2.3 billion", "1,2 milliard d'euros"
+ * or "£450m" and conversion to the reporting currency with a static FX table.
+ */
+
+// Value of one unit of each currency in euros
+const DEFAULT_FX_RATES = {
+    EUR: 1,
+    USD: 0.92,
+    GBP: 1.17,
+    CHF: 1.04,
+    CAD: 0.68,
+    JPY: 0.0062,
+    CNY: 0.13,
+    INR: 0.011
+};
+
+const DEFAULT_REPORTING_CURRENCY = 'EUR';
+
+const CURRENCY_WORDS = [
+    { pattern: /^(?:€|eur|euros?|d['’]euros?)$/, currency: 'EUR' },
+    { pattern: /^(?:us\$|\$|usd|dollars?|us dollars?)$/, currency: 'USD' },
+    { pattern: /^(?:£|gbp|pounds?|livres?(?: sterling)?)$/, currency: 'GBP' },
+    { pattern: /^(?:chf|francs? suisses?)$/, currency: 'CHF' }
+];
+
+// Short scales such as "450m" or "12k" are only trusted next to a currency
+const AMBIGUOUS_SCALES = ['m', 'mn', 'k'];
+
+const CURRENCY_PREFIX = '(us\\$|\\$|€|£|eur|usd|gbp|chf)?';
+const CURRENCY_SUFFIX = "(€|\\$|£|d['’]euros?|euros?|us dollars?|dollars?|pounds?|livres?(?: sterling)?|eur|usd|gbp|chf|francs? suisses?)?";
+const MONEY_PATTERN = `${CURRENCY_PREFIX}\\s?(${NUMBER})\\s?(${SCALE})?(?![\\p{L}\\d])\\s?${CURRENCY_SUFFIX}(?![\\p{L}])`;
+
+// "fiscal 2023", "2023 revenue" or "chiffre d'affaires 2023"
+const FISCAL_YEAR_PATTERN = /(?:fy\s?|exercice\s|fiscal(?: year)?\s|en\s|in\s|for\s|pour\s)(\d{4})|(\d{4})\s(?:revenue|chiffre|results|résultats)|(?:chiffre d['’]affaires|revenue|résultats|results)\s(\d{4})/gu;
+
+function lookup(table, word, key) {
+    if (!word) return null;
+    const entry = table.find(e => e.pattern.test(word.trim()));
+    return entry ? entry[key] : null;
+}
+
+function findFiscalYear(text, index, length) {
+    const currentYear = new Date().getFullYear();
+    const window = text.substring(Math.max(0, index - 60), Math.min(text.length, index + length + 60));
+    const center = Math.min(index, 60) + length / 2;
+    let best = null;
+
+    for (const match of window.matchAll(FISCAL_YEAR_PATTERN)) {
+        const year = parseInt(match[1] || match[2] || match[3], 10);
+        if (year < 1950 || year > currentYear + 1) continue;
+        const distance = Math.abs(match.index - center);
+        if (!best || distance < best.distance) {
+            best = { year, distance };
+        }
+    }
+    return best ? best.year : null;
+}
+
+/**
+ * Every monetary amount of a text that states a currency or a scale
+ * @param {string} text - Text to analyze
+ * @returns {Array} - [{ amount, currency, currencyInferred, scale, fiscalYear, text, index, length }]
+ */
+function findMoneyExpressions(text) {
+    const lower = text.toLowerCase();
+    const locale = detectNumberLocale(lower);
+    const expressions = [];
+
+    for (const match of lower.matchAll(new RegExp(MONEY_PATTERN, 'gu'))) {
+        const [raw, prefix, number, scaleWord, suffix] = match;
+        const currency = lookup(CURRENCY_WORDS, prefix, 'currency') || lookup(CURRENCY_WORDS, suffix, 'currency');
+        const scale = parseScale(scaleWord);
+
+        if (!currency && (!scale || AMBIGUOUS_SCALES.includes(scaleWord))) continue;
+
+        const value = parseLocaleNumber(number, { locale });
+        if (value === null) continue;
+
+        const trimmed = raw.trim();
+        const index = match.index + raw.indexOf(trimmed);
+        expressions.push({
+            amount: Math.round(value * SCALES[scale || 'unit']),
+            currency: currency || DEFAULT_REPORTING_CURRENCY,
+            currencyInferred: !currency,
+            scale: scale || 'unit',
+            fiscalYear: findFiscalYear(lower, index, trimmed.length),
+            text: text.substr(index, trimmed.length),
+            index,
+            length: trimmed.length
+        });
+    }
+    return expressions;
+}
+
+/**
+ * Parse a single monetary amount such as "$2.3 billion"
+ * @param {string} text - Text holding the amount
+ * @returns {Object|null} - { amount, currency, scale, fiscalYear, text } or null
+ */
+function parseMoney(text) {
+    const [first] = findMoneyExpressions(String(text || ''));
+    if (!first) return null;
+    const { amount, currency, currencyInferred, scale, fiscalYear } = first;
+    return { amount, currency, currencyInferred, scale, fiscalYear, text: first.text };
+}
+
+/**
+ * FX table: defaults overridden by the FX_RATES variable (JSON, value in euros of one unit)
+ * @param {Object} env - Environment variables
+ * @returns {Object} - Rates by currency code
+ */
+function getFxRates(env = process.env) {
+    if (!env.FX_RATES) return { ...DEFAULT_FX_RATES };
+    try {
+        return { ...DEFAULT_FX_RATES, ...JSON.parse(env.FX_RATES) };
+    } catch (error) {
+        throw new Error(`Variable FX_RATES invalide: ${error.message}`);
+    }
+}
+
+function getReportingCurrency(env = process.env) {
+    return (env.REPORTING_CURRENCY || DEFAULT_REPORTING_CURRENCY).toUpperCase();
+}
+
+/**
+ * Convert an amount between two currencies
+ * @param {number} amount - Amount
+ * @param {string} from - Source currency
+ * @param {string} to - Target currency
+ * @param {Object} rates - FX table
+ * @returns {number|null} - Converted amount or null if a rate is missing
+ */
+function convertAmount(amount, from, to, rates = getFxRates()) {
+    if (from === to) return amount;
+    if (!rates[from] || !rates[to]) return null;
+    return amount * rates[from] / rates[to];
+}
+
+/**
+ * Structured revenue with its value in the reporting currency
+ * @param {Object} money - Parsed amount (see parseMoney)
+ * @param {Object} details - { source, env }
+ * @returns {Object} - { amount, currency, scale, fiscalYear, source, text, reporting }
+ */
+function createMoney(money, { source = null, env = process.env } = {}) {
+    const reportingCurrency = getReportingCurrency(env);
+    const converted = convertAmount(money.amount, money.currency, reportingCurrency, getFxRates(env));
+
+    return {
+        amount: money.amount,
+        currency: money.currency,
+        currencyInferred: Boolean(money.currencyInferred),
+        scale: money.scale,
+        fiscalYear: money.fiscalYear || null,
+        source,
+        text: money.text || null,
+        reporting: converted === null ? null : {
+            amount: Math.round(converted),
+            currency: reportingCurrency
+        }
+    };
+}
+
+/**
+ * Amount in the reporting currency, accepting structured values and legacy "€120M" strings
+ * @param {Object|string|number} money - Monetary value
+ * @param {Object} env - Environment variables
+ * @returns {number|null} - Amount in reporting currency units
+ */
+function toReportingAmount(money, env = process.env) {
+    if (money === null || money === undefined || money === '') return null;
+    if (typeof money === 'number') return money;
+
+    if (typeof money === 'string') {
+        const legacy = money.match(/^€(\d+(?:\.\d+)?)M$/);
+        if (legacy) {
+            return convertAmount(parseFloat(legacy[1]) * SCALES.million, 'EUR', getReportingCurrency(env), getFxRates(env));
+        }
+        const parsed = parseMoney(money);
+        return parsed ? toReportingAmount(createMoney(parsed, { env }), env) : null;
+    }
+
+    const reportingCurrency = getReportingCurrency(env);
+    if (money.reporting && money.reporting.currency === reportingCurrency) {
+        return money.reporting.amount;
+    }
+    return convertAmount(money.amount, money.currency, reportingCurrency, getFxRates(env));
+}
+
+/**
+ * Human readable amount, e.g. "22.5 Md EUR"
+ * @param {Object} money - Structured value
+ * @returns {string} - Formatted amount
+ */
+function formatMoney(money) {
+    if (!money) return null;
+    const amount = typeof money === 'object' ? money.amount : money;
+    const currency = typeof money === 'object' ? money.currency : DEFAULT_REPORTING_CURRENCY;
+    if (amount >= SCALES.billion) return `${Math.round(amount / SCALES.billion * 10) / 10} Md ${currency}`;
+    if (amount >= SCALES.million) return `${Math.round(amount / SCALES.million * 10) / 10} M ${currency}`;
+    return `${Math.round(amount)} ${currency}`;
+}
+
+module.exports = {
+    DEFAULT_FX_RATES,
+    findMoneyExpressions,
+    parseMoney,
+    createMoney,
+    convertAmount,
+    toReportingAmount,
+    formatMoney,
+    getFxRates,
+    getReportingCurrency
+};
@@ -0,0 +1,50 @@
+const SCOPES = ['result', 'corpus', 'results', 'profile'];
+
+/**
+ * Registry of field extractors.
+ *
+ * Each extractor declares the profile field it fills and the scope it runs on:
+ * - `result`: called with the text of each search result in order, first value wins
+ * - `corpus`: called once with the text of all results
+ * - `results`: called once with the raw result objects
+ * - `profile`: derived from the fields already extracted
+ *
+ * `result` extractors may declare `consensus` ({ tolerance, absoluteTolerance, toNumber }):
+ * every result is then read and the values are reconciled (see consensus.js)
+ * instead of keeping the first one.
+ *
+ * An extractor may also declare `derive(profile, context)`: a profile then gets
+ * the field from the fields already extracted, as a `profile` extractor would,
+ * while `extract` still reads it from a single text.
+ */
+class ExtractorRegistry {
+    constructor() {
+        this.extractors = new Map();
+    }
+
+    register(definition) {
+        if (!definition || !definition.field || typeof definition.extract !== 'function') {
+            throw new Error('Un extracteur doit définir "field" et "extract"');
+        }
+        const scope = definition.scope || 'corpus';
+        if (!SCOPES.includes(scope)) {
+            throw new Error(`Portée d'extracteur inconnue: ${scope}`);
+        }
+        this.extractors.set(definition.field, { ...definition, scope });
+        return this;
+    }
+
+    get(field) {
+        return this.extractors.get(field) || null;
+    }
+
+    has(field) {
+        return this.extractors.has(field);
+    }
+
+    fields() {
+        return Array.from(this.extractors.keys());
+    }
+}
+
+module.exports = { ExtractorRegistry, SCOPES };
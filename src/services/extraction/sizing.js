@@ -0,0 +1,131 @@
+const { toReportingAmount } = require('./money');
+
+/**
+ * Size categorization shared by every endpoint
+ */
+
+/**
+ * Revenue in millions of the reporting currency
+ * @param {Object|string} revenue - Structured revenue or legacy "€120M" string
+ * @returns {number|null} - Amount in millions
+ */
+function revenueInMillions(revenue) {
+    const amount = toReportingAmount(revenue);
+    return amount === null || isNaN(amount) ? null : amount / 1e6;
+}
+
+// Headcount bands used by company registries and professional networks
+const HEADCOUNT_BANDS = [
+    { label: '1-10', min: 1, max: 10 },
+    { label: '11-50', min: 11, max: 50 },
+    { label: '51-200', min: 51, max: 200 },
+    { label: '201-500', min: 201, max: 500 },
+    { label: '501-1000', min: 501, max: 1000 },
+    { label: '1001-5000', min: 1001, max: 5000 },
+    { label: '5001-10000', min: 5001, max: 10000 },
+    { label: '10001+', min: 10001, max: null }
+];
+
+function headcountBand(count) {
+    const band = HEADCOUNT_BANDS.find(b => count >= b.min && (b.max === null || count <= b.max));
+    return band ? band.label : null;
+}
+
+/**
+ * Headcount range; the point estimate is the middle of a closed range or the lower bound of an open one
+ * @param {number} min - Lower bound
+ * @param {number|null} max - Upper bound, null for "10,001+" or "more than 500"
+ * @returns {Object} - { min, max, estimate, band }
+ */
+function createEmployeeRange(min, max = min) {
+    const estimate = max === null ? min : Math.round((min + max) / 2);
+    return { min, max, estimate, band: headcountBand(estimate) };
+}
+
+/**
+ * Headcount range from a point count or an existing range
+ * @param {Object|number} employees - Range or number of employees
+ * @returns {Object|null} - { min, max, estimate, band } or null
+ */
+function toEmployeeRange(employees) {
+    if (employees === null || employees === undefined) return null;
+    if (typeof employees === 'number') return employees > 0 ? createEmployeeRange(employees) : null;
+    if (typeof employees === 'object' && employees.min) {
+        return employees.estimate ? employees : createEmployeeRange(employees.min, employees.max);
+    }
+    return null;
+}
+
+/**
+ * Number of employees used in computations
+ * @param {Object|number} employees - Range or number of employees
+ * @returns {number|null} - Point estimate
+ */
+function employeeEstimate(employees) {
+    const range = toEmployeeRange(employees);
+    return range ? range.estimate : null;
+}
+
+function categorizeEmployees(employees) {
+    const employeeCount = employeeEstimate(employees);
+    if (employeeCount === null) return null;
+    if (employeeCount < 50) return 'small';
+    if (employeeCount < 1000) return 'medium';
+    if (employeeCount < 10000) return 'large';
+    return 'enterprise';
+}
+
+function categorizeRevenue(revenue) {
+    const amount = revenueInMillions(revenue);
+    if (amount === null) return null;
+    if (amount < 10) return 'small';
+    if (amount < 100) return 'medium';
+    if (amount < 1000) return 'large';
+    return 'enterprise';
+}
+
+function guessSizeCategory(content) {
+    const lower = content.toLowerCase();
+    if (lower.includes('multinational') || lower.includes('global') ||
+        lower.includes('fortune') || lower.includes('leader')) {
+        return 'large';
+    }
+    if (lower.includes('startup') || lower.includes('small')) {
+        return 'small';
+    }
+    return null;
+}
+
+/**
+ * Size category of a profile: employees first, then revenue, then keywords
+ * @param {Object} profile - Company profile
+ * @param {string} content - Optional text used as a last resort
+ * @returns {string} - small, medium, large or enterprise
+ */
+function determineSizeCategory(profile, content = '') {
+    const employees = employeeEstimate(profile.employeeRange || profile.employees);
+    if (employees) {
+        if (employees < 50) return 'small';
+        if (employees < 250) return 'medium';
+        if (employees < 1000) return 'large';
+        return 'enterprise';
+    }
+    if (profile.revenue) {
+        const category = categorizeRevenue(profile.revenue);
+        if (category) return category;
+    }
+    return guessSizeCategory(content) || 'medium';
+}
+
+module.exports = {
+    HEADCOUNT_BANDS,
+    revenueInMillions,
+    headcountBand,
+    createEmployeeRange,
+    toEmployeeRange,
+    employeeEstimate,
+    categorizeEmployees,
+    categorizeRevenue,
+    guessSizeCategory,
+    determineSizeCategory
+};
@@ -0,0 +1,353 @@
+const os = require('os');
+const path = require('path');
+const logger = require('../../utils/logger');
+const { FileStore } = require('../cache/fileStore');
+const {
+    IDENTIFIER_TYPES,
+    compactIdentifier,
+    luhnCheck,
+    isValidSiren,
+    isValidSiret,
+    isValidLei,
+    isValidIsin,
+    isValidTicker,
+    isValidIdentifier
+} = require('./validators');
+
+/**
+ * Official company identifiers: detection in search results and lookup index.
+ */
+
+// Exchange codes as written in "(EPA: CAP)" and Yahoo Finance suffixes, with their trading currency
+const EXCHANGES = {
+    EPA: { name: 'Euronext Paris', suffix: 'PA', currency: 'EUR' },
+    AMS: { name: 'Euronext Amsterdam', suffix: 'AS', currency: 'EUR' },
+    EBR: { name: 'Euronext Brussels', suffix: 'BR', currency: 'EUR' },
+    BIT: { name: 'Borsa Italiana', suffix: 'MI', currency: 'EUR' },
+    BME: { name: 'Bolsa de Madrid', suffix: 'MC', currency: 'EUR' },
+    ETR: { name: 'Xetra', suffix: 'DE', currency: 'EUR' },
+    LON: { name: 'London Stock Exchange', suffix: 'L', currency: 'GBP' },
+    SWX: { name: 'SIX Swiss Exchange', suffix: 'SW', currency: 'CHF' },
+    TSX: { name: 'Toronto Stock Exchange', suffix: 'TO', currency: 'CAD' },
+    NYSE: { name: 'New York Stock Exchange', suffix: null, currency: 'USD' },
+    NASDAQ: { name: 'Nasdaq', suffix: null, currency: 'USD' }
+};
+
+const EXCHANGE_ALIASES = {
+    'Euronext Paris': 'EPA',
+    'Euronext': 'EPA',
+    'Xetra': 'ETR',
+    'LSE': 'LON',
+    'SIX': 'SWX'
+};
+
+// Country prefixes accepted for unlabelled ISINs (XS: international bonds)
+const ISIN_COUNTRIES = ['FR', 'US', 'GB', 'DE', 'NL', 'BE', 'LU', 'IE', 'IT', 'ES', 'PT', 'CH', 'AT', 'SE', 'DK', 'FI', 'NO', 'CA', 'JP', 'XS'];
+
+const EXCHANGE_NAMES = [...Object.keys(EXCHANGE_ALIASES), ...Object.keys(EXCHANGES)]
+    .sort((a, b) => b.length - a.length)
+    .join('|');
+
+const TEXT_PATTERNS = [
+    // "SIRET 330 703 844 00014"
+    { type: 'siret', regex: /siret\s*(?:n°|no|:)?\s*:?\s*(\d{3}\s?\d{3}\s?\d{3}\s?\d{5})(?!\d)/giu, confidence: 0.9 },
+    // "SIREN 330 703 844" or "RCS Paris 330 703 844"
+    { type: 'siren', regex: /(?:siren|rcs(?:\s+[a-zà-ÿ-]+){0,2})\s*(?:n°|no|:)?\s*:?\s*(\d{3}\s?\d{3}\s?\d{3})(?!\s?\d)/giu, confidence: 0.9 },
+    // LEI and ISIN are self-checking and can be read without a label
+    { type: 'lei', regex: /(?<![A-Z0-9])([A-Z0-9]{18}\d{2})(?![A-Z0-9])/g, confidence: 0.8 },
+    { type: 'isin', regex: new RegExp(`(?<![A-Z0-9])((?:${ISIN_COUNTRIES.join('|')})[A-Z0-9]{9}\\d)(?![A-Z0-9])`, 'g'), confidence: 0.8 },
+    // "(EPA: CAP)", "NYSE: ACN"
+    { type: 'ticker', regex: new RegExp(`(?<![A-Za-z])(${EXCHANGE_NAMES})\\s*:\\s*([A-Z][A-Z0-9]{0,5}(?:\\.[A-Z])?)(?![A-Za-z0-9])`, 'g'), confidence: 0.8 },
+    // "CAP.PA"
+    { type: 'ticker', regex: /(?<![A-Za-z0-9.])([A-Z][A-Z0-9]{0,5})\.(PA|AS|BR|MI|MC|DE|L|SW|TO)(?![A-Za-z0-9])/g, confidence: 0.7, yahoo: true }
+];
+
+function exchangeCode(name) {
+    const upper = String(name || '').toUpperCase().replace(/\s+/g, ' ');
+    if (EXCHANGES[upper]) return upper;
+    const alias = Object.keys(EXCHANGE_ALIASES).find(a => a.toUpperCase() === upper);
+    return alias ? EXCHANGE_ALIASES[alias] : null;
+}
+
+function exchangeFromSuffix(suffix) {
+    return Object.keys(EXCHANGES).find(code => EXCHANGES[code].suffix === suffix) || null;
+}
+
+/**
+ * Trading currency of an exchange
+ * @param {string} exchange - Exchange code, e.g. EPA or NYSE
+ * @returns {string|null} - Currency code or null if unknown
+ */
+function exchangeCurrency(exchange) {
+    const code = exchangeCode(exchange);
+    return code ? EXCHANGES[code].currency : null;
+}
+
+function validateMatch(type, value) {
+    return type === 'ticker' ? isValidTicker(value) : isValidIdentifier(type, value);
+}
+
+/**
+ * Every valid identifier written in a text
+ * @param {string} text - Text to analyze
+ * @returns {Array} - [{ type, value, exchange, index, length, confidence }]
+ */
+function findIdentifiers(text) {
+    const found = [];
+    const source = String(text || '');
+
+    for (const { type, regex, confidence, yahoo } of TEXT_PATTERNS) {
+        for (const match of source.matchAll(regex)) {
+            let value;
+            let exchange = null;
+            if (type === 'ticker') {
+                exchange = yahoo ? exchangeFromSuffix(match[2]) : exchangeCode(match[1]);
+                value = (yahoo ? match[1] : match[2]).toUpperCase();
+            } else {
+                value = compactIdentifier(match[1]);
+            }
+            if (!validateMatch(type, value)) continue;
+            // A SIRET also states the SIREN of the company
+            if (type === 'siren' && found.some(f => f.type === 'siret' && f.value.startsWith(value))) continue;
+            found.push({ type, value, exchange, index: match.index, length: match[0].length, confidence });
+        }
+    }
+    return found.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Type and normalized value of an identifier given by a caller
+ * @param {string} value - Identifier, e.g. "330 703 844", "FR0000125338" or "EPA:CAP"
+ * @param {string} type - Optional expected type
+ * @returns {Object} - { type, value, exchange, valid }
+ */
+function parseIdentifier(value, type = null) {
+    const raw = String(value || '').trim();
+    const compact = compactIdentifier(raw);
+
+    const qualified = /^([A-Za-z ]+):\s*([A-Za-z0-9.]+)$/.exec(raw);
+    if ((!type || type === 'ticker') && qualified && exchangeCode(qualified[1])) {
+        const symbol = qualified[2].toUpperCase();
+        return { type: 'ticker', value: symbol, exchange: exchangeCode(qualified[1]), valid: isValidTicker(symbol) };
+    }
+
+    const detected = type || (
+        /^\d{14}$/.test(compact) ? 'siret'
+            : /^\d{9}$/.test(compact) ? 'siren'
+                : /^[A-Z]{2}[A-Z0-9]{9}\d$/.test(compact) ? 'isin'
+                    : /^[A-Z0-9]{18}\d{2}$/.test(compact) ? 'lei'
+                        : 'ticker'
+    );
+
+    if (detected === 'ticker') {
+        const symbol = raw.toUpperCase();
+        const suffix = /\.([A-Z]{1,2})$/.exec(symbol);
+        const exchange = suffix ? exchangeFromSuffix(suffix[1]) : null;
+        return {
+            type: 'ticker',
+            value: exchange ? symbol.substring(0, suffix.index) : symbol,
+            exchange,
+            valid: isValidTicker(symbol)
+        };
+    }
+    return { type: detected, value: compact, exchange: null, valid: isValidIdentifier(detected, compact) };
+}
+
+/**
+ * Identifier named by a free-text company reference, if it is one
+ *
+ * A bare word like "ATOS" is a name: only checked codes and exchange-qualified
+ * tickers ("EPA:SOP") count as identifiers.
+ * @param {string} entry - Company name or identifier
+ * @returns {Object|null} - Parsed identifier, or null for a name
+ */
+function parseCompanyReference(entry) {
+    const identifier = parseIdentifier(entry);
+    if (!identifier.valid) return null;
+    if (identifier.type !== 'ticker') return identifier;
+    return identifier.exchange ? identifier : null;
+}
+
+/**
+ * Group identifiers found in search results, keeping the value with the highest weight.
+ * A company has one symbol per exchange, and tickers seen far less often than the
+ * main one are left out as they usually belong to peers.
+ * @param {Array} found - Identifiers ({ type, value, exchange, weight }), repeated once per result
+ * @returns {Object|null} - { siren, siret, lei, isin, tickers } or null if none was found
+ */
+function summarizeIdentifiers(found) {
+    if (found.length === 0) return null;
+
+    const scores = new Map();
+    for (const identifier of found) {
+        const key = `${identifier.type}|${identifier.value}`;
+        const entry = scores.get(key) || { type: identifier.type, value: identifier.value, exchange: null, score: 0 };
+        entry.score += identifier.weight || 1;
+        entry.exchange = entry.exchange || identifier.exchange || null;
+        scores.set(key, entry);
+    }
+    const ranked = [...scores.values()].sort((a, b) => b.score - a.score);
+    const best = type => {
+        const entry = ranked.find(e => e.type === type);
+        return entry ? entry.value : null;
+    };
+
+    const tickers = [];
+    const tickerEntries = ranked.filter(e => e.type === 'ticker');
+    for (const entry of tickerEntries) {
+        if (entry.score < tickerEntries[0].score / 2) break;
+        if (tickers.some(t => entry.exchange && t.exchange === entry.exchange)) continue;
+        tickers.push({ symbol: entry.value, exchange: entry.exchange });
+    }
+
+    const siret = best('siret');
+    return {
+        siren: best('siren') || (siret ? siret.substring(0, 9) : null),
+        siret,
+        lei: best('lei'),
+        isin: best('isin'),
+        tickers
+    };
+}
+
+/**
+ * Whether a profile carries a given identifier
+ * @param {Object} identifiers - Profile identifiers ({ siren, siret, lei, isin, tickers })
+ * @param {Object} identifier - Parsed identifier ({ type, value })
+ * @returns {boolean} - True if the identifier belongs to the profile
+ */
+function hasIdentifier(identifiers, identifier) {
+    if (!identifiers || !identifier) return false;
+    if (identifier.type === 'ticker') {
+        return (identifiers.tickers || []).some(t => t.symbol === identifier.value);
+    }
+    if (identifier.type === 'siren' && identifiers.siret) {
+        return identifiers.siren === identifier.value || identifiers.siret.startsWith(identifier.value);
+    }
+    return identifiers[identifier.type] === identifier.value;
+}
+
+/**
+ * Add an identifier given by a caller to the identifiers of a profile
+ * @param {Object} identifiers - Profile identifiers or null
+ * @param {Object} identifier - Parsed identifier ({ type, value, exchange })
+ * @returns {Object} - Identifiers including the new one
+ */
+function addIdentifier(identifiers, identifier) {
+    const merged = identifiers
+        ? { ...identifiers, tickers: [...(identifiers.tickers || [])] }
+        : { siren: null, siret: null, lei: null, isin: null, tickers: [] };
+
+    if (identifier.type === 'ticker') {
+        const known = merged.tickers.find(t => t.symbol === identifier.value);
+        if (known) {
+            known.exchange = known.exchange || identifier.exchange;
+        } else {
+            merged.tickers.unshift({ symbol: identifier.value, exchange: identifier.exchange });
+        }
+        return merged;
+    }
+
+    merged[identifier.type] = identifier.value;
+    if (identifier.type === 'siret' && !merged.siren) {
+        merged.siren = identifier.value.substring(0, 9);
+    }
+    return merged;
+}
+
+/**
+ * Identifier → company name index, so a company already resolved by name can
+ * later be looked up by any of its identifiers. Entries live in the shared
+ * cache, with its `identifier` TTL, unless a durable store is given; either
+ * way the index is best-effort: callers search the identifier itself on a miss.
+ */
+class IdentifierIndex {
+    constructor({ cache, store } = {}) {
+        this.cache = cache;
+        this.store = store || null;
+    }
+
+    key(type, value) {
+        return `${type}:${value}`;
+    }
+
+    async lookup(identifier) {
+        const key = this.key(identifier.type, identifier.value);
+        try {
+            const entry = this.store
+                ? await this.store.get(key)
+                : (this.cache ? await this.cache.get('identifier', key) : null);
+            return entry || null;
+        } catch (error) {
+            logger.warn(`⚠️ Index des identifiants illisible pour ${key}:`, error.message);
+            return null;
+        }
+    }
+
+    async register(companyName, identifiers) {
+        if ((!this.cache && !this.store) || !identifiers) return;
+
+        const entry = { name: companyName, identifiers };
+        const keys = ['siren', 'siret', 'lei', 'isin']
+            .filter(type => identifiers[type])
+            .map(type => this.key(type, identifiers[type]));
+        (identifiers.tickers || []).forEach(t => keys.push(this.key('ticker', t.symbol)));
+
+        // Identifiers do not change: a durable store keeps them without expiry.
+        // A failed write only costs a later live search, never the profile being returned
+        try {
+            await Promise.all(keys.map(key => this.store
+                ? this.store.set(key, entry)
+                : this.cache.set('identifier', key, entry)));
+        } catch (error) {
+            logger.warn(`⚠️ Identifiants de ${companyName} non indexés:`, error.message);
+            return;
+        }
+        if (keys.length > 0) {
+            logger.debug(`🪪 ${keys.length} identifiant(s) indexé(s) pour ${companyName}`);
+        }
+    }
+}
+
+/**
+ * Build the identifier index configured by IDENTIFIER_STORE: `cache` (default,
+ * entries expire with the cache) or `file` (one JSON file per identifier in IDENTIFIER_DIR)
+ * @param {CacheService} cache - Shared cache
+ * @param {Object} env - Environment variables
+ * @returns {IdentifierIndex} - Identifier index
+ */
+function createIdentifierIndex(cache, env = process.env) {
+    const storeName = (env.IDENTIFIER_STORE || 'cache').toLowerCase();
+
+    if (storeName === 'cache') {
+        return new IdentifierIndex({ cache });
+    }
+    if (storeName === 'file') {
+        return new IdentifierIndex({
+            store: new FileStore({ directory: env.IDENTIFIER_DIR || path.join(os.tmpdir(), 'company-comparables-identifiers') })
+        });
+    }
+    throw new Error(`Stockage de l'index des identifiants inconnu: ${storeName} (disponibles: cache, file)`);
+}
+
+module.exports = {
+    IDENTIFIER_TYPES,
+    EXCHANGES,
+    IdentifierIndex,
+    createIdentifierIndex,
+    findIdentifiers,
+    parseIdentifier,
+    parseCompanyReference,
+    summarizeIdentifiers,
+    hasIdentifier,
+    addIdentifier,
+    exchangeCurrency,
+    compactIdentifier,
+    luhnCheck,
+    isValidSiren,
+    isValidSiret,
+    isValidLei,
+    isValidIsin,
+    isValidTicker,
+    isValidIdentifier
+};
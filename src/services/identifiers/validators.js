@@ -0,0 +1,120 @@
+/**
+ * Format and checksum validation of official company identifiers
+ */
+
+// La Poste establishments do not follow the Luhn rule
+const LA_POSTE_SIREN = '356000000';
+
+const TICKER_PATTERN = /^[A-Z][A-Z0-9]{0,5}(?:[.-][A-Z]{1,2})?$/;
+
+/**
+ * Remove spaces, dots and dashes and upper-case an identifier
+ * @param {string} value - Identifier as written, e.g. "330 703 844"
+ * @returns {string} - Compact identifier
+ */
+function compactIdentifier(value) {
+    return String(value || '').replace(/[\s.-]/g, '').toUpperCase();
+}
+
+/**
+ * Luhn checksum over a string of digits
+ * @param {string} digits - Digits, check digit included
+ * @returns {boolean} - True if the checksum is valid
+ */
+function luhnCheck(digits) {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let digit = parseInt(digits[digits.length - 1 - i], 10);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+}
+
+// Letters count as two digits in ISO checksums: A = 10 ... Z = 35
+function lettersToDigits(value) {
+    return value.replace(/[A-Z]/g, letter => String(letter.charCodeAt(0) - 55));
+}
+
+function isValidSiren(value) {
+    const siren = compactIdentifier(value);
+    if (!/^\d{9}$/.test(siren)) return false;
+    return siren === LA_POSTE_SIREN || luhnCheck(siren);
+}
+
+function isValidSiret(value) {
+    const siret = compactIdentifier(value);
+    if (!/^\d{14}$/.test(siret)) return false;
+    if (siret.startsWith(LA_POSTE_SIREN)) {
+        const sum = siret.split('').reduce((total, digit) => total + parseInt(digit, 10), 0);
+        return sum % 5 === 0;
+    }
+    return luhnCheck(siret) && isValidSiren(siret.substring(0, 9));
+}
+
+/**
+ * LEI (ISO 17442): 18 alphanumeric characters and two check digits, mod 97 = 1
+ * @param {string} value - LEI
+ * @returns {boolean} - True if valid
+ */
+function isValidLei(value) {
+    const lei = compactIdentifier(value);
+    if (!/^[A-Z0-9]{18}\d{2}$/.test(lei)) return false;
+
+    // Piecewise mod 97 so the 40-digit number never leaves the safe integer range
+    const digits = lettersToDigits(lei);
+    let remainder = 0;
+    for (let i = 0; i < digits.length; i += 7) {
+        remainder = parseInt(`${remainder}${digits.substring(i, i + 7)}`, 10) % 97;
+    }
+    return remainder === 1;
+}
+
+/**
+ * ISIN (ISO 6166): country code, 9 alphanumeric characters and a Luhn check digit
+ * @param {string} value - ISIN
+ * @returns {boolean} - True if valid
+ */
+function isValidIsin(value) {
+    const isin = compactIdentifier(value);
+    if (!/^[A-Z]{2}[A-Z0-9]{9}\d$/.test(isin)) return false;
+    return luhnCheck(lettersToDigits(isin));
+}
+
+function isValidTicker(value) {
+    return TICKER_PATTERN.test(String(value || '').trim().toUpperCase());
+}
+
+const VALIDATORS = {
+    siren: isValidSiren,
+    siret: isValidSiret,
+    lei: isValidLei,
+    isin: isValidIsin,
+    ticker: isValidTicker
+};
+
+/**
+ * Check an identifier of a given type
+ * @param {string} type - siren, siret, lei, isin or ticker
+ * @param {string} value - Identifier
+ * @returns {boolean} - True if valid
+ */
+function isValidIdentifier(type, value) {
+    const validator = VALIDATORS[type];
+    return validator ? validator(value) : false;
+}
+
+module.exports = {
+    IDENTIFIER_TYPES: Object.keys(VALIDATORS),
+    compactIdentifier,
+    luhnCheck,
+    isValidSiren,
+    isValidSiret,
+    isValidLei,
+    isValidIsin,
+    isValidTicker,
+    isValidIdentifier
+};
@@ -0,0 +1,64 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * File-based job store: one JSON file per job, rewritten atomically on
+ * every state change so a status read never sees a partial write
+ */
+class FileJobStore {
+    constructor(options = {}) {
+        this.name = 'file';
+        this.directory = options.directory;
+    }
+
+    getFilePath(id) {
+        return path.join(this.directory, `${id}.json`);
+    }
+
+    async get(id) {
+        try {
+            return JSON.parse(await fs.readFile(this.getFilePath(id), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async save(job) {
+        await fs.mkdir(this.directory, { recursive: true });
+        const filePath = this.getFilePath(job.id);
+        const tmpPath = `${filePath}.${process.pid}.tmp`;
+        await fs.writeFile(tmpPath, JSON.stringify(job));
+        await fs.rename(tmpPath, filePath);
+    }
+
+    async delete(id) {
+        await fs.rm(this.getFilePath(id), { force: true });
+    }
+
+    async list() {
+        let files;
+        try {
+            files = await fs.readdir(this.directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const jobs = [];
+        for (const file of files.filter(name => name.endsWith('.json'))) {
+            const job = await this.get(file.slice(0, -'.json'.length));
+            if (job) jobs.push(job);
+        }
+        return jobs;
+    }
+
+    getInfo() {
+        return {
+            store: this.name,
+            directory: this.directory
+        };
+    }
+}
+
+module.exports = { FileJobStore };
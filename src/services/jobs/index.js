@@ -0,0 +1,247 @@
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../../utils/logger');
+const { MemoryJobStore } = require('./memoryStore');
+const { FileJobStore } = require('./fileStore');
+
+/**
+ * Background jobs for analyses too long for one HTTP request.
+ *
+ * Jobs run in-process from a FIFO queue with bounded concurrency; their state
+ * (status, progress, result or error) is saved to a store at every change so
+ * status requests can be served by any handler of the worker.
+ */
+
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed'];
+const DEFAULT_RETENTION = 24 * 60 * 60 * 1000; // 24 hours
+
+class JobService {
+    constructor(options = {}) {
+        this.store = options.store || new MemoryJobStore();
+        this.concurrency = options.concurrency || 1;
+        this.retention = options.retention || DEFAULT_RETENTION;
+        this.queue = [];
+        this.running = 0;
+        this.idleWaiters = [];
+        this.recovery = null;
+        this.writes = new Map();
+        // Worker running the jobs submitted here, so workers sharing a store only recover their own
+        this.owner = {
+            host: (options.owner && options.owner.host) || os.hostname(),
+            pid: (options.owner && options.owner.pid) || process.pid
+        };
+    }
+
+    /**
+     * Queue a job
+     * @param {string} type - Job type, e.g. 'analyzeMetrics'
+     * @param {Object} input - Parameters of the job, saved with it
+     * @param {Function} executor - async (input, reportProgress) => result; throw to fail the job
+     * @returns {Promise<Object>} - Queued job
+     */
+    async submit(type, input, executor) {
+        await this.recover();
+        await this.purgeExpired();
+
+        const job = {
+            id: crypto.randomUUID(),
+            type,
+            status: 'queued',
+            owner: this.owner,
+            input,
+            progress: {},
+            result: null,
+            error: null,
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            completedAt: null
+        };
+        await this.persist(job);
+        this.queue.push({ job, executor });
+        logger.info(`🗂️ Tâche ${job.id} (${type}) en file d'attente (${this.queue.length} en attente)`);
+
+        setImmediate(() => this.pump());
+        return job;
+    }
+
+    /**
+     * Current state of a job
+     * @param {string} id - Job id
+     * @returns {Promise<Object|null>} - Job, or null if unknown or expired
+     */
+    async get(id) {
+        await this.recover();
+        if (typeof id !== 'string' || !/^[0-9a-f-]{36}$/.test(id)) return null;
+        return this.store.get(id);
+    }
+
+    pump() {
+        while (this.running < this.concurrency && this.queue.length > 0) {
+            const { job, executor } = this.queue.shift();
+            this.running++;
+            this.run(job, executor).catch(error => {
+                logger.error(`❌ État de la tâche ${job.id} non enregistré:`, error.message);
+            }).finally(() => {
+                this.running--;
+                this.pump();
+                if (this.running === 0 && this.queue.length === 0) {
+                    this.idleWaiters.splice(0).forEach(resolve => resolve());
+                }
+            });
+        }
+    }
+
+    async run(job, executor) {
+        job.status = 'running';
+        job.startedAt = new Date().toISOString();
+        await this.persist(job);
+
+        const reportProgress = update => {
+            job.progress = { ...job.progress, ...update, updatedAt: new Date().toISOString() };
+            this.persist(job).catch(error => logger.warn(`⚠️ Progression de la tâche ${job.id} non enregistrée:`, error.message));
+        };
+
+        try {
+            job.result = await executor(job.input, reportProgress);
+            job.status = 'completed';
+            logger.info(`✅ Tâche ${job.id} terminée`);
+        } catch (error) {
+            job.status = 'failed';
+            job.error = {
+                code: error.statusCode || 500,
+                message: error.message,
+                details: error.details || null
+            };
+            logger.warn(`❌ Tâche ${job.id} échouée:`, error.message);
+        }
+        job.completedAt = new Date().toISOString();
+        await this.persist(job);
+    }
+
+    // Writes of a job are chained so a late progress update never overwrites the final state
+    persist(job) {
+        const snapshot = JSON.parse(JSON.stringify(job));
+        const previous = this.writes.get(job.id) || Promise.resolve();
+        const write = previous.catch(() => {}).then(() => this.store.save(snapshot));
+        this.writes.set(job.id, write);
+        write.finally(() => {
+            if (this.writes.get(job.id) === write) this.writes.delete(job.id);
+        }).catch(() => {});
+        return write;
+    }
+
+    /**
+     * Jobs left queued or running by a dead worker of this host cannot resume: mark them failed.
+     * Their executor died with that worker, so even a queued job is not re-run; the client resubmits it.
+     * Jobs of other hosts are left to those hosts, which recover them when they restart
+     * @returns {Promise<void>}
+     */
+    recover() {
+        if (!this.recovery) {
+            this.recovery = (async () => {
+                const stale = (await this.store.list())
+                    .filter(job => (job.status === 'queued' || job.status === 'running') && this.isOrphaned(job));
+                for (const job of stale) {
+                    await this.store.save({
+                        ...job,
+                        status: 'failed',
+                        error: { code: 503, message: 'Tâche interrompue par un redémarrage du service', details: null },
+                        completedAt: new Date().toISOString()
+                    });
+                }
+                if (stale.length > 0) {
+                    logger.warn(`⚠️ ${stale.length} tâche(s) interrompue(s) par un redémarrage`);
+                }
+            })().catch(error => {
+                // A failed recovery (store unavailable...) is attempted again by the next call
+                this.recovery = null;
+                throw error;
+            });
+        }
+        return this.recovery;
+    }
+
+    // Jobs saved without an owner predate ownership and are treated as orphaned
+    isOrphaned(job) {
+        if (!job.owner) return true;
+        if (job.owner.host !== this.owner.host) return false;
+        return job.owner.pid !== this.owner.pid && !isProcessAlive(job.owner.pid);
+    }
+
+    async purgeExpired() {
+        const limit = Date.now() - this.retention;
+        for (const job of await this.store.list()) {
+            if (job.completedAt && Date.parse(job.completedAt) < limit) {
+                await this.store.delete(job.id);
+            }
+        }
+    }
+
+    /**
+     * Resolves once every queued job has finished
+     * @returns {Promise<void>}
+     */
+    onIdle() {
+        if (this.running === 0 && this.queue.length === 0) return Promise.resolve();
+        return new Promise(resolve => this.idleWaiters.push(resolve));
+    }
+
+    getInfo() {
+        return {
+            ...this.store.getInfo(),
+            concurrency: this.concurrency,
+            running: this.running,
+            queued: this.queue.length
+        };
+    }
+}
+
+function isProcessAlive(pid) {
+    try {
+        // Signal 0 only checks that the process exists
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM';
+    }
+}
+
+function parsePositiveInt(value, fallback) {
+    const parsed = parseInt(value, 10);
+    return !isNaN(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+/**
+ * Build the job service configured by JOB_STORE (memory or file)
+ * @param {Object} env - Environment variables
+ * @returns {JobService} - Job service
+ */
+function createJobService(env = process.env) {
+    const storeName = (env.JOB_STORE || 'memory').toLowerCase();
+    let store;
+
+    if (storeName === 'memory') {
+        store = new MemoryJobStore();
+    } else if (storeName === 'file') {
+        store = new FileJobStore({ directory: env.JOB_DIR || path.join(os.tmpdir(), 'company-comparables-jobs') });
+    } else {
+        throw new Error(`Stockage des tâches inconnu: ${storeName} (disponibles: memory, file)`);
+    }
+
+    return new JobService({
+        store,
+        // Stable across restarts of the instance, unlike the process id
+        owner: { host: env.WEBSITE_INSTANCE_ID || os.hostname() },
+        concurrency: parsePositiveInt(env.JOB_CONCURRENCY, 1),
+        retention: parsePositiveInt(env.JOB_RETENTION, DEFAULT_RETENTION)
+    });
+}
+
+module.exports = {
+    JOB_STATUSES,
+    JobService,
+    createJobService,
+    MemoryJobStore,
+    FileJobStore
+};
@@ -0,0 +1,36 @@
+/**
+ * In-memory job store, lost when the worker restarts
+ */
+class MemoryJobStore {
+    constructor() {
+        this.name = 'memory';
+        this.jobs = new Map();
+    }
+
+    async get(id) {
+        const job = this.jobs.get(id);
+        return job ? JSON.parse(JSON.stringify(job)) : null;
+    }
+
+    async save(job) {
+        // Stored as a copy so callers cannot mutate a saved state
+        this.jobs.set(job.id, JSON.parse(JSON.stringify(job)));
+    }
+
+    async delete(id) {
+        this.jobs.delete(id);
+    }
+
+    async list() {
+        return [...this.jobs.values()].map(job => JSON.parse(JSON.stringify(job)));
+    }
+
+    getInfo() {
+        return {
+            store: this.name,
+            jobs: this.jobs.size
+        };
+    }
+}
+
+module.exports = { MemoryJobStore };
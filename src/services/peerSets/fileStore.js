@@ -0,0 +1,69 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * File-based peer set store: one directory per peer set and one JSON file
+ * per version, never rewritten once saved
+ */
+class FilePeerSetStore {
+    constructor(options = {}) {
+        this.name = 'file';
+        this.directory = options.directory;
+    }
+
+    getVersionPath(id, version) {
+        return path.join(this.directory, id, `${String(version).padStart(6, '0')}.json`);
+    }
+
+    async getVersions(id) {
+        let files;
+        try {
+            files = await fs.readdir(path.join(this.directory, id));
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const versions = [];
+        for (const file of files.filter(name => /^\d+\.json$/.test(name)).sort()) {
+            versions.push(JSON.parse(await fs.readFile(path.join(this.directory, id, file), 'utf8')));
+        }
+        return versions;
+    }
+
+    async append(id, record) {
+        await fs.mkdir(path.join(this.directory, id), { recursive: true });
+        try {
+            // 'wx' fails if the version exists, so concurrent saves cannot overwrite each other
+            await fs.writeFile(this.getVersionPath(id, record.version), JSON.stringify(record), { flag: 'wx' });
+        } catch (error) {
+            if (error.code === 'EEXIST') {
+                throw new Error(`La version ${record.version} de l'ensemble de pairs '${id}' existe déjà`);
+            }
+            throw error;
+        }
+    }
+
+    async listIds() {
+        try {
+            const entries = await fs.readdir(this.directory, { withFileTypes: true });
+            return entries.filter(entry => entry.isDirectory()).map(entry => entry.name);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+    }
+
+    async clear() {
+        await fs.rm(this.directory, { recursive: true, force: true });
+    }
+
+    getInfo() {
+        return {
+            store: this.name,
+            directory: this.directory
+        };
+    }
+}
+
+module.exports = { FilePeerSetStore };
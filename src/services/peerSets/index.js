@@ -0,0 +1,212 @@
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../../utils/logger');
+const { isSameEntity } = require('../entityMatching');
+const { MemoryPeerSetStore } = require('./memoryStore');
+const { FilePeerSetStore } = require('./fileStore');
+
+/**
+ * Saved peer sets: the comparables of a findComparables run kept under an id,
+ * with the inputs and scores that produced them. Every save of an id adds a
+ * version, so runs can be compared and analyses replayed on a fixed set.
+ */
+
+const PEER_SET_ID_PATTERN = /^[a-z0-9][a-z0-9-]{1,63}$/;
+
+function slugify(text) {
+    return String(text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .substring(0, 40);
+}
+
+/**
+ * Check a caller-supplied peer set id
+ * @param {string} id - Peer set id
+ * @returns {boolean} - True for lowercase letters, digits and dashes (2 to 64 characters)
+ */
+function isValidPeerSetId(id) {
+    return typeof id === 'string' && PEER_SET_ID_PATTERN.test(id);
+}
+
+// Same company when the names match or an official identifier is shared
+function isSameComparable(a, b) {
+    if (isSameEntity(a.name, b.name)) return true;
+    const left = a.identifiers || {};
+    const right = b.identifiers || {};
+    return ['isin', 'lei', 'siren'].some(type => left[type] && left[type] === right[type]);
+}
+
+/**
+ * Differences between two versions of a peer set
+ * @param {Object} from - Older version
+ * @param {Object} to - Newer version
+ * @returns {Object} - { added, removed, changed, unchanged, inputsChanged, similarityModelChanged }
+ */
+function diffPeerSetVersions(from, to) {
+    const summary = comparable => ({ name: comparable.name, similarityScore: comparable.similarityScore });
+    const matched = new Set();
+    const removed = [];
+    const changed = [];
+    const unchanged = [];
+
+    from.comparables.forEach(before => {
+        const index = to.comparables.findIndex((after, position) => !matched.has(position) && isSameComparable(before, after));
+        if (index === -1) {
+            removed.push(summary(before));
+            return;
+        }
+        matched.add(index);
+        const after = to.comparables[index];
+        const delta = (after.similarityScore || 0) - (before.similarityScore || 0);
+        if (delta === 0) {
+            unchanged.push(after.name);
+        } else {
+            changed.push({ name: after.name, from: before.similarityScore, to: after.similarityScore, delta });
+        }
+    });
+
+    const added = to.comparables
+        .filter((after, position) => !matched.has(position))
+        .map(summary);
+
+    const fields = new Set([...Object.keys(from.inputs || {}), ...Object.keys(to.inputs || {})]);
+    const inputsChanged = [...fields]
+        .filter(field => JSON.stringify((from.inputs || {})[field]) !== JSON.stringify((to.inputs || {})[field]))
+        .map(field => ({ field, from: (from.inputs || {})[field], to: (to.inputs || {})[field] }));
+
+    return {
+        added,
+        removed,
+        changed: changed.sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta)),
+        unchanged,
+        inputsChanged,
+        similarityModelChanged: JSON.stringify(from.similarityModel) !== JSON.stringify(to.similarityModel)
+    };
+}
+
+function describeVersion(record) {
+    return {
+        version: record.version,
+        label: record.label,
+        createdAt: record.createdAt,
+        comparables: record.comparables.length
+    };
+}
+
+class PeerSetService {
+    constructor(options = {}) {
+        this.store = options.store || new MemoryPeerSetStore();
+    }
+
+    /**
+     * Save a peer set as a new version of an id
+     * @param {Object} peerSet - { referenceCompany, comparables, inputs, similarityModel }
+     * @param {Object} options - { id: existing or new id, generated from the company name if absent; label }
+     * @returns {Promise<Object>} - Saved record ({ id, version, createdAt, ... })
+     */
+    async save(peerSet, options = {}) {
+        const id = options.id || `${slugify(peerSet.referenceCompany && peerSet.referenceCompany.name) || 'peers'}-${crypto.randomBytes(4).toString('hex')}`;
+        if (!isValidPeerSetId(id)) {
+            throw new Error(`Identifiant d'ensemble de pairs invalide: '${id}'`);
+        }
+
+        const versions = await this.store.getVersions(id);
+        const record = {
+            id,
+            version: versions.length > 0 ? versions[versions.length - 1].version + 1 : 1,
+            label: options.label || null,
+            createdAt: new Date().toISOString(),
+            inputs: peerSet.inputs || {},
+            referenceCompany: peerSet.referenceCompany || null,
+            similarityModel: peerSet.similarityModel || null,
+            comparables: peerSet.comparables || []
+        };
+        await this.store.append(id, record);
+        logger.info(`💾 Ensemble de pairs '${id}' enregistré (version ${record.version}, ${record.comparables.length} comparables)`);
+        return record;
+    }
+
+    /**
+     * Fetch a version of a peer set
+     * @param {string} id - Peer set id
+     * @param {number} version - Version number, latest if absent
+     * @returns {Promise<Object|null>} - Saved record or null if unknown
+     */
+    async get(id, version) {
+        if (!isValidPeerSetId(id)) return null;
+        const versions = await this.store.getVersions(id);
+        if (version === undefined || version === null) {
+            return versions.length > 0 ? versions[versions.length - 1] : null;
+        }
+        return versions.find(record => record.version === version) || null;
+    }
+
+    /**
+     * Versions of a peer set, oldest first
+     * @param {string} id - Peer set id
+     * @returns {Promise<Array>} - [{ version, label, createdAt, comparables }]
+     */
+    async listVersions(id) {
+        if (!isValidPeerSetId(id)) return [];
+        return (await this.store.getVersions(id)).map(describeVersion);
+    }
+
+    /**
+     * Compare two versions of a peer set
+     * @param {string} id - Peer set id
+     * @param {number} fromVersion - Older version, the one before toVersion if absent
+     * @param {number} toVersion - Newer version, latest if absent
+     * @returns {Promise<Object|null>} - Differences, null if a version is unknown
+     */
+    async diff(id, fromVersion, toVersion) {
+        const to = await this.get(id, toVersion);
+        if (!to) return null;
+        const from = await this.get(id, fromVersion === undefined || fromVersion === null ? to.version - 1 : fromVersion);
+        if (!from) return null;
+
+        return {
+            id,
+            from: describeVersion(from),
+            to: describeVersion(to),
+            ...diffPeerSetVersions(from, to)
+        };
+    }
+
+    getInfo() {
+        return this.store.getInfo();
+    }
+}
+
+/**
+ * Build the peer set service configured by PEER_SET_STORE (file or memory)
+ * @param {Object} env - Environment variables
+ * @returns {PeerSetService} - Peer set service
+ */
+function createPeerSetService(env = process.env) {
+    const storeName = (env.PEER_SET_STORE || 'file').toLowerCase();
+    let store;
+
+    if (storeName === 'file') {
+        store = new FilePeerSetStore({ directory: env.PEER_SET_DIR || path.join(os.tmpdir(), 'company-comparables-peer-sets') });
+    } else if (storeName === 'memory') {
+        store = new MemoryPeerSetStore();
+    } else {
+        throw new Error(`Stockage des ensembles de pairs inconnu: ${storeName} (disponibles: file, memory)`);
+    }
+
+    return new PeerSetService({ store });
+}
+
+module.exports = {
+    PeerSetService,
+    createPeerSetService,
+    diffPeerSetVersions,
+    isValidPeerSetId,
+    MemoryPeerSetStore,
+    FilePeerSetStore
+};
@@ -0,0 +1,39 @@
+/**
+ * In-memory peer set store, lost when the worker restarts
+ */
+class MemoryPeerSetStore {
+    constructor() {
+        this.name = 'memory';
+        this.versions = new Map();
+    }
+
+    async getVersions(id) {
+        return [...(this.versions.get(id) || [])];
+    }
+
+    async append(id, record) {
+        const versions = this.versions.get(id) || [];
+        if (versions.some(existing => existing.version === record.version)) {
+            throw new Error(`La version ${record.version} de l'ensemble de pairs '${id}' existe déjà`);
+        }
+        versions.push(record);
+        this.versions.set(id, versions);
+    }
+
+    async listIds() {
+        return [...this.versions.keys()];
+    }
+
+    async clear() {
+        this.versions.clear();
+    }
+
+    getInfo() {
+        return {
+            store: this.name,
+            peerSets: this.versions.size
+        };
+    }
+}
+
+module.exports = { MemoryPeerSetStore };
@@ -0,0 +1,67 @@
+const fs = require('fs/promises');
+const path = require('path');
+const logger = require('../../utils/logger');
+
+/**
+ * Local provider serving search results from JSON files.
+ * A query is looked up as `<slug>.json` in the fixtures directory and falls back
+ * to `default.json`. Files hold either a SearXNG payload or a bare array of results.
+ */
+class FileProvider {
+    constructor(config = {}) {
+        this.name = 'file';
+        this.fixturesDir = config.fixturesDir;
+    }
+
+    getConfigurationError() {
+        if (!this.fixturesDir) {
+            return 'Variable d\'environnement SEARCH_FIXTURES_DIR manquante';
+        }
+        return null;
+    }
+
+    getStatus() {
+        return {
+            fixturesDir: this.fixturesDir ? 'Configuré' : 'Non configuré'
+        };
+    }
+
+    async search(params) {
+        const candidates = [`${slugify(params.query)}.json`, 'default.json'];
+
+        for (const fileName of candidates) {
+            const filePath = path.join(this.fixturesDir, fileName);
+            let text;
+            try {
+                text = await fs.readFile(filePath, 'utf8');
+            } catch (error) {
+                if (error.code === 'ENOENT') continue;
+                throw error;
+            }
+
+            logger.info("📁 Résultats servis depuis", filePath);
+            const data = JSON.parse(text);
+            const results = Array.isArray(data) ? data : (data.results || []);
+            return {
+                results: results.map(result => ({ engine: this.name, ...result })),
+                engines: [this.name],
+                search_time: 0,
+                suggestions: Array.isArray(data) ? [] : (data.suggestions || [])
+            };
+        }
+
+        return { results: [], engines: [this.name], search_time: 0, suggestions: [] };
+    }
+}
+
+function slugify(text) {
+    return String(text)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .substring(0, 100);
+}
+
+module.exports = { FileProvider, slugify };
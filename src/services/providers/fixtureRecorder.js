@@ -0,0 +1,90 @@
+const fs = require('fs/promises');
+const path = require('path');
+const logger = require('../../utils/logger');
+const { simpleHash } = require('../../utils/helpers');
+const { slugify } = require('./fileProvider');
+
+const FIXTURE_MODES = ['record', 'replay'];
+
+/**
+ * Wraps a search provider to record every request/response pair to disk
+ * (`record`) or to serve those recordings without any network call (`replay`).
+ * Recordings are keyed by the final request parameters sent to the backend,
+ * i.e. the SearXNG URL parameters built for `searchWeb`.
+ */
+class FixtureRecorder {
+    constructor(provider, options = {}) {
+        if (!FIXTURE_MODES.includes(options.mode)) {
+            throw new Error(`Mode de fixtures inconnu: ${options.mode} (disponibles: ${FIXTURE_MODES.join(', ')})`);
+        }
+        this.provider = provider;
+        this.name = provider.name;
+        this.mode = options.mode;
+        this.fixtureDir = options.fixtureDir;
+
+        // In replay mode no token is ever requested
+        if (this.mode === 'record' && typeof provider.getAccessToken === 'function') {
+            this.getAccessToken = () => provider.getAccessToken();
+        }
+    }
+
+    getConfigurationError() {
+        if (!this.fixtureDir) {
+            return 'Variable d\'environnement SEARCH_FIXTURE_DIR manquante';
+        }
+        return this.mode === 'replay' ? null : this.provider.getConfigurationError();
+    }
+
+    getStatus() {
+        const providerStatus = typeof this.provider.getStatus === 'function' ? this.provider.getStatus() : {};
+        return {
+            ...providerStatus,
+            fixtureMode: this.mode
+        };
+    }
+
+    getRequestKey(params) {
+        if (typeof this.provider.buildUrlParams === 'function') {
+            const urlParams = this.provider.buildUrlParams(params);
+            urlParams.sort();
+            return urlParams.toString();
+        }
+        return JSON.stringify(params);
+    }
+
+    getFixturePath(key, params) {
+        return path.join(this.fixtureDir, `${slugify(params.query || 'query')}-${simpleHash(key)}.json`);
+    }
+
+    async search(params) {
+        const key = this.getRequestKey(params);
+        const fixturePath = this.getFixturePath(key, params);
+
+        if (this.mode === 'replay') {
+            let text;
+            try {
+                text = await fs.readFile(fixturePath, 'utf8');
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    throw new Error(`Aucun enregistrement de recherche pour: ${key}`);
+                }
+                throw error;
+            }
+            logger.info("📼 Réponse rejouée depuis", fixturePath);
+            return JSON.parse(text).response;
+        }
+
+        const response = await this.provider.search(params);
+        await fs.mkdir(this.fixtureDir, { recursive: true });
+        await fs.writeFile(fixturePath, JSON.stringify({
+            key,
+            provider: this.provider.name,
+            recordedAt: new Date().toISOString(),
+            response
+        }, null, 2));
+        logger.info("📼 Réponse enregistrée dans", fixturePath);
+        return response;
+    }
+}
+
+module.exports = { FixtureRecorder, FIXTURE_MODES };
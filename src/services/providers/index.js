@@ -0,0 +1,69 @@
+const { SearxngProvider } = require('./searxngProvider');
+const { JsonApiProvider } = require('./jsonApiProvider');
+const { FileProvider } = require('./fileProvider');
+const { FixtureRecorder } = require('./fixtureRecorder');
+
+// Unset, unreadable or negative settings fall back to the default of the provider
+function parseSetting(value, { allowZero = false } = {}) {
+    const parsed = parseInt(value, 10);
+    return !isNaN(parsed) && (parsed > 0 || (allowZero && parsed === 0)) ? parsed : undefined;
+}
+
+const providers = {
+    searxng: (env) => new SearxngProvider({
+        searxngUrl: env.SEARXNG_URL,
+        clientId: env.CLIENT_ID,
+        clientSecret: env.CLIENT_SECRET,
+        tenantId: env.TENANT_ID,
+        tokenUrl: env.TOKEN_URL,
+        // 0 turns retries off
+        retries: parseSetting(env.SEARXNG_RETRIES, { allowZero: true }),
+        retryDelay: parseSetting(env.SEARXNG_RETRY_DELAY),
+        breakerThreshold: parseSetting(env.SEARXNG_BREAKER_THRESHOLD),
+        breakerResetTimeout: parseSetting(env.SEARXNG_BREAKER_RESET)
+    }),
+    jsonapi: (env) => new JsonApiProvider({
+        apiUrl: env.SEARCH_API_URL,
+        apiKey: env.SEARCH_API_KEY,
+        apiKeyHeader: env.SEARCH_API_KEY_HEADER,
+        queryParam: env.SEARCH_API_QUERY_PARAM,
+        resultsPath: env.SEARCH_API_RESULTS_PATH,
+        fieldMap: env.SEARCH_API_FIELD_MAP ? JSON.parse(env.SEARCH_API_FIELD_MAP) : undefined
+    }),
+    file: (env) => new FileProvider({
+        fixturesDir: env.SEARCH_FIXTURES_DIR
+    })
+};
+
+/**
+ * Build the search backend selected by SEARCH_PROVIDER (searxng by default),
+ * wrapped in a FixtureRecorder when SEARCH_FIXTURE_MODE is set
+ * @param {string} name - Provider name
+ * @param {Object} env - Environment variables
+ * @returns {Object} - Search provider
+ */
+function createSearchProvider(name = process.env.SEARCH_PROVIDER, env = process.env) {
+    const providerName = (name || 'searxng').toLowerCase();
+    const factory = providers[providerName];
+    if (!factory) {
+        throw new Error(`Fournisseur de recherche inconnu: ${providerName} (disponibles: ${Object.keys(providers).join(', ')})`);
+    }
+    const provider = factory(env);
+
+    if (env.SEARCH_FIXTURE_MODE) {
+        return new FixtureRecorder(provider, {
+            mode: env.SEARCH_FIXTURE_MODE.toLowerCase(),
+            fixtureDir: env.SEARCH_FIXTURE_DIR
+        });
+    }
+    return provider;
+}
+
+module.exports = {
+    createSearchProvider,
+    availableProviders: Object.keys(providers),
+    SearxngProvider,
+    JsonApiProvider,
+    FileProvider,
+    FixtureRecorder
+};
@@ -0,0 +1,121 @@
+const logger = require('../../utils/logger');
+
+const DEFAULT_FIELD_MAP = {
+    title: ['title', 'name'],
+    url: ['url', 'link', 'href'],
+    content: ['content', 'snippet', 'description', 'summary'],
+    publishedDate: ['publishedDate', 'published_at', 'date'],
+    score: ['score', 'rank']
+};
+
+/**
+ * Generic JSON search API (Bing-like, Brave-like or in-house endpoints).
+ * Results are mapped onto the SearXNG payload shape so that
+ * SearchService.formatSearchResults can normalize every backend the same way.
+ */
+class JsonApiProvider {
+    constructor(config = {}) {
+        this.name = 'jsonapi';
+        this.apiUrl = config.apiUrl;
+        this.apiKey = config.apiKey || null;
+        this.apiKeyHeader = config.apiKeyHeader || 'X-API-Key';
+        this.queryParam = config.queryParam || 'q';
+        this.resultsPath = config.resultsPath || 'results';
+        this.fieldMap = { ...DEFAULT_FIELD_MAP, ...(config.fieldMap || {}) };
+        this.timeout = config.timeout || 30000;
+    }
+
+    getConfigurationError() {
+        if (!this.apiUrl) {
+            return 'Variable d\'environnement SEARCH_API_URL manquante';
+        }
+        return null;
+    }
+
+    getStatus() {
+        return {
+            searchApiUrl: this.apiUrl ? 'Configuré' : 'Non configuré',
+            apiKey: this.apiKey ? 'Configuré' : 'Non configuré'
+        };
+    }
+
+    buildUrl(params) {
+        const url = new URL(this.apiUrl);
+        url.searchParams.set(this.queryParam, params.query);
+        if (params.language) url.searchParams.set('lang', params.language);
+        if (params.page) url.searchParams.set('page', params.page);
+        for (const [key, value] of Object.entries(params.additionalParams || {})) {
+            url.searchParams.set(key, value);
+        }
+        return url.toString();
+    }
+
+    async search(params) {
+        const searchUrl = this.buildUrl(params);
+        logger.info("🔎 Appel API de recherche JSON");
+        logger.info("URL :", searchUrl);
+
+        const headers = { 'Accept': 'application/json' };
+        if (this.apiKey) {
+            headers[this.apiKeyHeader] = this.apiKey;
+        }
+
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+
+        try {
+            const response = await fetch(searchUrl, { method: 'GET', headers, signal: controller.signal });
+            clearTimeout(timeoutId);
+
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(`Erreur de recherche API JSON: ${response.status} ${response.statusText} - ${errorText}`);
+            }
+
+            const data = await response.json();
+            return this.toSearxngShape(data);
+        } catch (error) {
+            clearTimeout(timeoutId);
+            if (error.name === 'AbortError') {
+                throw new Error(`Timeout de ${Math.round(this.timeout / 1000)} secondes dépassé pour l'API de recherche`);
+            }
+            throw error;
+        }
+    }
+
+    toSearxngShape(data) {
+        const items = readPath(data, this.resultsPath);
+        const results = Array.isArray(items) ? items : [];
+
+        return {
+            results: results.map(item => ({
+                title: pickField(item, this.fieldMap.title),
+                url: pickField(item, this.fieldMap.url),
+                content: pickField(item, this.fieldMap.content),
+                publishedDate: pickField(item, this.fieldMap.publishedDate),
+                score: pickField(item, this.fieldMap.score),
+                engine: this.name
+            })),
+            engines: [this.name],
+            search_time: data.search_time || data.took || null,
+            suggestions: Array.isArray(data.suggestions) ? data.suggestions : []
+        };
+    }
+}
+
+function readPath(data, path) {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+function pickField(item, candidates) {
+    const keys = Array.isArray(candidates) ? candidates : [candidates];
+    for (const key of keys) {
+        const value = readPath(item, key);
+        if (value !== undefined && value !== null && value !== '') {
+            return value;
+        }
+    }
+    return undefined;
+}
+
+module.exports = { JsonApiProvider };
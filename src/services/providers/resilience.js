@@ -0,0 +1,153 @@
+const logger = require('../../utils/logger');
+
+/**
+ * Resilience of the calls made to remote backends (SearXNG, Azure AD).
+ *
+ * Errors are classified as retryable (timeouts, network failures, 408, 429
+ * and 5xx) or not (bad request, bad credentials...). A circuit breaker counts
+ * the consecutive retryable failures of a backend and, past a threshold,
+ * rejects calls at once until a trial call is allowed after a cool-down.
+ */
+
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT'];
+const CIRCUIT_OPEN = 'CIRCUIT_OPEN';
+
+/**
+ * Error for an HTTP response in error, keeping its status and Retry-After
+ * @param {string} message - Error message
+ * @param {Response} response - fetch response
+ * @returns {Error} - Error with `status` and `retryAfter` (ms, or null)
+ */
+function createHttpError(message, response) {
+    const error = new Error(message);
+    error.status = response.status;
+    error.retryAfter = parseRetryAfter(response.headers && response.headers.get('retry-after'));
+    return error;
+}
+
+/**
+ * Delay asked by a Retry-After header
+ * @param {string} value - Seconds, or an HTTP date
+ * @returns {number|null} - Delay in ms, null if absent or unreadable
+ */
+function parseRetryAfter(value) {
+    if (!value) return null;
+    if (/^\d+$/.test(value.trim())) {
+        return parseInt(value, 10) * 1000;
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Whether a failed call is worth retrying
+ * @param {Error} error - Error thrown by the call
+ * @returns {boolean} - True for timeouts, network failures, 408, 425, 429 and 5xx responses
+ */
+function isRetryableError(error) {
+    if (!error || error.code === CIRCUIT_OPEN) return false;
+    if (error.status) return RETRYABLE_STATUSES.includes(error.status);
+    if (error.name === 'AbortError' || error.code === 'ETIMEDOUT') return true;
+
+    // fetch reports network failures as a TypeError with the system error as cause
+    const cause = error.cause || {};
+    return RETRYABLE_NETWORK_CODES.includes(error.code) || RETRYABLE_NETWORK_CODES.includes(cause.code) ||
+        (error.name === 'TypeError' && /fetch failed/i.test(error.message));
+}
+
+class CircuitBreaker {
+    constructor(name, options = {}) {
+        this.name = name;
+        this.failureThreshold = options.failureThreshold || 5;
+        this.resetTimeout = options.resetTimeout || 30000;
+        this.isFailure = options.isFailure || isRetryableError;
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+        this.trialRunning = false;
+        this.lastError = null;
+    }
+
+    /**
+     * Run a call through the breaker
+     * @param {Function} operation - async () => result
+     * @returns {Promise<*>} - Result of the call; rejects with CIRCUIT_OPEN while the backend is deemed down
+     */
+    async execute(operation) {
+        if (this.state === 'open' && Date.now() - this.openedAt >= this.resetTimeout) {
+            this.state = 'half-open';
+        }
+        if (this.state === 'open' || (this.state === 'half-open' && this.trialRunning)) {
+            throw this.createOpenError();
+        }
+
+        const trial = this.state === 'half-open';
+        this.trialRunning = trial;
+        try {
+            const result = await operation();
+            this.recordSuccess();
+            return result;
+        } catch (error) {
+            if (this.isFailure(error)) {
+                this.recordFailure(error);
+            } else if (trial) {
+                // The backend answered: it is up, even if the call was refused
+                this.recordSuccess();
+            }
+            throw error;
+        } finally {
+            if (trial) this.trialRunning = false;
+        }
+    }
+
+    recordSuccess() {
+        if (this.state !== 'closed') {
+            logger.info(`🟢 Circuit ${this.name} refermé`);
+        }
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+    }
+
+    recordFailure(error) {
+        this.failures++;
+        this.lastError = { message: error.message, timestamp: new Date().toISOString() };
+        if (this.state === 'half-open' || this.failures >= this.failureThreshold) {
+            if (this.state !== 'open') {
+                logger.error(`🔴 Circuit ${this.name} ouvert après ${this.failures} échec(s): ${error.message}`);
+            }
+            this.state = 'open';
+            this.openedAt = Date.now();
+        }
+    }
+
+    createOpenError() {
+        const retryIn = Math.max(0, Math.ceil((this.openedAt + this.resetTimeout - Date.now()) / 1000));
+        const error = new Error(`Service ${this.name} indisponible (circuit ouvert), nouvel essai dans ${retryIn} s`);
+        error.code = CIRCUIT_OPEN;
+        return error;
+    }
+
+    /**
+     * State reported by testConnection
+     * @returns {Object} - state, consecutive failures, opening date and last error
+     */
+    getState() {
+        return {
+            state: this.state === 'open' && Date.now() - this.openedAt >= this.resetTimeout ? 'half-open' : this.state,
+            failures: this.failures,
+            failureThreshold: this.failureThreshold,
+            openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+            lastError: this.lastError
+        };
+    }
+}
+
+module.exports = {
+    CircuitBreaker,
+    createHttpError,
+    parseRetryAfter,
+    isRetryableError,
+    CIRCUIT_OPEN
+};
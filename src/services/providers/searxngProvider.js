@@ -0,0 +1,254 @@
+const logger = require('../../utils/logger');
+const { retryWithBackoff } = require('../../utils/helpers');
+const { CircuitBreaker, createHttpError, isRetryableError } = require('./resilience');
+const { PartialJsonParser } = require('../../utils/partialJsonParser');
+
+/**
+ * SearXNG backend protected by an Azure AD bearer token
+ */
+class SearxngProvider {
+    constructor(config = {}) {
+        this.name = 'searxng';
+        this.searxngUrl = config.searxngUrl;
+        this.clientId = config.clientId;
+        this.clientSecret = config.clientSecret;
+        this.tenantId = config.tenantId;
+        this.tokenUrl = config.tokenUrl;
+        this.timeout = config.timeout || 30000;
+        this.accessToken = null;
+        this.tokenExpiry = null;
+
+        // Transient failures are retried; a backend that keeps failing is short-circuited
+        this.retry = {
+            retries: config.retries !== undefined ? config.retries : 2,
+            baseDelay: config.retryDelay || 500,
+            maxDelay: config.maxRetryDelay || 10000
+        };
+        const breakerOptions = {
+            failureThreshold: config.breakerThreshold,
+            resetTimeout: config.breakerResetTimeout
+        };
+        this.breakers = {
+            search: new CircuitBreaker('SearXNG', breakerOptions),
+            token: new CircuitBreaker('Azure AD', breakerOptions)
+        };
+    }
+
+    getConfigurationError() {
+        if (!this.searxngUrl || !this.clientId || !this.clientSecret || !this.tenantId || !this.tokenUrl) {
+            return 'Variables d\'environnement Azure AD manquantes';
+        }
+        return null;
+    }
+
+    getStatus() {
+        return {
+            searxngUrl: this.searxngUrl ? 'Configuré' : 'Non configuré',
+            azureAdAuth: (this.clientId && this.clientSecret && this.tenantId && this.tokenUrl) ? 'Configuré' : 'Non configuré',
+            tokenStatus: this.accessToken ? 'Token actif' : 'Pas de token',
+            circuitBreakers: {
+                search: this.breakers.search.getState(),
+                token: this.breakers.token.getState()
+            }
+        };
+    }
+
+    /**
+     * Call a backend with retries, behind its circuit breaker
+     * @param {string} breaker - 'search' or 'token'
+     * @param {Function} operation - async () => result, one attempt
+     * @returns {Promise<*>} - Result of the first successful attempt
+     */
+    callWithResilience(breaker, operation) {
+        return this.breakers[breaker].execute(() => retryWithBackoff(operation, this.retry.retries, this.retry.baseDelay, {
+            shouldRetry: isRetryableError,
+            maxDelay: this.retry.maxDelay,
+            jitter: true,
+            onRetry: (error, attempt, delay) => {
+                logger.info(`🔁 Nouvel essai ${attempt}/${this.retry.retries} (${this.breakers[breaker].name}) dans ${Math.round(delay)} ms: ${error.message}`);
+            }
+        }));
+    }
+
+    async getAccessToken() {
+        if (this.accessToken && this.tokenExpiry && Date.now() < this.tokenExpiry) {
+            return this.accessToken;
+        }
+
+        try {
+            const data = await this.callWithResilience('token', () => this.requestToken());
+            this.accessToken = data.access_token;
+            this.tokenExpiry = Date.now() + (data.expires_in * 1000) - 60000;
+
+            return this.accessToken;
+        } catch (error) {
+            const tokenError = new Error(`Erreur obtention token Azure AD: ${error.message}`);
+            tokenError.code = error.code;
+            tokenError.status = error.status;
+            throw tokenError;
+        }
+    }
+
+    async requestToken() {
+        const tokenEndpoint = `https://login.microsoftonline.com/${this.tenantId}/oauth2/v2.0/token`;
+        const params = new URLSearchParams();
+        params.append('client_id', this.clientId);
+        params.append('client_secret', this.clientSecret);
+        params.append('grant_type', 'client_credentials');
+
+        let scope = this.tokenUrl;
+        if (!scope.endsWith('/.default')) {
+            scope = `${scope}/.default`;
+        }
+        params.append('scope', scope);
+
+        const response = await fetch(tokenEndpoint, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded',
+            },
+            body: params,
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw createHttpError(`Erreur d'authentification Azure AD: ${response.status} - ${errorText}`, response);
+        }
+
+        return response.json();
+    }
+
+    buildUrlParams(params) {
+        return new URLSearchParams({
+            q: params.query,
+            format: 'json',
+            categories: params.categories || 'general',
+            engines: params.engines || '',
+            lang: params.language || 'fr',
+            pageno: params.page || 1,
+            ...params.additionalParams
+        });
+    }
+
+    async search(params) {
+        const token = await this.getAccessToken();
+        return this.callWithResilience('search', () => this.fetchSearch(params, token));
+    }
+
+    async fetchSearch(params, token) {
+        const baseUrl = this.searxngUrl.replace(/\/$/, "");
+        const searchUrl = `${baseUrl}/search?${this.buildUrlParams(params)}`;
+
+        logger.info("🔎 Appel SearXNG");
+        logger.info("URL :", searchUrl);
+
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+
+        try {
+            const response = await fetch(searchUrl, {
+                method: 'GET',
+                headers: {
+                    'Authorization': `Bearer ${token}`,
+                    'Accept': 'application/json',
+                    'User-Agent': 'Mozilla/5.0'
+                },
+                signal: controller.signal
+            });
+
+            logger.info("📡 Appel fetch terminé");
+            logger.info("Status HTTP :", response.status);
+
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw createHttpError(`Erreur de recherche SearXNG: ${response.status} ${response.statusText} - ${errorText}`, response);
+            }
+
+            // The timeout also covers the body: what arrived before it is kept
+            const data = await this.readBody(response);
+            clearTimeout(timeoutId);
+            return data;
+        } catch (fetchError) {
+            clearTimeout(timeoutId);
+
+            if (fetchError.name === 'AbortError') {
+                const timeoutError = new Error(`Timeout de ${Math.round(this.timeout / 1000)} secondes dépassé pour la recherche SearXNG`);
+                timeoutError.code = 'ETIMEDOUT';
+                throw timeoutError;
+            }
+            throw fetchError;
+        }
+    }
+
+    /**
+     * Read the response body as it arrives; if the connection is cut,
+     * the results fully received are returned
+     * @param {Response} response - fetch response
+     * @returns {Promise<Object>} - SearXNG response, flagged `truncated` if cut
+     */
+    async readBody(response) {
+        logger.info("🔍 Début lecture du body...");
+        if (!response.body || typeof response.body[Symbol.asyncIterator] !== 'function') {
+            return this.parseBody(await response.text());
+        }
+
+        const parser = new PartialJsonParser();
+        const decoder = new TextDecoder();
+        let size = 0;
+        try {
+            for await (const chunk of response.body) {
+                size += chunk.length;
+                this.feedParser(parser, decoder.decode(chunk, { stream: true }));
+            }
+            this.feedParser(parser, decoder.decode());
+        } catch (readError) {
+            if (readError.parseError || !parser.started) throw readError;
+            logger.error("❌ Lecture du body interrompue:", readError.message);
+        }
+        logger.info("📏 Taille totale:", size);
+        return this.toSearchResponse(parser);
+    }
+
+    parseBody(text) {
+        logger.info("📏 Taille totale:", text.length);
+        const parser = new PartialJsonParser();
+        this.feedParser(parser, text);
+        return this.toSearchResponse(parser);
+    }
+
+    feedParser(parser, text) {
+        try {
+            parser.write(text);
+        } catch (parseError) {
+            logger.error("❌ Erreur parsing JSON:", parseError.message);
+            const error = new Error(`Réponse non JSON reçue du serveur SearXNG: ${parseError.message}`);
+            error.parseError = true;
+            throw error;
+        }
+    }
+
+    toSearchResponse(parser) {
+        if (!parser.started) {
+            throw new Error("Réponse vide reçue du serveur SearXNG");
+        }
+
+        const { value, complete, dropped } = parser.end();
+        const droppedResults = dropped.results || 0;
+        if (complete) {
+            logger.info("✅ JSON parsé avec succès");
+            logger.info("📊 Nombre de résultats:", value.results?.length || 0);
+            return droppedResults > 0 ? { ...value, droppedResults } : value;
+        }
+
+        const results = value.results || [];
+        logger.info(`⚠️ Réponse SearXNG tronquée: ${results.length} résultat(s) récupéré(s), ${droppedResults} perdu(s)`);
+        return {
+            ...value,
+            results,
+            truncated: true,
+            droppedResults
+        };
+    }
+}
+
+module.exports = { SearxngProvider };
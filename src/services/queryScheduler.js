@@ -0,0 +1,171 @@
+const logger = require('../utils/logger');
+
+/**
+ * Per-request scheduling of web searches.
+ *
+ * A scheduler runs at most `concurrency` searches at a time and stops a request
+ * from running more than `maxQueries` searches or past its deadline. Searches
+ * refused or cut short by the budget fail with a SEARCH_BUDGET_EXHAUSTED error,
+ * so callers can keep the results they already have and flag them incomplete.
+ */
+
+const DEFAULT_CONCURRENCY = 4;
+const DEFAULT_MAX_QUERIES = 60;
+const DEFAULT_TIMEOUT = 120000; // 2 minutes, under the HTTP timeout of the Functions host
+const SEARCH_BUDGET_EXHAUSTED = 'SEARCH_BUDGET_EXHAUSTED';
+
+class QueryScheduler {
+    constructor(options = {}) {
+        this.concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+        this.maxQueries = options.maxQueries || Infinity;
+        this.timeout = options.timeout || null;
+        this.startedAt = Date.now();
+        this.deadline = this.timeout ? this.startedAt + this.timeout : null;
+        this.running = 0;
+        this.waiting = [];
+        this.exhausted = null;
+        this.stats = {
+            queriesRun: 0,
+            queriesSkipped: 0,
+            queriesInterrupted: 0
+        };
+    }
+
+    /**
+     * Run a search within the budget
+     * @param {Function} task - async () => search result
+     * @returns {Promise<*>} - Result of the task; rejects with SEARCH_BUDGET_EXHAUSTED if refused or cut short
+     */
+    async schedule(task) {
+        await this.acquire();
+        try {
+            const reason = this.checkBudget();
+            if (reason) {
+                this.stats.queriesSkipped++;
+                throw createBudgetError(reason);
+            }
+            this.stats.queriesRun++;
+            return await this.withDeadline(task());
+        } finally {
+            this.release();
+        }
+    }
+
+    /**
+     * Search service whose web searches go through this scheduler,
+     * including those made by searchCompanyInfo
+     * @param {Object} searchService - SearchService
+     * @returns {Object} - Search service bound to the budget
+     */
+    wrap(searchService) {
+        const scheduled = Object.create(searchService);
+        scheduled.searchWeb = (...args) => this.schedule(() => searchService.searchWeb(...args));
+        return scheduled;
+    }
+
+    checkBudget() {
+        if (!this.exhausted) {
+            if (this.stats.queriesRun >= this.maxQueries) {
+                this.exhausted = 'maxQueries';
+            } else if (this.deadline && Date.now() >= this.deadline) {
+                this.exhausted = 'deadline';
+            }
+            if (this.exhausted) {
+                logger.info(`⏱️ Budget de recherche épuisé (${this.exhausted}) après ${this.stats.queriesRun} requête(s)`);
+            }
+        }
+        return this.exhausted;
+    }
+
+    // A search still running at the deadline is abandoned, its late result ignored
+    withDeadline(promise) {
+        if (!this.deadline) return promise;
+
+        let timer;
+        const expired = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                this.exhausted = this.exhausted || 'deadline';
+                this.stats.queriesInterrupted++;
+                reject(createBudgetError('deadline'));
+            }, Math.max(0, this.deadline - Date.now()));
+        });
+        promise.catch(() => {});
+        return Promise.race([promise, expired]).finally(() => clearTimeout(timer));
+    }
+
+    acquire() {
+        if (this.running < this.concurrency) {
+            this.running++;
+            return Promise.resolve();
+        }
+        return new Promise(resolve => this.waiting.push(resolve));
+    }
+
+    release() {
+        const next = this.waiting.shift();
+        if (next) {
+            next();
+        } else {
+            this.running--;
+        }
+    }
+
+    /**
+     * Budget use, returned with the results of the request
+     * @returns {Object} - complete flag, reason of an exhausted budget and counters
+     */
+    getStatus() {
+        return {
+            complete: !this.exhausted,
+            exhaustedBy: this.exhausted,
+            ...this.stats,
+            maxQueries: Number.isFinite(this.maxQueries) ? this.maxQueries : null,
+            timeout: this.timeout,
+            concurrency: this.concurrency,
+            elapsedMs: Date.now() - this.startedAt
+        };
+    }
+}
+
+function createBudgetError(reason) {
+    const error = new Error(reason === 'deadline'
+        ? 'Délai de recherche dépassé'
+        : 'Nombre maximum de requêtes de recherche atteint');
+    error.code = SEARCH_BUDGET_EXHAUSTED;
+    error.reason = reason;
+    return error;
+}
+
+/**
+ * Whether a search failed because the budget of the request was exhausted
+ * @param {Error} error - Error thrown by a scheduled search
+ * @returns {boolean} - True for SEARCH_BUDGET_EXHAUSTED errors
+ */
+function isBudgetError(error) {
+    return Boolean(error) && error.code === SEARCH_BUDGET_EXHAUSTED;
+}
+
+/**
+ * Scheduler for one request: SEARCH_CONCURRENCY, SEARCH_MAX_QUERIES and SEARCH_TIMEOUT
+ * set the limits, which a request can lower but not raise
+ * @param {Object} limits - Optional { maxQueries, timeout } asked by the request
+ * @param {Object} env - Environment variables
+ * @returns {QueryScheduler} - Query scheduler
+ */
+function createQueryScheduler(limits = {}, env = process.env) {
+    const maxQueries = parseInt(env.SEARCH_MAX_QUERIES, 10) || DEFAULT_MAX_QUERIES;
+    const timeout = parseInt(env.SEARCH_TIMEOUT, 10) || DEFAULT_TIMEOUT;
+
+    return new QueryScheduler({
+        concurrency: parseInt(env.SEARCH_CONCURRENCY, 10) || DEFAULT_CONCURRENCY,
+        maxQueries: Math.min(maxQueries, limits.maxQueries || Infinity),
+        timeout: Math.min(timeout, limits.timeout || Infinity)
+    });
+}
+
+module.exports = {
+    QueryScheduler,
+    createQueryScheduler,
+    isBudgetError,
+    SEARCH_BUDGET_EXHAUSTED
+};
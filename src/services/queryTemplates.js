@@ -0,0 +1,204 @@
+/**
+ * Localized search queries for comparable companies
+ *
+ * Peers are searched in the language of the target geography, with the local
+ * words for sectors and company sizes, the local legal forms as hints and the
+ * matching SearXNG `lang` value.
+ */
+
+const SIZE_CATEGORIES = ['micro', 'small', 'medium', 'large', 'enterprise'];
+
+const QUERY_LOCALES = {
+    fr: {
+        language: 'fr',
+        countries: { 'France': 'France', 'Belgium': 'Belgique', 'Luxembourg': 'Luxembourg' },
+        legalForms: ['SA', 'SAS', 'SARL'],
+        sizes: ['TPE', 'PME', 'ETI', 'grande entreprise', 'grand groupe'],
+        sectors: {
+            'Technology': 'technologie', 'Finance': 'finance', 'Healthcare': 'santé',
+            'Manufacturing': 'industrie', 'Retail': 'distribution', 'Energy': 'énergie',
+            'Consulting': 'conseil', 'Telecommunications': 'télécommunications',
+            'Real Estate': 'immobilier', 'Transportation': 'transport', 'Education': 'éducation'
+        },
+        templates: {
+            sameCountry: 'entreprises {sector} {country} {legalForms}',
+            competitors: 'concurrents {sector} entreprises similaires',
+            sameSize: 'entreprises {sector} {size}',
+            leaders: 'leaders {sector} top entreprises',
+            itServices: 'sociétés conseil technologie consulting'
+        }
+    },
+    de: {
+        language: 'de',
+        countries: { 'Germany': 'Deutschland', 'Austria': 'Österreich', 'Switzerland': 'Schweiz' },
+        legalForms: ['GmbH', 'AG'],
+        sizes: ['Kleinstunternehmen', 'Kleinunternehmen', 'Mittelstand', 'Großunternehmen', 'Konzern'],
+        sectors: {
+            'Technology': 'Technologie', 'Finance': 'Finanzdienstleistungen', 'Healthcare': 'Gesundheitswesen',
+            'Manufacturing': 'Industrie', 'Retail': 'Einzelhandel', 'Energy': 'Energie',
+            'Consulting': 'Beratung', 'Telecommunications': 'Telekommunikation',
+            'Real Estate': 'Immobilien', 'Transportation': 'Logistik', 'Education': 'Bildung'
+        },
+        templates: {
+            sameCountry: '{sector} Unternehmen {country} {legalForms}',
+            competitors: 'Wettbewerber {sector} ähnliche Unternehmen',
+            sameSize: '{size} {sector}',
+            leaders: 'führende {sector} Unternehmen',
+            itServices: 'IT-Beratung Unternehmen Technologie'
+        }
+    },
+    es: {
+        language: 'es',
+        countries: { 'Spain': 'España', 'Mexico': 'México' },
+        legalForms: ['S.A.', 'S.L.'],
+        sizes: ['microempresa', 'pequeña empresa', 'mediana empresa', 'gran empresa', 'multinacional'],
+        sectors: {
+            'Technology': 'tecnología', 'Finance': 'finanzas', 'Healthcare': 'salud',
+            'Manufacturing': 'industria', 'Retail': 'comercio minorista', 'Energy': 'energía',
+            'Consulting': 'consultoría', 'Telecommunications': 'telecomunicaciones',
+            'Real Estate': 'inmobiliaria', 'Transportation': 'transporte', 'Education': 'educación'
+        },
+        templates: {
+            sameCountry: 'empresas de {sector} {country} {legalForms}',
+            competitors: 'competidores {sector} empresas similares',
+            sameSize: '{size} {sector}',
+            leaders: 'principales empresas de {sector} líderes',
+            itServices: 'consultoras tecnológicas servicios informáticos'
+        }
+    },
+    it: {
+        language: 'it',
+        countries: { 'Italy': 'Italia' },
+        legalForms: ['S.p.A.', 'S.r.l.'],
+        sizes: ['microimpresa', 'piccola impresa', 'media impresa', 'grande impresa', 'multinazionale'],
+        sectors: {
+            'Technology': 'tecnologia', 'Finance': 'finanza', 'Healthcare': 'sanità',
+            'Manufacturing': 'manifattura', 'Retail': 'commercio al dettaglio', 'Energy': 'energia',
+            'Consulting': 'consulenza', 'Telecommunications': 'telecomunicazioni',
+            'Real Estate': 'immobiliare', 'Transportation': 'trasporti', 'Education': 'formazione'
+        },
+        templates: {
+            sameCountry: 'aziende {sector} {country} {legalForms}',
+            competitors: 'concorrenti {sector} aziende simili',
+            sameSize: '{size} {sector}',
+            leaders: 'principali aziende {sector} leader',
+            itServices: 'società di consulenza informatica'
+        }
+    },
+    'en-GB': {
+        language: 'en-GB',
+        countries: { 'United Kingdom': 'UK', 'Ireland': 'Ireland' },
+        legalForms: ['Ltd', 'plc']
+    },
+    'en-US': {
+        language: 'en-US',
+        countries: { 'United States': 'USA', 'Canada': 'Canada' },
+        legalForms: ['Inc', 'Corp', 'LLC']
+    },
+    en: {
+        language: 'en',
+        countries: {},
+        legalForms: ['Ltd', 'Inc'],
+        sizes: ['micro', 'small', 'mid-sized', 'large', 'enterprise'],
+        sectors: {
+            'Technology': 'technology', 'Finance': 'financial services', 'Healthcare': 'healthcare',
+            'Manufacturing': 'manufacturing', 'Retail': 'retail', 'Energy': 'energy',
+            'Consulting': 'consulting', 'Telecommunications': 'telecommunications',
+            'Real Estate': 'real estate', 'Transportation': 'logistics', 'Education': 'education'
+        },
+        templates: {
+            sameCountry: '{sector} companies {country} {legalForms}',
+            competitors: '{sector} competitors similar companies',
+            sameSize: '{size} {sector} companies',
+            leaders: 'top {sector} companies leaders',
+            itServices: 'IT consulting technology services companies',
+            international: 'international {sector} companies'
+        }
+    }
+};
+
+// Regional English variants only change the country, legal forms and `lang`
+['en-GB', 'en-US'].forEach(code => {
+    const { sizes, sectors, templates } = QUERY_LOCALES.en;
+    QUERY_LOCALES[code] = { sizes, sectors, templates, ...QUERY_LOCALES[code] };
+});
+
+const QUERY_FOCUS = {
+    sameCountry: { focusMode: 'companyResearch', priority: 'high' },
+    competitors: { focusMode: 'competitorAnalysis', priority: 'high' },
+    sameSize: { focusMode: 'companyResearch', priority: 'medium' },
+    leaders: { focusMode: 'marketAnalysis', priority: 'medium' },
+    international: { focusMode: 'companyResearch', priority: 'low' },
+    itServices: { focusMode: 'companyResearch', priority: 'medium' }
+};
+
+/**
+ * Query locale of a country
+ * @param {string} country - Country name as extracted, e.g. "Germany"
+ * @returns {Object} - Locale ({ code, language, countries, legalForms, sizes, sectors, templates })
+ */
+function getQueryLocale(country) {
+    const code = Object.keys(QUERY_LOCALES).find(key => country && QUERY_LOCALES[key].countries[country]) || 'en';
+    return { code, ...QUERY_LOCALES[code] };
+}
+
+function fillTemplate(template, values) {
+    return template
+        .replace(/\{(\w+)\}/g, (placeholder, name) => values[name] || '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Localized search queries for the peers of a company
+ * @param {Object} profile - Reference profile ({ sector, country, size_category })
+ * @param {Object} options - { preferSameCountry, keys: subset of queries to build }
+ * @returns {Array} - [{ key, search, language, focusMode, priority }]
+ */
+function buildComparableQueries(profile, options = {}) {
+    const { preferSameCountry = true, keys = null } = options;
+    const sector = profile.sector || 'Technology';
+    const locale = getQueryLocale(profile.country);
+    const international = getQueryLocale(null);
+
+    const wanted = [];
+    if (preferSameCountry && profile.country) wanted.push('sameCountry');
+    wanted.push('competitors', 'sameSize', 'leaders');
+    if (!preferSameCountry) wanted.push('international');
+    if (sector === 'Technology' || sector === 'Consulting') wanted.push('itServices');
+
+    return wanted
+        .filter(key => !keys || keys.includes(key))
+        .map(key => {
+            // International peers are searched in English whatever the home market
+            const target = key === 'international' ? international : locale;
+            const sizeIndex = SIZE_CATEGORIES.indexOf(profile.size_category);
+            const search = fillTemplate(target.templates[key], {
+                sector: target.sectors[sector] || sector.toLowerCase(),
+                country: target.countries[profile.country] || profile.country,
+                size: target.sizes[sizeIndex === -1 ? 2 : sizeIndex],
+                legalForms: target.legalForms.join(' ')
+            });
+            return { key, search, language: target.language, ...QUERY_FOCUS[key] };
+        });
+}
+
+/**
+ * Legal forms of every locale, longest first, for company name patterns
+ * @returns {string} - RegExp alternation, e.g. "S\\.p\\.A\\.|GmbH|SARL|..."
+ */
+function legalFormPattern() {
+    const forms = new Set(['SE', 'SAS', 'SARL', 'Corp']);
+    Object.values(QUERY_LOCALES).forEach(locale => locale.legalForms.forEach(form => forms.add(form)));
+    return [...forms]
+        .sort((a, b) => b.length - a.length)
+        .map(form => form.replace(/\./g, '\\.'))
+        .join('|');
+}
+
+module.exports = {
+    QUERY_LOCALES,
+    getQueryLocale,
+    buildComparableQueries,
+    legalFormPattern
+};
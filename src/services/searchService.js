@@ -1,22 +1,19 @@
 const logger = require('../utils/logger');
+const { createSearchProvider } = require('./providers');
+const { getSharedCache } = require('./cache');
+const { isBudgetError } = require('./queryScheduler');
+const { normalizeDomain, canonicalizeUrl } = require('../utils/helpers');
+
+const DEFAULT_MAX_PAGES = 3;
 
 class SearchService {
-    constructor() {
-        this.searxngUrl = process.env.SEARXNG_URL;
-        this.clientId = process.env.CLIENT_ID;
-        this.clientSecret = process.env.CLIENT_SECRET;
-        this.tenantId = process.env.TENANT_ID;
-        this.tokenUrl = process.env.TOKEN_URL;
-        this.accessToken = null;
-        this.tokenExpiry = null;
+    constructor(options = {}) {
+        this.provider = options.provider || createSearchProvider();
         
-        this.cache = new Map();
-        const envTimeout = parseInt(process.env.CACHE_TIMEOUT, 10);
-        if (!isNaN(envTimeout) && envTimeout > 0) {
-            this.cacheTimeout = envTimeout;
-        } else {
-            this.cacheTimeout = 5 * 60 * 1000; // 5 minutes
-        }
+        this.cache = options.cache || getSharedCache();
+
+        // Deepest page fetched by searchWebPages
+        this.maxPages = options.maxPages || parseInt(process.env.SEARCH_MAX_PAGES, 10) || DEFAULT_MAX_PAGES;
         
         this.stats = {
             totalRequests: 0,
@@ -25,10 +22,7 @@ class SearchService {
             errors: []
         };
         
-        this.configurationError = null;
-        if (!this.searxngUrl || !this.clientId || !this.clientSecret || !this.tenantId || !this.tokenUrl) {
-            this.configurationError = 'Variables d\'environnement Azure AD manquantes';
-        }
+        this.configurationError = this.provider.getConfigurationError();
 
         this.focusModes = {
             'financialSearch': {
@@ -59,44 +53,10 @@ class SearchService {
     }
 
     async getAccessToken() {
-        if (this.accessToken && this.tokenExpiry && Date.now() < this.tokenExpiry) {
-            return this.accessToken;
-        }
-
-        try {
-            const tokenEndpoint = `https://login.microsoftonline.com/${this.tenantId}/oauth2/v2.0/token`;
-            const params = new URLSearchParams();
-            params.append('client_id', this.clientId);
-            params.append('client_secret', this.clientSecret);
-            params.append('grant_type', 'client_credentials');
-            
-            let scope = this.tokenUrl;
-            if (!scope.endsWith('/.default')) {
-                scope = `${scope}/.default`;
-            }
-            params.append('scope', scope);
-
-            const response = await fetch(tokenEndpoint, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/x-www-form-urlencoded',
-                },
-                body: params,
-            });
-
-            if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(`Erreur d'authentification Azure AD: ${response.status} - ${errorText}`);
-            }
-
-            const data = await response.json();
-            this.accessToken = data.access_token;
-            this.tokenExpiry = Date.now() + (data.expires_in * 1000) - 60000;
-
-            return this.accessToken;
-        } catch (error) {
-            throw new Error(`Erreur obtention token Azure AD: ${error.message}`);
+        if (typeof this.provider.getAccessToken !== 'function') {
+            return null;
         }
+        return this.provider.getAccessToken();
     }
 
     async searchWeb(query, options = {}, focusMode = null) {
@@ -105,8 +65,9 @@ class SearchService {
         if (this.configurationError) {
             this.stats.errors.push({
                 timestamp: new Date().toISOString(),
-                error: 'Configuration Azure AD incorrecte',
+                error: 'Configuration du fournisseur de recherche incorrecte',
                 query: query,
+                provider: this.provider.name,
                 details: this.configurationError
             });
             return {
@@ -125,150 +86,151 @@ class SearchService {
         const searchParams = { query, ...options };
         const optimizedParams = this.applySearchFocus(searchParams, focusMode);
 
-        const cacheKey = `web_${optimizedParams.query}_${JSON.stringify(optimizedParams)}_${focusMode}`;
-        const cached = this.cache.get(cacheKey);
+        const cacheKey = `web_${this.provider.name}_${optimizedParams.query}_${JSON.stringify(optimizedParams)}_${focusMode}`;
+        const cached = await this.cache.get('search', cacheKey);
 
-        if (cached && (Date.now() - cached.timestamp < this.cacheTimeout)) {
+        if (cached) {
             this.stats.cachedRequests++;
             return {
-                ...cached.data,
+                ...cached,
                 focusMode: focusMode,
                 focusDescription: this.focusModes[focusMode]?.description || 'Mode général'
             };
         }
 
         try {
-            const token = await this.getAccessToken();
-            const baseUrl = this.searxngUrl.replace(/\/$/, "");
-            const urlParams = new URLSearchParams({
-                q: optimizedParams.query,
-                format: 'json',
-                categories: optimizedParams.categories || 'general',
-                engines: optimizedParams.engines || '',
-                lang: optimizedParams.language || 'fr',
-                pageno: optimizedParams.page || 1,
-                ...optimizedParams.additionalParams
-            });
-            const searchUrl = `${baseUrl}/search?${urlParams}`;
-
-            logger.info("🔎 Appel SearXNG");
-            logger.info("URL :", searchUrl);
-
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), 30000);
-
-            try {
-                const response = await fetch(searchUrl, {
-                    method: 'GET',
-                    headers: {
-                        'Authorization': `Bearer ${token}`,
-                        'Accept': 'application/json',
-                        'User-Agent': 'Mozilla/5.0'
-                    },
-                    signal: controller.signal
-                });
-
-                clearTimeout(timeoutId);
-                logger.info("📡 Appel fetch terminé");
-                logger.info("Status HTTP :", response.status);
-
-                if (!response.ok) {
-                    const errorText = await response.text();
-                    throw new Error(`Erreur de recherche SearXNG: ${response.status} ${response.statusText} - ${errorText}`);
-                }
+            const data = await this.provider.search(optimizedParams);
 
-                logger.info("🔍 Début lecture du body...");
-                const text = await response.text();
-                logger.info("✅ Body lu complètement");
-                logger.info("📏 Taille totale:", text.length);
+            const formattedResults = this.formatSearchResults(data, query);
+            formattedResults.focusMode = focusMode;
+            formattedResults.focusDescription = this.focusModes[focusMode]?.description || 'Mode général';
+            formattedResults.optimizedQuery = optimizedParams.query;
+            formattedResults.originalQuery = query;
 
-                let data;
-                try {
-                    const trimmedText = text.trim();
-                    if (trimmedText.length === 0) {
-                        throw new Error("Réponse vide reçue du serveur SearXNG");
-                    }
-
-                    data = JSON.parse(trimmedText);
-                    logger.info("✅ JSON parsé avec succès");
-                    logger.info("📊 Nombre de résultats:", data.results?.length || 0);
-                    
-                } catch (parseError) {
-                    logger.error("❌ Erreur parsing JSON:", parseError.message);
-                    
-                    if (text.includes('"results":') && !text.trim().endsWith('}')) {
-                        logger.info("🔧 Tentative de réparation JSON tronqué...");
-                        try {
-                            let fixedJson = text.trim();
-                            if (!fixedJson.endsWith('}')) {
-                                const openBraces = (fixedJson.match(/\{/g) || []).length;
-                                const closeBraces = (fixedJson.match(/\}/g) || []).length;
-                                const missingBraces = openBraces - closeBraces;
-                                
-                                for (let i = 0; i < missingBraces; i++) {
-                                    fixedJson += '}';
-                                }
-                            }
-                            
-                            data = JSON.parse(fixedJson);
-                            logger.info("✅ JSON réparé avec succès !");
-                        } catch (repairError) {
-                            throw new Error(`Réponse JSON tronquée et non réparable: ${parseError.message}`);
-                        }
-                    } else {
-                        throw new Error(`Réponse non JSON reçue du serveur SearXNG: ${parseError.message}`);
-                    }
-                }
-
-                const formattedResults = this.formatSearchResults(data, query);
-                formattedResults.focusMode = focusMode;
-                formattedResults.focusDescription = this.focusModes[focusMode]?.description || 'Mode général';
-                formattedResults.optimizedQuery = optimizedParams.query;
-                formattedResults.originalQuery = query;
-
-                this.cache.set(cacheKey, {
-                    data: formattedResults,
-                    timestamp: Date.now()
-                });
-
-                this.stats.successfulRequests++;
-                logger.info("🎯 AVANT RETURN - formattedResults:", !!formattedResults);
-                logger.info("🎯 AVANT RETURN - success:", formattedResults?.success);
-                return formattedResults;
-
-            } catch (fetchError) {
-                clearTimeout(timeoutId);
-                
-                if (fetchError.name === 'AbortError') {
-                    const timeoutError = new Error('Timeout de 30 secondes dépassé pour la recherche SearXNG');
-                    this.stats.errors.push({
-                        timestamp: new Date().toISOString(),
-                        error: timeoutError.message,
-                        query: query,
-                        focusMode: focusMode
-                    });
-                    throw timeoutError;
-                }
-                
-                this.stats.errors.push({
-                    timestamp: new Date().toISOString(),
-                    error: fetchError.message,
-                    query: query,
-                    focusMode: focusMode
-                });
-                throw fetchError;
+            // A truncated page is used once, not kept: the next call may get it whole
+            if (!formattedResults.searchInfo.truncated) {
+                await this.cache.set('search', cacheKey, formattedResults);
             }
+
+            this.stats.successfulRequests++;
+            logger.info("🎯 AVANT RETURN - formattedResults:", !!formattedResults);
+            logger.info("🎯 AVANT RETURN - success:", formattedResults?.success);
+            return formattedResults;
         } catch (error) {
             this.stats.errors.push({
                 timestamp: new Date().toISOString(),
                 error: error.message,
                 query: query,
-                focusMode: focusMode
+                focusMode: focusMode,
+                provider: this.provider.name
             });
             throw error;
         }
     }
 
+    /**
+     * Search the next pages of a query while they bring something new, and merge them
+     * @param {string} query - Search query
+     * @param {Object} options - searchWeb options; `page` is the first page (1 by default)
+     * @param {string} focusMode - searchWeb focus mode
+     * @param {Object} pagination - Optional { maxPages, extractCompanies(results) => names };
+     *   a page without any new domain nor new company ends the search
+     * @returns {Promise<Object>} - searchWeb result with the merged results and a `pagination` summary
+     */
+    async searchWebPages(query, options = {}, focusMode = null, pagination = {}) {
+        const maxPages = Math.min(pagination.maxPages || this.maxPages, this.maxPages);
+        const extractCompanies = pagination.extractCompanies || (() => []);
+        const firstPage = options.page || 1;
+        const seenDomains = new Set();
+        const seenCompanies = new Set();
+        const pages = [];
+        let first = null;
+        let stoppedBy = 'maxPages';
+
+        for (let page = firstPage; page < firstPage + maxPages; page++) {
+            let result;
+            try {
+                result = await this.searchWeb(query, { ...options, page }, focusMode);
+            } catch (error) {
+                // The pages already fetched stay usable
+                if (!first) throw error;
+                stoppedBy = isBudgetError(error) ? 'budget' : 'error';
+                logger.info(`⚠️ Page ${page} de "${query}" non obtenue:`, error.message);
+                break;
+            }
+            if (!result.success) {
+                if (!first) return result;
+                stoppedBy = 'error';
+                break;
+            }
+            first = first || result;
+            pages.push(result.results);
+
+            if (result.results.length === 0) {
+                stoppedBy = 'emptyPage';
+                break;
+            }
+
+            const domains = result.results.map(item => normalizeDomain(item.url)).filter(Boolean);
+            const companies = extractCompanies(result.results).map(name => String(name).toLowerCase());
+            const newDomains = domains.filter(domain => !seenDomains.has(domain));
+            const newCompanies = companies.filter(name => !seenCompanies.has(name));
+            domains.forEach(domain => seenDomains.add(domain));
+            companies.forEach(name => seenCompanies.add(name));
+            if (page > firstPage && newDomains.length === 0 && newCompanies.length === 0) {
+                stoppedBy = 'noNewResults';
+                break;
+            }
+        }
+
+        const merged = this.mergeResults(pages.flat());
+        if (pages.length > 1) {
+            logger.info(`📚 ${pages.length} pages pour "${query}": ${merged.results.length} résultats (${merged.duplicates} doublon(s) fusionné(s))`);
+        }
+        return {
+            ...first,
+            results: merged.results,
+            totalResults: merged.results.length,
+            pagination: {
+                pagesFetched: pages.length,
+                maxPages,
+                stoppedBy,
+                duplicatesMerged: merged.duplicates
+            }
+        };
+    }
+
+    /**
+     * Merge the results pointing at the same page, whatever the engine or result page:
+     * the engines are combined, the best score and the longest snippet kept
+     * @param {Array} results - Formatted results
+     * @returns {Object} - { results, duplicates }
+     */
+    mergeResults(results) {
+        const byUrl = new Map();
+        let duplicates = 0;
+
+        for (const result of results) {
+            const key = canonicalizeUrl(result.url) || result.url;
+            const engines = result.engines || [result.engine];
+            const existing = byUrl.get(key);
+            if (!existing) {
+                byUrl.set(key, { ...result, engines: [...new Set(engines)] });
+                continue;
+            }
+
+            duplicates++;
+            existing.engines = [...new Set([...existing.engines, ...engines])];
+            existing.score = Math.max(existing.score || 0, result.score || 0);
+            if ((result.content || '').length > (existing.content || '').length) {
+                existing.content = result.content;
+            }
+            existing.publishedDate = existing.publishedDate || result.publishedDate;
+        }
+
+        return { results: [...byUrl.values()], duplicates };
+    }
+
     async searchCompanyInfo(companyName, options = {}) {
         if (this.configurationError) {
             return {
@@ -298,33 +260,45 @@ class SearchService {
                 }
             ];
 
-            const searchResults = [];
-            for (const searchQuery of searchQueries) {
-                const result = await this.searchWeb(
-                    searchQuery.query,
-                    {
-                        ...options,
-                        language: options.language || geoContext.defaultLanguage
-                    },
-                    searchQuery.focusMode
-                );
+            // Queries run together; a scheduler bound with QueryScheduler.wrap limits them
+            let skippedQueries = 0;
+            const outcomes = await Promise.all(searchQueries.map(async searchQuery => {
+                try {
+                    return await this.searchWeb(
+                        searchQuery.query,
+                        {
+                            ...options,
+                            language: options.language || geoContext.defaultLanguage
+                        },
+                        searchQuery.focusMode
+                    );
+                } catch (error) {
+                    if (!isBudgetError(error)) throw error;
+                    skippedQueries++;
+                    return null;
+                }
+            }));
 
+            const searchResults = [];
+            outcomes.forEach((result, index) => {
                 if (result && result.results) {
                     searchResults.push({
-                        query: searchQuery.query,
-                        focusMode: searchQuery.focusMode,
+                        query: searchQueries[index].query,
+                        focusMode: searchQueries[index].focusMode,
                         focusDescription: result.focusDescription,
                         results: result.results,
                         geoContext: geoContext
                     });
                 }
-            }
+            });
 
             return {
                 success: searchResults.length > 0,
                 searchResults: searchResults,
                 totalQueries: searchQueries.length,
                 successfulQueries: searchResults.length,
+                skippedQueries: skippedQueries,
+                incomplete: skippedQueries > 0,
                 companyName: companyName,
                 detectedGeography: geoContext,
                 enhancedWithFocus: true
@@ -461,9 +435,12 @@ class SearchService {
             success: true,
             results: mappedResults,
             searchInfo: {
+                provider: this.provider.name,
                 engines: rawData.engines || [],
                 searchTime: rawData.search_time || null,
                 suggestions: rawData.suggestions || [],
+                truncated: Boolean(rawData.truncated),
+                droppedResults: rawData.droppedResults || 0,
                 timestamp: new Date().toISOString()
             }
         };
@@ -480,12 +457,14 @@ class SearchService {
                 return false;
             }
             
-            const token = await this.getAccessToken();
-            if (!token) {
-                logger.info("❌ Impossible d'obtenir le token");
-                return false;
+            if (typeof this.provider.getAccessToken === 'function') {
+                const token = await this.getAccessToken();
+                if (!token) {
+                    logger.info("❌ Impossible d'obtenir le token");
+                    return false;
+                }
+                logger.info("✅ Token obtenu");
             }
-            logger.info("✅ Token obtenu");
             
             logger.info("🔍 Test de recherche simple...");
             const testResult = await this.searchWeb('test', {
@@ -509,14 +488,14 @@ class SearchService {
     }
 
     getServiceStats() {
-        const isConfigured = !!(this.searxngUrl && this.clientId && this.clientSecret && this.tenantId && this.tokenUrl);
+        const providerStatus = typeof this.provider.getStatus === 'function' ? this.provider.getStatus() : {};
         return {
-            configured: isConfigured,
-            searxngUrl: this.searxngUrl ? 'Configuré' : 'Non configuré',
-            azureAdAuth: (this.clientId && this.clientSecret && this.tenantId && this.tokenUrl) ? 'Configuré' : 'Non configuré',
-            tokenStatus: this.accessToken ? 'Token actif' : 'Pas de token',
+            configured: !this.configurationError,
+            provider: this.provider.name,
+            ...providerStatus,
             configurationError: this.configurationError,
-            ...this.stats
+            ...this.stats,
+            cache: this.cache.getStats()
         };
     }
 }
@@ -0,0 +1,129 @@
+/**
+ * Weighted similarity model shared by the comparables searches
+ *
+ * Each criterion is scored from 0 to 100 by the caller; a weighting profile
+ * (a named preset, custom weights, or both) turns those scores into one
+ * similarity score with a per-criterion breakdown.
+ */
+
+const SIMILARITY_CRITERIA = ['sector', 'activity', 'geography', 'size', 'stage', 'confidence'];
+
+// Weights are percentages of the final score; every preset sums to 100
+const SIMILARITY_PRESETS = {
+    default: { sector: 30, activity: 15, geography: 25, size: 20, stage: 0, confidence: 10 },
+    financial: { sector: 30, activity: 10, geography: 20, size: 30, stage: 10, confidence: 0 },
+    // Strategic fit: same business and a size that can be absorbed
+    ma: { sector: 25, activity: 15, geography: 15, size: 25, stage: 10, confidence: 10 },
+    // OECD comparability: functions performed and the market they are performed in
+    transfer_pricing: { sector: 25, activity: 25, geography: 25, size: 15, stage: 0, confidence: 10 },
+    // Multiples only transfer between companies of similar size and maturity
+    valuation: { sector: 30, activity: 10, geography: 10, size: 25, stage: 20, confidence: 5 }
+};
+
+// "M&A", "transfer pricing" and "transferPricing" all name a preset
+function presetKey(name) {
+    return String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function findPreset(name) {
+    return Object.keys(SIMILARITY_PRESETS).find(key => presetKey(key) === presetKey(name)) || null;
+}
+
+/**
+ * Resolve the effective weights of a request
+ *
+ * Custom weights override the entries of the preset when one is given, and
+ * replace it otherwise (criteria left out weigh nothing). Weights are scaled
+ * to sum to 100.
+ * @param {Object} options - { preset, weights }
+ * @param {string} defaultPreset - Preset used when the request names none
+ * @returns {Object} - { isValid, errors, preset, weights }
+ */
+function resolveSimilarityWeights({ preset, weights } = {}, defaultPreset = 'default') {
+    const errors = [];
+
+    const presetName = preset === undefined || preset === null ? null : findPreset(preset);
+    if (preset !== undefined && preset !== null && !presetName) {
+        errors.push(`Le profil de pondération '${preset}' est inconnu (disponibles: ${Object.keys(SIMILARITY_PRESETS).join(', ')})`);
+    }
+
+    const hasCustomWeights = weights !== undefined && weights !== null;
+    if (hasCustomWeights && (typeof weights !== 'object' || Array.isArray(weights))) {
+        errors.push("Le champ 'weights' doit être de type object");
+    } else if (hasCustomWeights) {
+        for (const [criterion, weight] of Object.entries(weights)) {
+            if (!SIMILARITY_CRITERIA.includes(criterion)) {
+                errors.push(`Critère de similarité inconnu: '${criterion}' (disponibles: ${SIMILARITY_CRITERIA.join(', ')})`);
+            } else if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+                errors.push(`Le poids '${criterion}' doit être un nombre positif`);
+            }
+        }
+    }
+    if (errors.length > 0) {
+        return { isValid: false, errors, preset: null, weights: null };
+    }
+
+    const base = hasCustomWeights && !presetName
+        ? {}
+        : SIMILARITY_PRESETS[presetName || defaultPreset];
+    const raw = {};
+    SIMILARITY_CRITERIA.forEach(criterion => {
+        const custom = hasCustomWeights ? weights[criterion] : undefined;
+        raw[criterion] = custom !== undefined ? custom : (base[criterion] || 0);
+    });
+
+    const total = Object.values(raw).reduce((sum, weight) => sum + weight, 0);
+    if (total <= 0) {
+        return { isValid: false, errors: ['La somme des poids doit être positive'], preset: null, weights: null };
+    }
+
+    const effective = {};
+    SIMILARITY_CRITERIA.forEach(criterion => {
+        effective[criterion] = Math.round(raw[criterion] / total * 10000) / 100;
+    });
+
+    return {
+        isValid: true,
+        errors: [],
+        preset: hasCustomWeights ? (presetName ? `${presetName}+custom` : 'custom') : (presetName || defaultPreset),
+        weights: effective
+    };
+}
+
+/**
+ * Combine per-criterion scores into a similarity score
+ * @param {Object} scores - Score from 0 to 100 per criterion, null when unknown
+ * @param {Object} weights - Effective weights from resolveSimilarityWeights
+ * @returns {Object} - { score, breakdown } where breakdown gives score, weight and contribution per criterion
+ */
+function scoreSimilarity(scores, weights) {
+    const breakdown = {};
+    let total = 0;
+
+    SIMILARITY_CRITERIA.forEach(criterion => {
+        const weight = weights[criterion] || 0;
+        if (weight === 0) return;
+
+        // Unknown criteria contribute nothing rather than an arbitrary middle score
+        const score = scores[criterion] === undefined ? null : scores[criterion];
+        const contribution = score === null ? 0 : score * weight / 100;
+        breakdown[criterion] = {
+            score: score === null ? null : Math.round(score),
+            weight,
+            contribution: Math.round(contribution * 10) / 10
+        };
+        total += contribution;
+    });
+
+    return {
+        score: Math.min(Math.max(Math.round(total), 0), 100),
+        breakdown
+    };
+}
+
+module.exports = {
+    SIMILARITY_CRITERIA,
+    SIMILARITY_PRESETS,
+    resolveSimilarityWeights,
+    scoreSimilarity
+};
@@ -0,0 +1,153 @@
+/**
+ * Text similarity of company descriptions
+ *
+ * TF-IDF vectors over the description, activities and key points of each
+ * company, compared with the cosine. Tokens are folded, stripped of French and
+ * English stop-words and reduced by a light suffix stemmer so "cybersécurité"
+ * and "cybersecurity" meet on the same stem.
+ */
+
+const STOP_WORDS = new Set([
+    // French
+    'le', 'la', 'les', 'un', 'une', 'des', 'du', 'de', 'au', 'aux', 'et', 'ou', 'en', 'dans', 'par', 'pour',
+    'sur', 'avec', 'sans', 'sous', 'chez', 'entre', 'vers', 'son', 'sa', 'ses', 'leur', 'leurs', 'ce', 'cet',
+    'cette', 'ces', 'qui', 'que', 'quoi', 'dont', 'est', 'sont', 'ete', 'etre', 'avoir', 'elle', 'elles', 'il',
+    'ils', 'nous', 'vous', 'plus', 'moins', 'tres', 'aussi', 'comme', 'mais', 'pas', 'ainsi', 'notre', 'nos',
+    'votre', 'vos', 'tout', 'tous', 'toute', 'toutes', 'depuis', 'selon', 'apres', 'avant', 'chaque',
+    // English
+    'the', 'and', 'for', 'with', 'from', 'into', 'over', 'under', 'about', 'its', 'their', 'this', 'that',
+    'these', 'those', 'which', 'who', 'whom', 'are', 'was', 'were', 'been', 'being', 'has', 'have', 'had',
+    'not', 'but', 'all', 'any', 'more', 'most', 'other', 'such', 'than', 'also', 'our', 'your', 'they',
+    'them', 'his', 'her', 'can', 'will', 'one', 'per', 'through', 'across', 'including', 'based',
+    // Words every company uses about itself
+    'company', 'companies', 'entreprise', 'entreprises', 'societe', 'societes', 'groupe', 'group', 'leader',
+    'leading', 'global', 'mondial', 'world', 'monde', 'clients', 'customers', 'offers', 'propose', 'provides'
+]);
+
+// Longest suffix first; a stem keeps at least MIN_STEM characters
+const SUFFIXES = [
+    'issements', 'issement', 'ations', 'ation', 'ements', 'ement', 'ments', 'ment', 'ities', 'ity',
+    'ites', 'ite', 'iques', 'ique', 'ings', 'ing', 'euses', 'euse', 'eurs', 'eur', 'ives', 'ive',
+    'ions', 'ion', 'ness', 'ies', 'ers', 'er', 'es', 'ie', 'ed', 's', 'e', 'y'
+].sort((a, b) => b.length - a.length);
+
+const MIN_STEM = 3;
+
+/**
+ * Light French/English stemmer: strips one inflectional or derivational suffix
+ * @param {string} token - Folded, lowercased token
+ * @returns {string} - Stem
+ */
+function stem(token) {
+    const suffix = SUFFIXES.find(candidate => token.endsWith(candidate) && token.length - candidate.length >= MIN_STEM);
+    return suffix ? token.substring(0, token.length - suffix.length) : token;
+}
+
+/**
+ * Stems of the meaningful words of a text
+ * @param {string} text - Text to analyze
+ * @returns {Array} - Stems, in order
+ */
+function tokenize(text) {
+    return String(text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(token => token.length >= MIN_STEM && !STOP_WORDS.has(token) && !/^\d+$/.test(token))
+        .map(stem);
+}
+
+/**
+ * Text describing what a company does
+ * @param {Object} company - Profile or comparable
+ * @returns {string} - Description, activities, industry and key points
+ */
+function companyDocument(company) {
+    if (!company) return '';
+    return [
+        company.description,
+        company.industry,
+        ...(Array.isArray(company.main_activities) ? company.main_activities : []),
+        ...(Array.isArray(company.keyPoints) ? company.keyPoints : [])
+    ].filter(Boolean).join(' ');
+}
+
+class TfIdfCorpus {
+    /**
+     * @param {Array} documents - Texts; their position is their id
+     */
+    constructor(documents = []) {
+        this.terms = documents.map(tokenize);
+
+        const documentFrequency = new Map();
+        this.terms.forEach(tokens => {
+            new Set(tokens).forEach(token => {
+                documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1);
+            });
+        });
+
+        // Smoothed IDF, so a stem shared by every document still weighs a little
+        const count = documents.length;
+        this.idf = new Map();
+        documentFrequency.forEach((frequency, token) => {
+            this.idf.set(token, Math.log((count + 1) / (frequency + 1)) + 1);
+        });
+
+        this.vectors = this.terms.map(tokens => this.vectorize(tokens));
+    }
+
+    vectorize(tokens) {
+        const counts = new Map();
+        tokens.forEach(token => counts.set(token, (counts.get(token) || 0) + 1));
+
+        const vector = new Map();
+        let norm = 0;
+        counts.forEach((occurrences, token) => {
+            const weight = (1 + Math.log(occurrences)) * (this.idf.get(token) || 0);
+            vector.set(token, weight);
+            norm += weight * weight;
+        });
+        return { weights: vector, norm: Math.sqrt(norm) };
+    }
+
+    /**
+     * Cosine similarity of two documents of the corpus
+     * @param {number} a - Position of the first document
+     * @param {number} b - Position of the second document
+     * @returns {number|null} - Similarity between 0 and 1, null if a document has no meaningful word
+     */
+    similarity(a, b) {
+        const first = this.vectors[a];
+        const second = this.vectors[b];
+        if (!first || !second || first.norm === 0 || second.norm === 0) return null;
+
+        let dot = 0;
+        first.weights.forEach((weight, token) => {
+            if (second.weights.has(token)) dot += weight * second.weights.get(token);
+        });
+        return dot / (first.norm * second.norm);
+    }
+}
+
+/**
+ * Activity similarity of each comparable to the reference company
+ * @param {Object} reference - Reference profile
+ * @param {Array} comparables - Candidate comparables
+ * @returns {Array} - Score from 0 to 100 per comparable, null when a description is missing
+ */
+function scoreActivitySimilarity(reference, comparables) {
+    const corpus = new TfIdfCorpus([reference, ...comparables].map(companyDocument));
+    return comparables.map((comparable, index) => {
+        const similarity = corpus.similarity(0, index + 1);
+        return similarity === null ? null : Math.round(similarity * 100);
+    });
+}
+
+module.exports = {
+    TfIdfCorpus,
+    stem,
+    tokenize,
+    companyDocument,
+    scoreActivitySimilarity
+};
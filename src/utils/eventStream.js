@@ -0,0 +1,113 @@
+const { PassThrough } = require('stream');
+
+/**
+ * Streamed responses: a handler emits events while it works and the client
+ * reads them as they come, as NDJSON lines or Server-Sent Events. The last
+ * event is `result` (the usual JSON body) or `error`.
+ */
+
+const STREAM_FORMATS = {
+    ndjson: 'application/x-ndjson',
+    sse: 'text/event-stream'
+};
+
+/**
+ * Streaming format asked by a request: `stream` in the body, or the Accept header
+ * @param {Object} request - Azure Functions HTTP request
+ * @param {Object} body - Parsed request body
+ * @returns {string|null} - 'ndjson', 'sse' or null for a buffered JSON response
+ */
+function getStreamFormat(request, body) {
+    const requested = body && typeof body === 'object' ? body.stream : undefined;
+    if (requested === true) return 'ndjson';
+    if (typeof requested === 'string' && STREAM_FORMATS[requested.toLowerCase()]) return requested.toLowerCase();
+
+    const accept = request.headers && typeof request.headers.get === 'function' ? request.headers.get('accept') || '' : '';
+    return Object.keys(STREAM_FORMATS).find(format => accept.includes(STREAM_FORMATS[format])) || null;
+}
+
+/**
+ * Open an event stream
+ * @param {string} format - 'ndjson' or 'sse'
+ * @returns {Object} - { response, send(event, data), end() }
+ */
+function createEventStream(format) {
+    const body = new PassThrough();
+    let sequence = 0;
+
+    return {
+        response: {
+            status: 200,
+            headers: {
+                'Content-Type': STREAM_FORMATS[format],
+                'Cache-Control': 'no-cache',
+                'Access-Control-Allow-Origin': '*',
+                'Access-Control-Allow-Methods': 'POST, OPTIONS',
+                'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+            },
+            body
+        },
+        send(event, data) {
+            if (body.writableEnded) return;
+            sequence++;
+            if (format === 'sse') {
+                body.write(`id: ${sequence}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+            } else {
+                body.write(`${JSON.stringify({ event, sequence, timestamp: new Date().toISOString(), data })}\n`);
+            }
+        },
+        end() {
+            body.end();
+        }
+    };
+}
+
+/**
+ * Wrap a handler so it answers with an event stream when the request asks for one
+ * @param {Function} run - (request, context, onEvent) => Promise of an HTTP response
+ * @returns {Function} - Azure Functions handler
+ */
+function withEventStream(run) {
+    return async (request, context) => {
+        // The body can only be read once: the handler gets a request replaying it
+        let body = null;
+        let parseError = null;
+        try {
+            body = await request.json();
+        } catch (error) {
+            parseError = error;
+        }
+        const replayed = {
+            headers: request.headers,
+            query: request.query,
+            json: async () => {
+                if (parseError) throw parseError;
+                return body;
+            }
+        };
+
+        const format = parseError ? null : getStreamFormat(request, body);
+        if (!format) {
+            return run(replayed, context, () => {});
+        }
+
+        const stream = createEventStream(format);
+        run(replayed, context, stream.send)
+            .then(response => {
+                const data = JSON.parse(response.body);
+                stream.send(response.status < 400 ? 'result' : 'error', { status: response.status, ...data });
+            })
+            .catch(error => {
+                stream.send('error', { status: 500, success: false, error: { code: 500, message: error.message } });
+            })
+            .finally(() => stream.end());
+        return stream.response;
+    };
+}
+
+module.exports = {
+    STREAM_FORMATS,
+    getStreamFormat,
+    createEventStream,
+    withEventStream
+};
@@ -130,6 +130,21 @@ function createErrorResponse(statusCode, message, details = null) {
     };
 }
 
+/**
+ * Read a request parameter from the query string, or else from the JSON body
+ * @param {Object} request - Azure Functions HTTP request
+ * @param {string} name - Parameter name
+ * @returns {Promise<*>} - Parameter value, undefined if absent
+ */
+async function readRequestParam(request, name) {
+    const fromQuery = request.query && typeof request.query.get === 'function' ? request.query.get(name) : null;
+    if (fromQuery) return fromQuery;
+
+    // GET requests have no body to parse
+    const body = await request.json().catch(() => null);
+    return body && typeof body === 'object' ? body[name] : undefined;
+}
+
 /**
  * Logs une erreur de manière standardisée
  * @param {Object} context - Contexte Azure Functions
@@ -269,6 +284,58 @@ function isValidUrl(url) {
     }
 }
 
+/**
+ * Bare host name of a domain or URL
+ * @param {string} value - Domain or URL, e.g. "https://www.example.com/about"
+ * @returns {string|null} - Host name without "www.", e.g. "example.com"
+ */
+function normalizeDomain(value) {
+    const raw = String(value || '').trim().toLowerCase();
+    if (!raw) return null;
+    try {
+        const host = new URL(raw.includes('://') ? raw : `https://${raw}`).hostname;
+        return host.replace(/^www\./, '') || null;
+    } catch {
+        return null;
+    }
+}
+
+// Query parameters that only track the visit and never change the page
+const TRACKING_PARAMS = /^(utm_\w+|gclid|fbclid|msclkid|mc_cid|mc_eid|ref|ref_src)$/i;
+
+/**
+ * Canonical form of a URL, to recognize the same page across engines and result pages:
+ * no protocol, no "www.", no fragment, no trailing slash, no tracking parameters
+ * @param {string} value - URL
+ * @returns {string|null} - Canonical URL, or null if invalid
+ */
+function canonicalizeUrl(value) {
+    try {
+        const url = new URL(String(value || '').trim());
+        const host = url.hostname.replace(/^www\./, '');
+        const params = [...url.searchParams]
+            .filter(([key]) => !TRACKING_PARAMS.test(key))
+            .sort(([a], [b]) => a.localeCompare(b));
+        const query = params.length > 0 ? `?${new URLSearchParams(params)}` : '';
+        const port = url.port ? `:${url.port}` : '';
+        return `${host}${port}${url.pathname.replace(/\/+$/, '')}${query}`;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Check if a URL belongs to one of the given domains or their subdomains
+ * @param {string} url - URL to check
+ * @param {Array} domains - Domains normalized with normalizeDomain
+ * @returns {boolean} - True if the URL is on one of the domains
+ */
+function isUrlInDomains(url, domains) {
+    const host = normalizeDomain(url);
+    if (!host || !domains || domains.length === 0) return false;
+    return domains.some(domain => host === domain || host.endsWith(`.${domain}`));
+}
+
 /**
  * Return a CORS response for OPTIONS requests
  * @returns {Object} - CORS response
@@ -309,9 +376,12 @@ function simpleHash(str) {
  * @param {Function} operation - Operation to retry
  * @param {number} maxRetries - Maximum number of attempts
  * @param {number} baseDelay - Base delay in ms
+ * @param {Object} options - Optional { shouldRetry(error), maxDelay, jitter, onRetry(error, attempt, delay) };
+ *   an error with a `retryAfter` (ms) is retried no sooner, and not at all beyond maxDelay
  * @returns {*} - Operation result
  */
-async function retryWithBackoff(operation, maxRetries = 3, baseDelay = 1000) {
+async function retryWithBackoff(operation, maxRetries = 3, baseDelay = 1000, options = {}) {
+    const { shouldRetry = () => true, maxDelay = Infinity, jitter = false, onRetry = () => {} } = options;
     let lastError;
 
     for (let attempt = 0; attempt <= maxRetries; attempt++) {
@@ -320,21 +390,50 @@ async function retryWithBackoff(operation, maxRetries = 3, baseDelay = 1000) {
         } catch (error) {
             lastError = error;
 
-            if (attempt === maxRetries) {
+            if (attempt === maxRetries || !shouldRetry(error) || error.retryAfter > maxDelay) {
                 throw lastError;
             }
 
-            // Wait with exponential backoff
-            const delay = baseDelay * Math.pow(2, attempt);
+            // Wait with exponential backoff, randomized so that callers do not retry in step
+            let delay = Math.min(baseDelay * Math.pow(2, attempt), maxDelay);
+            if (jitter) {
+                delay = delay / 2 + Math.random() * delay / 2;
+            }
+            delay = Math.max(delay, error.retryAfter || 0);
+            onRetry(error, attempt + 1, delay);
             await new Promise(resolve => setTimeout(resolve, delay));
         }
     }
 }
 
+/**
+ * Map items through an async function with at most `concurrency` calls in flight
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum number of concurrent calls
+ * @param {Function} worker - Async function called with (item, index)
+ * @returns {Promise<Array>} - Results in the order of the items
+ */
+async function mapWithConcurrency(items, concurrency, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    async function runWorker() {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await worker(items[index], index);
+        }
+    }
+
+    const workers = Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, runWorker);
+    await Promise.all(workers);
+    return results;
+}
+
 module.exports = {
     validateInput,
     createResponse,
     createErrorResponse,
+    readRequestParam,
     logError,
     logInfo,
     measureExecutionTime,
@@ -343,7 +442,11 @@ module.exports = {
     formatNumber,
     generateId,
     isValidUrl,
+    normalizeDomain,
+    canonicalizeUrl,
+    isUrlInDomains,
     createCorsResponse,
     simpleHash,
-    retryWithBackoff
+    retryWithBackoff,
+    mapWithConcurrency
 };
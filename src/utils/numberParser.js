@@ -0,0 +1,138 @@
+/**
+ * Locale-aware number parsing for French, English and German notations:
+ * "1 200" (spaces, no-break or narrow no-break spaces), "1,2" (decimal comma),
+ * "1.200" (German grouping), "350k", "2,5 Md€", "12 mds", "3,4 Mrd."
+ */
+
+// Thousands separators: any space (including no-break and narrow no-break spaces), dot, comma or Swiss apostrophe
+const GROUPED_NUMBER = "\\d{1,3}(?:[\\s.,'’]\\d{3})+";
+const NUMBER = `(?:${GROUPED_NUMBER}(?:[.,]\\d+)?|\\d+(?:[.,]\\d+)?)`;
+
+const SCALES = {
+    billion: 1e9,
+    million: 1e6,
+    thousand: 1e3,
+    unit: 1
+};
+
+const SCALE_WORDS = [
+    { pattern: /^(?:milliards?|milliarden|billions?|bn|mds?|md|mrds?\.?)$/, scale: 'billion' },
+    { pattern: /^(?:millions?|millionen|mn|mio\.?|m)$/, scale: 'million' },
+    { pattern: /^(?:k|thousands?|milliers?|mille|tsd\.?)$/, scale: 'thousand' }
+];
+
+const SCALE = '(?:milliards?|milliarden|billions?|bn|mds?|md|mrds?\\.?|millions?|millionen|mn|mio\\.?|m|k|thousands?|milliers?|mille|tsd\\.?)';
+
+const DECIMAL_SEPARATOR = {
+    fr: ',',
+    de: ',',
+    en: '.'
+};
+
+const LOCALE_MARKERS = {
+    fr: /(?:^|[^\p{L}])(?:d['’]euros?|milliards?|salariés|employés|collaborateurs|chiffre d['’]affaires|fondée?|siège)(?![\p{L}])/gu,
+    de: /(?:^|[^\p{L}])(?:mitarbeiter(?:innen)?|beschäftigte|umsatz|milliarden|mrd|mio|gegründet|firmensitz)(?![\p{L}])/gu,
+    en: /(?:^|[^\p{L}])(?:employees|revenue|billion|million|founded|headquartered|sales)(?![\p{L}])/gu
+};
+
+/**
+ * Guess the notation of a text from its vocabulary
+ * @param {string} text - Text to analyze
+ * @returns {string|null} - 'fr', 'de', 'en' or null when nothing hints at a language
+ */
+function detectNumberLocale(text) {
+    const lower = String(text || '').toLowerCase();
+    let best = null;
+    let bestCount = 0;
+
+    for (const [locale, pattern] of Object.entries(LOCALE_MARKERS)) {
+        const count = (lower.match(pattern) || []).length;
+        if (count > bestCount) {
+            best = locale;
+            bestCount = count;
+        }
+    }
+    return best;
+}
+
+/**
+ * Parse a number written in French, English or German notation
+ *
+ * A single separator followed by exactly three digits ("1,200", "1.200") is read
+ * as a thousands separator unless the locale says it is the decimal one.
+ * @param {string|number} raw - Number as written, e.g. "12 500", "1,2", "1.234,5"
+ * @param {Object} options - { locale: 'fr' | 'de' | 'en' }
+ * @returns {number|null} - Parsed number or null if the text is not a number
+ */
+function parseLocaleNumber(raw, { locale = null } = {}) {
+    if (raw === null || raw === undefined) return null;
+    if (typeof raw === 'number') return isFinite(raw) ? raw : null;
+
+    const text = String(raw).trim().replace(/[\s'’]/g, '');
+    if (!/^[+-]?\d[\d.,]*$/.test(text)) return null;
+
+    const lastComma = text.lastIndexOf(',');
+    const lastDot = text.lastIndexOf('.');
+    let decimal = null;
+
+    if (lastComma !== -1 && lastDot !== -1) {
+        decimal = lastComma > lastDot ? ',' : '.';
+    } else if (lastComma !== -1 || lastDot !== -1) {
+        const separator = lastComma !== -1 ? ',' : '.';
+        const occurrences = text.split(separator).length - 1;
+        const digitsAfter = text.length - text.lastIndexOf(separator) - 1;
+        const integerPart = text.substring(0, text.indexOf(separator)).replace(/^[+-]/, '');
+
+        if (occurrences > 1) {
+            decimal = null;
+        } else if (digitsAfter !== 3 || /^0+$/.test(integerPart)) {
+            decimal = separator;
+        } else if (locale && DECIMAL_SEPARATOR[locale] === separator) {
+            decimal = separator;
+        }
+    }
+
+    const groupSeparators = decimal === ',' ? /\./g : decimal === '.' ? /,/g : /[.,]/g;
+    const normalized = text.replace(groupSeparators, '').replace(',', '.');
+    const value = parseFloat(normalized);
+    return isNaN(value) ? null : value;
+}
+
+/**
+ * Scale named by a word such as "Md", "mds", "millions" or "k"
+ * @param {string} word - Scale word
+ * @returns {string|null} - 'billion', 'million', 'thousand' or null
+ */
+function parseScale(word) {
+    if (!word) return null;
+    const normalized = word.trim().toLowerCase();
+    const entry = SCALE_WORDS.find(e => e.pattern.test(normalized));
+    return entry ? entry.scale : null;
+}
+
+/**
+ * Parse a number followed by an optional scale, e.g. "2,5 Md", "350k", "12 mds"
+ * @param {string} text - Text holding the number
+ * @param {Object} options - { locale: 'fr' | 'de' | 'en' }, detected from the text by default
+ * @returns {Object|null} - { value, number, scale } or null
+ */
+function parseScaledNumber(text, { locale = detectNumberLocale(text) } = {}) {
+    const match = new RegExp(`(${NUMBER})\\s?(${SCALE})?(?![\\p{L}\\d])`, 'u').exec(String(text || '').toLowerCase());
+    if (!match) return null;
+
+    const number = parseLocaleNumber(match[1], { locale });
+    if (number === null) return null;
+    const scale = parseScale(match[2]) || 'unit';
+    return { value: number * SCALES[scale], number, scale };
+}
+
+module.exports = {
+    GROUPED_NUMBER,
+    NUMBER,
+    SCALE,
+    SCALES,
+    detectNumberLocale,
+    parseLocaleNumber,
+    parseScale,
+    parseScaledNumber
+};
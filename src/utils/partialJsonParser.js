@@ -0,0 +1,196 @@
+/**
+ * Incremental parser for a JSON object whose end may never arrive.
+ *
+ * The text is fed chunk by chunk and scanned once. Every top-level field is
+ * kept as soon as its value is complete, and the elements of top-level arrays
+ * (the `results` of a SearXNG response) are kept one by one. When the input
+ * stops early, `end()` returns everything fully received and counts, per
+ * array, the elements that were cut or could not be read.
+ */
+
+const WHITESPACE = /\s/;
+
+class PartialJsonParser {
+    constructor() {
+        this.text = '';
+        this.position = 0;
+        this.stack = [];
+        this.inString = false;
+        this.escaped = false;
+        this.stringStart = -1;
+        this.started = false;
+        this.complete = false;
+        this.value = {};
+        this.arrays = {};
+        this.dropped = {};
+    }
+
+    /**
+     * Feed the next chunk of text
+     * @param {string} chunk - Text received
+     * @returns {PartialJsonParser} - The parser, for chaining
+     */
+    write(chunk) {
+        this.text += chunk;
+        while (this.position < this.text.length && !this.complete) {
+            this.scan(this.text[this.position], this.position);
+            this.position++;
+        }
+        return this;
+    }
+
+    scan(char, index) {
+        if (this.inString) {
+            if (this.escaped) {
+                this.escaped = false;
+            } else if (char === '\\') {
+                this.escaped = true;
+            } else if (char === '"') {
+                this.inString = false;
+                this.endString(index);
+            }
+            return;
+        }
+
+        if (WHITESPACE.test(char)) return;
+
+        if (!this.started) {
+            if (char !== '{') {
+                throw new Error(`Objet JSON attendu, reçu '${this.text.slice(index, index + 20)}'`);
+            }
+            this.started = true;
+        }
+
+        const frame = this.stack[this.stack.length - 1];
+        switch (char) {
+            case '"':
+                this.inString = true;
+                this.stringStart = index;
+                if (frame && !frame.expectKey && frame.valueStart < 0) frame.valueStart = index;
+                break;
+            case '{':
+            case '[':
+                if (frame && frame.valueStart < 0) frame.valueStart = index;
+                this.stack.push({
+                    type: char === '{' ? 'object' : 'array',
+                    expectKey: char === '{',
+                    key: null,
+                    valueStart: -1,
+                    // Arrays directly under the root collect their elements
+                    field: this.stack.length === 1 && char === '[' ? frame.key : null
+                });
+                break;
+            case '}':
+            case ']':
+                this.endPrimitive(frame, index);
+                this.stack.pop();
+                this.endContainer(frame, index);
+                break;
+            case ',':
+                this.endPrimitive(frame, index);
+                if (frame.type === 'object') frame.expectKey = true;
+                break;
+            case ':':
+                frame.expectKey = false;
+                break;
+            default:
+                // Numbers, true, false, null
+                if (frame && frame.valueStart < 0) frame.valueStart = index;
+        }
+    }
+
+    endString(index) {
+        const frame = this.stack[this.stack.length - 1];
+        if (frame.type === 'object' && frame.expectKey) {
+            frame.key = JSON.parse(this.text.slice(this.stringStart, index + 1));
+        } else {
+            this.emit(frame, frame.valueStart, index + 1);
+        }
+    }
+
+    endPrimitive(frame, index) {
+        if (frame.valueStart >= 0) {
+            this.emit(frame, frame.valueStart, index);
+        }
+    }
+
+    endContainer(closed, index) {
+        const parent = this.stack[this.stack.length - 1];
+        if (!parent) {
+            this.complete = true;
+            return;
+        }
+        if (closed.field !== null) {
+            // Elements already parsed one by one
+            this.value[closed.field] = this.arrays[closed.field] || [];
+            parent.valueStart = -1;
+        } else {
+            this.emit(parent, parent.valueStart, index + 1);
+        }
+    }
+
+    emit(frame, start, end) {
+        frame.valueStart = -1;
+        const depth = this.stack.indexOf(frame);
+        if (depth > 1) return;
+
+        let parsed;
+        try {
+            parsed = JSON.parse(this.text.slice(start, end));
+        } catch (error) {
+            if (frame.field !== null) this.drop(frame.field);
+            return;
+        }
+
+        if (depth === 0) {
+            this.value[frame.key] = parsed;
+        } else if (frame.field !== null) {
+            (this.arrays[frame.field] = this.arrays[frame.field] || []).push(parsed);
+        }
+    }
+
+    drop(field) {
+        this.dropped[field] = (this.dropped[field] || 0) + 1;
+    }
+
+    /**
+     * Finish parsing
+     * @returns {Object} - { value, complete, dropped: elements lost per array, incompleteFields }
+     */
+    end() {
+        if (!this.started) {
+            throw new Error('Aucun objet JSON reçu');
+        }
+
+        const incompleteFields = [];
+        if (!this.complete) {
+            const [root, open] = this.stack;
+            if (open && open.field !== null) {
+                // The array being received keeps its complete elements, the one cut is dropped
+                this.value[open.field] = this.arrays[open.field] || [];
+                if (open.valueStart >= 0 || this.stack.length > 2 || this.inString) this.drop(open.field);
+                incompleteFields.push(open.field);
+            } else if (root && root.key !== null && !(root.key in this.value)) {
+                incompleteFields.push(root.key);
+            }
+        }
+
+        return {
+            value: this.value,
+            complete: this.complete,
+            dropped: this.dropped,
+            incompleteFields
+        };
+    }
+}
+
+/**
+ * Parse a JSON object that may be truncated
+ * @param {string} text - JSON text
+ * @returns {Object} - { value, complete, dropped, incompleteFields }, see PartialJsonParser.end
+ */
+function parsePartialJson(text) {
+    return new PartialJsonParser().write(text).end();
+}
+
+module.exports = { PartialJsonParser, parsePartialJson };
@@ -8,6 +8,19 @@ describe('AnalysisService utilities', () => {
     expect(service.determineSizeCategory(profile)).toBe('small');
   });
 
+  test('determineSizeCategory uses the estimate of a headcount range', () => {
+    const profile = { employeeRange: { min: 1001, max: 5000, estimate: 3001, band: '1001-5000' } };
+    expect(service.determineSizeCategory(profile)).toBe('enterprise');
+  });
+
+  test('calculateSizeScore treats overlapping ranges as the same size', () => {
+    const ref = { employeeRange: { min: 1001, max: 5000 } };
+    expect(service.calculateSizeScore(ref, { employees: 4000 })).toBe(100);
+    expect(service.calculateSizeScore(ref, { employees: 6000 })).toBe(78);
+    expect(service.calculateSizeScore({ employees: 100 }, { employees: 300 })).toBe(0);
+    expect(service.calculateSizeScore({}, { employees: 300 })).toBe(50);
+  });
+
   test('areSectorsRelated compares keywords', () => {
     expect(service.areSectorsRelated('Technology', 'Consulting')).toBe(false);
   });
@@ -0,0 +1,116 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CacheService, MemoryStore, FileStore, RedisStore, createCache } = require('../src/services/cache');
+const { SearchService } = require('../src/services/searchService');
+const { FileProvider } = require('../src/services/providers');
+
+function createRedisStandIn() {
+  const data = new Map();
+  return {
+    data,
+    get: jest.fn(async (key) => (data.has(key) ? data.get(key) : null)),
+    set: jest.fn(async (key, value) => { data.set(key, value); return 'OK'; }),
+    del: jest.fn(async (key) => (data.delete(key) ? 1 : 0))
+  };
+}
+
+describe('cache layer', () => {
+  test('memory store evicts the least recently used entry', async () => {
+    const store = new MemoryStore({ maxEntries: 2 });
+    await store.set('a', 1);
+    await store.set('b', 2);
+    await store.get('a');
+    await store.set('c', 3);
+
+    expect(await store.get('a')).toBe(1);
+    expect(await store.get('b')).toBeUndefined();
+    expect(store.getInfo().evictions).toBe(1);
+  });
+
+  test('entries expire according to the TTL of their type', async () => {
+    const cache = new CacheService({ store: new MemoryStore(), ttls: { search: 1000, profile: 60000 } });
+    const now = Date.now();
+    const spy = jest.spyOn(Date, 'now').mockReturnValue(now);
+    await cache.set('search', 'q', { results: [] });
+    await cache.set('profile', 'acme', { name: 'ACME' });
+
+    spy.mockReturnValue(now + 5000);
+    expect(await cache.get('search', 'q')).toBeUndefined();
+    expect(await cache.get('profile', 'acme')).toEqual({ name: 'ACME' });
+    spy.mockRestore();
+
+    const stats = cache.getStats();
+    expect(stats.byType.search).toEqual(expect.objectContaining({ hits: 0, misses: 1 }));
+    expect(stats.byType.profile).toEqual(expect.objectContaining({ hits: 1, misses: 0 }));
+    expect(stats.hitRate).toBe(0.5);
+  });
+
+  test('file store shares entries between instances', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-store-'));
+    await new FileStore({ directory }).set('search:q', { total: 3 }, 60000);
+
+    expect(await new FileStore({ directory }).get('search:q')).toEqual({ total: 3 });
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('redis store works against a local stand-in client', async () => {
+    const client = createRedisStandIn();
+    const store = new RedisStore({ client, prefix: 'test:' });
+    await store.set('profile:acme', { name: 'ACME' }, 1000);
+
+    expect(client.set).toHaveBeenCalledWith('test:profile:acme', '{"name":"ACME"}', { PX: 1000 });
+    expect(await store.get('profile:acme')).toEqual({ name: 'ACME' });
+    await store.delete('profile:acme');
+    expect(await store.get('profile:acme')).toBeUndefined();
+  });
+
+  test('redis store retries a failed connection and logs client errors', async () => {
+    const errors = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const client = { ...createRedisStandIn(), on: jest.fn(), connect: jest.fn() };
+    client.connect.mockRejectedValueOnce(new Error('ECONNREFUSED')).mockResolvedValue();
+    const store = new RedisStore({ createClient: () => client });
+
+    await expect(store.get('search:q')).rejects.toThrow('ECONNREFUSED');
+    expect(await store.get('search:q')).toBeUndefined();
+    expect(client.connect).toHaveBeenCalledTimes(2);
+    expect(store.getInfo().connected).toBe(true);
+
+    // A connection drop after startup is logged, not thrown
+    const onError = client.on.mock.calls.find(([event]) => event === 'error')[1];
+    expect(() => onError(new Error('Socket closed unexpectedly'))).not.toThrow();
+    expect(errors).toHaveBeenCalled();
+    errors.mockRestore();
+  });
+
+  test('a failing store degrades to a miss', async () => {
+    const cache = new CacheService({ store: { name: 'broken', get: async () => { throw new Error('down'); }, getInfo: () => ({ store: 'broken' }) } });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    expect(await cache.get('search', 'q')).toBeUndefined();
+    expect(cache.getStats().byType.search.errors).toBe(1);
+    jest.restoreAllMocks();
+  });
+
+  test('createCache reads the store and TTLs from the environment', () => {
+    const cache = createCache({ CACHE_STORE: 'memory', CACHE_MAX_ENTRIES: '10', CACHE_TIMEOUT: '2000', CACHE_TTL_PROFILE: '9000' });
+    expect(cache.getStats()).toEqual(expect.objectContaining({ store: 'memory', maxEntries: 10 }));
+    expect(cache.ttls).toEqual({ search: 2000, profile: 9000, identifier: 7 * 24 * 60 * 60 * 1000 });
+    expect(() => createCache({ CACHE_STORE: 'memcached' })).toThrow(/memcached/);
+  });
+
+  test('getServiceStats surfaces cache hits and misses', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'search-fixtures-'));
+    fs.writeFileSync(path.join(directory, 'default.json'), JSON.stringify([{ title: 'ACME', url: 'https://acme.fr' }]));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const service = new SearchService({ provider: new FileProvider({ fixturesDir: directory }), cache: new CacheService() });
+
+    await service.searchWeb('ACME', {}, 'companyResearch');
+    await service.searchWeb('ACME', {}, 'companyResearch');
+
+    const stats = service.getServiceStats();
+    expect(stats.cachedRequests).toBe(1);
+    expect(stats.cache.byType.search).toEqual(expect.objectContaining({ hits: 1, misses: 1 }));
+    jest.restoreAllMocks();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+});
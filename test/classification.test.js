@@ -0,0 +1,56 @@
+const {
+  parseClassificationCode,
+  findClassificationCodes,
+  classifyText,
+  classifySector,
+  classificationSimilarity
+} = require('../src/services/classification');
+const { extractField } = require('../src/services/extraction');
+
+describe('Industry classification', () => {
+  test('parses NAF codes and cross-walks them to NACE, NAICS and GICS', () => {
+    expect(parseClassificationCode('naf', '6202Z')).toEqual({
+      nace: '62.02',
+      naf: '62.02Z',
+      naics: '541512',
+      gics: '45102010',
+      section: 'J',
+      label: 'Computer consultancy activities',
+      labelFr: 'Conseil en systèmes et logiciels informatiques'
+    });
+    expect(parseClassificationCode('gics', '40101010')).toMatchObject({ nace: '64.19', section: 'K' });
+    expect(parseClassificationCode('nace', '47.78')).toMatchObject({ nace: '47.78', section: 'G', label: null });
+    expect(parseClassificationCode('naf', '0000A')).toBeNull();
+  });
+
+  test('finds labelled and bare codes in text', () => {
+    const codes = findClassificationCodes('Code APE 62.02A, NAICS 541512, chiffre 2024 et GICS: 45102010');
+    expect(codes.map(code => [code.type, code.value])).toEqual([
+      ['naf', '6202A'],
+      ['naics', '541512'],
+      ['gics', '45102010']
+    ]);
+  });
+
+  test('classifies activity descriptions without codes', () => {
+    expect(classifyText('Leader du conseil informatique et de l\'intégration de systèmes').classification.nace).toBe('62.02');
+    expect(classifyText('A maker of violins')).toBeNull();
+    expect(classifySector('Finance')).toMatchObject({ nace: '64.19' });
+    expect(classifySector('Astrology')).toBeNull();
+  });
+
+  test('scores sectors by distance in the hierarchy', () => {
+    const itConsulting = parseClassificationCode('naf', '6202Z');
+    expect(classificationSimilarity(itConsulting, parseClassificationCode('nace', '62.02'))).toBe(100);
+    expect(classificationSimilarity(itConsulting, parseClassificationCode('nace', '62.01'))).toBe(85);
+    expect(classificationSimilarity(itConsulting, parseClassificationCode('nace', '63.11'))).toBe(45);
+    expect(classificationSimilarity(itConsulting, parseClassificationCode('nace', '64.19'))).toBe(0);
+    expect(classificationSimilarity(parseClassificationCode('naics', '541611'), parseClassificationCode('naics', '541690'))).toBe(75);
+    expect(classificationSimilarity(itConsulting, null)).toBeNull();
+  });
+
+  test('profiles carry the classification of their activity', () => {
+    const classification = extractField('classification', 'Société de 6202Z conseil en systèmes informatiques à Paris');
+    expect(classification).toMatchObject({ nace: '62.02', naf: '62.02Z', gics: '45102010' });
+  });
+});
@@ -25,6 +25,7 @@ describe('validateConfig', () => {
 
     const cfg = validateConfig();
     expect(cfg).toEqual({
+      searchProvider: 'searxng',
       searxngUrl: 'url',
       clientId: 'client',
       clientSecret: 'secret',
@@ -32,4 +33,21 @@ describe('validateConfig', () => {
       tokenUrl: 'token'
     });
   });
+
+  test('only requires the variables of the selected provider', () => {
+    delete process.env.SEARXNG_URL;
+    process.env.SEARCH_PROVIDER = 'jsonapi';
+    expect(() => validateConfig()).toThrow(/SEARCH_API_URL/);
+
+    process.env.SEARCH_API_URL = 'https://search.example.com/api';
+    expect(validateConfig()).toEqual({
+      searchProvider: 'jsonapi',
+      searchApiUrl: 'https://search.example.com/api'
+    });
+  });
+
+  test('rejects an unknown provider', () => {
+    process.env.SEARCH_PROVIDER = 'altavista';
+    expect(() => validateConfig()).toThrow(/altavista/);
+  });
 });
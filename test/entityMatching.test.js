@@ -0,0 +1,42 @@
+const {
+  normalizeCompanyName,
+  nameSimilarity,
+  isSameEntity,
+  deduplicateEntities
+} = require('../src/services/entityMatching');
+
+describe('Entity matching', () => {
+  test('normalizeCompanyName strips legal forms, group words and accents', () => {
+    expect(normalizeCompanyName('Capgemini SE')).toBe('capgemini');
+    expect(normalizeCompanyName('Groupe Capgemini')).toBe('capgemini');
+    expect(normalizeCompanyName('Société Générale S.A.')).toBe('societe generale');
+    expect(normalizeCompanyName('Siemens AG')).toBe('siemens');
+    expect(normalizeCompanyName('Group')).toBe('group');
+  });
+
+  test('isSameEntity recognizes spellings of the same company', () => {
+    expect(isSameEntity('Capgemini SE', 'Groupe Capgemini')).toBe(true);
+    expect(isSameEntity('IBM', 'International Business Machines Corp.')).toBe(true);
+    expect(isSameEntity('Capgemeni', 'Capgemini')).toBe(true);
+    expect(isSameEntity('Dupont et Fils SARL', 'Dupont & Fils')).toBe(true);
+  });
+
+  test('isSameEntity keeps distinct companies apart', () => {
+    expect(isSameEntity('Sopra Steria', 'Sopra Banking Software')).toBe(false);
+    expect(isSameEntity('Atos', 'Alten')).toBe(false);
+    expect(isSameEntity('Orange', 'Orano')).toBe(false);
+    expect(nameSimilarity('Atos', 'Alten')).toBeLessThan(0.9);
+  });
+
+  test('deduplicateEntities merges spellings under the shortest one', () => {
+    const unique = deduplicateEntities([
+      { name: 'Sopra Steria Group SA', source: 'a' },
+      { name: 'Capgemini SE' },
+      { name: 'Sopra Steria', source: 'b' },
+      { name: 'Atos' }
+    ], { exclude: ['Groupe Capgemini'] });
+
+    expect(unique.map(company => company.name)).toEqual(['Sopra Steria', 'Atos']);
+    expect(unique[0]).toMatchObject({ source: 'a', aliases: ['Sopra Steria Group SA'] });
+  });
+});
@@ -0,0 +1,226 @@
+const {
+  buildCompanyProfile,
+  collectResults,
+  extractField,
+  extractMentionProfile,
+  ExtractorRegistry,
+  CORE_FIELDS
+} = require('../src/services/extraction');
+const { AnalysisService } = require('../src/services/analysisService');
+const { CacheService } = require('../src/services/cache');
+
+const results = [
+  {
+    title: 'Acme Conseil - présentation',
+    url: 'https://fr.wikipedia.org/wiki/Acme_Conseil',
+    content: "Acme Conseil est une société française de conseil en cybersécurité fondée en 1998. Le siège social est à Lyon. Elle emploie 1 200 collaborateurs et réalise un chiffre d'affaires de 2,5 milliards d'euros."
+  },
+  {
+    title: 'Acme Conseil | Official site',
+    url: 'https://www.acme-conseil.fr/about',
+    content: 'Acme Conseil helps business leaders in France with IT consulting and cloud services. Listed on Euronext Paris.'
+  }
+];
+
+describe('Extraction engine', () => {
+  test('builds every core field from search results', () => {
+    const profile = buildCompanyProfile('Acme Conseil', results);
+
+    CORE_FIELDS.forEach(field => expect(profile).toHaveProperty(field));
+    expect(profile.employees).toBe(1200);
+    expect(profile.employeeRange).toEqual({ min: 1200, max: 1200, estimate: 1200, band: '1001-5000' });
+    expect(profile.employeeCategory).toBe('large');
+    expect(profile.revenue).toMatchObject({ amount: 2500000000, currency: 'EUR', scale: 'billion' });
+    expect(profile.founding_year).toBe(1998);
+    expect(profile.headquarters).toBe('Lyon');
+    expect(profile.country).toBe('France');
+    expect(profile.region).toBe('Europe');
+    expect(profile.isPublic).toBe(true);
+    expect(profile.website).toBe('https://www.acme-conseil.fr');
+    expect(profile.size_category).toBe('enterprise');
+    expect(profile.confidence).toBe(0.6);
+  });
+
+  test('returns the same core fields whichever endpoint builds the profile', () => {
+    const analysisService = new AnalysisService({ cache: new CacheService(), searchService: {} });
+    const searchInfo = { searchResults: [{ query: 'Acme Conseil', results }] };
+
+    const fromSearch = analysisService.analyzeSearchResults('Acme Conseil', searchInfo);
+    const fromDetails = buildCompanyProfile('Acme Conseil', collectResults(searchInfo.searchResults), {
+      source: 'web_search_detailed',
+      extraFields: ['certifications', 'partnerships']
+    });
+
+    CORE_FIELDS.forEach(field => expect(fromDetails[field]).toEqual(fromSearch[field]));
+    expect(fromDetails).toHaveProperty('certifications');
+    expect(fromSearch).not.toHaveProperty('certifications');
+  });
+
+  test('matches keywords on word boundaries', () => {
+    expect(extractField('country', 'Software for business users in Germany')).toBe('Germany');
+    expect(extractField('employees', 'A workforce of 12,000 people')).toBe(12000);
+    expect(extractField('employees', '350k employees worldwide')).toBe(350000);
+  });
+
+  test('reads French and German number notations', () => {
+    expect(extractField('employees', 'Le groupe compte 12\u202f500 salariés.')).toBe(12500);
+    expect(extractField('employees', 'Die Gruppe hat 1.200 Mitarbeiter.')).toBe(1200);
+    expect(extractField('employees', 'Près de 1,2 million de salariés')).toBe(1200000);
+    expect(extractField('revenue', "un chiffre d'affaires de 1,250 milliard d'euros").amount).toBe(1250000000);
+    expect(extractField('revenue', 'Umsatz von 3,4 Mrd. Euro').amount).toBe(3400000000);
+    expect(extractField('growthRate', 'une croissance de 7,5\u00a0%')).toBe('7.5%');
+  });
+
+  test('reads headcount ranges and bands', () => {
+    expect(extractField('employeeRange', 'between 1,001 and 5,000 employees')).toEqual({
+      min: 1001, max: 5000, estimate: 3001, band: '1001-5000'
+    });
+    expect(extractField('employeeRange', 'Elle compte de 5 000 à 10 000 salariés.')).toMatchObject({ min: 5000, max: 10000 });
+    expect(extractField('employeeRange', 'Company size: 10,001+ employees')).toEqual({
+      min: 10001, max: null, estimate: 10001, band: '10001+'
+    });
+    expect(extractField('employeeRange', 'Le groupe compte plus de 500 salariés.')).toEqual({
+      min: 501, max: null, estimate: 501, band: '501-1000'
+    });
+    expect(extractField('employeeRange', 'more than 50 employees')).toMatchObject({ min: 51, band: '51-200' });
+    expect(extractField('employees', 'entre 5 000 et 10 000 salariés')).toBe(7500);
+    expect(extractField('employeeRange', 'fondée en 1998 et 1 200 collaborateurs')).toMatchObject({ min: 1200, max: 1200 });
+  });
+
+  test('custom registries only run their own extractors', () => {
+    const registry = new ExtractorRegistry()
+      .register({ field: 'sector', scope: 'corpus', extract: () => 'Energy' });
+
+    const profile = buildCompanyProfile('Acme', results, { registry });
+    expect(profile.sector).toBe('Energy');
+    expect(profile).not.toHaveProperty('employees');
+    expect(() => registry.register({ field: 'x', scope: 'page', extract: () => null })).toThrow();
+  });
+
+  test('records the source, snippet and extractor of each field', () => {
+    const { provenance } = buildCompanyProfile('Acme Conseil', results);
+
+    expect(provenance.employees).toMatchObject({
+      value: 1200,
+      sourceUrl: 'https://fr.wikipedia.org/wiki/Acme_Conseil',
+      snippet: expect.stringContaining('emploie 1 200 collaborateurs'),
+      extractor: 'employees:count-before-keyword',
+      confidence: 0.8
+    });
+    expect(provenance.isPublic.sourceUrl).toBe('https://www.acme-conseil.fr/about');
+    expect(provenance.isPublic.snippet).toContain('Listed on Euronext Paris');
+    expect(provenance.size_category).toMatchObject({
+      derivedFrom: ['employees'],
+      sourceUrl: provenance.employees.sourceUrl,
+      confidence: 0.8
+    });
+    expect(provenance).not.toHaveProperty('leadership');
+  });
+
+  test('flags default values as fallbacks', () => {
+    const profile = buildCompanyProfile('Acme', [{ title: 'Acme', url: 'https://acme.example', content: 'Nothing to see' }]);
+
+    expect(profile.sector).toBe('Technology');
+    expect(profile.provenance.sector).toMatchObject({ extractor: 'fallback', confidence: 0.1, sourceUrl: null });
+  });
+
+  test('describes companies spotted in a single search result', () => {
+    const result = { title: 'Peers', url: 'https://news.example/peers', content: 'Wavestone SA, cabinet de conseil français.' };
+    const match = /Wavestone SA/.exec(`${result.title} ${result.content}`);
+    const mention = extractMentionProfile('Wavestone', result, match);
+
+    expect(mention.country).toBe('France');
+    expect(mention.provenance.name.snippet).toContain('Wavestone SA');
+    expect(mention.provenance.country.sourceUrl).toBe('https://news.example/peers');
+  });
+});
+
+describe('Conflict resolution', () => {
+  const { resolveConsensus, sourceReliability, recencyWeight } = require('../src/services/extraction/consensus');
+  const now = Date.parse('2025-01-01T00:00:00Z');
+
+  test('a stale blog post listed first does not set the figures', () => {
+    const conflicting = [
+      {
+        title: 'Acme Conseil, ten years ago',
+        url: 'https://old-blog.example.org/acme',
+        publishedDate: '2014-05-01T00:00:00',
+        content: 'In 2014 Acme Conseil had 300 employees and revenue of €40 million.'
+      },
+      ...results.map(result => ({ ...result, publishedDate: '2024-06-01T00:00:00' }))
+    ];
+    const profile = buildCompanyProfile('Acme Conseil', conflicting);
+
+    expect(profile.employees).toBe(1200);
+    expect(profile.revenue.amount).toBe(2500000000);
+    // Headcount and range are read from the same winning sources
+    expect(profile.employeeRange.estimate).toBe(profile.employees);
+    expect(profile.provenance.employees.supportingSources).toEqual(profile.provenance.employeeRange.supportingSources);
+    expect(profile.provenance.employees.alternatives).toEqual([
+      expect.objectContaining({ value: 300, sourceUrl: 'https://old-blog.example.org/acme', sourceType: 'blog' })
+    ]);
+    expect(profile.provenance.revenue.alternatives[0].value.amount).toBe(40000000);
+    expect(profile.provenance.employees.agreement).toBeLessThan(1);
+  });
+
+  test('clusters close values and prefers recent, reliable sources', () => {
+    const consensus = resolveConsensus([
+      { value: 10000, sourceUrl: 'https://www.lesechos.fr/a', publishedDate: '2024-06-01', confidence: 0.8 },
+      { value: 10400, sourceUrl: 'https://fr.wikipedia.org/wiki/A', publishedDate: '2024-01-01', confidence: 0.8 },
+      { value: 7000, sourceUrl: 'https://www.lesechos.fr/b', publishedDate: '2016-01-01', confidence: 0.8 }
+    ], { tolerance: 0.1, now });
+
+    expect(consensus.value).toBe(10000);
+    expect(consensus.supportingSources).toHaveLength(2);
+    expect(consensus.alternatives).toEqual([expect.objectContaining({ value: 7000 })]);
+  });
+
+  test('weights sources by type and age', () => {
+    expect(sourceReliability('https://www.acme.com/about', 'Acme').label).toBe('official_site');
+    expect(sourceReliability('https://blog.acme.com/post', 'Acme').label).toBe('blog');
+    expect(sourceReliability('https://www.reuters.com/x').label).toBe('financial_press');
+    expect(recencyWeight('2023-01-01T00:00:00Z', now)).toBeCloseTo(0.5, 2);
+    expect(recencyWeight(null, now)).toBe(0.6);
+  });
+});
+
+describe('Monetary values', () => {
+  const { parseMoney, createMoney, toReportingAmount, revenueInMillions } = require('../src/services/extraction');
+
+  test('parses currency, scale and decimals', () => {
+    expect(parseMoney('$2.3 billion')).toMatchObject({ amount: 2300000000, currency: 'USD', scale: 'billion' });
+    expect(parseMoney("1,2 milliard d'euros")).toMatchObject({ amount: 1200000000, currency: 'EUR', scale: 'billion' });
+    expect(parseMoney('£450m')).toMatchObject({ amount: 450000000, currency: 'GBP', scale: 'million' });
+    expect(parseMoney('2,5 Md€')).toMatchObject({ amount: 2500000000, currency: 'EUR' });
+    expect(parseMoney('350k employees')).toBeNull();
+  });
+
+  test('reads the fiscal year and the source of a revenue figure', () => {
+    const revenue = extractField('revenue', 'Accenture reported revenue of $64.1 billion for fiscal 2023.', {
+      sourceUrl: 'https://newsroom.accenture.com/results'
+    });
+
+    expect(revenue).toMatchObject({ amount: 64100000000, currency: 'USD', fiscalYear: 2023 });
+    expect(revenue.source).toBe('https://newsroom.accenture.com/results');
+    expect(revenue.reporting).toEqual({ amount: 58972000000, currency: 'EUR' });
+
+    expect(extractField('revenue', "Le chiffre d'affaires 2023 atteint 22,5 milliards d'euros.")).toMatchObject({
+      amount: 22500000000, currency: 'EUR', fiscalYear: 2023
+    });
+    expect(extractField('revenue', 'Revenue 2022 reached $1.2 billion.').fiscalYear).toBe(2022);
+  });
+
+  test('converts to the configured reporting currency', () => {
+    const env = { REPORTING_CURRENCY: 'USD', FX_RATES: JSON.stringify({ USD: 0.9 }) };
+    const revenue = createMoney(parseMoney('€900 million'), { env });
+
+    expect(revenue.reporting).toEqual({ amount: 1000000000, currency: 'USD' });
+    expect(toReportingAmount(revenue, env)).toBe(1000000000);
+    expect(toReportingAmount(createMoney(parseMoney('£100m')), {})).toBe(117000000);
+  });
+
+  test('still reads legacy "€NM" strings', () => {
+    expect(revenueInMillions('€120M')).toBe(120);
+    expect(revenueInMillions(null)).toBeNull();
+  });
+});
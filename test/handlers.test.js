@@ -0,0 +1,586 @@
+const path = require('path');
+const { createContainer } = require('../src/container');
+const { CacheService } = require('../src/services/cache');
+const { SearchService } = require('../src/services/searchService');
+const { FixtureRecorder, SearxngProvider } = require('../src/services/providers');
+const { IdentifierIndex } = require('../src/services/identifiers');
+const { PeerSetService } = require('../src/services/peerSets');
+const { createSearchCompanyHandler } = require('../src/functions/searchCompany');
+const { createBatchSearchCompanyHandler } = require('../src/functions/batchSearchCompany');
+const { createFindComparablesHandler } = require('../src/functions/findComparables');
+const { createAnalyzeMetricsHandler } = require('../src/functions/analyzeMetrics');
+const { createTestConnectionHandler } = require('../src/functions/testConnection');
+const { createGetPeerSetHandler } = require('../src/functions/getPeerSet');
+const { createDiffPeerSetsHandler } = require('../src/functions/diffPeerSets');
+const { createSubmitJobHandler } = require('../src/functions/submitJob');
+const { createGetJobHandler } = require('../src/functions/getJob');
+const { createGetJobResultHandler } = require('../src/functions/getJobResult');
+
+const container = createContainer({
+  cache: new CacheService(),
+  peerSetService: new PeerSetService(),
+  provider: new FixtureRecorder(new SearxngProvider({}), {
+    mode: 'replay',
+    fixtureDir: path.join(__dirname, 'fixtures', 'searxng')
+  })
+});
+const searchCompany = createSearchCompanyHandler(container);
+const findComparables = createFindComparablesHandler(container);
+const analyzeMetrics = createAnalyzeMetricsHandler(container);
+const getPeerSet = createGetPeerSetHandler(container);
+const diffPeerSets = createDiffPeerSetsHandler(container);
+const submitJob = createSubmitJobHandler(container);
+const getJob = createGetJobHandler(container);
+const getJobResult = createGetJobResultHandler(container);
+
+function createRequest(body) {
+  return { json: async () => body };
+}
+
+async function readStream(body) {
+  let text = '';
+  for await (const chunk of body) text += chunk;
+  return text;
+}
+
+function createContext() {
+  const log = jest.fn();
+  log.error = jest.fn();
+  return { log };
+}
+
+describe('HTTP handlers replaying recorded SearXNG traffic', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('searchCompany builds a profile from the recorded results', async () => {
+    const response = await searchCompany(createRequest({ query: 'Capgemini' }), createContext());
+    const body = JSON.parse(response.body);
+
+    expect(response.status).toBe(200);
+    expect(body.data.name).toBe('Capgemini');
+    expect(body.data.country).toBe('France');
+    expect(body.data.employees).toBe(340000);
+    expect(body.data.founding_year).toBe(1967);
+    expect(body.dataQuality.searchQueries).toBe(3);
+    expect(body.data.provenance.employees).toMatchObject({
+      value: 340000,
+      sourceUrl: 'https://www.capgemini.com/about-us/',
+      extractor: 'employees:count-before-keyword'
+    });
+    expect(body.data.provenance.employees.snippet).toContain('340,000 employees');
+  });
+
+  test('findComparables extracts and scores peers', async () => {
+    const response = await findComparables(
+      createRequest({ companyName: 'Capgemini', minSimilarity: 0 }),
+      createContext()
+    );
+    const body = JSON.parse(response.body);
+
+    expect(response.status).toBe(200);
+    expect(body.referenceCompany.name).toBe('Capgemini');
+    const names = body.comparables.map(c => c.name);
+    expect(names).toEqual(expect.arrayContaining(['Sopra Steria', 'Atos']));
+    expect(names).not.toContain('Capgemini');
+    body.comparables.forEach(comparable => {
+      expect(comparable.provenance.name.sourceUrl).toBe(comparable.url);
+      expect(comparable.provenance.name.snippet).toContain(comparable.name);
+    });
+  });
+
+  test('findComparables reads the next result pages while they bring new peers', async () => {
+    const response = await findComparables(
+      createRequest({ companyName: 'Capgemini', minSimilarity: 0, maxResults: 20 }),
+      createContext()
+    );
+    const body = JSON.parse(response.body);
+    const names = body.comparables.map(c => c.name);
+
+    // Aubay and Devoteam only appear on the second page of the competitor search
+    expect(names).toEqual(expect.arrayContaining(['Aubay', 'Devoteam']));
+    expect(body.searchCriteria.pagesFetched).toBeGreaterThan(body.searchCriteria.autoGeneratedQueries);
+
+    const single = JSON.parse((await findComparables(
+      createRequest({ companyName: 'Capgemini', minSimilarity: 0, maxResults: 20, maxPages: 1 }),
+      createContext()
+    )).body);
+    expect(single.comparables.map(c => c.name)).not.toContain('Aubay');
+    expect(single.searchCriteria.pagesFetched).toBe(single.searchCriteria.autoGeneratedQueries);
+  });
+
+  test('findComparables applies a weighting preset and explains each score', async () => {
+    const response = await findComparables(
+      createRequest({ companyName: 'Capgemini', minSimilarity: 0, preset: 'M&A' }),
+      createContext()
+    );
+    const body = JSON.parse(response.body);
+
+    expect(response.status).toBe(200);
+    expect(body.similarityModel).toEqual({
+      preset: 'ma',
+      weights: { sector: 25, activity: 15, geography: 15, size: 25, stage: 10, confidence: 10 }
+    });
+    body.comparables.forEach(comparable => {
+      const contributions = Object.values(comparable.similarityBreakdown)
+        .reduce((sum, criterion) => sum + criterion.contribution, 0);
+      expect(comparable.similarityBreakdown.sector.weight).toBe(25);
+      // Scores with fewer than two known criteria are floored at 40
+      expect(comparable.similarityScore).toBeGreaterThanOrEqual(Math.floor(contributions));
+      expect(comparable.similarityScore).toBeLessThanOrEqual(Math.max(Math.ceil(contributions), 40));
+    });
+  });
+
+  test('findComparables rejects an unknown weighting profile', async () => {
+    const response = await findComparables(
+      createRequest({ companyName: 'Capgemini', preset: 'astrology', weights: { luck: 10 } }),
+      createContext()
+    );
+    const body = JSON.parse(response.body);
+
+    expect(response.status).toBe(400);
+    expect(body.error.details).toHaveLength(2);
+  });
+
+  test('analyzeMetrics benchmarks the company against its peers', async () => {
+    const response = await analyzeMetrics(
+      createRequest({ companyName: 'Capgemini', maxComparables: 3 }),
+      createContext()
+    );
+    const body = JSON.parse(response.body);
+
+    expect(response.status).toBe(200);
+    expect(body.mainCompany.name).toBe('Capgemini');
+    expect(body.analysisStats.comparablesAnalyzed).toBe(3);
+    expect(body.analyzedCompanies).toHaveLength(4);
+    expect(body.incomplete).toBe(false);
+    expect(body.searchBudget).toMatchObject({ complete: true, queriesSkipped: 0 });
+  });
+
+  test('peer sets are saved as versions, diffed and replayed by analyzeMetrics', async () => {
+    const first = JSON.parse((await findComparables(
+      createRequest({ companyName: 'Capgemini', minSimilarity: 0, peerSetId: 'capgemini-peers' }),
+      createContext()
+    )).body);
+    const second = JSON.parse((await findComparables(
+      createRequest({ companyName: 'Capgemini', minSimilarity: 0, preset: 'valuation', peerSetId: 'capgemini-peers', peerSetLabel: 'Valorisation' }),
+      createContext()
+    )).body);
+    expect(first.peerSet).toMatchObject({ id: 'capgemini-peers', version: 1 });
+    expect(second.peerSet).toMatchObject({ id: 'capgemini-peers', version: 2 });
+
+    const saved = JSON.parse((await getPeerSet(createRequest({ id: 'capgemini-peers', version: 1 }), createContext())).body);
+    expect(saved.peerSet.comparables.map(c => c.name)).toEqual(first.comparables.map(c => c.name));
+    expect(saved.peerSet.inputs).toMatchObject({ companyName: 'Capgemini', minSimilarity: 0, preset: null });
+    expect(saved.versions.map(v => [v.version, v.label])).toEqual([[1, null], [2, 'Valorisation']]);
+
+    const diff = JSON.parse((await diffPeerSets(createRequest({ id: 'capgemini-peers' }), createContext())).body).diff;
+    expect(diff.from.version).toBe(1);
+    expect(diff.to.version).toBe(2);
+    expect(diff.similarityModelChanged).toBe(true);
+    expect(diff.inputsChanged).toEqual([{ field: 'preset', from: null, to: 'valuation' }]);
+    expect(diff.added.length + diff.changed.length + diff.unchanged.length).toBe(second.comparables.length);
+
+    const replay = JSON.parse((await analyzeMetrics(createRequest({ peerSetId: 'capgemini-peers', peerSetVersion: 1 }), createContext())).body);
+    expect(replay.mainCompany.name).toBe('Capgemini');
+    expect(replay.analysisStats.comparablesAnalyzed).toBe(first.comparables.length);
+    expect(replay.analysisStats.peerSet).toMatchObject({ id: 'capgemini-peers', version: 1 });
+    // The reference profile is the saved one, not searched again
+    expect(replay.analyzedCompanies.find(c => c.isMainCompany)).toMatchObject({
+      source: 'peer_set',
+      sector: first.referenceCompany.sector,
+      employees: first.referenceCompany.employees
+    });
+    expect(replay.searchBudget.queriesRun).toBe(0);
+
+    const mismatch = await analyzeMetrics(createRequest({ companyName: 'Sopra Steria', peerSetId: 'capgemini-peers' }), createContext());
+    expect(mismatch.status).toBe(400);
+    expect((await analyzeMetrics(createRequest({ companyName: 'Capgemini', peerSetId: 'capgemini-peers' }), createContext())).status).toBe(200);
+  });
+
+  test('findComparables still answers when its peer set cannot be saved', async () => {
+    const save = jest.spyOn(container.peerSetService, 'save').mockRejectedValueOnce(new Error('EACCES'));
+    try {
+      const response = await findComparables(createRequest({ companyName: 'Capgemini', minSimilarity: 0, savePeerSet: true }), createContext());
+      const body = JSON.parse(response.body);
+
+      expect(response.status).toBe(200);
+      expect(body.comparables.length).toBeGreaterThan(0);
+      expect(body.peerSet).toEqual({ id: null, error: 'EACCES' });
+    } finally {
+      save.mockRestore();
+    }
+  });
+
+  test('unknown peer sets are reported as not found', async () => {
+    expect((await getPeerSet(createRequest({ id: 'nobody-peers' }), createContext())).status).toBe(404);
+    expect((await diffPeerSets(createRequest({ id: 'capgemini-peers', fromVersion: 7 }), createContext())).status).toBe(404);
+    expect((await analyzeMetrics(createRequest({ peerSetId: 'nobody-peers' }), createContext())).status).toBe(404);
+    expect((await findComparables(createRequest({ companyName: 'Capgemini', peerSetId: 'Not A Slug!' }), createContext())).status).toBe(400);
+    expect((await analyzeMetrics(createRequest({ peerSetId: 'Not A Slug!' }), createContext())).status).toBe(400);
+    expect((await analyzeMetrics(createRequest(null), createContext())).status).toBe(400);
+  });
+
+  test('analyzeMetrics runs as a job with progress and a result to fetch', async () => {
+    const submitted = await submitJob(createRequest({ type: 'analyzeMetrics', params: { companyName: 'Capgemini', maxComparables: 3 } }), createContext());
+    const { job } = JSON.parse(submitted.body);
+    expect(submitted.status).toBe(202);
+    expect(job.status).toBe('queued');
+
+    await container.jobService.onIdle();
+
+    // Status can be polled with GET and a query string
+    const status = JSON.parse((await getJob({ query: new URLSearchParams({ id: job.id }) }, createContext())).body).job;
+    expect(status.status).toBe('completed');
+    expect(status.resultAvailable).toBe(true);
+    expect(status.progress).toMatchObject({ step: 'comparison', stepNumber: 4, totalSteps: 4 });
+    expect(status.progress.queriesDone).toBeGreaterThanOrEqual(3);
+
+    const result = await getJobResult(createRequest({ id: job.id }), createContext());
+    const body = JSON.parse(result.body);
+    expect(result.status).toBe(200);
+    expect(body.analysisStats.comparablesAnalyzed).toBe(3);
+    expect(body.job).toMatchObject({ id: job.id, type: 'analyzeMetrics' });
+  });
+
+  test('a failed job answers 409 with the error of its endpoint', async () => {
+    const { job } = JSON.parse((await submitJob(createRequest({ type: 'findComparables', params: {} }), createContext())).body);
+    await container.jobService.onIdle();
+
+    const result = await getJobResult(createRequest({ id: job.id }), createContext());
+    const { details } = JSON.parse(result.body).error;
+    expect(result.status).toBe(409);
+    expect(details.jobId).toBe(job.id);
+    expect(details.error).toMatchObject({ code: 400, message: 'Paramètres invalides' });
+
+    expect((await submitJob(createRequest({ type: 'shutdown', params: {} }), createContext())).status).toBe(400);
+    expect((await getJob(createRequest({ id: '00000000-0000-4000-8000-000000000000' }), createContext())).status).toBe(404);
+  });
+
+  test('findComparables returns partial results when its search budget runs out', async () => {
+    const response = await findComparables(
+      createRequest({ companyName: 'Capgemini', minSimilarity: 0, maxSearches: 4, maxPages: 1 }),
+      createContext()
+    );
+    const body = JSON.parse(response.body);
+
+    expect(response.status).toBe(200);
+    expect(body.incomplete).toBe(true);
+    expect(body.searchBudget).toMatchObject({ complete: false, exhaustedBy: 'maxQueries', queriesRun: 4, maxQueries: 4 });
+    expect(body.searchBudget.queriesSkipped).toBe(body.searchCriteria.autoGeneratedQueries - 1);
+    expect(body.comparables.length).toBeGreaterThan(0);
+  });
+
+  test('findComparables streams its progress as NDJSON events', async () => {
+    const response = await findComparables(
+      createRequest({ companyName: 'Capgemini', minSimilarity: 0, stream: 'ndjson' }),
+      createContext()
+    );
+    expect(response.headers['Content-Type']).toBe('application/x-ndjson');
+
+    const events = (await readStream(response.body)).trim().split('\n').map(line => JSON.parse(line));
+    const names = events.map(e => e.event);
+    expect(names).toEqual(expect.arrayContaining(['step', 'query', 'candidate', 'scored']));
+    expect(events.map(e => e.sequence)).toEqual(events.map((e, i) => i + 1));
+    expect(names.indexOf('query')).toBeLessThan(names.indexOf('scored'));
+
+    const result = events[events.length - 1];
+    expect(result.event).toBe('result');
+    expect(result.data).toMatchObject({ status: 200, success: true });
+    expect(names.filter(name => name === 'scored').length).toBeGreaterThanOrEqual(result.data.totalFound);
+  });
+
+  test('analyzeMetrics streams Server-Sent Events when the client accepts them', async () => {
+    const request = { ...createRequest({ companyName: 'Capgemini', maxComparables: 3 }), headers: { get: () => 'text/event-stream' } };
+    const response = await analyzeMetrics(request, createContext());
+    expect(response.headers['Content-Type']).toBe('text/event-stream');
+
+    const frames = (await readStream(response.body)).trim().split('\n\n');
+    expect(frames[0]).toMatch(/^id: 1\nevent: step\ndata: \{"step":"mainCompany"/);
+    expect(frames.filter(frame => frame.includes('event: scored'))).toHaveLength(4);
+
+    const last = frames[frames.length - 1];
+    expect(last).toContain('event: result');
+    expect(JSON.parse(last.split('data: ')[1]).analysisStats.comparablesAnalyzed).toBe(3);
+  });
+
+  test('a streamed request failing validation ends with an error event', async () => {
+    const response = await findComparables(createRequest({ stream: true }), createContext());
+    const events = (await readStream(response.body)).trim().split('\n').map(line => JSON.parse(line));
+
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({ event: 'error', data: { status: 400, success: false } });
+  });
+
+  test('an unrecorded request fails without touching the network', async () => {
+    const fetchSpy = jest.spyOn(global, 'fetch');
+    const response = await searchCompany(createRequest({ query: 'Unrecorded Corp' }), createContext());
+
+    expect(response.status).toBe(404);
+    expect(fetchSpy).not.toHaveBeenCalled();
+  });
+
+  test('handlers share the services of the container', () => {
+    expect(container.analysisService.searchService).toBe(container.searchService);
+    expect(container.searchService.getServiceStats().totalRequests).toBeGreaterThan(0);
+  });
+
+  test('testConnection reports the stats of an injected search service', async () => {
+    const fakeSearchService = {
+      testConnection: jest.fn().mockResolvedValue(true),
+      getAccessToken: jest.fn().mockResolvedValue('token'),
+      getServiceStats: jest.fn().mockReturnValue({ configured: true, provider: 'fake', totalRequests: 42, errors: [] })
+    };
+    const testConnection = createTestConnectionHandler({ searchService: fakeSearchService });
+
+    const response = await testConnection(createRequest({}), createContext());
+    const body = JSON.parse(response.body);
+
+    expect(response.status).toBe(200);
+    expect(body.serviceStats.totalRequests).toBe(42);
+    expect(body.serviceConfiguration.searchProvider).toBe('fake');
+  });
+});
+
+describe('findComparables with peers named by the caller', () => {
+  const profiles = {
+    Capgemini: [{ title: 'Capgemini', url: 'https://www.capgemini.com', content: 'Capgemini is a French IT consulting group with 340,000 employees.' }],
+    Wavestone: [{ title: 'Wavestone', url: 'https://www.wavestone.com', content: 'Wavestone is a French management consulting firm.' }],
+    'Sopra Steria': [{ title: 'Sopra Steria', url: 'https://www.soprasteria.com', content: 'Sopra Steria is a French IT consulting company, ISIN FR0000050809.' }]
+  };
+  const queries = [];
+  const searchService = {
+    searchCompanyInfo: async (query) => {
+      queries.push(query);
+      return { success: true, totalQueries: 1, searchResults: [{ query, results: profiles[query] || [] }] };
+    },
+    searchWeb: async () => ({
+      success: true,
+      results: [
+        { title: 'Market news.', url: 'https://news.example.org/it', content: 'Atos SE, the French IT services company.' },
+        { title: 'Market news.', url: 'https://news.example.org/eng', content: 'Alten SA, the French engineering consulting company.' },
+        { title: 'Sponsored.', url: 'https://blog.example.com/ranking', content: 'Akka Technologies SE, the French engineering company.' }
+      ]
+    }),
+    searchWebPages(query, params) {
+      return this.searchWeb(query, params);
+    }
+  };
+  const identifierIndex = new IdentifierIndex({ cache: new CacheService() });
+  const handler = createFindComparablesHandler({ searchService, identifierIndex });
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await identifierIndex.register('Sopra Steria', { isin: 'FR0000050809', tickers: [] });
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('profiles the requested peers and keeps them whatever their score', async () => {
+    const response = await handler(createRequest({
+      companyName: 'Capgemini',
+      minSimilarity: 100,
+      includeCompanies: ['Wavestone', 'FR0000050809'],
+      excludeCompanies: ['Atos'],
+      excludeDomains: ['https://example.com/']
+    }), createContext());
+    const body = JSON.parse(response.body);
+
+    expect(response.status).toBe(200);
+    expect(queries).toEqual(expect.arrayContaining(['Wavestone', 'Sopra Steria']));
+    const requested = body.comparables.filter(c => c.requestedByCaller).map(c => c.name);
+    expect(requested.sort()).toEqual(['Sopra Steria', 'Wavestone']);
+    expect(body.comparables.find(c => c.name === 'Sopra Steria').identifiers.isin).toBe('FR0000050809');
+    expect(body.breakdown.requestedByCaller).toBe(2);
+    expect(body.searchCriteria.excludeDomains).toEqual(['example.com']);
+  });
+
+  test('profiles the requested peers in parallel', async () => {
+    let running = 0;
+    let peak = 0;
+    const parallel = Object.create(searchService);
+    parallel.searchCompanyInfo = async (query) => {
+      running++;
+      peak = Math.max(peak, running);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      running--;
+      return searchService.searchCompanyInfo(query);
+    };
+
+    const response = await createFindComparablesHandler({ searchService: parallel, identifierIndex })(createRequest({
+      companyName: 'Capgemini',
+      minSimilarity: 100,
+      includeCompanies: ['Wavestone', 'Sopra Steria']
+    }), createContext());
+    const body = JSON.parse(response.body);
+
+    expect(peak).toBeGreaterThan(1);
+    expect(body.comparables.filter(c => c.requestedByCaller).map(c => c.name).sort()).toEqual(['Sopra Steria', 'Wavestone']);
+  });
+
+  test('excluded companies and domains never reach the results', async () => {
+    const response = await handler(createRequest({
+      companyName: 'Capgemini',
+      minSimilarity: 0,
+      excludeCompanies: ['Atos'],
+      excludeDomains: ['blog.example.com']
+    }), createContext());
+    const names = JSON.parse(response.body).comparables.map(c => c.name);
+
+    expect(names).toContain('Alten');
+    expect(names).not.toContain('Atos');
+    expect(names).not.toContain('Akka Technologies');
+  });
+
+  test('rejects malformed lists', async () => {
+    const response = await handler(createRequest({ companyName: 'Capgemini', includeCompanies: ['Wavestone', 42] }), createContext());
+    expect(response.status).toBe(400);
+  });
+});
+
+describe('findComparables in the market of the reference company', () => {
+  const searches = [];
+  const searchService = {
+    searchCompanyInfo: async (query) => ({
+      success: true,
+      totalQueries: 1,
+      searchResults: [{ query, results: [{ title: 'SAP', url: 'https://www.sap.com', content: 'SAP is a German software company based in Walldorf, Germany.' }] }]
+    }),
+    searchWeb: async (query, params) => {
+      searches.push({ query, language: params.language });
+      return {
+        success: true,
+        results: [{ title: 'Softwarehäuser.', url: 'https://news.example.de/software', content: 'Datagroup AG, IT-Dienstleister. Nemetschek SE, Softwarehersteller.' }]
+      };
+    },
+    searchWebPages(query, params) {
+      return this.searchWeb(query, params);
+    }
+  };
+  const handler = createFindComparablesHandler({ searchService, identifierIndex: new IdentifierIndex({ cache: new CacheService() }) });
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('searches German peers in German with German legal forms', async () => {
+    const response = await handler(createRequest({ companyName: 'SAP', minSimilarity: 0 }), createContext());
+    const body = JSON.parse(response.body);
+
+    expect(response.status).toBe(200);
+    expect(body.searchCriteria.queryLanguages).toEqual(['de']);
+    expect(searches.every(search => search.language === 'de')).toBe(true);
+    expect(searches[0].query).toBe('Technologie Unternehmen Deutschland GmbH AG');
+    expect(body.comparables.map(c => c.name)).toEqual(expect.arrayContaining(['Datagroup', 'Nemetschek']));
+  });
+});
+
+describe('batchSearchCompany', () => {
+  const profiles = {
+    Capgemini: 'Capgemini is a French IT consulting group with 340,000 employees.',
+    Wavestone: 'Wavestone is a French management consulting firm with 5,500 employees.',
+    'Sopra Steria': 'Sopra Steria is a French IT consulting company, ISIN FR0000050809.'
+  };
+  let running = 0;
+  let peak = 0;
+  const searched = [];
+  const searchService = {
+    searchCompanyInfo: async (query) => {
+      searched.push(query);
+      running++;
+      peak = Math.max(peak, running);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      running--;
+      if (query === 'Broken') throw new Error('Délai dépassé');
+      const content = profiles[query];
+      return {
+        success: Boolean(content),
+        totalQueries: 1,
+        searchResults: content ? [{ query, results: [{ title: query, url: `https://${query.toLowerCase().replace(/ /g, '')}.com`, content }] }] : []
+      };
+    }
+  };
+  const container = createContainer({ cache: new CacheService(), searchService, peerSetService: new PeerSetService() });
+  const handler = createBatchSearchCompanyHandler(container);
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await container.identifierIndex.register('Sopra Steria', { isin: 'FR0000050809', tickers: [] });
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('profiles every company with its own status and a summary', async () => {
+    const response = await handler(createRequest({
+      companies: ['Capgemini', 'Wavestone', 'FR0000050809', 'Unknown Holdings', 'Broken', 'capgemini'],
+      concurrency: 2
+    }), createContext());
+    const body = JSON.parse(response.body);
+
+    expect(response.status).toBe(200);
+    expect(body.results.map(item => [item.input, item.status])).toEqual([
+      ['Capgemini', 200], ['Wavestone', 200], ['FR0000050809', 200],
+      ['Unknown Holdings', 404], ['Broken', 500], ['capgemini', 200]
+    ]);
+    expect(body.results[0].data.employees).toBe(340000);
+    expect(body.results[2].data).toMatchObject({ name: 'Sopra Steria', identifierMatch: true });
+    expect(body.results[4].error).toEqual({ code: 500, message: 'Délai dépassé' });
+    expect(body.results[5].duplicateOf).toBe(0);
+    expect(body.summary).toMatchObject({ total: 6, unique: 5, succeeded: 4, failed: 2, byStatus: { 200: 4, 404: 1, 500: 1 }, concurrency: 2 });
+    expect(searched.filter(query => query === 'Capgemini')).toHaveLength(1);
+    expect(peak).toBeLessThanOrEqual(2);
+  });
+
+  test('bounds the whole batch with one search budget and rejects suspicious names', async () => {
+    const provider = {
+      name: 'fake',
+      getConfigurationError: () => null,
+      search: async params => ({
+        results: [{ title: params.query, url: `https://example.com/${encodeURIComponent(params.query)}`, content: `${params.query} is a French IT consulting group with 5,000 employees.` }]
+      })
+    };
+    const search = jest.spyOn(provider, 'search');
+    const budgeted = createBatchSearchCompanyHandler(createContainer({
+      cache: new CacheService(),
+      searchService: new SearchService({ provider, cache: new CacheService() }),
+      peerSetService: new PeerSetService()
+    }));
+
+    const response = await budgeted(createRequest({
+      companies: ['Capgemini', 'Demo Corp', 'Wavestone', 'Sopra Steria'],
+      concurrency: 1,
+      maxSearches: 4
+    }), createContext());
+    const body = JSON.parse(response.body);
+
+    expect(body.results.map(item => [item.input, item.status])).toEqual([
+      ['Capgemini', 200], ['Demo Corp', 400], ['Wavestone', 200], ['Sopra Steria', 503]
+    ]);
+    expect(body.results[2].incomplete).toBe(true);
+    expect(body.incomplete).toBe(true);
+    expect(body.searchBudget).toMatchObject({ exhaustedBy: 'maxQueries', queriesRun: 4, maxQueries: 4 });
+    expect(search).toHaveBeenCalledTimes(4);
+    expect(search.mock.calls.some(([params]) => params.query.includes('Demo'))).toBe(false);
+  });
+
+  test('rejects an empty or oversized batch', async () => {
+    expect((await handler(createRequest({ companies: [] }), createContext())).status).toBe(400);
+    expect((await handler(createRequest({ companies: Array(101).fill('Capgemini') }), createContext())).status).toBe(400);
+    expect((await handler(createRequest({ companies: ['Capgemini', 7] }), createContext())).status).toBe(400);
+    expect((await handler(createRequest({ companies: ['Capgemini', '  '] }), createContext())).status).toBe(400);
+  });
+});
@@ -1,4 +1,4 @@
-const { validateInput, sanitizeString, formatCurrency, formatNumber, isValidUrl } = require('../src/utils/helpers');
+const { validateInput, sanitizeString, formatCurrency, formatNumber, isValidUrl, normalizeDomain, canonicalizeUrl, isUrlInDomains, mapWithConcurrency } = require('../src/utils/helpers');
 
 describe('helpers utility functions', () => {
   test('validateInput returns valid for correct data', () => {
@@ -40,4 +40,35 @@ describe('helpers utility functions', () => {
     expect(isValidUrl('https://example.com')).toBe(true);
     expect(isValidUrl('not_a_url')).toBe(false);
   });
+
+  test('normalizeDomain and isUrlInDomains match sites and subdomains', () => {
+    expect(normalizeDomain('https://www.Example.com/about')).toBe('example.com');
+    expect(normalizeDomain('blog.example.com')).toBe('blog.example.com');
+    expect(isUrlInDomains('https://blog.example.com/post', ['example.com'])).toBe(true);
+    expect(isUrlInDomains('https://notexample.com/post', ['example.com'])).toBe(false);
+  });
+
+  test('canonicalizeUrl gives the same key to variants of one page', () => {
+    const key = canonicalizeUrl('https://www.soprasteria.com/fr/nous-connaitre');
+    expect(canonicalizeUrl('http://soprasteria.com/fr/nous-connaitre/?utm_source=searxng#team')).toBe(key);
+    expect(canonicalizeUrl('https://soprasteria.com/fr/nous-connaitre?b=2&a=1')).toBe('soprasteria.com/fr/nous-connaitre?a=1&b=2');
+    expect(canonicalizeUrl('https://soprasteria.com/en/nous-connaitre')).not.toBe(key);
+    expect(canonicalizeUrl('not a url')).toBeNull();
+  });
+
+  test('mapWithConcurrency keeps the order and bounds the calls in flight', async () => {
+    let running = 0;
+    let peak = 0;
+    const results = await mapWithConcurrency([30, 10, 20, 5, 15], 2, async (delay, index) => {
+      running++;
+      peak = Math.max(peak, running);
+      await new Promise(resolve => setTimeout(resolve, delay));
+      running--;
+      return index * 2;
+    });
+
+    expect(results).toEqual([0, 2, 4, 6, 8]);
+    expect(peak).toBe(2);
+    expect(await mapWithConcurrency([], 3, async () => 1)).toEqual([]);
+  });
 });
@@ -0,0 +1,167 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  isValidSiren,
+  isValidSiret,
+  isValidLei,
+  isValidIsin,
+  findIdentifiers,
+  parseIdentifier,
+  IdentifierIndex,
+  createIdentifierIndex
+} = require('../src/services/identifiers');
+const { CacheService } = require('../src/services/cache');
+const { buildCompanyProfile } = require('../src/services/extraction');
+const { createGetCompanyDetailsHandler } = require('../src/functions/getCompanyDetails');
+
+const capgeminiResults = [
+  {
+    title: 'Capgemini SE (CAP.PA) financial information',
+    url: 'https://finance.yahoo.com/quote/CAP.PA/profile',
+    content: 'Capgemini SE provides consulting and technology services. ISIN FR0000125338.'
+  },
+  {
+    title: 'Capgemini : résultats annuels',
+    url: 'https://www.lesechos.fr/capgemini',
+    content: "Capgemini publie un chiffre d'affaires de 22,5 milliards d'euros. SIREN 330 703 844. Accenture (NYSE: ACN) reste son principal concurrent."
+  },
+  {
+    title: 'Capgemini SE - Company profile',
+    url: 'https://www.capgemini.com/about-us/',
+    content: 'Capgemini is listed on Euronext Paris (EPA: CAP).'
+  }
+];
+
+describe('Identifier validation', () => {
+  test('checks SIREN and SIRET with the Luhn algorithm', () => {
+    expect(isValidSiren('330 703 844')).toBe(true);
+    expect(isValidSiren('330 703 845')).toBe(false);
+    expect(isValidSiret('330 703 844 00010')).toBe(true);
+    expect(isValidSiret('33070384400011')).toBe(false);
+    expect(isValidSiren('356000000')).toBe(true);
+  });
+
+  test('checks LEI (ISO 17442) and ISIN check digits', () => {
+    expect(isValidLei('5493001KJTIIGC8Y1R12')).toBe(true);
+    expect(isValidLei('5493001KJTIIGC8Y1R13')).toBe(false);
+    expect(isValidIsin('FR0000125338')).toBe(true);
+    expect(isValidIsin('US0378331005')).toBe(true);
+    expect(isValidIsin('FR0000125339')).toBe(false);
+  });
+
+  test('detects the type of a caller identifier', () => {
+    expect(parseIdentifier('330 703 844')).toEqual({ type: 'siren', value: '330703844', exchange: null, valid: true });
+    expect(parseIdentifier('FR0000125338').type).toBe('isin');
+    expect(parseIdentifier('5493001KJTIIGC8Y1R12').type).toBe('lei');
+    expect(parseIdentifier('EPA:CAP')).toMatchObject({ type: 'ticker', value: 'CAP', exchange: 'EPA' });
+    expect(parseIdentifier('cap.pa')).toMatchObject({ type: 'ticker', value: 'CAP', exchange: 'EPA' });
+  });
+});
+
+describe('Identifier extraction', () => {
+  test('reads only identifiers with a valid checksum', () => {
+    const found = findIdentifiers('SIREN 330 703 844, SIREN 330 703 845, LEI 5493001KJTIIGC8Y1R12');
+    expect(found.map(f => `${f.type}:${f.value}`)).toEqual(['siren:330703844', 'lei:5493001KJTIIGC8Y1R12']);
+  });
+
+  test('attaches the identifiers of the company to its profile', () => {
+    const profile = buildCompanyProfile('Capgemini', capgeminiResults);
+
+    expect(profile.identifiers).toEqual({
+      siren: '330703844',
+      siret: null,
+      lei: null,
+      isin: 'FR0000125338',
+      tickers: [{ symbol: 'CAP', exchange: 'EPA' }]
+    });
+    expect(profile.provenance.identifiers.sourceUrl).toBe('https://finance.yahoo.com/quote/CAP.PA/profile');
+  });
+});
+
+describe('Identifier index', () => {
+  test('a file index keeps its entries across restarts', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'identifiers-'));
+    try {
+      const env = { IDENTIFIER_STORE: 'file', IDENTIFIER_DIR: directory };
+      await createIdentifierIndex(new CacheService(), env).register('Capgemini', { isin: 'FR0000125338', tickers: [{ symbol: 'CAP', exchange: 'EPA' }] });
+
+      const restarted = createIdentifierIndex(new CacheService(), env);
+      expect(await restarted.lookup({ type: 'isin', value: 'FR0000125338' })).toMatchObject({ name: 'Capgemini' });
+      expect(await restarted.lookup({ type: 'ticker', value: 'CAP' })).toMatchObject({ name: 'Capgemini' });
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  test('an unreadable or unwritable index is a miss, not an error', async () => {
+    const failing = async () => { throw new Error('EIO'); };
+    const index = new IdentifierIndex({ store: { get: failing, set: failing } });
+    const quiet = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    expect(await index.lookup({ type: 'siren', value: '330703844' })).toBeNull();
+    await expect(index.register('Capgemini', { siren: '330703844', tickers: [] })).resolves.toBeUndefined();
+    expect(quiet).toHaveBeenCalledWith(expect.stringContaining('non indexés'));
+    quiet.mockRestore();
+    expect(() => createIdentifierIndex(new CacheService(), { IDENTIFIER_STORE: 'sql' })).toThrow(/inconnu/);
+  });
+});
+
+describe('getCompanyDetails identifier lookup', () => {
+  const queries = [];
+  const searchService = {
+    searchCompanyInfo: async (query) => {
+      queries.push(query);
+      return { success: true, totalQueries: 1, searchResults: [{ query, results: capgeminiResults }] };
+    }
+  };
+  const identifierIndex = new IdentifierIndex({ cache: new CacheService() });
+  const getCompanyDetails = createGetCompanyDetailsHandler({ searchService, identifierIndex });
+
+  function call(body) {
+    const log = jest.fn();
+    log.error = jest.fn();
+    return getCompanyDetails({ json: async () => body }, { log }).then(response => ({
+      status: response.status,
+      body: JSON.parse(response.body)
+    }));
+  }
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('rejects identifiers with a wrong check digit', async () => {
+    const { status, body } = await call({ siren: '330703845' });
+    expect(status).toBe(400);
+    expect(body.error.details.type).toBe('siren');
+  });
+
+  test('finds a company by any identifier once it has been resolved by name', async () => {
+    await call({ name: 'Capgemini' });
+    const { status, body } = await call({ identifier: 'FR0000125338' });
+
+    expect(status).toBe(200);
+    expect(queries[queries.length - 1]).toBe('Capgemini');
+    expect(body.data.searchType).toBe('isin');
+    expect(body.data.identifierMatch).toBe(true);
+    expect(body.data.identifiers.siren).toBe('330703844');
+  });
+
+  test('reports the trading currency of the listing instead of assuming euros', async () => {
+    const listed = await call({ symbol: 'CAP.PA' });
+    expect(listed.body.data.marketData).toMatchObject({ exchange: 'EPA', currency: 'EUR' });
+
+    const american = await call({ symbol: 'ACN' });
+    expect(american.body.data.marketData).toMatchObject({ exchange: 'NYSE', currency: 'USD' });
+    expect(american.body.data.identifiers.siren).toBeNull();
+
+    const unknown = await call({ symbol: 'XYZ' });
+    expect(unknown.body.data.marketData.currency).toBeNull();
+    expect(unknown.body.data.identifierMatch).toBe(false);
+  });
+});
@@ -0,0 +1,128 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JobService, createJobService, MemoryJobStore, FileJobStore } = require('../src/services/jobs');
+
+describe('Job service', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('runs a job in the background and keeps its progress and result', async () => {
+    const service = new JobService();
+    const job = await service.submit('sum', { values: [1, 2, 3] }, async (input, reportProgress) => {
+      reportProgress({ step: 'adding', queriesDone: 1 });
+      return input.values.reduce((sum, value) => sum + value, 0);
+    });
+
+    expect(job.status).toBe('queued');
+    await service.onIdle();
+
+    const done = await service.get(job.id);
+    expect(done).toMatchObject({ status: 'completed', result: 6, progress: { step: 'adding', queriesDone: 1 } });
+    expect(Date.parse(done.completedAt)).toBeGreaterThanOrEqual(Date.parse(done.startedAt));
+  });
+
+  test('a throwing executor fails the job with its status code', async () => {
+    const service = new JobService();
+    const job = await service.submit('broken', {}, async () => {
+      const error = new Error('Entreprise non trouvée');
+      error.statusCode = 404;
+      throw error;
+    });
+    await service.onIdle();
+
+    expect((await service.get(job.id)).error).toEqual({ code: 404, message: 'Entreprise non trouvée', details: null });
+  });
+
+  test('never runs more jobs than its concurrency', async () => {
+    const service = new JobService({ concurrency: 2 });
+    let running = 0;
+    let peak = 0;
+    const executor = async () => {
+      running++;
+      peak = Math.max(peak, running);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      running--;
+    };
+    for (let i = 0; i < 5; i++) await service.submit('wait', {}, executor);
+    await service.onIdle();
+
+    expect(peak).toBe(2);
+  });
+
+  test('jobs interrupted by a restart are reported as failed', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'jobs-'));
+    try {
+      const store = new FileJobStore({ directory });
+      await store.save({ id: '00000000-0000-4000-8000-000000000000', type: 'analyzeMetrics', status: 'running', completedAt: null });
+
+      const restarted = createJobService({ JOB_STORE: 'file', JOB_DIR: directory });
+      expect(await restarted.get('00000000-0000-4000-8000-000000000000')).toMatchObject({
+        status: 'failed',
+        error: { code: 503 }
+      });
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  test('a restarted worker leaves the jobs of live workers sharing its store alone', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'jobs-'));
+    const job = (id, owner) => ({ id: `00000000-0000-4000-8000-00000000000${id}`, type: 'analyzeMetrics', status: 'running', owner, completedAt: null });
+    try {
+      const store = new FileJobStore({ directory });
+      await store.save(job(1, { host: os.hostname(), pid: process.ppid }));
+      await store.save(job(2, { host: 'other-instance', pid: 1234 }));
+      // Beyond the largest process id Linux hands out: the worker is gone
+      await store.save(job(3, { host: os.hostname(), pid: 99999999 }));
+
+      const restarted = createJobService({ JOB_STORE: 'file', JOB_DIR: directory });
+      expect((await restarted.get(job(1).id)).status).toBe('running');
+      expect((await restarted.get(job(2).id)).status).toBe('running');
+      expect((await restarted.get(job(3).id)).status).toBe('failed');
+
+      const submitted = await restarted.submit('analyzeMetrics', {}, async () => ({}));
+      expect(submitted.owner).toEqual({ host: os.hostname(), pid: process.pid });
+      await restarted.onIdle();
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  test('a failed recovery is attempted again by the next call', async () => {
+    const store = new MemoryJobStore();
+    const list = store.list.bind(store);
+    store.list = jest.fn()
+      .mockRejectedValueOnce(new Error('EIO'))
+      .mockImplementation(list);
+    await store.save({ id: '00000000-0000-4000-8000-000000000000', type: 'analyzeMetrics', status: 'queued', completedAt: null });
+
+    const jobs = new JobService({ store });
+    await expect(jobs.get('00000000-0000-4000-8000-000000000000')).rejects.toThrow('EIO');
+    expect(await jobs.get('00000000-0000-4000-8000-000000000000')).toMatchObject({
+      status: 'failed',
+      error: { code: 503 }
+    });
+  });
+
+  test('finished jobs expire after the retention period', async () => {
+    const service = new JobService({ retention: 1000 });
+    const job = await service.submit('quick', {}, async () => 'ok');
+    await service.onIdle();
+
+    const spy = jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 5000);
+    await service.submit('next', {}, async () => 'ok');
+    spy.mockRestore();
+    await service.onIdle();
+
+    expect(await service.get(job.id)).toBeNull();
+    expect(await service.get('not-a-job')).toBeNull();
+    expect(() => createJobService({ JOB_STORE: 'queue' })).toThrow(/queue/);
+  });
+});
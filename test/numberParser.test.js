@@ -0,0 +1,37 @@
+const { parseLocaleNumber, parseScaledNumber, detectNumberLocale } = require('../src/utils/numberParser');
+
+describe('numberParser', () => {
+  test('reads French, English and German grouping', () => {
+    expect(parseLocaleNumber('12 500')).toBe(12500);
+    expect(parseLocaleNumber('12\u202f500')).toBe(12500);
+    expect(parseLocaleNumber('12\u00a0500')).toBe(12500);
+    expect(parseLocaleNumber('350,000')).toBe(350000);
+    expect(parseLocaleNumber('1.200')).toBe(1200);
+    expect(parseLocaleNumber("1'200'000")).toBe(1200000);
+  });
+
+  test('reads decimal commas and points', () => {
+    expect(parseLocaleNumber('1,2')).toBe(1.2);
+    expect(parseLocaleNumber('1.234,5')).toBe(1234.5);
+    expect(parseLocaleNumber('1,234.5')).toBe(1234.5);
+    expect(parseLocaleNumber('0,500')).toBe(0.5);
+    expect(parseLocaleNumber('abc')).toBeNull();
+  });
+
+  test('lets the locale settle a single separator before three digits', () => {
+    expect(parseLocaleNumber('1,250', { locale: 'fr' })).toBe(1.25);
+    expect(parseLocaleNumber('1,250', { locale: 'en' })).toBe(1250);
+    expect(parseLocaleNumber('1.250', { locale: 'de' })).toBe(1250);
+    expect(detectNumberLocale("chiffre d'affaires de 1,250 milliard d'euros")).toBe('fr');
+    expect(detectNumberLocale('Umsatz von 3,4 Mrd. Euro')).toBe('de');
+    expect(detectNumberLocale('12')).toBeNull();
+  });
+
+  test('applies scale words', () => {
+    expect(parseScaledNumber('2,5 Md€')).toMatchObject({ value: 2500000000, scale: 'billion' });
+    expect(parseScaledNumber('12 mds')).toMatchObject({ value: 12000000000, scale: 'billion' });
+    expect(parseScaledNumber('450 M€')).toMatchObject({ value: 450000000, scale: 'million' });
+    expect(parseScaledNumber('350k')).toMatchObject({ value: 350000, scale: 'thousand' });
+    expect(parseScaledNumber('3,4 Mrd.')).toMatchObject({ value: 3400000000, scale: 'billion' });
+  });
+});
@@ -0,0 +1,59 @@
+const { PartialJsonParser, parsePartialJson } = require('../src/utils/partialJsonParser');
+
+const response = {
+  query: 'ACME {test}',
+  number_of_results: 0,
+  results: [
+    { title: 'ACME "le leader"', url: 'https://acme.fr', content: 'Ventes [2023]: 12 M€ }', score: 1.5 },
+    { title: 'ACME Group', url: 'https://acme.com', content: 'Leader\\n{européen}', score: 0.8, tags: ['a', 'b'] },
+    { title: 'ACME Inc', url: 'https://acme.us', content: null, score: 0 }
+  ],
+  suggestions: ['acme sa', 'acme group'],
+  unresponsive_engines: []
+};
+const text = JSON.stringify(response, null, 2);
+
+describe('PartialJsonParser', () => {
+  test('parses a complete object like JSON.parse', () => {
+    expect(parsePartialJson(text)).toEqual({ value: response, complete: true, dropped: {}, incompleteFields: [] });
+  });
+
+  test('gives the same result whatever the chunk boundaries', () => {
+    const parser = new PartialJsonParser();
+    for (const char of text) parser.write(char);
+    expect(parser.end().value).toEqual(response);
+  });
+
+  test('keeps the results fully received when the body is cut in the middle of one', () => {
+    // Cut inside the third result, within a string holding brackets and braces
+    const cut = text.slice(0, text.indexOf('acme.us') + 3);
+    const parsed = parsePartialJson(cut);
+
+    expect(parsed.complete).toBe(false);
+    expect(parsed.value.query).toBe('ACME {test}');
+    expect(parsed.value.results).toEqual(response.results.slice(0, 2));
+    expect(parsed.dropped).toEqual({ results: 1 });
+    expect(parsed.incompleteFields).toEqual(['results']);
+  });
+
+  test('does not count a result as dropped when the cut falls between two results', () => {
+    const cut = text.slice(0, text.indexOf('    {', text.indexOf('acme.com')));
+    const parsed = parsePartialJson(cut);
+
+    expect(parsed.value.results).toEqual(response.results.slice(0, 2));
+    expect(parsed.dropped).toEqual({});
+  });
+
+  test('every prefix of the body yields only whole results', () => {
+    for (let length = 1; length < text.length; length++) {
+      const { value } = parsePartialJson(text.slice(0, length));
+      const results = value.results || [];
+      expect(response.results.slice(0, results.length)).toEqual(results);
+    }
+  });
+
+  test('rejects a body that is not a JSON object', () => {
+    expect(() => parsePartialJson('<html>502 Bad Gateway</html>')).toThrow(/Objet JSON attendu/);
+    expect(() => parsePartialJson('   ')).toThrow(/Aucun objet JSON/);
+  });
+});
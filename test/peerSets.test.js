@@ -0,0 +1,90 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  PeerSetService,
+  createPeerSetService,
+  diffPeerSetVersions,
+  isValidPeerSetId,
+  FilePeerSetStore
+} = require('../src/services/peerSets');
+
+function peerSet(comparables, inputs = {}) {
+  return {
+    referenceCompany: { name: 'Capgemini SE' },
+    comparables,
+    inputs: { companyName: 'Capgemini', ...inputs },
+    similarityModel: { preset: 'default' }
+  };
+}
+
+describe('Peer sets', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('each save of an id adds a version', async () => {
+    const service = new PeerSetService();
+    const first = await service.save(peerSet([{ name: 'Atos', similarityScore: 70 }]));
+    const second = await service.save(peerSet([]), { id: first.id, label: 'vide' });
+
+    expect(first.id).toMatch(/^capgemini-se-[0-9a-f]{8}$/);
+    expect(second.version).toBe(2);
+    expect((await service.get(first.id)).label).toBe('vide');
+    expect((await service.get(first.id, 1)).comparables).toHaveLength(1);
+    expect(await service.get(first.id, 3)).toBeNull();
+    expect((await service.listVersions(first.id)).map(v => v.comparables)).toEqual([1, 0]);
+  });
+
+  test('rejects ids that are not slugs', async () => {
+    expect(isValidPeerSetId('it-services-2024')).toBe(true);
+    expect(isValidPeerSetId('../etc')).toBe(false);
+    await expect(new PeerSetService().save(peerSet([]), { id: 'Big Peers' })).rejects.toThrow(/invalide/);
+  });
+
+  test('the file store keeps versions across service instances', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'peer-sets-'));
+    try {
+      await new PeerSetService({ store: new FilePeerSetStore({ directory }) }).save(peerSet([{ name: 'Atos' }]), { id: 'capgemini' });
+      const reopened = createPeerSetService({ PEER_SET_STORE: 'file', PEER_SET_DIR: directory });
+      await reopened.save(peerSet([{ name: 'Sopra Steria' }]), { id: 'capgemini' });
+
+      expect((await reopened.listVersions('capgemini')).map(v => v.version)).toEqual([1, 2]);
+      expect((await reopened.get('capgemini', 1)).comparables[0].name).toBe('Atos');
+      await expect(reopened.store.append('capgemini', { version: 2 })).rejects.toThrow(/existe déjà/);
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  test('diff matches comparables across spellings and identifiers', () => {
+    const from = peerSet([
+      { name: 'Sopra Steria Group', similarityScore: 80 },
+      { name: 'Atos SE', similarityScore: 60, identifiers: { isin: 'FR0000051732' } },
+      { name: 'Alten', similarityScore: 55 }
+    ]);
+    const to = peerSet([
+      { name: 'Sopra Steria', similarityScore: 80 },
+      { name: 'Atos Origin', similarityScore: 72, identifiers: { isin: 'FR0000051732' } },
+      { name: 'Wavestone', similarityScore: 50 }
+    ], { minSimilarity: 40 });
+
+    expect(diffPeerSetVersions(from, to)).toEqual({
+      added: [{ name: 'Wavestone', similarityScore: 50 }],
+      removed: [{ name: 'Alten', similarityScore: 55 }],
+      changed: [{ name: 'Atos Origin', from: 60, to: 72, delta: 12 }],
+      unchanged: ['Sopra Steria'],
+      inputsChanged: [{ field: 'minSimilarity', from: undefined, to: 40 }],
+      similarityModelChanged: false
+    });
+  });
+
+  test('createPeerSetService rejects an unknown store', () => {
+    expect(createPeerSetService({ PEER_SET_STORE: 'memory' }).getInfo().store).toBe('memory');
+    expect(() => createPeerSetService({ PEER_SET_STORE: 'sqlite' })).toThrow(/sqlite/);
+  });
+});
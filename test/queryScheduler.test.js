@@ -0,0 +1,92 @@
+const { QueryScheduler, createQueryScheduler, isBudgetError } = require('../src/services/queryScheduler');
+const { SearchService } = require('../src/services/searchService');
+const { CacheService } = require('../src/services/cache');
+const { AnalysisService } = require('../src/services/analysisService');
+
+function delay(ms, value) {
+  return new Promise(resolve => setTimeout(() => resolve(value), ms));
+}
+
+describe('Query scheduler', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('never runs more searches at once than its concurrency', async () => {
+    const scheduler = new QueryScheduler({ concurrency: 2 });
+    let running = 0;
+    let peak = 0;
+    const task = async () => {
+      running++;
+      peak = Math.max(peak, running);
+      await delay(5);
+      running--;
+      return 'ok';
+    };
+
+    const results = await Promise.all(Array.from({ length: 6 }, () => scheduler.schedule(task)));
+    expect(results).toEqual(Array(6).fill('ok'));
+    expect(peak).toBe(2);
+    expect(scheduler.getStatus()).toMatchObject({ complete: true, queriesRun: 6, queriesSkipped: 0 });
+  });
+
+  test('refuses searches beyond the maximum of the request', async () => {
+    const scheduler = new QueryScheduler({ maxQueries: 2 });
+    const outcomes = await Promise.allSettled([1, 2, 3].map(value => scheduler.schedule(async () => value)));
+
+    expect(outcomes.map(outcome => outcome.status)).toEqual(['fulfilled', 'fulfilled', 'rejected']);
+    expect(isBudgetError(outcomes[2].reason)).toBe(true);
+    expect(scheduler.getStatus()).toMatchObject({ complete: false, exhaustedBy: 'maxQueries', queriesRun: 2, queriesSkipped: 1 });
+  });
+
+  test('abandons a search still running at the deadline', async () => {
+    const scheduler = new QueryScheduler({ timeout: 20 });
+    await expect(scheduler.schedule(() => delay(200, 'late'))).rejects.toMatchObject({ reason: 'deadline' });
+    await expect(scheduler.schedule(async () => 'next')).rejects.toMatchObject({ code: 'SEARCH_BUDGET_EXHAUSTED' });
+
+    expect(scheduler.getStatus()).toMatchObject({ exhaustedBy: 'deadline', queriesInterrupted: 1, queriesSkipped: 1 });
+  });
+
+  test('searchCompanyInfo keeps the queries that ran within the budget', async () => {
+    const provider = {
+      name: 'fake',
+      getConfigurationError: () => null,
+      search: async params => ({ results: [{ title: params.query, url: 'https://example.com' }] })
+    };
+    const searchService = new SearchService({ provider, cache: new CacheService() });
+    const scheduler = new QueryScheduler({ maxQueries: 2 });
+
+    const info = await scheduler.wrap(searchService).searchCompanyInfo('Capgemini');
+    expect(info.success).toBe(true);
+    expect(info.successfulQueries).toBe(2);
+    expect(info.skippedQueries).toBe(1);
+    expect(info.incomplete).toBe(true);
+  });
+
+  test('the profile searches of AnalysisService run on the scheduler they are given', async () => {
+    const searchService = { searchWeb: jest.fn(async query => ({ results: [{ title: query, url: 'https://example.com', content: '' }] })) };
+    const analysisService = new AnalysisService({ cache: new CacheService(), searchService });
+    const scheduler = new QueryScheduler({ maxQueries: 3 });
+
+    await analysisService.deepWebAnalysis('Capgemini', { scheduler });
+    expect(searchService.searchWeb).toHaveBeenCalledTimes(3);
+    expect(scheduler.getStatus()).toMatchObject({ queriesRun: 3, queriesSkipped: 4 });
+
+    // Without one, the service's own scheduler bounds the concurrency only
+    await analysisService.deepWebAnalysis('Capgemini');
+    expect(searchService.searchWeb).toHaveBeenCalledTimes(10);
+    expect(analysisService.scheduler.getStatus()).toMatchObject({ complete: true, queriesRun: 7 });
+  });
+
+  test('a request can lower the configured limits but not raise them', () => {
+    const env = { SEARCH_CONCURRENCY: '3', SEARCH_MAX_QUERIES: '20', SEARCH_TIMEOUT: '30000' };
+
+    expect(createQueryScheduler({ maxQueries: 5 }, env).getStatus()).toMatchObject({ maxQueries: 5, timeout: 30000, concurrency: 3 });
+    expect(createQueryScheduler({ maxQueries: 500, timeout: 600000 }, env).getStatus()).toMatchObject({ maxQueries: 20, timeout: 30000 });
+    expect(createQueryScheduler({}, {}).getStatus()).toMatchObject({ maxQueries: 60, timeout: 120000, concurrency: 4 });
+  });
+});
@@ -0,0 +1,58 @@
+const { getQueryLocale, buildComparableQueries, legalFormPattern } = require('../src/services/queryTemplates');
+
+describe('Localized comparable queries', () => {
+  test('picks the locale of the country', () => {
+    expect(getQueryLocale('Germany')).toMatchObject({ code: 'de', language: 'de' });
+    expect(getQueryLocale('Spain')).toMatchObject({ code: 'es', legalForms: ['S.A.', 'S.L.'] });
+    expect(getQueryLocale('United Kingdom')).toMatchObject({ code: 'en-GB', legalForms: ['Ltd', 'plc'] });
+    expect(getQueryLocale('United States').language).toBe('en-US');
+    expect(getQueryLocale('Japan').code).toBe('en');
+    expect(getQueryLocale(null).code).toBe('en');
+  });
+
+  test('phrases every query in the language of the market', () => {
+    const queries = buildComparableQueries({ sector: 'Finance', country: 'Spain', size_category: 'medium' });
+
+    expect(queries.map(query => query.key)).toEqual(['sameCountry', 'competitors', 'sameSize', 'leaders']);
+    expect(queries.every(query => query.language === 'es')).toBe(true);
+    expect(queries[0].search).toBe('empresas de finanzas España S.A. S.L.');
+    expect(queries[2].search).toBe('mediana empresa finanzas');
+  });
+
+  test('keeps French phrasing for French companies', () => {
+    const queries = buildComparableQueries({ sector: 'Technology', country: 'France', size_category: 'enterprise' });
+
+    expect(queries.map(query => query.search)).toEqual([
+      'entreprises technologie France SA SAS SARL',
+      'concurrents technologie entreprises similaires',
+      'entreprises technologie grand groupe',
+      'leaders technologie top entreprises',
+      'sociétés conseil technologie consulting'
+    ]);
+  });
+
+  test('international peers are searched in English', () => {
+    const queries = buildComparableQueries({ sector: 'Energy', country: 'Germany' }, { preferSameCountry: false });
+
+    expect(queries.map(query => query.key)).not.toContain('sameCountry');
+    expect(queries.find(query => query.key === 'international')).toMatchObject({
+      search: 'international energy companies',
+      language: 'en'
+    });
+    expect(queries.find(query => query.key === 'leaders')).toMatchObject({
+      search: 'führende Energie Unternehmen',
+      language: 'de'
+    });
+  });
+
+  test('builds only the requested queries', () => {
+    const queries = buildComparableQueries({ sector: 'Retail', country: 'United States' }, { keys: ['competitors'] });
+    expect(queries).toEqual([expect.objectContaining({ search: 'retail competitors similar companies', language: 'en-US' })]);
+  });
+
+  test('legal forms of every locale match after a company name', () => {
+    const pattern = new RegExp(`([A-Z][a-zA-Z]+)\\s+(?:${legalFormPattern()})(?![a-zA-Z])`, 'g');
+    const names = [...'Siemens AG, Telefonica S.A., Enel S.p.A., Barclays plc and SAPIENS'.matchAll(pattern)].map(match => match[1]);
+    expect(names).toEqual(['Siemens', 'Telefonica', 'Enel', 'Barclays']);
+  });
+});
@@ -0,0 +1,119 @@
+const { CircuitBreaker, isRetryableError, parseRetryAfter, CIRCUIT_OPEN } = require('../src/services/providers/resilience');
+const { SearxngProvider } = require('../src/services/providers');
+const { generateRecommendations } = require('../src/functions/testConnection');
+
+function jsonResponse(status, body, headers = {}) {
+  return {
+    ok: status < 400,
+    status,
+    statusText: status < 400 ? 'OK' : 'Error',
+    headers: { get: name => headers[name.toLowerCase()] || null },
+    text: async () => (typeof body === 'string' ? body : JSON.stringify(body)),
+    json: async () => body
+  };
+}
+
+function createProvider(options = {}) {
+  return new SearxngProvider({
+    searxngUrl: 'https://searx.example.com',
+    clientId: 'id',
+    clientSecret: 'secret',
+    tenantId: 'tenant',
+    tokenUrl: 'api://id',
+    retryDelay: 1,
+    ...options
+  });
+}
+
+const token = jsonResponse(200, { access_token: 'token', expires_in: 3600 });
+
+describe('SearXNG resilience', () => {
+  const originalFetch = global.fetch;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('classifies transient failures as retryable', () => {
+    expect(isRetryableError(Object.assign(new Error('bad gateway'), { status: 502 }))).toBe(true);
+    expect(isRetryableError(Object.assign(new Error('too many'), { status: 429 }))).toBe(true);
+    expect(isRetryableError(Object.assign(new Error('forbidden'), { status: 403 }))).toBe(false);
+    expect(isRetryableError(Object.assign(new TypeError('fetch failed'), { cause: { code: 'ECONNRESET' } }))).toBe(true);
+    expect(isRetryableError(Object.assign(new Error('timeout'), { code: 'ETIMEDOUT' }))).toBe(true);
+    expect(isRetryableError(new Error('Réponse non JSON reçue du serveur SearXNG'))).toBe(false);
+    expect(parseRetryAfter('2')).toBe(2000);
+    expect(parseRetryAfter('soon')).toBeNull();
+  });
+
+  test('a single 502 is retried instead of failing the search', async () => {
+    global.fetch = jest.fn()
+      .mockResolvedValueOnce(token)
+      .mockResolvedValueOnce(jsonResponse(502, 'Bad Gateway'))
+      .mockResolvedValueOnce(jsonResponse(200, { results: [{ title: 'ACME', url: 'https://acme.fr' }] }));
+
+    const data = await createProvider().search({ query: 'ACME' });
+    expect(data.results).toHaveLength(1);
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+  });
+
+  test('waits for the delay asked by Retry-After', async () => {
+    global.fetch = jest.fn()
+      .mockResolvedValueOnce(token)
+      .mockResolvedValueOnce(jsonResponse(429, 'Slow down', { 'retry-after': '0' }))
+      .mockResolvedValueOnce(jsonResponse(200, { results: [] }));
+    const provider = createProvider();
+    await expect(provider.search({ query: 'ACME' })).resolves.toEqual({ results: [] });
+
+    // Beyond the longest acceptable wait the error is returned at once
+    global.fetch = jest.fn().mockResolvedValue(jsonResponse(503, 'Maintenance', { 'retry-after': '3600' }));
+    await expect(provider.search({ query: 'ACME' })).rejects.toMatchObject({ status: 503, retryAfter: 3600000 });
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('errors that retrying cannot fix are not retried', async () => {
+    global.fetch = jest.fn().mockResolvedValue(jsonResponse(401, 'invalid_client'));
+
+    await expect(createProvider().getAccessToken()).rejects.toThrow(/Azure AD: 401/);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('the circuit opens when SearXNG keeps failing and short-circuits the next calls', async () => {
+    global.fetch = jest.fn(async url => (url.includes('oauth2') ? token : jsonResponse(503, 'Service Unavailable')));
+    const provider = createProvider({ retries: 0, breakerThreshold: 2, breakerResetTimeout: 60000 });
+
+    await expect(provider.search({ query: 'a' })).rejects.toMatchObject({ status: 503 });
+    await expect(provider.search({ query: 'b' })).rejects.toMatchObject({ status: 503 });
+    const calls = global.fetch.mock.calls.length;
+    await expect(provider.search({ query: 'c' })).rejects.toMatchObject({ code: CIRCUIT_OPEN });
+    expect(global.fetch.mock.calls.length).toBe(calls);
+
+    const status = provider.getStatus().circuitBreakers;
+    expect(status.search).toMatchObject({ state: 'open', failures: 2 });
+    expect(status.token.state).toBe('closed');
+    const types = generateRecommendations(false, { success: true }, { configured: true, errors: [], circuitBreakers: status }, null).map(r => r.type);
+    expect(types).toContain('circuit_open');
+  });
+
+  test('a successful trial call after the cool-down closes the circuit', async () => {
+    const breaker = new CircuitBreaker('test', { failureThreshold: 1, resetTimeout: 1000 });
+    const failure = Object.assign(new Error('down'), { status: 503 });
+    await expect(breaker.execute(async () => { throw failure; })).rejects.toBe(failure);
+    expect(breaker.getState().state).toBe('open');
+
+    const spy = jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 2000);
+    expect(breaker.getState().state).toBe('half-open');
+    await expect(breaker.execute(async () => 'up')).resolves.toBe('up');
+    spy.mockRestore();
+
+    expect(breaker.getState()).toMatchObject({ state: 'closed', failures: 0 });
+  });
+});
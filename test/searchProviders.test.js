@@ -0,0 +1,121 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SearchService } = require('../src/services/searchService');
+const { CacheService } = require('../src/services/cache');
+const { createSearchProvider, JsonApiProvider, FileProvider, FixtureRecorder, SearxngProvider } = require('../src/services/providers');
+
+describe('search providers', () => {
+  const originalFetch = global.fetch;
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  test('createSearchProvider selects the backend by name', () => {
+    expect(createSearchProvider('searxng', {}).name).toBe('searxng');
+    expect(createSearchProvider('jsonapi', { SEARCH_API_URL: 'https://api.example.com' }).name).toBe('jsonapi');
+    expect(() => createSearchProvider('altavista', {})).toThrow(/altavista/);
+  });
+
+  test('unreadable SearXNG retry settings fall back to the defaults', () => {
+    expect(createSearchProvider('searxng', { SEARXNG_RETRIES: 'three', SEARXNG_RETRY_DELAY: '-5' }).retry).toMatchObject({ retries: 2, baseDelay: 500 });
+    expect(createSearchProvider('searxng', { SEARXNG_RETRIES: '0' }).retry.retries).toBe(0);
+    expect(createSearchProvider('searxng', { SEARXNG_RETRIES: '' }).retry.retries).toBe(2);
+  });
+
+  test('jsonapi provider maps custom fields onto the normalized shape', async () => {
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: true,
+      json: async () => ({ data: { items: [{ name: 'ACME SA', link: 'https://acme.fr', snippet: 'Leader français' }] } })
+    });
+    const provider = new JsonApiProvider({ apiUrl: 'https://api.example.com/search', resultsPath: 'data.items' });
+    const service = new SearchService({ provider });
+
+    const result = await service.searchWeb('ACME', {}, 'companyResearch');
+
+    expect(global.fetch.mock.calls[0][0]).toContain('q=ACME');
+    expect(result.results[0]).toEqual({
+      title: 'ACME SA',
+      url: 'https://acme.fr',
+      content: 'Leader français',
+      engine: 'jsonapi',
+      score: 0,
+      publishedDate: null,
+      category: 'general'
+    });
+    expect(result.searchInfo.provider).toBe('jsonapi');
+  });
+
+  test('file provider serves fixtures by query slug and falls back to default', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'search-fixtures-'));
+    fs.writeFileSync(path.join(dir, 'societe-generale.json'), JSON.stringify([{ title: 'Société Générale', url: 'https://sg.fr' }]));
+    fs.writeFileSync(path.join(dir, 'default.json'), JSON.stringify({ results: [] }));
+    const provider = new FileProvider({ fixturesDir: dir });
+
+    const hit = await provider.search({ query: 'Société Générale' });
+    const miss = await provider.search({ query: 'Unknown' });
+
+    expect(hit.results).toEqual([{ engine: 'file', title: 'Société Générale', url: 'https://sg.fr' }]);
+    expect(miss.results).toEqual([]);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('non SearXNG providers do not require Azure AD configuration', () => {
+    const service = new SearchService({ provider: new FileProvider({ fixturesDir: '/tmp' }) });
+    const stats = service.getServiceStats();
+    expect(stats.configured).toBe(true);
+    expect(stats.provider).toBe('file');
+  });
+
+  test('fixture recorder replays what it recorded, keyed by the SearXNG URL params', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'searxng-recordings-'));
+    const inner = new SearxngProvider({});
+    inner.search = jest.fn().mockResolvedValue({ results: [{ title: 'ACME', url: 'https://acme.fr' }] });
+    const params = { query: 'ACME', language: 'fr', page: 1, engines: 'google', categories: 'general' };
+
+    const recorder = new FixtureRecorder(inner, { mode: 'record', fixtureDir: dir });
+    await recorder.search(params);
+
+    const replayer = new FixtureRecorder(inner, { mode: 'replay', fixtureDir: dir });
+    expect(replayer.getConfigurationError()).toBeNull();
+    expect(replayer.getAccessToken).toBeUndefined();
+    await expect(replayer.search(params)).resolves.toEqual({ results: [{ title: 'ACME', url: 'https://acme.fr' }] });
+    await expect(replayer.search({ ...params, page: 2 })).rejects.toThrow(/pageno=2/);
+    expect(inner.search).toHaveBeenCalledTimes(1);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('a SearXNG body cut mid-stream still yields the results fully received', async () => {
+    const body = JSON.stringify({
+      query: 'ACME',
+      results: [
+        { title: 'ACME SA', url: 'https://acme.fr', content: 'Chiffre {2023}' },
+        { title: 'ACME Group', url: 'https://acme.com', content: 'Leader ["européen"]' }
+      ]
+    });
+    const received = Buffer.from(body.slice(0, body.indexOf('Leader')));
+    async function* cutStream() {
+      yield received.subarray(0, 20);
+      yield received.subarray(20);
+      throw new Error('terminated');
+    }
+    global.fetch = jest.fn()
+      .mockResolvedValueOnce({ ok: true, json: async () => ({ access_token: 'token', expires_in: 3600 }) })
+      .mockImplementation(async () => ({ ok: true, status: 200, body: cutStream() }));
+    const provider = new SearxngProvider({
+      searxngUrl: 'https://searx.example.com', clientId: 'id', clientSecret: 'secret', tenantId: 'tenant', tokenUrl: 'api://id'
+    });
+    const service = new SearchService({ provider, cache: new CacheService() });
+
+    const result = await service.searchWeb('ACME', {}, 'companyResearch');
+
+    expect(result.success).toBe(true);
+    expect(result.results.map(r => r.title)).toEqual(['ACME SA']);
+    expect(result.searchInfo).toMatchObject({ truncated: true, droppedResults: 1 });
+
+    // A partial page is not cached
+    await service.searchWeb('ACME', {}, 'companyResearch');
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+  });
+});
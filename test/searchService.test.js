@@ -1,4 +1,5 @@
 const { SearchService } = require('../src/services/searchService');
+const { CacheService } = require('../src/services/cache');
 
 describe('SearchService focus helpers', () => {
   const service = new SearchService();
@@ -17,3 +18,61 @@ describe('SearchService focus helpers', () => {
     expect(result.categories).toBe('general');
   });
 });
+
+describe('SearchService pagination', () => {
+  const pages = {
+    1: [
+      { title: 'Sopra Steria', url: 'https://www.soprasteria.com/fr', content: 'Sopra Steria SA', engine: 'google', score: 1 },
+      { title: 'Atos', url: 'https://atos.net/fr', content: 'Atos SE', engine: 'google', score: 2 }
+    ],
+    2: [
+      { title: 'Sopra Steria', url: 'http://soprasteria.com/fr/?utm_source=feed', content: 'Sopra Steria SA, conseil et services numériques', engine: 'bing', score: 3 },
+      { title: 'Alten', url: 'https://www.alten.com', content: 'Alten SA', engine: 'duckduckgo', score: 1 }
+    ],
+    3: [{ title: 'Atos', url: 'https://atos.net/fr#groupe', content: 'Atos SE', engine: 'bing', score: 1 }],
+    4: [{ title: 'Wavestone', url: 'https://www.wavestone.com', content: 'Wavestone SA', engine: 'google', score: 1 }]
+  };
+  let provider;
+  let service;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    provider = {
+      name: 'fake',
+      getConfigurationError: () => null,
+      search: jest.fn(async params => ({ results: pages[params.page] || [] }))
+    };
+    service = new SearchService({ provider, cache: new CacheService(), maxPages: 5 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('stops at the first page without any new site and merges duplicates by canonical URL', async () => {
+    const result = await service.searchWebPages('ESN', { page: 1 }, 'companyResearch');
+
+    expect(provider.search).toHaveBeenCalledTimes(3);
+    expect(result.pagination).toEqual({ pagesFetched: 3, maxPages: 5, stoppedBy: 'noNewResults', duplicatesMerged: 2 });
+    expect(result.results.map(r => r.title)).toEqual(['Sopra Steria', 'Atos', 'Alten']);
+    expect(result.results[0]).toMatchObject({
+      url: 'https://www.soprasteria.com/fr',
+      engines: ['google', 'bing'],
+      score: 3,
+      content: 'Sopra Steria SA, conseil et services numériques'
+    });
+  });
+
+  test('new companies keep the search going on known sites', async () => {
+    const extractCompanies = results => results.map(r => r.url.includes('#groupe') ? 'Atos Groupe' : r.title);
+    const result = await service.searchWebPages('ESN', {}, 'companyResearch', { maxPages: 4, extractCompanies });
+
+    expect(result.pagination).toMatchObject({ pagesFetched: 4, stoppedBy: 'maxPages' });
+    expect(result.results.map(r => r.title)).toContain('Wavestone');
+  });
+
+  test('a request cannot go deeper than the configured depth', async () => {
+    const result = await service.searchWebPages('ESN', {}, 'companyResearch', { maxPages: 50 });
+    expect(result.pagination.maxPages).toBe(5);
+  });
+});
@@ -0,0 +1,54 @@
+const { resolveSimilarityWeights, scoreSimilarity } = require('../src/services/similarity');
+const { AnalysisService } = require('../src/services/analysisService');
+
+describe('Similarity model', () => {
+  test('resolveSimilarityWeights selects presets by loose name', () => {
+    expect(resolveSimilarityWeights({}).weights).toEqual({
+      sector: 30, activity: 15, geography: 25, size: 20, stage: 0, confidence: 10
+    });
+    expect(resolveSimilarityWeights({ preset: 'Transfer pricing' })).toMatchObject({
+      isValid: true,
+      preset: 'transfer_pricing'
+    });
+  });
+
+  test('custom weights are scaled to 100 and override the preset', () => {
+    expect(resolveSimilarityWeights({ weights: { sector: 3, size: 1 } })).toMatchObject({
+      preset: 'custom',
+      weights: { sector: 75, activity: 0, geography: 0, size: 25, stage: 0, confidence: 0 }
+    });
+    expect(resolveSimilarityWeights({ preset: 'valuation', weights: { stage: 0, geography: 30 } })).toMatchObject({
+      preset: 'valuation+custom',
+      weights: { sector: 30, activity: 10, geography: 30, size: 25, stage: 0, confidence: 5 }
+    });
+  });
+
+  test('invalid weights are reported', () => {
+    const result = resolveSimilarityWeights({ weights: { sector: -1 } });
+    expect(result.isValid).toBe(false);
+    expect(result.errors).toHaveLength(1);
+    expect(resolveSimilarityWeights({ weights: { sector: 0 } }).isValid).toBe(false);
+  });
+
+  test('scoreSimilarity breaks the score down per criterion', () => {
+    const weights = resolveSimilarityWeights({}).weights;
+    const { score, breakdown } = scoreSimilarity({ sector: 100, geography: 50, size: null, confidence: 60 }, weights);
+
+    expect(score).toBe(49);
+    expect(breakdown.sector).toEqual({ score: 100, weight: 30, contribution: 30 });
+    expect(breakdown.activity).toEqual({ score: null, weight: 15, contribution: 0 });
+    expect(breakdown.size).toEqual({ score: null, weight: 20, contribution: 0 });
+    expect(breakdown.stage).toBeUndefined();
+  });
+
+  test('AnalysisService keeps its financial weighting by default', () => {
+    const service = new AnalysisService();
+    const reference = { sector: 'Technology', country: 'France', employees: 1000 };
+    const comparable = { sector: 'Technology', country: 'France', employees: 1000 };
+
+    expect(service.calculateFinancialSimilarity(reference, comparable)).toBe(85);
+    const { breakdown } = service.calculateSimilarityBreakdown(reference, comparable,
+      resolveSimilarityWeights({ preset: 'valuation' }).weights);
+    expect(breakdown.stage).toEqual({ score: 50, weight: 20, contribution: 10 });
+  });
+});
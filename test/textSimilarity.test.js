@@ -0,0 +1,30 @@
+const { stem, tokenize, scoreActivitySimilarity, TfIdfCorpus } = require('../src/services/textSimilarity');
+
+describe('Text similarity', () => {
+  test('tokenize folds accents, drops stop-words and stems French and English alike', () => {
+    expect(tokenize('Le conseil en cybersécurité')).toEqual(['conseil', 'cybersecur']);
+    expect(tokenize('Cybersecurity and security audits')).toEqual(['cybersecur', 'secur', 'audit']);
+    expect(stem('technologies')).toBe(stem('technologique'));
+  });
+
+  test('documents without meaningful words cannot be compared', () => {
+    const corpus = new TfIdfCorpus(['audit de sécurité', 'et les des']);
+    expect(corpus.similarity(0, 0)).toBeCloseTo(1);
+    expect(corpus.similarity(0, 1)).toBeNull();
+  });
+
+  test('a cybersecurity consultancy is closer to a security firm than to an IT services giant', () => {
+    const reference = {
+      description: "Cabinet de conseil en cybersécurité : audit de sécurité, tests d'intrusion et gestion des risques.",
+      main_activities: ['Cybersecurity']
+    };
+    const [securityFirm, itGiant, unknown] = scoreActivitySimilarity(reference, [
+      { description: 'Conseil en cybersécurité, audits de sécurité et réponse aux incidents.' },
+      { description: "Géant des services informatiques : infogérance, cloud et intégration de systèmes pour les grands comptes.", main_activities: ['Outsourcing'] },
+      { name: 'No description' }
+    ]);
+
+    expect(securityFirm).toBeGreaterThan(itGiant + 20);
+    expect(unknown).toBeNull();
+  });
+});